@@ -24,11 +24,19 @@ var path = require('path'),
 	latestSDK,
 
 	CodeProcessor = require('../'),
+	AnalysisMatrix = require('../lib/AnalysisMatrix'),
+	Supervisor = require('../lib/Supervisor'),
+	Project = require('../lib/Project'),
+	Watcher = require('../lib/Watcher'),
+	QueryServer = require('../lib/QueryServer'),
 	Runtime = require('../lib/Runtime'),
 
 	sourceInformation,
 	options,
-	plugins;
+	plugins,
+	platforms,
+	entryPoints,
+	maxWorkers;
 
 const VISUALIZE_BLACKLISTED_FILES = false;
 
@@ -98,6 +106,21 @@ exports.config = function (logger, config, cli) {
 						desc: __('Process waits on standard input after processing the results'),
 						default: false
 					},
+					'watch': {
+						desc: __('keeps the process running and re-analyzes the project whenever a file in the source ' +
+							'directory or the tiapp.xml changes, outputting the findings added and resolved since the previous ' +
+							'run. Only the report, json, and stream output formats are supported'),
+						default: false
+					},
+					'serve': {
+						desc: __('keeps the process running after the analysis and answers requests about the state of the ' +
+							'analysis sent over standard input. Requires the stream output format, and cannot be used with --wait'),
+						default: false
+					},
+					'update-baseline': {
+						desc: __('rewrites the baseline file from the findings of this run, even if it already exists'),
+						default: Runtime.options.updateBaseline
+					},
 					'skip-alloy-recompile': {
 						desc: __('If the app is an Alloy app, causes it to not be recompiled'),
 						default: false
@@ -109,7 +132,7 @@ exports.config = function (logger, config, cli) {
 						desc: __('output format'),
 						hint: __('format'),
 						default: 'report',
-						values: ['report', 'json', 'stream']
+						values: ['report', 'json', 'junit', 'sarif', 'stream']
 					},
 					'config-file': {
 						abbr: 'F',
@@ -122,6 +145,24 @@ exports.config = function (logger, config, cli) {
 						desc: __('a comma separated list of plugin names to load (ignored if --config-file is specified)'),
 						hint: __('plugins')
 					},
+					platforms: {
+						desc: __('a comma separated list of platforms to analyze in one run. The results of each platform are ' +
+							'merged into a matrix showing which platforms each finding occurs on (ignored if --config-file is specified)'),
+						hint: __('platforms'),
+						callback: function() {
+							conf.options.platform.required = false;
+						}
+					},
+					'entry-points': {
+						desc: __('a comma separated list of entry points to analyze in one run, relative to the Resources directory. ' +
+							'The results of each entry point are merged into a matrix (ignored if --config-file is specified)'),
+						hint: __('files')
+					},
+					'max-workers': {
+						desc: __('the maximum number of platforms or entry points to analyze in parallel'),
+						hint: __('workers'),
+						default: Supervisor.getDefaultMaxWorkers()
+					},
 					platform: {
 						abbr: 'p',
 						callback: function (platform) {
@@ -176,6 +217,19 @@ exports.config = function (logger, config, cli) {
 						abbr: 'R',
 						desc: __('the path to the directory that will contain the generated results pages (ignored if --config-file is specified)')
 					},
+					'fail-on': {
+						desc: __('the minimum severity of the errors and warnings that cause the analysis to exit with a non-zero exit code'),
+						hint: __('severity'),
+						values: ['info', 'warning', 'error']
+					},
+					'baseline': {
+						desc: __('the path to a baseline file of known errors and warnings. The file is created if it does not exist, otherwise only findings that are not in the baseline are counted (ignored if --config-file is specified)'),
+						hint: __('file')
+					},
+					'cache-dir': {
+						desc: __('the path to the directory used to cache parsed files and analysis results between runs (ignored if --config-file is specified)'),
+						hint: __('directory')
+					},
 					'max-loop-iterations': {
 						desc: __('the maximum number of iterations a loop can iterate before falling back to an unknown evaluation (ignored if --config-file is specified)'),
 						hint: __('iterations'),
@@ -214,10 +268,33 @@ exports.validate = function (logger, config, cli) {
 		if (cli.argv.output === 'report') {
 			logger.banner();
 		}
+		if (cli.argv.watch && ['report', 'json', 'stream'].indexOf(cli.argv.output) === -1) {
+			logger.error(__('The "%s" output format is not supported in watch mode', cli.argv.output) + '\n');
+			process.exit(1);
+		}
+		if (cli.argv.serve && (cli.argv.output !== 'stream' || cli.argv.watch)) {
+			logger.error(__('The --serve flag requires the stream output format and cannot be used in watch mode') + '\n');
+			process.exit(1);
+		}
+		if (cli.argv.serve && cli.argv.wait) {
+			logger.error(__('The --serve flag reads requests from standard input and cannot be used with --wait') + '\n');
+			process.exit(1);
+		}
+
+		// The platforms and entry points are only known once the config file or CLI parameters have been validated
+		function validated(success) {
+			if (success && (platforms || entryPoints) && ['report', 'json'].indexOf(cli.argv.output) === -1) {
+				logger.error(__('The "%s" output format is not supported when analyzing multiple targets',
+					cli.argv.output) + '\n');
+				process.exit(1);
+			}
+			callback(success);
+		}
+
 		if (cli.argv['config-file']) {
-			validateConfigFile(logger, config, cli, callback);
+			validateConfigFile(logger, config, cli, validated);
 		} else {
-			validateCLIParameters(logger, config, cli, callback);
+			validateCLIParameters(logger, config, cli, validated);
 		}
 	};
 };
@@ -241,8 +318,17 @@ exports.run = function (logger, config, cli) {
 		}
 
 		options.outputFormat = cli.argv.output;
+		if (cli.argv['fail-on']) {
+			options.failOn = cli.argv['fail-on'];
+		}
+		if (cli.argv['update-baseline']) {
+			options.updateBaseline = true;
+		}
 		setTimeout(function () {
-			CodeProcessor.run(sourceInformation, options, plugins, logger, function () {
+			function finished(isFailure) {
+				if (isFailure) {
+					process.exitCode = 1;
+				}
 				if (cli.argv.wait)
 				{
 					var stdin = process.stdin;
@@ -255,10 +341,108 @@ exports.run = function (logger, config, cli) {
 						process.exit();
 					});
 				}
-			});
+			}
+			if (cli.argv.watch) {
+				watch();
+			} else if (cli.argv.serve) {
+				serve();
+			} else if (platforms || entryPoints) {
+				AnalysisMatrix.run(sourceInformation, options, plugins, {
+					platforms: platforms,
+					entryPoints: entryPoints,
+					maxWorkers: maxWorkers
+				}, logger, function (err, results) {
+					if (err) {
+						console.error(err.message);
+						if (err.cause) {
+							logger.debug(err.cause.stack);
+						}
+						process.exit(1);
+					}
+					finished(AnalysisMatrix.isFailure(results));
+				});
+			} else {
+				CodeProcessor.run(sourceInformation, options, plugins, logger, function () {
+					finished(CodeProcessor.isFailure());
+				});
+			}
 		}, 0);
 	}
 
+	function watch() {
+		var processor = new CodeProcessor.Processor(),
+			tiappPath = path.join(sourceInformation.projectDir, 'tiapp.xml');
+		Watcher.watch(sourceInformation, {
+			outputFormat: options.outputFormat,
+			resultsPath: options.resultsPath
+		}, function (changedFiles, callback) {
+			if (!cli.argv['config-file'] && changedFiles.indexOf(tiappPath) !== -1) {
+				updateTiappProperties(sourceInformation.projectDir);
+			}
+			if (platforms || entryPoints) {
+				AnalysisMatrix.run(sourceInformation, options, plugins, {
+					platforms: platforms,
+					entryPoints: entryPoints,
+					maxWorkers: maxWorkers
+				}, logger, function (err, results) {
+					if (err) {
+						console.error(err.message);
+						if (err.cause) {
+							logger.debug(err.cause.stack);
+						}
+					}
+					callback(results);
+				});
+			} else {
+				processor.run(sourceInformation, options, plugins, logger, function (err, results) {
+					if (err) {
+						console.error(err.message);
+						if (err.cause) {
+							logger.debug(err.cause.stack);
+						}
+					}
+					callback(results);
+				});
+			}
+		}, logger);
+	}
+
+	function serve() {
+		var processor = new CodeProcessor.Processor(),
+			serveOptions = appc.util.mix({}, options, {
+				recordValues: true
+			});
+
+		function analyze(callback) {
+			processor.run(sourceInformation, serveOptions, plugins, logger, function (err) {
+				if (err && err.cause) {
+					logger.debug(err.cause.stack);
+				}
+				callback(err);
+			});
+		}
+
+		if (platforms || entryPoints) {
+			console.error(__('The --serve flag cannot be used when analyzing multiple targets'));
+			process.exit(1);
+		}
+		analyze(function (err) {
+			if (err) {
+				console.error(err.message);
+				process.exit(1);
+			}
+			QueryServer.start(processor, function (newOptions, callback) {
+				serveOptions = appc.util.mix({}, serveOptions, newOptions, {
+					outputFormat: options.outputFormat,
+					recordValues: true
+				});
+				analyze(callback);
+			}, process.stdin, process.stdout, function () {
+				process.exit();
+			});
+		});
+	}
+
 	if (cli.argv['skip-alloy-recompile']) {
 		runFunc();
 	} else {
@@ -266,9 +450,20 @@ exports.run = function (logger, config, cli) {
 	}
 };
 
+function updateTiappProperties(projectDir) {
+	var tiapp = Project.readTiapp(projectDir);
+	if (tiapp) {
+		plugins.forEach(function (plugin) {
+			if (path.basename(plugin.path) === 'ti-api-provider') {
+				plugin.options.tiappProperties = tiapp.properties;
+			}
+		});
+	}
+}
+
 function validateAlloyHook(projectDir, logger, callback) {
 	var projectHook;
-	if (existsSync(path.join(projectDir, 'app'))) {
+	if (Project.isAlloyProject(projectDir)) {
 		projectHook = fs.readFileSync(path.join(projectDir, 'plugins', 'ti.alloy', 'hooks', 'alloy.js')).toString();
 		if (projectHook.indexOf('codeprocessor.pre.run') === -1) {
 			logger.warn(__('The Alloy hook is out of date and must be updated to work with the Titanium Code Processor. Updating now.'));
@@ -395,9 +590,29 @@ function validateConfigFile(logger, config, cli, callback) {
 			process.exit(1);
 		}
 
+		if (configFile.platforms && (!Array.isArray(configFile.platforms) || !configFile.platforms.length)) {
+			console.error(__('Config "platforms" entry must be a non-empty array'));
+			process.exit(1);
+		}
+
+		if (configFile.entryPoints && (!Array.isArray(configFile.entryPoints) || !configFile.entryPoints.length)) {
+			console.error(__('Config "entryPoints" entry must be a non-empty array'));
+			process.exit(1);
+		}
+
+		if (configFile.maxWorkers !== undefined && !(configFile.maxWorkers >= 1)) {
+			console.error(__('Config "maxWorkers" entry must be a number greater than 0'));
+			process.exit(1);
+		}
+
 		sourceInformation = configFile.sourceInformation;
 		options = configFile.options;
 		plugins = configFile.plugins;
+		platforms = configFile.platforms;
+		entryPoints = configFile.entryPoints && configFile.entryPoints.map(function (entryPoint) {
+			return path.resolve(entryPoint);
+		});
+		maxWorkers = configFile.maxWorkers;
 
 		// Initialize the CLI
 		if (!existsSync(sdkPath)) {
@@ -415,7 +630,6 @@ function validateCLIParameters(logger, config, cli, callback) {
 
 	var argv = cli.argv,
 		projectRoot,
-		entryPoint,
 		sdk,
 		i, len;
 
@@ -450,6 +664,22 @@ function validateCLIParameters(logger, config, cli, callback) {
 		return;
 	}
 
+	// Validate the list of platforms for a multi-platform analysis. The first platform is used wherever a single
+	// platform is needed, e.g. to validate the platform options
+	if (argv.platforms) {
+		platforms = argv.platforms.split(',').map(function (platform) {
+			platform = platform.trim();
+			if (ti.availablePlatforms.indexOf(platform) == -1) {
+				logger.error(__('Invalid platform: %s', platform) + '\n');
+				process.exit(1);
+			}
+			return ti.resolvePlatform(platform);
+		}).filter(function (platform, index, list) {
+			return list.indexOf(platform) === index;
+		});
+		argv.platform = platforms[0];
+	}
+
 	// Validate the platform
 	ti.validatePlatform(logger, cli, 'platform');
 	if (ti.validatePlatformOptions(logger, config, cli, 'analyze') === false) {
@@ -474,15 +704,27 @@ function validateCLIParameters(logger, config, cli, callback) {
 		options.nativeExceptionRecovery = argv['native-exception-recovery'] !== false;
 		options.processUnvisitedCode = argv['process-unvisited-code'];
 		options.resultsPath = argv['results-dir'];
-
-		// Calculate the project root
-		projectRoot = argv['project-dir'] || '.';
-		sourceInformation = {};
-		projectRoot = sourceInformation.projectDir = path.resolve(projectRoot);
+		options.cacheDir = argv['cache-dir'] && path.resolve(argv['cache-dir']);
+		options.baseline = argv.baseline && path.resolve(argv.baseline);
 
 		// Set the source information
-		sourceInformation.sourceDir = path.join(projectRoot, 'Resources');
-		entryPoint = sourceInformation.entryPoint = path.join(projectRoot, 'Resources', 'app.js');
+		sourceInformation = Project.getSourceInformation(argv['project-dir'] || '.');
+		projectRoot = sourceInformation.projectDir;
+
+		// Validate the list of entry points for a multi-entry point analysis
+		if (argv['entry-points']) {
+			entryPoints = argv['entry-points'].split(',').map(function (file) {
+				file = path.resolve(sourceInformation.sourceDir, file.trim());
+				if (!existsSync(file)) {
+					logger.error(__('Entry point "%s" does not exist', file) + '\n');
+					process.exit(1);
+				}
+				return file;
+			}).filter(function (file, index, list) {
+				return list.indexOf(file) === index;
+			});
+		}
+		maxWorkers = parseInt(argv['max-workers'], 10) || Supervisor.getDefaultMaxWorkers();
 
 		// Analyze the project
 		logger.info('Analyzing project at "' + projectRoot + '"');
@@ -527,7 +769,7 @@ function validateCLIParameters(logger, config, cli, callback) {
 					logger.info(__('No Titanium Modules required, continuing'));
 				} else {
 					logger.info(__n('Searching for %s Titanium Module', 'Searching for %s Titanium Modules', cli.tiapp.modules.length));
-					appc.timodule.find(cli.tiapp.modules, argv.platform, 'development', sdk, [ path.join(sdkPath, '..', '..', '..'), projectRoot], logger, function (moduleResults) {
+					appc.timodule.find(cli.tiapp.modules, platforms || argv.platform, 'development', sdk, [ path.join(sdkPath, '..', '..', '..'), projectRoot], logger, function (moduleResults) {
 						if (moduleResults.missing.length) {
 							logger.error(__('Could not find all required Titanium Modules:'));
 							moduleResults.missing.forEach(function (m) {
@@ -566,30 +808,14 @@ function validateCLIParameters(logger, config, cli, callback) {
 				}
 
 				// Set the plugin information
-				for(i = 0, len = plugins.length; i < len; i++) {
-					if (path.basename(plugins[i].path) === 'ti-api-provider') {
-						plugins[i].options.platform = argv.platform;
-						plugins[i].options.sdkPath = sdkPath;
-						plugins[i].options.modules = modules;
-						plugins[i].options.tiappProperties = cli.tiapp.properties;
-					} else if (path.basename(plugins[i].path) === 'analysis-coverage') {
-						plugins[i].options.visualization = {
-							outputDirectory: options.resultsPath ? path.join(options.resultsPath, 'analysis-coverage') : undefined
-						};
-						plugins[i].options.analyzeBlacklistedFiles = VISUALIZE_BLACKLISTED_FILES;
-					} else if (path.basename(plugins[i].path) === 'unknown-ambiguous-visualizer') {
-						plugins[i].options.visualization = {
-							outputDirectory: options.resultsPath ? path.join(options.resultsPath, 'unknown-ambiguous-visualizer') : undefined
-						};
-						plugins[i].options.analyzeBlacklistedFiles = VISUALIZE_BLACKLISTED_FILES;
-					}
-				}
-
-				// Check if this is an alloy app
-				if (existsSync(path.join(projectRoot, 'app'))) {
-					sourceInformation.sourceMapDir = path.join(projectRoot, 'build', 'map', 'Resources');
-					sourceInformation.originalSourceDir = path.join(projectRoot, 'app');
-				}
+				Project.configurePlugins(plugins, {
+					platform: argv.platform,
+					sdkPath: sdkPath,
+					modules: modules,
+					tiappProperties: cli.tiapp.properties,
+					resultsPath: options.resultsPath,
+					analyzeBlacklistedFiles: VISUALIZE_BLACKLISTED_FILES
+				});
 
 				// Tell the CLI we are done
 				callback(true);
@@ -6,7 +6,14 @@
  */
 
 var path = require('path'),
-	CodeProcessor = require(path.resolve(path.join(__dirname, '..')));
+	CodeProcessor = require(path.resolve(path.join(__dirname, '..'))),
+
+	// The findings that fail the build for each failOn level
+	failureDescriptions = {
+		error: 'errors',
+		warning: 'errors or warnings',
+		info: 'errors, warnings, or infos'
+	};
 
 exports.cliVersion = '>=3.X';
 exports.init = function init(logger, config, cli, appc) {
@@ -38,8 +45,13 @@ exports.init = function init(logger, config, cli, appc) {
 				});
 
 				// Run the code processor
+				var projectDir = appc.fs.resolvePath(cli.argv['project-dir']);
 				CodeProcessor.run(
-					appc.fs.resolvePath(path.join(cli.argv['project-dir'], 'Resources', 'app.js')),
+					{
+						projectDir: projectDir,
+						sourceDir: path.join(projectDir, 'Resources'),
+						entryPoint: path.join(projectDir, 'Resources', 'app.js')
+					},
 					appc.util.mix({
 						invokeMethods: true,
 						evaluateLoops: true,
@@ -79,11 +91,18 @@ exports.init = function init(logger, config, cli, appc) {
 							i, len;
 						for(i = 0, len = errors.length; i < len; i++) {
 							data = errors[i];
-							logger.error('Titanium Code Processor error: ' + data.description + ' (' + data.file + ':' + data.line + ':' + data.column + ')');
+							logger.error('Titanium Code Processor error: ' + data.description + ' (' + data.filename + ':' + data.line + ':' + data.column + ')');
 						}
 						for(i = 0, len = warnings.length; i < len; i++) {
 							data = warnings[i];
-							logger.warn('Titanium Code Processor warning: ' + data.description + ' (' + data.file + ':' + data.line + ':' + data.column + ')');
+							logger.warn('Titanium Code Processor warning: ' + data.description + ' (' + data.filename + ':' + data.line + ':' + data.column + ')');
+						}
+						// Abort the build
+						if (CodeProcessor.isFailure(codeProcessorResults)) {
+							finished(new Error('The Titanium Code Processor detected ' +
+								failureDescriptions[cli.tiapp['code-processor'].options.failOn] +
+								' in the project, aborting the build'));
+							return;
 						}
 						if (errors.length) {
 							logger.warn('The Titanium Code Processor detected errors in the project, results will be discarded');
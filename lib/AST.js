@@ -8,8 +8,10 @@
  */
 
 var fs = require('fs'),
+	path = require('path'),
 	uglify = require('uglify-js'),
-	Runtime = require('./Runtime');
+	Runtime = require('./Runtime'),
+	AnalysisCache = require('./AnalysisCache');
 
 // ******** Uglify extensions and modifications ********
 
@@ -46,10 +48,19 @@ function parse(filename) {
 exports.parseString = parseString;
 function parseString(src, filename) {
 	var ast;
+	if (filename) {
+		Runtime.setSuppressions(filename, parseSuppressions(src, filename));
+	}
 	try {
-		ast = uglify.parse(src, {
-			filename: filename
-		});
+		ast = filename && AnalysisCache.getAST(src, filename);
+		if (!ast) {
+			ast = uglify.parse(src, {
+				filename: filename
+			});
+			if (filename) {
+				AnalysisCache.setAST(src, filename, ast);
+			}
+		}
 		ast.figure_out_scope();
 		if (filename) {
 			Runtime.setAST(ast, filename);
@@ -62,6 +73,81 @@ function parseString(src, filename) {
 	}
 }
 
+/**
+ * Finds the suppression comments in the supplied source code. The following comments are supported, where the list of
+ * types is an optional comma or space separated list of error and warning types, and all types are suppressed if no
+ * types are given:
+ * <ul>
+ * <li><code>codeprocessor-disable-next-line [types]</code> suppresses findings on the line after the comment</li>
+ * <li><code>codeprocessor-disable [types]</code> suppresses findings from the comment until the next
+ *		<code>codeprocessor-enable</code> comment, or the end of the file</li>
+ * </ul>
+ *
+ * @method module:AST.parseSuppressions
+ * @param {string} src The source code to parse
+ * @param {string} [filename] The name of the file containing the source code
+ * @return {Array.<module:Runtime.suppression>} The suppression regions in the source code
+ */
+exports.parseSuppressions = parseSuppressions;
+function parseSuppressions(src, filename) {
+	var suppressions = [],
+		openSuppressions = [],
+		directiveRegex = /^\s*codeprocessor-(disable-next-line|disable|enable)\b([^\n]*)$/,
+		nextToken,
+		token,
+		comment,
+		match,
+		types,
+		endLine,
+		i, len;
+
+	// Bail out early if there aren't any directives, since tokenizing the file isn't free
+	if (src.indexOf('codeprocessor-') === -1) {
+		return suppressions;
+	}
+
+	try {
+		nextToken = uglify.tokenizer(src, filename);
+		do {
+			token = nextToken();
+			for (i = 0, len = token.comments_before.length; i < len; i++) {
+				comment = token.comments_before[i];
+				match = directiveRegex.exec(comment.value.replace(/\*\s*$/, ''));
+				if (!match) {
+					continue;
+				}
+				types = match[2].trim().split(/[\s,]+/).filter(function (type) {
+					return !!type;
+				});
+				types = types.length ? types : undefined;
+				endLine = comment.line + comment.value.split('\n').length - 1;
+				if (match[1] === 'disable-next-line') {
+					suppressions.push({
+						startLine: endLine + 1,
+						endLine: endLine + 1,
+						types: types
+					});
+				} else if (match[1] === 'disable') {
+					openSuppressions.push({
+						startLine: comment.line,
+						endLine: Infinity,
+						types: types
+					});
+				} else {
+					while (openSuppressions.length) {
+						openSuppressions[0].endLine = comment.line;
+						suppressions.push(openSuppressions.shift());
+					}
+				}
+			}
+		} while (token.type !== 'eof');
+	} catch(e) {
+		// Syntax errors are reported when the file is parsed
+	}
+
+	return suppressions.concat(openSuppressions);
+}
+
 /**
  * @callback module:AST.ruleProcessorCallback
  * @return {(module:RuleProcessor.returnTuple | module:base.BaseType)} The result of the rule, either a value or a return tuple
@@ -129,4 +215,189 @@ function walk (ast, eventListeners) {
 		}
 		return cancelDescend;
 	}));
-}
\ No newline at end of file
+}
+/**
+ * A run of characters on a line of source code that share the same state
+ *
+ * @typedef {Object} module:AST.annotatedSegment
+ * @property {string} state The state of the innermost node containing the characters, or an empty string for
+ *		characters that are not contained in a node with a state
+ * @property {string} text The characters
+ */
+/**
+ * @callback module:AST.annotationCallback
+ * @param {module:AST.node} node The AST node to get the state of
+ * @return {(string | undefined)} The state of the node, or undefined if the node inherits the state of its parent
+ */
+/**
+ * Annotates source code with the state of the AST nodes parsed from it, such as whether or not they were visited.
+ * Each character is given the state of the innermost node that contains it and that has a state.
+ *
+ * @method module:AST.annotateSource
+ * @param {module:AST.node} ast The AST parsed from the source code
+ * @param {string} src The source code
+ * @param {module:AST.annotationCallback} getState Gets the state of a node
+ * @return {Array.<Array.<module:AST.annotatedSegment>>} The segments on each line of the source code
+ */
+exports.annotateSource = annotateSource;
+function annotateSource(ast, src, getState) {
+	var states = new Array(src.length),
+		endStack = [src.length],
+		lines = [],
+		segments = [],
+		state,
+		start,
+		i, len;
+
+	ast.walk(new uglify.TreeWalker(function (node, descend) {
+		var nodeState = getState(node),
+			end = endStack[endStack.length - 1],
+			j;
+
+		// Some nodes, such as conditionals at the end of a block, have end tokens past the end of their parent
+		if (node.start && node.end) {
+			end = Math.min(node.end.endpos, end);
+			if (typeof nodeState === 'string') {
+				for (j = node.start.pos; j < end; j++) {
+					states[j] = nodeState;
+				}
+			}
+		}
+		endStack.push(end);
+		descend();
+		endStack.pop();
+		return true;
+	}));
+
+	for (i = 0, start = 0, len = src.length; i <= len; i++) {
+		if (i === len || src[i] === '\n' || (states[i] || '') !== (states[start] || '')) {
+			if (i > start) {
+				state = states[start] || '';
+				segments.push({
+					state: state,
+					text: src.substring(start, i)
+				});
+			}
+			start = i;
+			if (src[i] === '\n') {
+				lines.push(segments);
+				segments = [];
+				start = i + 1;
+			}
+		}
+	}
+	lines.push(segments);
+
+	return lines;
+}
+
+/**
+ * A file in the project and its AST
+ *
+ * @typedef {Object} module:AST.projectAST
+ * @property {string} filename The full path to the file
+ * @property {module:AST.node} ast The AST of the file
+ */
+/**
+ * Gets the AST of every file in the project, sorted by filename. Files that were processed use the AST from the
+ * analysis, and files that were never reached are parsed so that all of their nodes are unvisited. Parsed files are not
+ * added to the AST set, and files that can't be parsed are left out.
+ *
+ * @method module:AST.getProjectASTs
+ * @param {boolean} [includeBlacklisted] Whether or not to include blacklisted files
+ * @return {Array.<module:AST.projectAST>} The AST of each file
+ */
+exports.getProjectASTs = getProjectASTs;
+function getProjectASTs(includeBlacklisted) {
+	var astSet = Runtime.getASTSet(),
+		filenames = [].concat(Runtime.fileList || []),
+		projectASTs = [],
+		ast,
+		filename;
+
+	// Files outside of the source directory, such as CommonJS modules, are only in the AST set
+	for (filename in astSet) {
+		if (filenames.indexOf(filename) === -1) {
+			filenames.push(filename);
+		}
+	}
+
+	filenames.filter(function (filename) {
+		return fs.existsSync(filename) && (includeBlacklisted || !Runtime.isFileBlacklisted(filename));
+	}).sort().forEach(function (filename) {
+		ast = astSet[filename];
+		if (!ast) {
+			try {
+				ast = uglify.parse(fs.readFileSync(filename).toString(), {
+					filename: filename
+				});
+			} catch(e) {
+				return;
+			}
+		}
+		projectASTs.push({
+			filename: filename,
+			ast: ast
+		});
+	});
+
+	return projectASTs;
+}
+
+/**
+ * Gets the path to the annotated source page for a file, relative to the results directory. Pages are written to the
+ * visualization output directory of the plugin, or a directory named after the plugin in the results directory
+ *
+ * @method module:AST.getAnnotatedSourcePage
+ * @param {string} filename The full path to the file
+ * @param {string} pluginName The name of the plugin generating the page
+ * @param {Object} pluginOptions The options of the plugin generating the page
+ * @return {string} The path to the page, using "/" as the separator
+ */
+exports.getAnnotatedSourcePage = getAnnotatedSourcePage;
+function getAnnotatedSourcePage(filename, pluginName, pluginOptions) {
+	var outputDirectory = pluginOptions.visualization && pluginOptions.visualization.outputDirectory,
+		relativeFilename = path.relative(Runtime.sourceInformation.projectDir, filename).split(path.sep).map(function (segment) {
+			return segment === '..' ? '__' : segment;
+		});
+	if (outputDirectory && Runtime.options.resultsPath) {
+		outputDirectory = path.relative(Runtime.options.resultsPath, outputDirectory);
+	} else {
+		outputDirectory = pluginName;
+	}
+	return outputDirectory.split(path.sep).concat(relativeFilename).join('/') + '.html';
+}
+
+/**
+ * The render data for an annotated source page
+ *
+ * @typedef {Object} module:AST.annotatedSourcePageData
+ * @property {string} pluginDisplayName The display name of the plugin generating the page
+ * @property {string} root The relative path from the page to the results directory
+ * @property {Array.<Object>} lines The lines of the file, each with a line "number" and its "segments" (see
+ *		{@link module:AST.annotatedSegment})
+ */
+/**
+ * Creates the render data for an annotated source page
+ *
+ * @method module:AST.createAnnotatedSourcePageData
+ * @param {module:AST.projectAST} projectAST The file to annotate
+ * @param {string} page The path to the page, as returned by {@link module:AST.getAnnotatedSourcePage}
+ * @param {string} pluginDisplayName The display name of the plugin generating the page
+ * @param {module:AST.annotationCallback} getState Gets the state of a node
+ * @return {module:AST.annotatedSourcePageData} The render data, to which plugins add their own properties
+ */
+exports.createAnnotatedSourcePageData = createAnnotatedSourcePageData;
+function createAnnotatedSourcePageData(projectAST, page, pluginDisplayName, getState) {
+	return {
+		pluginDisplayName: pluginDisplayName,
+		root: new Array(page.split('/').length).join('../'),
+		lines: annotateSource(projectAST.ast, fs.readFileSync(projectAST.filename).toString(), getState).map(
+			function (segments, index) {
+				return {
+					number: index + 1,
+					segments: segments
+				};
+			})
+	};
+}
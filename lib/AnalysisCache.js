@@ -0,0 +1,532 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Provides a persistent, on-disk cache of parsed ASTs and analysis results. Everything in the cache is keyed by the
+ * SHA-1 hash of the file contents, so a cache entry is automatically invalidated when a file changes.
+ *
+ * The files that each file requires or includes are recorded during the analysis. When files change, the modules
+ * affected by the change are the changed files and everything that directly or indirectly requires or includes them.
+ * The analysis starts from a set of roots: the entry point and, when processUnvisitedCode is enabled, each file that
+ * is never required. If no root depends on an affected module, the cached results are still valid and are reused as
+ * is. Otherwise, the entry point is reanalyzed since it sets up the global object that every module shares, as are the
+ * roots that depend on an affected module. The errors, warnings, infos, and ambiguous blocks of the files that are only
+ * reached from the other roots are restored from the cache instead of being reanalyzed. Plugins only see the code that
+ * is reanalyzed. Unchanged files are always loaded from the AST cache instead of being reparsed.
+ *
+ * @module AnalysisCache
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+	crypto = require('crypto'),
+
+	wrench = require('wrench'),
+	uglify = require('uglify-js'),
+
+	Runtime = require('./Runtime'),
+
+	version = require('../package.json').version,
+
+	// Properties that are calculated by figure_out_scope and thus are not serialized
+	scopeProperties = ['globals', 'directives', 'variables', 'functions', 'uses_with', 'uses_eval', 'parent_scope',
+		'enclosed', 'cname', 'scope', 'thedef', 'references'],
+
+	fileHashes = {},
+	dependencies = {},
+	roots = [],
+	reusedEntry,
+	reusedRoots = [],
+	reusedFiles = [];
+
+/**
+ * A cached analysis run
+ *
+ * @typedef {Object} module:AnalysisCache.cacheEntry
+ * @property {string} version The version of the code processor that generated the entry
+ * @property {string} configurationHash The hash of the options and plugins used for the run
+ * @property {Object.<string, string>} files The hashes of the files in the project, keyed by path
+ * @property {Object.<string, Array.<string>>} dependencies The files required or included by each file, keyed by path
+ * @property {Array.<string>} roots The files that the analysis started from, the entry point first
+ * @property {module:CodeProcessor.getResultsReturnValue} results The results of the run
+ * @property {Object} plugins The cached output of each plugin, keyed by plugin name
+ */
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the path to the cache directory, or undefined if caching is disabled
+ *
+ * @private
+ */
+function getCacheDir() {
+	return Runtime.options.cacheDir;
+}
+
+/**
+ * Gets the path to the results index file
+ *
+ * @private
+ */
+function getIndexPath() {
+	return path.join(getCacheDir(), 'index.json');
+}
+
+/**
+ * Gets the path to the AST cache file for the given source
+ *
+ * @private
+ */
+function getASTPath(src, filename) {
+	return path.join(getCacheDir(), 'asts', hash(version + '\n' + filename + '\n' + src) + '.json');
+}
+
+/**
+ * Creates a SHA-1 hash of the given string
+ *
+ * @private
+ */
+function hash(value) {
+	return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Writes a file in the cache, creating the parent directory if necessary
+ *
+ * @private
+ */
+function writeCacheFile(filename, contents) {
+	if (!fs.existsSync(path.dirname(filename))) {
+		wrench.mkdirSyncRecursive(path.dirname(filename));
+	}
+	fs.writeFileSync(filename, contents);
+}
+
+/**
+ * Gets the given files and every file that they directly or indirectly require or include
+ *
+ * @private
+ */
+function getDependencies(files, dependencyGraph) {
+	var reachedFiles = [].concat(files),
+		fileDependencies,
+		i, j, len;
+	for (i = 0; i < reachedFiles.length; i++) {
+		fileDependencies = dependencyGraph[reachedFiles[i]] || [];
+		for (j = 0, len = fileDependencies.length; j < len; j++) {
+			if (reachedFiles.indexOf(fileDependencies[j]) === -1) {
+				reachedFiles.push(fileDependencies[j]);
+			}
+		}
+	}
+	return reachedFiles;
+}
+
+/**
+ * Converts an AST node, token, or value into a JSON friendly value
+ *
+ * @private
+ */
+function serialize(value) {
+	var serialized,
+		props,
+		i, len;
+	if (Array.isArray(value)) {
+		serialized = [];
+		for (i = 0, len = value.length; i < len; i++) {
+			serialized[i] = serialize(value[i]);
+		}
+	} else if (value instanceof uglify.AST_Node || value instanceof uglify.AST_Token) {
+		serialized = {};
+		if (value instanceof uglify.AST_Node) {
+			serialized._type = value.TYPE;
+			props = value.CTOR.PROPS;
+		} else {
+			serialized._type = 'Token';
+			props = uglify.AST_Token.PROPS;
+		}
+		for (i = 0, len = props.length; i < len; i++) {
+			if (typeof value[props[i]] !== 'undefined' && scopeProperties.indexOf(props[i]) === -1) {
+				serialized[props[i]] = serialize(value[props[i]]);
+			}
+		}
+	} else if (value instanceof RegExp) {
+		serialized = {
+			_type: 'RegExp',
+			source: value.source,
+			flags: (value.global ? 'g' : '') + (value.ignoreCase ? 'i' : '') + (value.multiline ? 'm' : '')
+		};
+	} else {
+		serialized = value;
+	}
+	return serialized;
+}
+
+/**
+ * Converts a value created by {@link module:AnalysisCache~serialize} back into an AST node, token, or value
+ *
+ * @private
+ */
+function deserialize(value) {
+	var props,
+		p,
+		i, len;
+	if (Array.isArray(value)) {
+		for (i = 0, len = value.length; i < len; i++) {
+			value[i] = deserialize(value[i]);
+		}
+		return value;
+	} else if (value && typeof value === 'object') {
+		if (value._type === 'RegExp') {
+			return new RegExp(value.source, value.flags);
+		}
+		props = {};
+		for (p in value) {
+			if (p !== '_type') {
+				props[p] = deserialize(value[p]);
+			}
+		}
+		return value._type === 'Token' ? new uglify.AST_Token(props) : new uglify['AST_' + value._type](props);
+	}
+	return value;
+}
+
+// ******** Public Methods ********
+
+/**
+ * Checks if the cache is enabled for this run
+ *
+ * @method module:AnalysisCache.isEnabled
+ * @return {boolean} Whether or not the cache is enabled
+ */
+exports.isEnabled = isEnabled;
+function isEnabled() {
+	return !!getCacheDir();
+}
+
+/**
+ * Resets the per-run state of the cache and starts tracking the dependencies between files
+ *
+ * @method module:AnalysisCache.init
+ */
+exports.init = init;
+function init() {
+	fileHashes = {};
+	dependencies = {};
+	roots = [];
+	reusedEntry = undefined;
+	reusedRoots = [];
+	reusedFiles = [];
+	if (!isEnabled()) {
+		return;
+	}
+	function addDependency(e) {
+		var list = dependencies[e.filename] = dependencies[e.filename] || [];
+		if (list.indexOf(e.data.path) === -1) {
+			list.push(e.data.path);
+		}
+	}
+	Runtime.on('requireResolved', addDependency);
+	Runtime.on('tiIncludeResolved', addDependency);
+}
+
+/**
+ * Records that the analysis started from the given file, i.e. the entry point or a file that is never required
+ *
+ * @method module:AnalysisCache.addRoot
+ * @param {string} filename The path to the file
+ */
+exports.addRoot = addRoot;
+function addRoot(filename) {
+	if (roots.indexOf(filename) === -1) {
+		roots.push(filename);
+	}
+}
+
+/**
+ * Gets the hash of the contents of a file. Hashes are only calculated once per run
+ *
+ * @method module:AnalysisCache.hashFile
+ * @param {string} filename The path to the file to hash
+ * @return {(string | undefined)} The hash of the file, or undefined if the file does not exist
+ */
+exports.hashFile = hashFile;
+function hashFile(filename) {
+	if (!fileHashes.hasOwnProperty(filename)) {
+		fileHashes[filename] = fs.existsSync(filename) ? hash(fs.readFileSync(filename)) : undefined;
+	}
+	return fileHashes[filename];
+}
+
+/**
+ * Calculates the hash of the configuration of a run. Results are only reused if the configuration hash matches. This
+ * must be called before the plugins are initialized, since plugins may modify their options during initialization
+ *
+ * @method module:AnalysisCache.hashConfiguration
+ * @param {module:CodeProcessor.sourceInformation} sourceInformation The source information for the project
+ * @param {Object} options The options for the run, as passed to {@link module:CodeProcessor.run}
+ * @param {Array.<module:CodeProcessor.pluginInformation>} plugins The plugins loaded for this run
+ * @return {string} The configuration hash
+ */
+exports.hashConfiguration = hashConfiguration;
+function hashConfiguration(sourceInformation, options, plugins) {
+	var processingOptions = {},
+		p,
+		pluginConfigurations = [],
+		i, len;
+	for (p in options) {
+		if (['cacheDir', 'baseline', 'updateBaseline', 'resultsPath', 'resultsTheme', 'outputFormat'].indexOf(p) === -1) {
+			processingOptions[p] = options[p];
+		}
+	}
+	for (i = 0, len = plugins.length; i < len; i++) {
+		pluginConfigurations.push({
+			path: plugins[i].path,
+			options: plugins[i].options,
+			suppressOutput: plugins[i].suppressOutput
+		});
+	}
+	return hash(JSON.stringify({
+		version: version,
+		entryPoint: sourceInformation.entryPoint,
+		sourceDir: sourceInformation.sourceDir,
+		options: processingOptions,
+		plugins: pluginConfigurations
+	}));
+}
+
+/**
+ * Gets a cached AST for the given source, if one exists
+ *
+ * @method module:AnalysisCache.getAST
+ * @param {string} src The source code that the AST was generated from
+ * @param {string} filename The name of the file containing the source code
+ * @return {(module:AST.node | undefined)} The cached AST, without scope information, or undefined if not cached
+ */
+exports.getAST = getAST;
+function getAST(src, filename) {
+	var astPath;
+	if (!isEnabled()) {
+		return;
+	}
+	astPath = getASTPath(src, filename);
+	if (fs.existsSync(astPath)) {
+		try {
+			return deserialize(JSON.parse(fs.readFileSync(astPath)));
+		} catch(e) {
+			Runtime.log('debug', 'Could not read cached AST for "' + filename + '": ' + e.message);
+		}
+	}
+}
+
+/**
+ * Stores an AST in the cache. The AST must be stored before its scope is figured out or it is processed
+ *
+ * @method module:AnalysisCache.setAST
+ * @param {string} src The source code that the AST was generated from
+ * @param {string} filename The name of the file containing the source code
+ * @param {module:AST.node} ast The AST to store
+ */
+exports.setAST = setAST;
+function setAST(src, filename, ast) {
+	if (isEnabled()) {
+		writeCacheFile(getASTPath(src, filename), JSON.stringify(serialize(ast)));
+	}
+}
+
+/**
+ * Gets the files affected by a change to the given files, i.e. the files themselves and every file that directly or
+ * indirectly requires or includes them
+ *
+ * @method module:AnalysisCache.getAffectedFiles
+ * @param {Array.<string>} changedFiles The files that changed
+ * @param {Object.<string, Array.<string>>} dependencyGraph The files required or included by each file, keyed by path
+ * @return {Array.<string>} The affected files
+ */
+exports.getAffectedFiles = getAffectedFiles;
+function getAffectedFiles(changedFiles, dependencyGraph) {
+	var affectedFiles = [].concat(changedFiles),
+		changed = true,
+		file;
+	while (changed) {
+		changed = false;
+		for (file in dependencyGraph) {
+			if (affectedFiles.indexOf(file) === -1 && dependencyGraph[file].some(isAffected)) {
+				affectedFiles.push(file);
+				changed = true;
+			}
+		}
+	}
+	function isAffected(dependency) {
+		return affectedFiles.indexOf(dependency) !== -1;
+	}
+	return affectedFiles;
+}
+
+/**
+ * Loads the cached results for the project, if the configuration is the same and no file that the analysis depends
+ * on has been added, changed, or removed since they were saved. If some roots of the analysis depend on a changed file,
+ * the unaffected roots are remembered so that their results can be restored with
+ * {@link module:AnalysisCache.getReusedResults}
+ *
+ * @method module:AnalysisCache.loadResults
+ * @param {Array.<string>} fileList The list of files in the project
+ * @param {string} configurationHash The hash of the configuration of this run
+ * @return {(module:AnalysisCache.cacheEntry | undefined)} The cache entry, or undefined if there isn't a valid one
+ */
+exports.loadResults = loadResults;
+function loadResults(fileList, configurationHash) {
+	var entry,
+		changedFiles = [],
+		newFiles = [],
+		affectedFiles,
+		affectedRoots,
+		file,
+		i, len;
+
+	function isAffected(file) {
+		return affectedFiles.indexOf(file) !== -1;
+	}
+	function dependsOnAffectedFile(root) {
+		return fileList.indexOf(root) === -1 || getDependencies([root], entry.dependencies).some(isAffected);
+	}
+
+	if (!isEnabled() || !fs.existsSync(getIndexPath())) {
+		return;
+	}
+	try {
+		entry = JSON.parse(fs.readFileSync(getIndexPath()));
+	} catch(e) {
+		Runtime.log('debug', 'Could not read the analysis cache index: ' + e.message);
+		return;
+	}
+
+	if (entry.version !== version || entry.configurationHash !== configurationHash) {
+		Runtime.log('debug', 'The analysis configuration changed, cached results will not be used');
+		return;
+	}
+
+	// Find the files that were added, changed, or removed
+	for (i = 0, len = fileList.length; i < len; i++) {
+		if (entry.files[fileList[i]] !== hashFile(fileList[i])) {
+			changedFiles.push(fileList[i]);
+			if (!entry.files.hasOwnProperty(fileList[i])) {
+				newFiles.push(fileList[i]);
+			}
+		}
+	}
+	for (file in entry.files) {
+		if (fileList.indexOf(file) === -1 && entry.files[file] !== hashFile(file)) {
+			changedFiles.push(file);
+		}
+	}
+
+	if (!changedFiles.length) {
+		Runtime.log('info', 'No files have changed since the last analysis, using cached results');
+		return entry;
+	}
+
+	affectedFiles = getAffectedFiles(changedFiles, entry.dependencies);
+	Runtime.log('info', changedFiles.length + ' file(s) changed since the last analysis, affecting ' +
+		affectedFiles.length + ' module(s)');
+	for (i = 0, len = affectedFiles.length; i < len; i++) {
+		Runtime.log('debug', 'Affected module: ' + affectedFiles[i]);
+	}
+
+	// New files are analyzed as roots of their own when unvisited code is processed
+	affectedRoots = entry.roots.filter(dependsOnAffectedFile);
+	if (!affectedRoots.length && !(Runtime.options.processUnvisitedCode && newFiles.length)) {
+		Runtime.log('info', 'None of the affected modules are analyzed, using cached results');
+		return entry;
+	}
+
+	// The entry point is always reanalyzed, since it sets up the global object that the other roots are analyzed with
+	reusedEntry = entry;
+	reusedRoots = entry.roots.slice(1).filter(function (root) {
+		return affectedRoots.indexOf(root) === -1;
+	});
+	reusedFiles = getDependencies(reusedRoots, entry.dependencies);
+	if (reusedFiles.length) {
+		Runtime.log('info', 'Reusing the cached results of ' + reusedFiles.length + ' unaffected module(s)');
+	}
+}
+
+/**
+ * Checks whether the results of a file are restored from the cache instead of the file being reanalyzed, because it is
+ * only reached from roots of the last analysis that do not depend on any changed file
+ *
+ * @method module:AnalysisCache.isReusedFile
+ * @param {string} filename The path to the file
+ * @return {boolean} Whether or not the results of the file are reused
+ */
+exports.isReusedFile = isReusedFile;
+function isReusedFile(filename) {
+	return reusedFiles.indexOf(filename) !== -1;
+}
+
+/**
+ * Gets the cached findings of the reused files that were not reanalyzed in this run
+ *
+ * @method module:AnalysisCache.getReusedResults
+ * @param {Array.<string>} processedFiles The files that were analyzed in this run
+ * @return {(Object | undefined)} The errors, warnings, infos, and ambiguousBlocks of the reused files, or undefined if
+ *		no results are reused
+ */
+exports.getReusedResults = getReusedResults;
+function getReusedResults(processedFiles) {
+	var results = {};
+	if (!reusedEntry) {
+		return;
+	}
+	function isReused(finding) {
+		return isReusedFile(finding.filename) && processedFiles.indexOf(finding.filename) === -1;
+	}
+	['errors', 'warnings', 'infos', 'ambiguousBlocks'].forEach(function (type) {
+		results[type] = (reusedEntry.results[type] || []).filter(isReused);
+	});
+	return results;
+}
+
+/**
+ * Saves the results of this run to the cache
+ *
+ * @method module:AnalysisCache.saveResults
+ * @param {Array.<string>} fileList The list of files in the project
+ * @param {string} configurationHash The hash of the configuration of this run
+ * @param {module:CodeProcessor.getResultsReturnValue} results The results of the run
+ * @param {Object} plugins The output of each plugin, keyed by plugin name
+ */
+exports.saveResults = saveResults;
+function saveResults(fileList, configurationHash, results, plugins) {
+	var files = {},
+		processedFiles = Runtime.getProcessedFilesList(),
+		i, len;
+	if (!isEnabled()) {
+		return;
+	}
+	for (i = 0, len = fileList.length; i < len; i++) {
+		files[fileList[i]] = hashFile(fileList[i]);
+	}
+	for (i = 0, len = processedFiles.length; i < len; i++) {
+		files[processedFiles[i]] = hashFile(processedFiles[i]);
+	}
+
+	// The dependencies of the reused files were not recorded in this run, so they are carried over from the last one
+	for (i = 0, len = reusedFiles.length; i < len; i++) {
+		files[reusedFiles[i]] = hashFile(reusedFiles[i]);
+		if (processedFiles.indexOf(reusedFiles[i]) === -1 && reusedEntry.dependencies[reusedFiles[i]]) {
+			dependencies[reusedFiles[i]] = reusedEntry.dependencies[reusedFiles[i]];
+		}
+	}
+	writeCacheFile(getIndexPath(), JSON.stringify({
+		version: version,
+		configurationHash: configurationHash,
+		files: files,
+		dependencies: dependencies,
+		roots: roots.concat(reusedRoots.filter(function (root) {
+			return roots.indexOf(root) === -1 && processedFiles.indexOf(root) === -1;
+		})),
+		results: results,
+		plugins: plugins
+	}));
+}
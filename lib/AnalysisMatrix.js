@@ -0,0 +1,475 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Analyzes a project for several targets in one invocation and merges the results into a matrix that shows which
+ * targets each finding occurs on. A target is one combination of a platform and an entry point, e.g. analyzing for
+ * iphone and android creates the targets "iphone" and "android", and analyzing two entry points for both platforms
+ * creates four targets named "&lt;platform&gt;:&lt;entry point&gt;". Each target is analyzed in its own worker process
+ * by the {@link module:Supervisor}, in parallel. When a results path is specified, the full results pages for each
+ * target are generated in a sub-directory of the results path named after the target, and the matrix is generated as
+ * the summary page of the results path.
+ *
+ * @module AnalysisMatrix
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+
+	wrench = require('wrench'),
+	mu = require('mu2'),
+
+	Runtime = require('./Runtime'),
+	CodeProcessor = require('./CodeProcessor'),
+	CodeProcessorUtils = require('./CodeProcessorUtils'),
+	Supervisor = require('./Supervisor'),
+	Errors = require('./Errors'),
+
+	pluralize = CodeProcessorUtils.pluralize,
+	getBaseDescription = CodeProcessorUtils.getBaseDescription,
+
+	findingTypes = ['errors', 'warnings', 'infos'];
+
+// ******** Helper Methods ********
+
+/**
+ * Creates a copy of the plugin list with the platform, if any, set in the Titanium API provider options, and with
+ * visualization directories inside of the results path moved into the target results path
+ *
+ * @private
+ */
+function createTargetPlugins(plugins, platform, resultsPath, targetResultsPath) {
+	return plugins.map(function (plugin) {
+		var options = JSON.parse(JSON.stringify(plugin.options || {})),
+			outputDirectory = options.visualization && options.visualization.outputDirectory;
+		if (platform && path.basename(plugin.path) === 'ti-api-provider') {
+			options.platform = platform;
+		}
+		if (outputDirectory && resultsPath && outputDirectory.indexOf(resultsPath) === 0) {
+			options.visualization.outputDirectory = path.join(targetResultsPath, path.relative(resultsPath, outputDirectory));
+		}
+		return {
+			path: plugin.path,
+			options: options,
+			suppressOutput: plugin.suppressOutput
+		};
+	});
+}
+
+/**
+ * Creates a supervisor job for each combination of platform and entry point
+ *
+ * @private
+ */
+function createJobs(sourceInformation, options, plugins, targets) {
+	var platforms = targets.platforms || [undefined],
+		entryPoints = targets.entryPoints || [sourceInformation.entryPoint],
+		jobs = [];
+
+	platforms.forEach(function (platform) {
+		entryPoints.forEach(function (entryPoint) {
+			var nameParts = [],
+				targetSourceInformation = JSON.parse(JSON.stringify(sourceInformation)),
+				targetOptions = JSON.parse(JSON.stringify(options)),
+				targetResultsPath;
+
+			if (targets.platforms) {
+				nameParts.push(platform);
+			}
+			if (targets.entryPoints) {
+				nameParts.push(path.relative(sourceInformation.sourceDir, entryPoint).split(path.sep).join('/'));
+			}
+			targetSourceInformation.entryPoint = entryPoint;
+			if (options.resultsPath) {
+				targetResultsPath = targetOptions.resultsPath = path.join.apply(path, [options.resultsPath].concat(nameParts));
+			}
+
+			jobs.push({
+				name: nameParts.join(':'),
+				sourceInformation: targetSourceInformation,
+				options: targetOptions,
+				plugins: createTargetPlugins(plugins, platform, options.resultsPath, targetResultsPath)
+			});
+		});
+	});
+
+	return jobs;
+}
+
+/**
+ * Merges the findings of one type from each target, keyed by their type, location, and description
+ *
+ * @private
+ */
+function mergeFindings(targets, targetResults, findingType) {
+	var findings = [],
+		findingsByKey = {};
+
+	targets.forEach(function (target) {
+		targetResults[target][findingType].forEach(function (finding) {
+			var description = getBaseDescription(finding),
+				key = [finding.type, finding.filename, finding.line, finding.column, description].join('|'),
+				mergedFinding = findingsByKey[key];
+			if (!mergedFinding) {
+				mergedFinding = findingsByKey[key] = {
+					type: finding.type,
+					description: description,
+					filename: finding.filename,
+					line: finding.line,
+					column: finding.column,
+					suppressed: finding.suppressed,
+					baselineState: finding.baselineState,
+					targets: [],
+					matrix: {}
+				};
+				targets.forEach(function (target) {
+					mergedFinding.matrix[target] = 0;
+				});
+				findings.push(mergedFinding);
+			}
+			mergedFinding.targets.push(target);
+			mergedFinding.matrix[target] += finding.occurances || 1;
+		});
+	});
+
+	return findings;
+}
+
+/**
+ * Merges the plugin summaries from each target
+ *
+ * @private
+ */
+function mergePluginSummaries(targets, targetResults) {
+	var plugins = [],
+		pluginsByName = {};
+
+	targets.forEach(function (target) {
+		targetResults[target].plugins.forEach(function (plugin) {
+			var mergedPlugin = pluginsByName[plugin.name];
+			if (!mergedPlugin) {
+				mergedPlugin = pluginsByName[plugin.name] = {
+					name: plugin.name,
+					summaries: {}
+				};
+				plugins.push(mergedPlugin);
+			}
+			mergedPlugin.summaries[target] = plugin.summary || '';
+		});
+	});
+
+	return plugins;
+}
+
+/**
+ * Checks whether a finding counts towards the number of errors and warnings
+ *
+ * @private
+ */
+function isCountedFinding(entry) {
+	return !entry.suppressed && entry.baselineState !== 'existing';
+}
+
+/**
+ * Generates the render data for the matrix, used by both the log output and the results page. The cells of each row
+ * are also stored as "target0", "target1", etc. so that the rows can be passed to the log-friendly table generator
+ *
+ * @private
+ */
+function generateRenderData(results, baseDirectory) {
+	var targets = results.targets,
+		pluginsWithSummaries = results.plugins.filter(function (plugin) {
+			return targets.some(function (target) {
+				return plugin.summaries[target];
+			});
+		});
+
+	function addCells(row, getValue) {
+		row.cells = targets.map(function (target, index) {
+			var value = getValue(target);
+			row['target' + index] = value;
+			return {
+				value: value
+			};
+		});
+		return row;
+	}
+
+	function createFindingList(findings) {
+		var list = findings.filter(function (finding) {
+			return !finding.suppressed;
+		}).map(function (finding) {
+			return addCells({
+				description: (finding.baselineState === 'existing' ? '[existing] ' : '') + finding.description,
+				filename: finding.filename ? finding.filename.replace(baseDirectory, '') : '',
+				line: finding.line || ''
+			}, function (target) {
+				return finding.matrix[target] ? '✓' : '';
+			});
+		});
+		return list.length ? { list: list } : undefined;
+	}
+
+	return {
+		elapsedTime: (results.elapsedTime / 1000).toFixed(1),
+		time: (new Date()).toTimeString(),
+		date: (new Date()).toDateString(),
+		targets: targets.map(function (target) {
+			var targetResults = results.targetResults[target];
+			return {
+				name: target,
+				file: target.split(':').join('/') + '/index.html',
+				numErrors: targetResults.errors.filter(isCountedFinding).length,
+				numWarnings: targetResults.warnings.filter(isCountedFinding).length,
+				failed: results.failedTargets.indexOf(target) !== -1 ? 'yes' : 'no'
+			};
+		}),
+		errors: createFindingList(results.errors),
+		warnings: createFindingList(results.warnings),
+		infos: createFindingList(results.infos),
+		plugins: pluginsWithSummaries.length ? {
+			list: pluginsWithSummaries.map(function (plugin) {
+				return addCells({
+					name: plugin.name
+				}, function (target) {
+					return plugin.summaries[target] || '';
+				});
+			})
+		} : undefined
+	};
+}
+
+/**
+ * Renders the matrix to a log-friendly string
+ *
+ * @private
+ */
+function renderLogOutput(data) {
+	var targetNames = data.targets.map(function (target) {
+			return target.name;
+		}),
+		targetKeys = targetNames.map(function (name, index) {
+			return 'target' + index;
+		}),
+		resultsToLog =
+			'\n\n******************************************\n' +
+			'*            ' + 'Analysis Matrix'.cyan + '             *\n' +
+			'******************************************\n\n';
+
+	resultsToLog += 'Analysis of ' + pluralize('%s target', '%s targets', targetNames.length) + ' completed in ' +
+		data.elapsedTime + ' seconds at ' + data.time + ' on ' + data.date + '\n\n';
+	resultsToLog += 'Targets\n';
+	resultsToLog += CodeProcessor.arrayGen(['Target', 'Errors', 'Warnings', 'Failed'], data.targets,
+		['name', 'numErrors', 'numWarnings', 'failed']);
+
+	if (data.errors) {
+		resultsToLog += '\n\nErrors\n';
+		resultsToLog += CodeProcessor.arrayGen(['Description', 'File', 'Line'].concat(targetNames), data.errors.list,
+			['description', 'filename', 'line'].concat(targetKeys));
+	}
+	if (data.warnings) {
+		resultsToLog += '\n\nWarnings\n';
+		resultsToLog += CodeProcessor.arrayGen(['Description', 'File', 'Line'].concat(targetNames), data.warnings.list,
+			['description', 'filename', 'line'].concat(targetKeys));
+	}
+	if (data.infos) {
+		resultsToLog += '\n\nInfo\n';
+		resultsToLog += CodeProcessor.arrayGen(['Description', 'File', 'Line'].concat(targetNames), data.infos.list,
+			['description', 'filename', 'line'].concat(targetKeys));
+	}
+	if (data.plugins) {
+		resultsToLog += '\n\nPlugin Summary\n';
+		resultsToLog += CodeProcessor.arrayGen(['Plugin'].concat(targetNames), data.plugins.list,
+			['name'].concat(targetKeys));
+	}
+
+	return resultsToLog + '\n';
+}
+
+/**
+ * Generates the matrix summary page in the results directory. The results pages for each target are generated by the
+ * workers
+ *
+ * @private
+ */
+function generateResultsPage(data, resultsDirectory, theme, callback) {
+	var template = path.join(__dirname, '..', 'templates', 'analysisMatrix.html'),
+		renderStream,
+		compiledData = '';
+
+	if (!fs.existsSync(resultsDirectory)) {
+		wrench.mkdirSyncRecursive(resultsDirectory);
+	}
+
+	// Copy the style sheet over
+	theme = path.join(__dirname, '..', 'templates', 'bootstrap-' + (theme || 'light'));
+	if (!fs.existsSync(theme)) {
+		throw new Error('Template theme "' + theme + '" does not exist');
+	}
+	wrench.copyDirSyncRecursive(theme, path.join(resultsDirectory, 'bootstrap'));
+
+	mu.root = path.dirname(template);
+	renderStream = mu.compileAndRender(path.basename(template), data);
+	renderStream.on('data', function (data) {
+		compiledData += data.toString();
+	});
+	renderStream.on('end', function() {
+		fs.writeFile(path.join(resultsDirectory, 'index.html'), compiledData, function () {
+			callback();
+		});
+	});
+}
+
+// ******** API Methods ********
+
+/**
+ * @typedef {Object} module:AnalysisMatrix.finding
+ * @property {string} type The type of the error or warning, e.g. "invalidPlatformReferenced"
+ * @property {string} description The description of the error or warning
+ * @property {(string | undefined)} filename The file the error or warning was reported in, if any
+ * @property {(number | undefined)} line The line the error or warning was reported on, if any
+ * @property {(number | undefined)} column The column the error or warning was reported at, if any
+ * @property {(boolean | undefined)} suppressed Whether or not the error or warning was suppressed by a comment
+ * @property {(string | undefined)} baselineState Either "new" or "existing", if a baseline is used
+ * @property {Array.<string>} targets The targets the error or warning occurs on
+ * @property {Object.<string, number>} matrix The number of times the error or warning occurs on each target that was
+ *		analyzed, including targets that it does not occur on
+ */
+/**
+ * @typedef {Object} module:AnalysisMatrix.results
+ * @property {Array.<string>} targets The names of the targets that were analyzed
+ * @property {Array.<module:AnalysisMatrix.finding>} errors The errors found on any target
+ * @property {Array.<module:AnalysisMatrix.finding>} warnings The warnings found on any target
+ * @property {Array.<module:AnalysisMatrix.finding>} infos The infos found on any target
+ * @property {Array.<Object>} plugins The summary of each plugin
+ * @property {string} plugins.entry.name The name of the plugin
+ * @property {Object.<string, string>} plugins.entry.summaries The summary of the plugin for each target
+ * @property {Object.<string, module:CodeProcessor.getResultsReturnValue>} targetResults The full results of each
+ *		target
+ * @property {Array.<string>} failedTargets The targets whose analysis failed according to the failOn option
+ * @property {number} elapsedTime The elapsed time, in milliseconds
+ * @property {(string | undefined)} resultsPath The path to the results files, if a path was specified in the options
+ */
+/**
+ * Merges the results of analyzing a project for several targets
+ *
+ * @method module:AnalysisMatrix.mergeResults
+ * @param {Object.<string, module:CodeProcessor.getResultsReturnValue>} targetResults The results of each target,
+ *		keyed by target name
+ * @return {module:AnalysisMatrix.results} The merged results, without the elapsed time, failed targets, or results path
+ */
+exports.mergeResults = mergeResults;
+function mergeResults(targetResults) {
+	var targets = Object.keys(targetResults),
+		results = {
+			targets: targets
+		};
+	findingTypes.forEach(function (findingType) {
+		results[findingType] = mergeFindings(targets, targetResults, findingType);
+	});
+	results.plugins = mergePluginSummaries(targets, targetResults);
+	results.targetResults = targetResults;
+	return results;
+}
+
+/**
+ * The analysis matrix run callback definition
+ *
+ * @callback module:AnalysisMatrix.runCallback
+ * @param {(module:Errors.CodeProcessorError | null)} err The reason the project could not be analyzed, if any. Targets
+ *		that are analyzed but fail according to the failOn option are not errors, and are listed in the results instead
+ * @param {(module:AnalysisMatrix.results | undefined)} results The merged results, if there was no error
+ */
+/**
+ * Analyzes a project for each combination of the given platforms and entry points and outputs the merged results
+ *
+ * @method module:AnalysisMatrix.run
+ * @param {module:CodeProcessor.sourceInformation} sourceInformation The source information for the project
+ * @param {Object} options The options for the run. See {@link module:CodeProcessor.queryOptions} for more info. Only
+ *		the "report" and "json" output formats are supported
+ * @param {Array.<module:CodeProcessor.pluginInformation>} plugins The plugins to load. The platform option of the
+ *		ti-api-provider plugin, if loaded, is replaced with the platform of each target
+ * @param {Object} targets The targets to analyze. At least one of platforms and entryPoints must be specified
+ * @param {Array.<string>} [targets.platforms] The platforms to analyze, e.g. ["iphone", "android"]. Defaults to the
+ *		platform in the ti-api-provider options
+ * @param {Array.<string>} [targets.entryPoints] The absolute paths to the entry points to analyze. Defaults to the entry
+ *		point in the source information
+ * @param {number} [targets.maxWorkers] The maximum number of targets to analyze at a time. Defaults to the number of
+ *		CPUs
+ * @param {(Object | undefined)} logger A logger instance from the CLI
+ * @param {module:AnalysisMatrix.runCallback} callback The callback to call once processing is complete
+ */
+exports.run = run;
+function run(sourceInformation, options, plugins, targets, logger, callback) {
+	var startTime = Date.now(),
+		jobs;
+
+	options = options || {};
+	plugins = plugins || [];
+	Runtime.setLogger(logger);
+
+	if (!targets || !(targets.platforms && targets.platforms.length || targets.entryPoints && targets.entryPoints.length)) {
+		callback && callback(new Errors.InvalidOptionError('At least one platform or entry point must be specified'));
+		return;
+	}
+	if (options.outputFormat && options.outputFormat !== 'report' && options.outputFormat !== 'json') {
+		callback && callback(new Errors.InvalidOptionError('The "' + options.outputFormat +
+			'" output format is not supported when analyzing multiple targets'));
+		return;
+	}
+
+	jobs = createJobs(sourceInformation, options, plugins, targets);
+	Runtime.log('info', 'Analyzing ' + pluralize('%s target', '%s targets', jobs.length));
+	Supervisor.run(jobs, targets.maxWorkers, function (err, responses) {
+		var targetResults = {},
+			failedTargets = [],
+			results,
+			data;
+
+		if (err) {
+			callback && callback(err);
+			return;
+		}
+
+		// Keep the targets in the order they were specified, not the order they finished in
+		jobs.forEach(function (job) {
+			targetResults[job.name] = responses[job.name].results;
+			if (responses[job.name].failure) {
+				failedTargets.push(job.name);
+			}
+		});
+		results = mergeResults(targetResults);
+		results.failedTargets = failedTargets;
+		results.elapsedTime = Date.now() - startTime;
+		results.resultsPath = options.resultsPath;
+
+		Runtime.log('info', 'Generating results');
+		data = generateRenderData(results, sourceInformation.projectDir + path.sep);
+		if (options.outputFormat === 'report') {
+			console.log(renderLogOutput(data));
+		} else if (options.outputFormat === 'json') {
+			console.log(JSON.stringify(results, false, '\t'));
+		}
+
+		if (options.resultsPath) {
+			generateResultsPage(data, options.resultsPath, options.resultsTheme, function () {
+				callback && callback(null, results);
+			});
+		} else {
+			callback && callback(null, results);
+		}
+	});
+}
+
+/**
+ * Checks whether or not the analysis of any target failed, i.e. if any errors or warnings were reported with a
+ * severity equal to or higher than the failOn option
+ *
+ * @method module:AnalysisMatrix.isFailure
+ * @param {module:AnalysisMatrix.results} results The merged results to check
+ * @return {boolean} Whether or not the analysis failed
+ */
+exports.isFailure = isFailure;
+function isFailure(results) {
+	return !!results.failedTargets.length;
+}
@@ -0,0 +1,375 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Answers questions about the state of the last analysis from the ASTs that are kept in memory once it completes, such
+ * as the values an identifier had and the places a function was called from. Calls are recorded on the ASTs by the
+ * call rules, while the values of identifiers are only recorded when the recordValues option is set, since recording
+ * them slows down the analysis.
+ *
+ * @module AnalysisState
+ */
+
+var path = require('path'),
+
+	uglify = require('uglify-js'),
+
+	Base = require('./Base'),
+	Runtime = require('./Runtime'),
+	Errors = require('./Errors'),
+
+	// The maximum number of distinct values recorded for a single identifier
+	MAX_VALUES = 20;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the value a reference points to without any side effects, i.e. without calling getters, firing events, or
+ * reporting unresolvable references. Returns undefined if the value cannot be determined this way
+ *
+ * @private
+ */
+function peekValue(reference) {
+	var base,
+		name,
+		obj,
+		desc;
+
+	if (Base.type(reference) !== 'Reference') {
+		return reference;
+	}
+	if (Base.isUnresolvableReference(reference)) {
+		return;
+	}
+	base = Base.getBase(reference);
+	name = Base.getReferencedName(reference);
+	if (base instanceof Base.DeclarativeEnvironmentRecord) {
+		return Object.prototype.hasOwnProperty.call(base._bindings, name) ? base._bindings[name].value : undefined;
+	}
+	if (base instanceof Base.ObjectEnvironmentRecord) {
+		obj = base._bindingObject;
+		while (obj && !desc && Base.type(obj) !== 'Null' && Base.type(obj) !== 'Unknown') {
+			desc = obj._lookupProperty(name);
+			obj = obj.objectPrototype !== obj ? obj.objectPrototype : undefined;
+		}
+		return desc && Base.isDataDescriptor(desc) ? desc.value : undefined;
+	}
+}
+
+/**
+ * Describes a value in a JSON friendly format
+ *
+ * @private
+ */
+function describeValue(value) {
+	var valueType = Base.type(value),
+		description;
+	switch(valueType) {
+		case 'Undefined':
+		case 'Null':
+			return {
+				type: valueType.toLowerCase()
+			};
+		case 'Boolean':
+		case 'Number':
+		case 'String':
+			return {
+				type: valueType.toLowerCase(),
+				value: typeof value.value === 'number' && !isFinite(value.value) ? String(value.value) : value.value
+			};
+		case 'Unknown':
+			return {
+				type: 'unknown',
+				explanation: Base.explainUnknown(value)
+			};
+		default:
+			description = {
+				type: value.className === 'Function' ? 'function' : 'object',
+				className: value.className
+			};
+			if (value._apiName) {
+				description.api = value._apiName;
+			} else if (value._ast && value._ast.name) {
+				description.name = value._ast.name.name;
+			}
+			return description;
+	}
+}
+
+/**
+ * Records the value of an identifier once it has been evaluated
+ *
+ * @private
+ */
+function recordValue(e) {
+	var ast = e.data.ast,
+		value,
+		description,
+		key;
+	if (e.data.ruleName !== 'AST_SymbolRef' || !e.data.processingComplete) {
+		return;
+	}
+	ast._values = ast._values || {};
+	if (Object.keys(ast._values).length >= MAX_VALUES) {
+		return;
+	}
+	value = peekValue(e.data.result);
+	if (value) {
+
+		// Unknown values are only explained once per identifier, since explaining them is expensive
+		key = Base.type(value) === 'Unknown' ? 'unknown' : undefined;
+		if (!key || !ast._values[key]) {
+			description = describeValue(value);
+			ast._values[key || JSON.stringify(description)] = description;
+		}
+	}
+}
+
+/**
+ * Gets the AST of a file, relative to the project directory or absolute
+ *
+ * @private
+ */
+function getAST(filename) {
+	var ast;
+	filename = path.resolve(Runtime.sourceInformation && Runtime.sourceInformation.projectDir || '', filename);
+	ast = Runtime.getASTSet()[filename];
+	if (!ast) {
+		throw new Errors.CodeProcessorError('File "' + filename + '" was not analyzed');
+	}
+	return ast;
+}
+
+/**
+ * Finds every function in an AST along with the names it can be referred to by, i.e. its own name and the name of the
+ * variable, property, or object key it is assigned to
+ *
+ * @private
+ */
+function findFunctions(ast) {
+	var functions = [],
+		names = [];
+
+	function addName(node, name) {
+		var index;
+		if (node instanceof uglify.AST_Lambda && name) {
+			index = functions.indexOf(node);
+			if (index === -1) {
+				index = functions.push(node) - 1;
+				names[index] = [];
+			}
+			if (names[index].indexOf(name) === -1) {
+				names[index].push(name);
+			}
+		}
+	}
+
+	ast.walk(new uglify.TreeWalker(function (node) {
+		if (node instanceof uglify.AST_VarDef) {
+			addName(node.value, node.name.name);
+		} else if (node instanceof uglify.AST_Assign && node.operator === '=') {
+			if (node.left instanceof uglify.AST_SymbolRef) {
+				addName(node.right, node.left.name);
+			} else if (node.left instanceof uglify.AST_Dot) {
+				addName(node.right, node.left.property);
+			} else if (node.left instanceof uglify.AST_Sub && node.left.property instanceof uglify.AST_String) {
+				addName(node.right, node.left.property.value);
+			}
+		} else if (node instanceof uglify.AST_ObjectKeyVal) {
+			addName(node.value, node.key);
+		} else if (node instanceof uglify.AST_Lambda) {
+			addName(node, node.name && node.name.name);
+			if (functions.indexOf(node) === -1) {
+				functions.push(node);
+				names[functions.length - 1] = [];
+			}
+		}
+	}));
+
+	return functions.map(function (node, index) {
+		return {
+			node: node,
+			names: names[index]
+		};
+	});
+}
+
+/**
+ * Finds the innermost function containing a line, if any
+ *
+ * @private
+ */
+function findEnclosingFunction(functions, line) {
+	var enclosingFunction,
+		i, len;
+	for (i = 0, len = functions.length; i < len; i++) {
+		if (functions[i].node.start.line <= line && functions[i].node.end.line >= line &&
+				(!enclosingFunction || functions[i].node.start.pos > enclosingFunction.node.start.pos)) {
+			enclosingFunction = functions[i];
+		}
+	}
+	return enclosingFunction;
+}
+
+// ******** API Methods ********
+
+/**
+ * Checks if the values of identifiers are being recorded
+ *
+ * @method module:AnalysisState.isRecordingValues
+ * @return {boolean} Whether or not values are recorded
+ */
+exports.isRecordingValues = isRecordingValues;
+function isRecordingValues() {
+	return !!Runtime.options.recordValues;
+}
+
+/**
+ * Starts recording the values of identifiers, if the recordValues option is set
+ *
+ * @method module:AnalysisState.init
+ */
+exports.init = init;
+function init() {
+	if (isRecordingValues()) {
+		Runtime.on('rule', recordValue);
+	}
+}
+
+/**
+ * A value that an identifier had
+ *
+ * @typedef {Object} module:AnalysisState.value
+ * @property {string} type The type of the value, one of "undefined", "null", "boolean", "number", "string", "object",
+ *		"function", or "unknown"
+ * @property {(boolean | number | string | undefined)} value The value, for booleans, numbers, and strings. NaN and
+ *		infinite numbers are given as strings
+ * @property {(string | undefined)} className The class of the object, for objects and functions, e.g. "Array"
+ * @property {(string | undefined)} api The Titanium API of the object, if any, e.g. "Titanium.UI.Window"
+ * @property {(string | undefined)} name The name of the function, if it has one
+ * @property {(Array.<module:base/types/unknown.explanationStep> | undefined)} explanation Why the value is unknown,
+ *		for unknown values
+ */
+/**
+ * The values of an identifier
+ *
+ * @typedef {Object} module:AnalysisState.getValuesReturnValue
+ * @property {boolean} visited Whether or not any reference to the identifier on the line was evaluated
+ * @property {Array.<module:AnalysisState.value>} values The distinct values of the identifier, up to 20
+ */
+/**
+ * Gets the values that an identifier had on a line, i.e. every value that was read from a reference to the
+ * identifier on the line. Requires the recordValues option
+ *
+ * @method module:AnalysisState.getValues
+ * @param {string} filename The file, relative to the project directory or absolute
+ * @param {number} line The line, starting at 1
+ * @param {string} name The name of the identifier
+ * @return {module:AnalysisState.getValuesReturnValue} The values of the identifier
+ */
+exports.getValues = getValues;
+function getValues(filename, line, name) {
+	var ast,
+		found = false,
+		visited = false,
+		values = {};
+
+	if (!isRecordingValues()) {
+		throw new Errors.CodeProcessorError('Values are only available if the recordValues option is set');
+	}
+	ast = getAST(filename);
+	ast.walk(new uglify.TreeWalker(function (node) {
+		var key;
+		if (node.start && (node.start.line > line || node.end.line < line)) {
+			return true;
+		}
+		if (node instanceof uglify.AST_SymbolRef && node.name === name && node.start.line === line) {
+			found = true;
+			if (node._visited) {
+				visited = true;
+			}
+			for (key in node._values) {
+				values[key] = node._values[key];
+			}
+		}
+	}));
+	if (!found) {
+		throw new Errors.CodeProcessorError('There is no reference to "' + name + '" on line ' + line + ' of "' +
+			filename + '"');
+	}
+
+	return {
+		visited: visited,
+		values: Object.keys(values).slice(0, MAX_VALUES).map(function (key) {
+			return values[key];
+		})
+	};
+}
+
+/**
+ * A place that a function was called from
+ *
+ * @typedef {Object} module:AnalysisState.caller
+ * @property {(string | undefined)} name The name of the function containing the call, or undefined if the call is
+ *		not inside of a function
+ * @property {string} filename The file containing the call
+ * @property {number} line The line of the call
+ */
+/**
+ * A function and the places it was called from
+ *
+ * @typedef {Object} module:AnalysisState.calledFunction
+ * @property {Array.<string>} names The names the function can be referred to by
+ * @property {string} filename The file containing the function
+ * @property {number} line The line the function starts on
+ * @property {number} column The column the function starts at
+ * @property {Array.<module:AnalysisState.caller>} callers The places the function was called from
+ */
+/**
+ * Gets the places that the functions with the given name were called from during the analysis. A function is matched
+ * by its own name or by the name of the variable, property, or object key it is assigned to
+ *
+ * @method module:AnalysisState.getCallers
+ * @param {string} name The name of the function
+ * @return {Array.<module:AnalysisState.calledFunction>} The functions with the name, in no particular order
+ */
+exports.getCallers = getCallers;
+function getCallers(name) {
+	var astSet = Runtime.getASTSet(),
+		functionsByFile = {},
+		calledFunctions = [];
+
+	function getFunctions(filename) {
+		if (!functionsByFile[filename]) {
+			functionsByFile[filename] = astSet[filename] ? findFunctions(astSet[filename]) : [];
+		}
+		return functionsByFile[filename];
+	}
+
+	Object.keys(astSet).forEach(function (filename) {
+		getFunctions(filename).forEach(function (func) {
+			var node = func.node,
+				jumpSources = node._jumpSources || {};
+			if (func.names.indexOf(name) === -1) {
+				return;
+			}
+			calledFunctions.push({
+				names: func.names,
+				filename: filename,
+				line: node.start.line,
+				column: node.start.col,
+				callers: Object.keys(jumpSources).map(function (key) {
+					var source = jumpSources[key],
+						enclosingFunction = findEnclosingFunction(getFunctions(source.filename), source.line);
+					return {
+						name: enclosingFunction && enclosingFunction.names[0],
+						filename: source.filename,
+						line: source.line
+					};
+				})
+			});
+		});
+	});
+
+	return calledFunctions;
+}
@@ -0,0 +1,74 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Runs a single analysis in a child process. The code processor is not reentrant, so analyses that need a fresh
+ * runtime, such as one analysis per platform, are each run in their own worker. The worker is started with
+ * child_process.fork() and is sent a single message containing the source information, options, and plugins for the
+ * analysis. Log messages are forwarded to the parent process as they happen, and the sanitized results are sent back
+ * once the analysis is complete. If the project could not be analyzed, the error is sent back instead.
+ *
+ * @module AnalysisWorker
+ */
+
+var CodeProcessor = require('./CodeProcessor');
+
+/**
+ * A message sent from a worker to its parent process
+ *
+ * @typedef {Object} module:AnalysisWorker.message
+ * @property {string} type The type of message, either "log", "results", or "error"
+ * @property {(string | undefined)} level The log level, for "log" messages
+ * @property {(string | undefined)} message The log message, for "log" messages
+ * @property {(module:CodeProcessor.getResultsReturnValue | undefined)} results The results of the analysis, for
+ *		"results" messages
+ * @property {(boolean | undefined)} failure Whether or not the analysis failed according to the failOn option, for
+ *		"results" messages
+ * @property {(Object | undefined)} error The reason the project could not be analyzed, for "error" messages. See
+ *		{@link module:Supervisor} for how it is turned back into a {@link module:Errors.CodeProcessorError}
+ * @property {string} error.name The name of the error class, e.g. "PluginError"
+ * @property {string} error.message The description of the error
+ * @property {(string | undefined)} error.plugin The name of the plugin, for plugin errors
+ * @property {(string | undefined)} error.causeStack The stack trace of the original error, for internal errors
+ */
+
+process.once('message', function (message) {
+	var logger = {
+		log: function (level, logMessage) {
+			process.send({
+				type: 'log',
+				level: level,
+				message: logMessage
+			});
+		}
+	};
+
+	// The parent process is responsible for all output, so nothing is printed by the worker
+	message.options.outputFormat = undefined;
+
+	CodeProcessor.analyze(message.sourceInformation, message.options, message.plugins, logger, function (err) {
+		var results;
+		if (err) {
+			process.send({
+				type: 'error',
+				error: {
+					name: err.name,
+					message: err.message,
+					plugin: err.plugin,
+					causeStack: err.cause && err.cause.stack
+				}
+			}, function () {
+				process.exit(1);
+			});
+			return;
+		}
+		results = CodeProcessor.getResults();
+		process.send({
+			type: 'results',
+			results: results,
+			failure: CodeProcessor.isFailure(results)
+		}, function () {
+			process.exit(0);
+		});
+	});
+});
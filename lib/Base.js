@@ -330,9 +330,13 @@ BaseType.prototype._getPropertyNames = function () {
 /*global
 util,
 Runtime,
-BaseType
+BaseType,
+type
 */
 
+var MAX_EXPLANATION_STEPS = 20,
+	MAX_VISITED_ORIGINS = 500;
+
 /*****************************************
  *
  * Unknown Type Class
@@ -341,7 +345,8 @@ BaseType
 
 /**
  * @classdesc Represents an unknown type. Types are considered to be 'unknown' if their value cannot be determined at
- * compile time and are unique to this implementation. There is no equivalent in the ECMA-262 spec.
+ * compile time and are unique to this implementation. There is no equivalent in the ECMA-262 spec. Each unknown value
+ * records its origin so that the reason it is unknown can be explained, see {@link module:base/types/unknown.origin}.
  *
  * @constructor module:base/types/unknown.UnknownType
  * @param {string} [className] The name of the class, such as 'String' or 'Object'
@@ -356,9 +361,289 @@ function UnknownType(className) {
 	}
 	BaseType.call(this, className || 'Unknown');
 	this.type = 'Unknown';
+	this._origin = createOrigin();
 }
 util.inherits(UnknownType, BaseType);
 
+/*****************************************
+ *
+ * Unknown Origins
+ *
+ *****************************************/
+
+/**
+ * The origin of an unknown value, i.e. where it was created and the values it was derived from
+ *
+ * @typedef {Object} module:base/types/unknown.origin
+ * @property {(string | undefined)} description What created the value, e.g. 'The return value of "Math.random" is
+ *		not known until runtime', or undefined if it has not been described yet
+ * @property {string} filename The file the value was created in
+ * @property {number} line The line the value was created on
+ * @property {number} column The column the value was created at
+ * @property {Array.<module:base/types/unknown.origin>} sources The origins of the values that this value was derived
+ *		from, if any
+ */
+
+/**
+ * Creates an origin at the current location. Origins are created for each unknown value, and can also be created for
+ * things that cause values to become unknown, such as an ambiguous block
+ *
+ * @method module:base/types/unknown.createOrigin
+ * @param {string} [description] What created the value
+ * @param {Array.<(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)>} [sources] The values
+ *		or origins that caused this origin
+ * @return {module:base/types/unknown.origin} The new origin
+ */
+exports.createOrigin = createOrigin;
+function createOrigin(description, sources) {
+	var currentLocation = Runtime.getCurrentLocation(),
+		origin = {
+			description: description,
+			filename: currentLocation.filename,
+			line: currentLocation.line,
+			column: currentLocation.column,
+			sources: []
+		},
+		i, len;
+	if (sources) {
+		for (i = 0, len = sources.length; i < len; i++) {
+			addOriginSource(origin, sources[i]);
+		}
+	}
+	return origin;
+}
+
+/**
+ * Gets the origin of an unknown value, or the origin itself if an origin is passed in
+ *
+ * @method module:base/types/unknown.getOrigin
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} value The value
+ * @return {(module:base/types/unknown.origin | undefined)} The origin, or undefined if the value is not unknown
+ */
+exports.getOrigin = getOrigin;
+function getOrigin(value) {
+	if (!value) {
+		return;
+	} else if (Array.isArray(value.sources)) {
+		return value;
+	} else if (type(value) === 'Unknown') {
+
+		// Values converted to unknown in-place may not have been created at a location with an origin
+		if (!value._origin) {
+			value._origin = createOrigin();
+		}
+		return value._origin;
+	}
+}
+
+/**
+ * Adds a source to an origin. Values that are not unknown are ignored
+ *
+ * @method module:base/types/unknown.addOriginSource
+ * @param {module:base/types/unknown.origin} origin The origin to add the source to
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} source The value or origin that
+ *		caused the origin
+ */
+exports.addOriginSource = addOriginSource;
+function addOriginSource(origin, source) {
+	source = getOrigin(source);
+	if (source && source !== origin && origin.sources.indexOf(source) === -1) {
+		origin.sources.push(source);
+	}
+}
+
+/**
+ * Describes what created an unknown value
+ *
+ * @method module:base/types/unknown.setUnknownOrigin
+ * @param {module:base/types/unknown.UnknownType} value The unknown value
+ * @param {string} description What created the value, e.g. 'The return value of "Math.random" is not known until
+ *		runtime'
+ * @param {Array.<(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)>} [sources] The values
+ *		or origins that the value was derived from
+ * @return {module:base/types/unknown.UnknownType} The value, for convenience
+ */
+exports.setUnknownOrigin = setUnknownOrigin;
+function setUnknownOrigin(value, description, sources) {
+	var origin = getOrigin(value),
+		i, len;
+	if (origin) {
+		origin.description = description;
+		if (sources) {
+			for (i = 0, len = sources.length; i < len; i++) {
+				addOriginSource(origin, sources[i]);
+			}
+		}
+	}
+	return value;
+}
+
+/**
+ * A step in the explanation of an unknown value
+ *
+ * @typedef {Object} module:base/types/unknown.explanationStep
+ * @property {string} description What created or propagated the value
+ * @property {string} filename The file the step happened in
+ * @property {number} line The line the step happened on
+ * @property {number} column The column the step happened at
+ * @property {boolean} isOrigin Whether or not this step is where the unknown value originated, i.e. it was not derived
+ *		from any other unknown values
+ */
+/**
+ * Explains why a value is unknown by walking its origin chain, starting with the value itself and ending with the
+ * places where the unknown values it was derived from originated. Long chains are truncated, but the places where the
+ * values originated are always included.
+ *
+ * @method module:base/types/unknown.explainUnknown
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} value The value to explain
+ * @return {Array.<module:base/types/unknown.explanationStep>} The steps, or an empty array if the value isn't unknown
+ */
+exports.explainUnknown = explainUnknown;
+function explainUnknown(value) {
+	var queue = [],
+		visited = [],
+		steps = [],
+		numPropagationSteps = 0,
+		origin = getOrigin(value),
+		isOrigin,
+		i, len;
+	if (origin) {
+		queue.push(origin);
+		visited.push(origin);
+	}
+	while (queue.length) {
+		origin = queue.shift();
+		isOrigin = !origin.sources.length;
+		if (isOrigin || numPropagationSteps++ < MAX_EXPLANATION_STEPS) {
+			steps.push({
+				description: origin.description || 'An unknown value was created',
+				filename: origin.filename,
+				line: origin.line,
+				column: origin.column,
+				isOrigin: isOrigin
+			});
+		}
+		for (i = 0, len = origin.sources.length; i < len; i++) {
+			if (visited.length < MAX_VISITED_ORIGINS && visited.indexOf(origin.sources[i]) === -1) {
+				visited.push(origin.sources[i]);
+				queue.push(origin.sources[i]);
+			}
+		}
+	}
+	return steps;
+}
+
+/*****************************************
+ *
+ * Partially Known Strings
+ *
+ *****************************************/
+
+/**
+ * A pattern describing an unknown string whose value is partially known, e.g. <code>['ui/', null, '/Window']</code> for
+ * <code>'ui/' + x + '/Window'</code>. Each element is either a known part of the string or null for an unknown part.
+ *
+ * @typedef {Array.<(string | null)>} module:base/types/unknown.stringPattern
+ */
+
+/**
+ * Gets the parts that a value contributes to a string concatenation. Known values other than strings only contribute
+ * their value if the other operand is known to be a string, otherwise the concatenation could be a numeric addition
+ *
+ * @private
+ */
+function getConcatenationParts(value, other) {
+	var valueType = type(value);
+	if (valueType === 'Unknown') {
+		return value._stringPattern || [null];
+	} else if (valueType === 'String' || ((other._stringPattern || type(other) === 'String') &&
+			~['Number', 'Boolean', 'Null', 'Undefined'].indexOf(valueType))) {
+		return [String(value.value)];
+	}
+	return [null];
+}
+
+/**
+ * Concatenates two values, at least one of which is unknown, with the + operator. If either value is known to be a
+ * string, the result is an unknown value that keeps track of the known parts of the string
+ *
+ * @method module:base/types/unknown.concatUnknownStrings
+ * @param {module:base.BaseType} left The left operand, after conversion to a primitive if it is known
+ * @param {module:base.BaseType} right The right operand, after conversion to a primitive if it is known
+ * @return {module:base/types/unknown.UnknownType} The unknown result of the concatenation
+ */
+exports.concatUnknownStrings = concatUnknownStrings;
+function concatUnknownStrings(left, right) {
+	var result = new UnknownType(),
+		parts,
+		pattern = [],
+		hasKnownPart = false,
+		i, len;
+	if (!left._stringPattern && type(left) !== 'String' && !right._stringPattern && type(right) !== 'String') {
+		return result;
+	}
+	parts = getConcatenationParts(left, right).concat(getConcatenationParts(right, left));
+	for (i = 0, len = parts.length; i < len; i++) {
+		if (parts[i] === null) {
+			if (pattern[pattern.length - 1] !== null) {
+				pattern.push(null);
+			}
+		} else if (parts[i]) {
+			hasKnownPart = true;
+			if (typeof pattern[pattern.length - 1] === 'string') {
+				pattern[pattern.length - 1] += parts[i];
+			} else {
+				pattern.push(parts[i]);
+			}
+		}
+	}
+	if (hasKnownPart) {
+		result._stringPattern = pattern;
+	}
+	return result;
+}
+
+/**
+ * Gets the pattern of an unknown value that is a partially known string
+ *
+ * @method module:base/types/unknown.getStringPattern
+ * @param {module:base.BaseType} value The value to get the pattern of
+ * @return {(module:base/types/unknown.stringPattern | undefined)} The pattern, or undefined if the value is not a
+ *		partially known string
+ */
+exports.getStringPattern = getStringPattern;
+function getStringPattern(value) {
+	return value && type(value) === 'Unknown' ? value._stringPattern : undefined;
+}
+
+/**
+ * Describes a string pattern for use in messages, using * for the unknown parts, e.g. "ui/*.js"
+ *
+ * @method module:base/types/unknown.describeStringPattern
+ * @param {module:base/types/unknown.stringPattern} pattern The pattern to describe
+ * @return {string} The description of the pattern
+ */
+exports.describeStringPattern = describeStringPattern;
+function describeStringPattern(pattern) {
+	return pattern.map(function (part) {
+		return part === null ? '*' : part;
+	}).join('');
+}
+
+/**
+ * Creates a regular expression that matches the strings described by a string pattern
+ *
+ * @method module:base/types/unknown.createStringPatternRegExp
+ * @param {module:base/types/unknown.stringPattern} pattern The pattern to match
+ * @return {RegExp} The regular expression
+ */
+exports.createStringPatternRegExp = createStringPatternRegExp;
+function createStringPatternRegExp(pattern) {
+	return new RegExp('^' + pattern.map(function (part) {
+		return part === null ? '[\\s\\S]*' : part.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+	}).join('') + '$');
+}
+
 /**
  * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
  * Please see the LICENSE file for information about licensing.</p>
@@ -665,7 +950,8 @@ UnknownType,
 handleRecoverableNativeException,
 isPrimitive,
 sameValue,
-isAmbiguousBlock
+isAmbiguousBlock,
+createAssignedUnknown
 */
 
 /*****************************************
@@ -1228,7 +1514,7 @@ ObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, thr
 			if (typeof desc.writable != 'undefined') {
 				newProp.writable = desc.writable;
 			}
-			newProp.value = new UnknownType();
+			newProp.value = createAssignedUnknown(p, desc.value, desc.value._isLocal());
 			this._addProperty(p, newProp);
 			return true;
 		}
@@ -1852,6 +2138,7 @@ FunctionType.prototype.construct = function construct(args) {
 /*global
 util,
 Runtime,
+RuleProcessor,
 BaseType,
 isType,
 type,
@@ -1862,7 +2149,11 @@ UndefinedType,
 isDataDescriptor,
 throwNativeException,
 isAccessorDescriptor,
-getGlobalObject
+getGlobalObject,
+taint,
+isTainted,
+isTaintable,
+isTrackingTaint
 */
 
 /*****************************************
@@ -1984,6 +2275,32 @@ function isUnresolvableReference(v) {
  */
 exports.getValue = getValue;
 function getValue(v, alternate) {
+	var value = getReferenceValue.call(this, v, alternate);
+
+	// Keep track of the unknown values used by the current rule so that the values it creates can be explained
+	if (!alternate && value && type(value) === 'Unknown') {
+		RuleProcessor.addUnknownInput(value);
+	}
+
+	// The properties of untrusted objects are untrusted too, and the tainted values used by the current rule taint the
+	// values it creates
+	if (!alternate && isTrackingTaint()) {
+		if (type(v) === 'Reference' && isPropertyReference(v) && isTainted(getBase(v)) && isTaintable(value)) {
+			value = taint(value, 'Value of property "' + getReferencedName(v) + '"', [getBase(v)]);
+		}
+		if (isTainted(value)) {
+			RuleProcessor.addTaintedInput(value);
+		}
+	}
+	return value;
+}
+
+/**
+ * Gets the value pointed to by the supplied reference, without tracking unknown values
+ *
+ * @private
+ */
+function getReferenceValue(v, alternate) {
 
 	var base,
 		get,
@@ -7843,6 +8160,7 @@ Runtime,
 FunctionTypeBase,
 addNonEnumerableProperty,
 UnknownType,
+setUnknownOrigin,
 prototypes,
 NumberType,
 StringType,
@@ -7869,7 +8187,7 @@ function DateParseFunc(className) {
 }
 util.inherits(DateParseFunc, FunctionTypeBase);
 DateParseFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	return new UnknownType();
+	return setUnknownOrigin(new UnknownType(), 'The return value of "Date.parse" is not evaluated');
 });
 
 /**
@@ -7883,7 +8201,7 @@ function DateUTCFunc(className) {
 }
 util.inherits(DateUTCFunc, FunctionTypeBase);
 DateUTCFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	return new UnknownType();
+	return setUnknownOrigin(new UnknownType(), 'The return value of "Date.UTC" is not evaluated');
 });
 
 /**
@@ -7900,7 +8218,7 @@ DateNowFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
 	if (Runtime.options.exactMode) {
 		return new NumberType(Date.now());
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The return value of "Date.now" is not known until runtime');
 	}
 });
 
@@ -7926,7 +8244,7 @@ DateConstructor.prototype.callFunction = wrapNativeCall(function callFunction()
 	if (Runtime.options.exactMode) {
 		return new StringType(Date());
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The return value of "Date" is not known until runtime');
 	}
 });
 DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
@@ -8006,7 +8324,7 @@ DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 		});
 		return dateObj;
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The value of "new Date" is not known until runtime');
 	}
 }, true);
 
@@ -8603,6 +8921,298 @@ function abstractEquality(x, y) {
 	return false;
 }
 
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tracks values that are derived from untrusted data, such as the response of a network request. Values are tainted
+ * by plugins, and the taint is carried along with the values as they are processed, see
+ * {@link module:base/taint.taint}
+ *
+ * @module base/taint
+ */
+/*global
+Runtime,
+type,
+isCallable,
+StringType,
+NumberType,
+BooleanType,
+UnknownType
+*/
+
+var MAX_TAINT_STEPS = 20,
+	MAX_VISITED_TAINTS = 500,
+
+	// Looking for tainted values is skipped entirely until something is tainted
+	hasTaintedValues = false;
+
+/*****************************************
+ *
+ * Taint Tracking
+ *
+ *****************************************/
+
+/**
+ * The taint of a value, i.e. where the value was derived from untrusted data and the tainted values it was derived
+ * from. A taint with no sources is where the untrusted data entered the application.
+ *
+ * @typedef {Object} module:base/taint.taint
+ * @property {(string | undefined)} description How the value was derived, e.g. 'Result of the "+" operator', or
+ *		undefined if it has not been described yet
+ * @property {string} filename The file the value was tainted in
+ * @property {number} line The line the value was tainted on
+ * @property {number} column The column the value was tainted at
+ * @property {Array.<module:base/taint.taint>} sources The taints of the values that this value was derived from, if any
+ */
+
+/**
+ * Checks if a value can be tainted by the values it was derived from. Only strings and unknown values are tainted this
+ * way, since numbers and booleans cannot carry untrusted text, and objects are not themselves derived from the values
+ * used to create them. Sources of untrusted data can taint any value, see {@link module:base/taint.taint}.
+ *
+ * @method module:base/taint.isTaintable
+ * @param {module:base.BaseType} value The value to check
+ * @return {boolean} Whether or not the value can be tainted
+ */
+exports.isTaintable = isTaintable;
+function isTaintable(value) {
+	return !!value && !!~['String', 'Unknown'].indexOf(type(value));
+}
+
+/**
+ * Resets the taint tracking for a new run, so that the taint bookkeeping is skipped again until something is tainted
+ *
+ * @method module:base/taint.resetTaint
+ */
+exports.resetTaint = resetTaint;
+function resetTaint() {
+	hasTaintedValues = false;
+}
+
+/**
+ * Checks if taint is being tracked. Nothing needs to be tracked until a value has been tainted, so callers skip all of
+ * their taint bookkeeping until then.
+ *
+ * @method module:base/taint.isTrackingTaint
+ * @return {boolean} Whether or not any value has been tainted yet
+ */
+exports.isTrackingTaint = isTrackingTaint;
+function isTrackingTaint() {
+	return hasTaintedValues;
+}
+
+/**
+ * Taints a value at the current location. Strings, numbers, booleans, and unknown values are often shared, e.g. by
+ * every object that a property value was assigned to, so a tainted copy of the value is returned and the value itself
+ * is left untouched. Objects are tainted in place, since a copy would be a different object. Values that are already
+ * tainted keep their taint, unless it has not been described yet.
+ *
+ * @method module:base/taint.taint
+ * @param {module:base.BaseType} value The value to taint
+ * @param {string} [description] How the value was derived, e.g. 'The value of "Titanium.UI.TextField.value"'
+ * @param {Array.<module:base.BaseType>} [sources] The tainted values that this value was derived from
+ * @return {module:base.BaseType} The tainted value, which must be used in place of the original value
+ */
+exports.taint = taint;
+function taint(value, description, sources) {
+	var copy;
+	if (!value || (value._taint && value._taint.description)) {
+		return value;
+	}
+	copy = copyValue(value);
+	copy._taint = value._taint;
+	return taintNewValue(copy, description, sources);
+}
+
+/**
+ * Taints a value that was just created, such as the result of an operator, in place. Since nothing else can reference
+ * the value yet, it does not need to be copied, see {@link module:base/taint.taint}.
+ *
+ * @method module:base/taint.taintNewValue
+ * @param {module:base.BaseType} value The value to taint
+ * @param {string} [description] How the value was derived, e.g. 'Result of the "+" operator'
+ * @param {Array.<module:base.BaseType>} [sources] The tainted values that this value was derived from
+ * @return {module:base.BaseType} The value, for convenience
+ */
+exports.taintNewValue = taintNewValue;
+function taintNewValue(value, description, sources) {
+	var currentLocation,
+		source,
+		i, len;
+	if (!value) {
+		return value;
+	}
+	if (!value._taint) {
+		currentLocation = Runtime.getCurrentLocation();
+		value._taint = {
+			description: description,
+			filename: currentLocation.filename,
+			line: currentLocation.line,
+			column: currentLocation.column,
+			sources: []
+		};
+		hasTaintedValues = true;
+	} else if (!value._taint.description) {
+		value._taint = {
+			description: description,
+			filename: value._taint.filename,
+			line: value._taint.line,
+			column: value._taint.column,
+			sources: value._taint.sources.slice()
+		};
+	} else {
+		return value;
+	}
+	if (sources) {
+		for (i = 0, len = sources.length; i < len; i++) {
+			source = sources[i] && sources[i]._taint;
+			if (source && source !== value._taint && value._taint.sources.indexOf(source) === -1) {
+				value._taint.sources.push(source);
+			}
+		}
+	}
+	return value;
+}
+
+/**
+ * Copies a string, number, boolean, or unknown value so that it can be tainted without tainting the original. Other
+ * values are returned as is.
+ *
+ * @private
+ */
+function copyValue(value) {
+	var copy;
+	switch(type(value)) {
+		case 'String':
+			return new StringType(value.value);
+		case 'Number':
+			return new NumberType(value.value);
+		case 'Boolean':
+			return new BooleanType(value.value);
+		case 'Unknown':
+			copy = new UnknownType();
+			copy._origin = value._origin;
+			copy._stringPattern = value._stringPattern;
+			return copy;
+		default:
+			return value;
+	}
+}
+
+/**
+ * Gets the taint of a value
+ *
+ * @method module:base/taint.getTaint
+ * @param {module:base.BaseType} value The value
+ * @return {(module:base/taint.taint | undefined)} The taint, or undefined if the value is not tainted
+ */
+exports.getTaint = getTaint;
+function getTaint(value) {
+	return value ? value._taint : undefined;
+}
+
+/**
+ * Checks if a value is tainted
+ *
+ * @method module:base/taint.isTainted
+ * @param {module:base.BaseType} value The value to check
+ * @return {boolean} Whether or not the value is tainted
+ */
+exports.isTainted = isTainted;
+function isTainted(value) {
+	return !!(value && value._taint);
+}
+
+/**
+ * Gets the values that carry taint out of a list of values. Objects carry the taint of the values of their own
+ * properties, so that e.g. <code>JSON.stringify({ name: taintedValue })</code> is tainted.
+ *
+ * @method module:base/taint.getTaintedValues
+ * @param {Array.<module:base.BaseType>} values The values to check
+ * @return {Array.<module:base.BaseType>} The tainted values, or an empty array if none of the values are tainted
+ */
+exports.getTaintedValues = getTaintedValues;
+function getTaintedValues(values) {
+	var taintedValues = [],
+		value,
+		properties,
+		i, ilen, j, jlen;
+	if (!hasTaintedValues) {
+		return taintedValues;
+	}
+	for (i = 0, ilen = values.length; i < ilen; i++) {
+		value = values[i];
+		if (!value) {
+			continue;
+		}
+		if (value._taint) {
+			taintedValues.push(value);
+		} else if (type(value) === 'Object' && !value._apiName && !isCallable(value)) {
+			properties = value._properties;
+			for (j = 0, jlen = properties.length; j < jlen; j++) {
+				if (properties[j].value.value && properties[j].value.value._taint) {
+					taintedValues.push(properties[j].value.value);
+				}
+			}
+		}
+	}
+	return taintedValues;
+}
+
+/**
+ * Explains how a value was derived from untrusted data by walking its taint, starting with the value itself and
+ * ending with the places where the untrusted data entered the application. The steps have the same form as the steps
+ * that explain unknown values, so they can be reported with warnings. Values derived at the same location, such as the
+ * copies of a value that is tainted in a loop, are only listed once. Long chains are truncated, but the places where
+ * the untrusted data entered are always included.
+ *
+ * @method module:base/taint.explainTaint
+ * @param {module:base.BaseType} value The value to explain
+ * @return {Array.<module:base/types/unknown.explanationStep>} The steps, or an empty array if the value isn't tainted.
+ *		The isOrigin property of a step is true if the step is where the untrusted data entered the application.
+ */
+exports.explainTaint = explainTaint;
+function explainTaint(value) {
+	var queue = [],
+		visited = [],
+		steps = [],
+		stepsByLocation = {},
+		numPropagationSteps = 0,
+		current = getTaint(value),
+		isOrigin,
+		location,
+		i, len;
+	if (current) {
+		queue.push(current);
+		visited.push(current);
+	}
+	while (queue.length) {
+		current = queue.shift();
+		isOrigin = !current.sources.length;
+		location = current.filename + ':' + current.line + ':' + current.column;
+		if (stepsByLocation.hasOwnProperty(location)) {
+			stepsByLocation[location].isOrigin = stepsByLocation[location].isOrigin || isOrigin;
+		} else if (isOrigin || numPropagationSteps++ < MAX_TAINT_STEPS) {
+			steps.push(stepsByLocation[location] = {
+				description: current.description || 'Derived from untrusted data',
+				filename: current.filename,
+				line: current.line,
+				column: current.column,
+				isOrigin: isOrigin
+			});
+		}
+		for (i = 0, len = current.sources.length; i < len; i++) {
+			if (visited.length < MAX_VISITED_TAINTS && visited.indexOf(current.sources[i]) === -1) {
+				visited.push(current.sources[i]);
+				queue.push(current.sources[i]);
+			}
+		}
+	}
+	return steps;
+}
+
+
 /**
  * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
  * Please see the LICENSE file for information about licensing.</p>
@@ -8616,6 +9226,8 @@ Runtime,
 RuleProcessor,
 AST,
 UnknownType,
+createOrigin,
+setUnknownOrigin,
 UndefinedType,
 handleRecoverableNativeException,
 type,
@@ -8627,7 +9239,13 @@ isAccessorDescriptor,
 throwNativeException,
 NumberType,
 throwTypeError,
-toObject
+toObject,
+taint,
+isTainted,
+isTaintable,
+getTaintedValues,
+taintNewValue,
+isTrackingTaint
 */
 
 /*****************************************
@@ -8726,7 +9344,7 @@ DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBi
 	if (!bindings[n].isMutable) {
 		if (s) {
 			handleRecoverableNativeException('TypeError', 'Could not set binding: binding "' + n + '" is not mutable');
-			bindings[n].value = new UnknownType();
+			bindings[n].value = setUnknownOrigin(new UnknownType(), 'Assigned to immutable binding "' + n + '"');
 		} else {
 			return;
 		}
@@ -8734,13 +9352,13 @@ DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBi
 
 	if (isLocalSkippedMode() || !this.getBindingValue(n)._isSkippedLocal()) {
 		if (type(v) === 'Unknown' || !this.getBindingValue(n)._isLocal() || isAmbiguousBlock()) {
-			bindings[n].alternateValues[getSkippedSection()] = new UnknownType();
+			bindings[n].alternateValues[getSkippedSection()] = createAssignedUnknown(n, v, this.getBindingValue(n)._isLocal());
 		} else {
 			bindings[n].alternateValues[getSkippedSection()] = v;
 		}
 	} else {
 		if (type(v) === 'Unknown' || !this.getBindingValue(n)._isLocal() || isAmbiguousBlock()) {
-			bindings[n].value = new UnknownType();
+			bindings[n].value = createAssignedUnknown(n, v, this.getBindingValue(n)._isLocal());
 		} else {
 			bindings[n].value = v;
 		}
@@ -9120,6 +9738,8 @@ function newObjectEnvironment(o, e) {
  * @property {module:base/types/object.ObjectType} thisBinding ECMA-262 Spec: <em>The value associated with the this keyword within
  *		ECMAScript code associated with this execution context.</em>
  * @property {boolean} strict Indicates whether or not this execution context is strict mode
+ * @property {(module:base/types/function.FunctionType | undefined)} functionObject The function being executed, for
+ *		function contexts
  */
 function ExecutionContext(lexicalEnvironment, variableEnvironment, thisBinding, strict) {
 	this.lexicalEnvironment = lexicalEnvironment;
@@ -9127,6 +9747,7 @@ function ExecutionContext(lexicalEnvironment, variableEnvironment, thisBinding,
 	this.thisBinding = thisBinding;
 	this.strict = typeof strict != 'undefined' ? strict : false;
 	this._ambiguousBlock = 0;
+	this._ambiguousBlockOrigins = [];
 }
 
 // ******** Context Creation Methods ********
@@ -9546,10 +10167,17 @@ function getGlobalObject() {
  * Enters an ambiguous block in the current context
  *
  * @method module:base/context.enterAmbiguousBlock
+ * @param {string} [description] Why the block is ambiguous, e.g. 'The condition of the if statement is unknown'
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} [cause] The unknown value, or
+ *		the origin of whatever else, that made the block ambiguous
  */
 exports.enterAmbiguousBlock = enterAmbiguousBlock;
-function enterAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock++;
+function enterAmbiguousBlock(description, cause) {
+	var context = getCurrentContext();
+	description = description || 'Entered an ambiguous block';
+	context._ambiguousBlock++;
+	context._ambiguousBlockOrigins.push(createOrigin(description, cause && [cause]));
+	Runtime.reportAmbiguousBlock(description, cause);
 }
 
 /**
@@ -9559,7 +10187,53 @@ function enterAmbiguousBlock() {
  */
 exports.exitAmbiguousBlock = exitAmbiguousBlock;
 function exitAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock--;
+	var context = getCurrentContext();
+	context._ambiguousBlock--;
+	context._ambiguousBlockOrigins.pop();
+}
+
+/**
+ * Gets the origin of the innermost ambiguous block in the current context, which is the source of the unknown values
+ * created because of the block
+ *
+ * @method module:base/context.getAmbiguousBlockOrigin
+ * @return {(module:base/types/unknown.origin | undefined)} The origin, or undefined if not in an ambiguous block
+ */
+exports.getAmbiguousBlockOrigin = getAmbiguousBlockOrigin;
+function getAmbiguousBlockOrigin() {
+	var origins = getCurrentContext()._ambiguousBlockOrigins;
+	return origins && origins[origins.length - 1];
+}
+
+/**
+ * Creates the unknown value that is stored in place of a value assigned to a binding or property, which happens when
+ * the value is unknown, when it is assigned inside of an ambiguous block, or when the binding or property belongs to
+ * code outside of an ambiguous context
+ *
+ * @method module:base/context.createAssignedUnknown
+ * @param {string} name The name of the binding or property
+ * @param {module:base.BaseType} value The value being assigned
+ * @param {boolean} isLocal Whether or not the binding or property belongs to the current context. The known parts of
+ *		a partially known string are only kept if it does and the assignment is not inside of an ambiguous block
+ * @return {module:base/types/unknown.UnknownType} The unknown value to store
+ */
+exports.createAssignedUnknown = createAssignedUnknown;
+function createAssignedUnknown(name, value, isLocal) {
+	var unknown = new UnknownType();
+	if (type(value) === 'Unknown') {
+		setUnknownOrigin(unknown, 'Assigned to "' + name + '"', [value]);
+		if (isLocal && !isAmbiguousBlock()) {
+			unknown._stringPattern = value._stringPattern;
+		}
+	} else if (isAmbiguousBlock()) {
+		setUnknownOrigin(unknown, 'Assigned to "' + name + '" inside of an ambiguous block', [getAmbiguousBlockOrigin()]);
+	} else {
+		setUnknownOrigin(unknown, 'Assigned to "' + name + '" from inside of an ambiguous context');
+	}
+	if (isTainted(value)) {
+		taintNewValue(unknown, 'Assigned to "' + name + '"', [value]);
+	}
+	return unknown;
 }
 
 /**
@@ -9990,6 +10664,7 @@ function createFunctionContext(functionObject, thisArg, argumentsList, scope) {
 	// Create the execution context and find declarations inside of it
 	executionContext = new ExecutionContext(env, env, thisBinding, strict);
 	executionContext.isFunctionContext = true;
+	executionContext.functionObject = functionObject;
 	enterContext(executionContext);
 	env = executionContext.variableEnvironment.envRec;
 	result = findDeclarations(AST.createBodyContainer(functionObject.code), executionContext);
@@ -10078,7 +10753,8 @@ function wrapNativeCall (func, isConstructor) {
 		// Create the context
 		var env = newDeclarativeEnvironment(getCurrentContext().lexicalEnvironment),
 			executionContext = new ExecutionContext(env, env, isConstructor ? getModuleContext().thisBinding : thisVal, false),
-			result;
+			result,
+			taintedValues;
 
 		executionContext.isFunctionContext = true;
 		enterContext(executionContext);
@@ -10089,6 +10765,17 @@ function wrapNativeCall (func, isConstructor) {
 			exitContext();
 		}
 
+		// Results derived from untrusted data are untrusted too. The rule that made the call describes the taint
+		if (isTrackingTaint()) {
+			taintedValues = getTaintedValues([thisVal].concat(arguments[1] || []));
+			if (taintedValues.length && isTaintable(result)) {
+				result = taint(result, undefined, taintedValues);
+			}
+			if (isTainted(result)) {
+				RuleProcessor.addTaintedInput(result);
+			}
+		}
+
 		return result;
 	};
 }
@@ -10109,6 +10796,7 @@ FunctionTypeBase,
 util,
 areAnyUnknown,
 UnknownType,
+setUnknownOrigin,
 type,
 handleRecoverableNativeException,
 createEvalContext,
@@ -10829,7 +11517,7 @@ MathRandomFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
 	if (Runtime.options.exactMode) {
 		return new NumberType(Math.random());
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The return value of "Math.random" is not known until runtime');
 	}
 });
 
@@ -11422,7 +12110,8 @@ MathObject,
 JSONObject,
 globalObject,
 addNonEnumerableProperty,
-getGlobalContext
+getGlobalContext,
+resetTaint
 */
 
 /*****************************************
@@ -11440,6 +12129,7 @@ exports.init = init;
 function init(ast) {
 
 	createGlobalContext(ast && RuleProcessor.isBlockStrict(ast));
+	resetTaint();
 
 	var globalContext = getGlobalContext(),
 		globalObjects = {};
@@ -11813,6 +12503,9 @@ Cloner.prototype.cloneValue = function cloneValue(source) {
 		default:
 			throw new Error('Internal Error: Cannot clone value of unknown class type "' + source.className + '"');
 	}
+	if (source._taint) {
+		cloned._taint = source._taint;
+	}
 	return cloned;
 };
 
@@ -11967,6 +12660,8 @@ Cloner.prototype.cloneReference = function cloneReference(source) {
 
 Cloner.prototype.cloneUnknown = function cloneUnknown(source) {
 	var cloned = new UnknownType();
+	cloned._origin = source._origin;
+	cloned._stringPattern = source._stringPattern;
 	if (!this._valueMap.has(source)) {
 		this._valueMap.set(source, cloned);
 	}
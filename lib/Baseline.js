@@ -0,0 +1,218 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Provides support for baseline files, which record the fingerprints of known errors, warnings, and infos so that only
+ * new findings are counted. A fingerprint is built from the type, the description, and the source mapped file of a
+ * finding, but not the line or column, so that findings are still matched after code is added or removed above them.
+ * Since findings in the same file can share a fingerprint, the baseline also records how many findings have each
+ * fingerprint, and any findings beyond that count are new.
+ *
+ * @module Baseline
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+	crypto = require('crypto'),
+
+	wrench = require('wrench'),
+
+	Runtime = require('./Runtime'),
+	Errors = require('./Errors'),
+
+	baseline;
+
+/**
+ * A finding recorded in a baseline file
+ *
+ * @typedef {Object} module:Baseline.finding
+ * @property {string} fingerprint The fingerprint of the finding
+ * @property {string} type The type of the error or warning
+ * @property {string} description The description of the error or warning
+ * @property {string} filename The source mapped file containing the finding, relative to the project directory
+ * @property {number} count The number of findings with this fingerprint
+ */
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the source mapped filename of an error or warning, relative to the project directory
+ *
+ * @private
+ */
+function getRelativeFilename(entry) {
+	var filename = entry.filename ? Runtime.mapLocation(entry).filename : '';
+	if (filename && Runtime.sourceInformation && Runtime.sourceInformation.projectDir) {
+		filename = path.relative(Runtime.sourceInformation.projectDir, filename);
+	}
+	return filename.split(path.sep).join('/');
+}
+
+/**
+ * Creates a baseline finding for an error or warning
+ *
+ * @private
+ */
+function createFinding(entry) {
+	var filename = getRelativeFilename(entry);
+	return {
+		fingerprint: getFingerprint(entry),
+		type: entry.type,
+		description: entry.description,
+		filename: filename
+	};
+}
+
+// ******** Public Methods ********
+
+/**
+ * Checks if a baseline file was specified for this run
+ *
+ * @method module:Baseline.isEnabled
+ * @return {boolean} Whether or not a baseline is being used
+ */
+exports.isEnabled = isEnabled;
+function isEnabled() {
+	return !!Runtime.options.baseline;
+}
+
+/**
+ * Loads the baseline file, if one was specified and it exists. The file is not loaded when the updateBaseline option is
+ * set, so that it is rewritten from the findings of this run by {@link module:Baseline.create}
+ *
+ * @method module:Baseline.init
+ */
+exports.init = init;
+function init() {
+	var filename = Runtime.options.baseline;
+	baseline = undefined;
+	if (filename && Runtime.options.updateBaseline) {
+		Runtime.log('debug', 'Updating baseline file "' + filename + '"');
+	} else if (filename && fs.existsSync(filename)) {
+		try {
+			baseline = JSON.parse(fs.readFileSync(filename));
+		} catch(e) {
+			throw new Errors.InvalidOptionError('Could not parse baseline file "' + filename + '": ' + e.message);
+		}
+		Runtime.log('debug', 'Loaded ' + baseline.findings.length + ' findings from baseline file "' + filename + '"');
+	}
+}
+
+/**
+ * Calculates the fingerprint of an error or warning
+ *
+ * @method module:Baseline.getFingerprint
+ * @param {module:Runtime.eventObject} entry The error or warning to fingerprint
+ * @return {string} The fingerprint
+ */
+exports.getFingerprint = getFingerprint;
+function getFingerprint(entry) {
+	return crypto.createHash('sha1').update(entry.type + '\n' + entry.description + '\n' +
+		getRelativeFilename(entry)).digest('hex');
+}
+
+/**
+ * Writes the baseline file from the given errors, warnings, and infos if it doesn't exist yet, or if the updateBaseline
+ * option is set. Once written, the findings are considered existing findings for the rest of the run.
+ *
+ * @method module:Baseline.create
+ * @param {Array.<module:Runtime.eventObject>} entries The errors, warnings, and infos to record
+ */
+exports.create = create;
+function create(entries) {
+	var filename = Runtime.options.baseline,
+		findings = [],
+		fingerprints = {},
+		finding,
+		i, len;
+	if (!filename || baseline) {
+		return;
+	}
+	for (i = 0, len = entries.length; i < len; i++) {
+		if (entries[i].suppressed) {
+			continue;
+		}
+		finding = createFinding(entries[i]);
+		if (fingerprints[finding.fingerprint]) {
+			fingerprints[finding.fingerprint].count++;
+		} else {
+			finding.count = 1;
+			fingerprints[finding.fingerprint] = finding;
+			findings.push(finding);
+		}
+	}
+	baseline = {
+		findings: findings
+	};
+	if (!fs.existsSync(path.dirname(filename))) {
+		wrench.mkdirSyncRecursive(path.dirname(filename));
+	}
+	fs.writeFileSync(filename, JSON.stringify(baseline, false, '\t'));
+	Runtime.log('info', 'Wrote ' + findings.length + ' findings to baseline file "' + filename + '"');
+}
+
+/**
+ * The baseline comparison, stored as the <code>baseline</code> property of the results
+ *
+ * @typedef {Object} module:Baseline.comparison
+ * @property {string} filename The path to the baseline file
+ * @property {number} numNew The number of errors, warnings, and infos that are not in the baseline
+ * @property {number} numExisting The number of errors, warnings, and infos that are in the baseline
+ * @property {number} numFixed The number of baseline findings that were not reported
+ * @property {Array.<module:Baseline.finding>} fixed The baseline findings that were not reported. A finding is listed
+ *		once for each time that it was reported fewer times than its count
+ */
+/**
+ * Compares the errors, warnings, and infos in the results against the baseline. Each finding that isn't suppressed is
+ * given a <code>baselineState</code> property, either "new" or "existing", and the comparison is added to the results
+ * as the <code>baseline</code> property. Findings are matched in the order they were reported, so if a fingerprint is
+ * reported more times than the baseline count, the extra findings are new. Note: this must be called before the
+ * occurance count is appended to descriptions
+ *
+ * @method module:Baseline.compare
+ * @param {module:CodeProcessor.getResultsReturnValue} results The results to compare
+ */
+exports.compare = compare;
+function compare(results) {
+	var remaining = {},
+		entries,
+		fingerprint,
+		comparison,
+		i, j, len;
+	if (!baseline) {
+		return;
+	}
+	comparison = {
+		filename: Runtime.options.baseline,
+		numNew: 0,
+		numExisting: 0,
+		numFixed: 0,
+		fixed: []
+	};
+	// Baselines written before counts were recorded list each fingerprint once
+	for (i = 0, len = baseline.findings.length; i < len; i++) {
+		remaining[baseline.findings[i].fingerprint] = baseline.findings[i].count || 1;
+	}
+	entries = results.errors.concat(results.warnings, results.infos);
+	for (i = 0, len = entries.length; i < len; i++) {
+		if (entries[i].suppressed) {
+			continue;
+		}
+		fingerprint = getFingerprint(entries[i]);
+		if (remaining[fingerprint]) {
+			remaining[fingerprint]--;
+			entries[i].baselineState = 'existing';
+			comparison.numExisting++;
+		} else {
+			entries[i].baselineState = 'new';
+			comparison.numNew++;
+		}
+	}
+	for (i = 0, len = baseline.findings.length; i < len; i++) {
+		for (j = remaining[baseline.findings[i].fingerprint]; j > 0; j--) {
+			comparison.fixed.push(baseline.findings[i]);
+		}
+	}
+	comparison.numFixed = comparison.fixed.length;
+	results.baseline = comparison;
+}
@@ -2,9 +2,10 @@
  * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
  * Please see the LICENSE file for information about licensing.</p>
  *
- * WARNING: The Code Processor IS NOT reentrant! A second invokation of the code processor prior to the first
+ * WARNING: This module IS NOT reentrant! A second invokation of the code processor prior to the first
  * one finishing will kill the first instance and the second invokation may be unstable. A second invokation of the code
- * processor after the first has finished is untested and not likely to work.
+ * processor after the first has finished is untested and not likely to work. Use a {@link module:Processor} instance
+ * for each analysis to analyze more than one project in the same process.
  *
  * @module CodeProcessor
  */
@@ -25,10 +26,20 @@ var path = require('path'),
 	Base = require('./Base'),
 	Runtime = require('./Runtime'),
 	CodeProcessorUtils = require('./CodeProcessorUtils'),
+	AnalysisCache = require('./AnalysisCache'),
+	Baseline = require('./Baseline'),
+	AnalysisState = require('./AnalysisState'),
+	Errors = require('./Errors'),
 
 	pluralize = CodeProcessorUtils.pluralize,
 
-	startTime = Date.now();
+	pkg = require('../package.json'),
+
+	startTime = Date.now(),
+
+	severityLevels = ['info', 'warning', 'error'],
+
+	cachedResults;
 
 // ******** Prime the rules ********
 (function(){
@@ -44,6 +55,22 @@ var path = require('path'),
 
 global.titaniumCodeProcessorLibDir = __dirname;
 
+// ******** Re-entrant API ********
+
+/**
+ * The instantiable code processor. See {@link module:Processor} for more info
+ *
+ * @property {Function} module:CodeProcessor.Processor
+ */
+exports.Processor = require('./Processor').Processor;
+
+/**
+ * The errors reported when a project cannot be analyzed. See {@link module:Errors} for more info
+ *
+ * @property {Object} module:CodeProcessor.Errors
+ */
+exports.Errors = Errors;
+
 // ******** Event Documentation ********
 
 /**
@@ -144,6 +171,20 @@ global.titaniumCodeProcessorLibDir = __dirname;
  * @property {string} description A description of the warning
  */
 
+/**
+ * An error or warning whose severity was changed to "info" via the severities option was reported
+ *
+ * @event module:CodeProcessor.infoReported
+ * @property {string} type The type of the event
+ * @property {string} description The description of the event
+ * @property {(string | undefined)} filename The name of the file being processed when the event was triggered, if any
+ * @property {(number | undefined)} line The line number of the file being processed when the event was triggered, if any
+ * @property {(number | undefined)} column The column number of the file being processed when the event was triggered, if any
+ * @property {Object} data The event-specific information
+ * @property {string} type The type of the finding, e.g. "invalidPlatformReferenced"
+ * @property {string} description A description of the finding
+ */
+
 // ******** API Methods ********
 
 /**
@@ -323,6 +364,71 @@ function queryOptions(callback) {
 			}],
 			defaultValue: Runtime.options.maxCycles,
 			require: false
+		},
+		severities: {
+			description: 'The severity of each type of error and warning, overriding the severity chosen by the reporter',
+			types: [{
+				type: 'dictionary',
+				key: {
+					description: 'The type of the error or warning, e.g. "invalidPlatformReferenced"'
+				},
+				value: {
+					types: [{
+						type: 'string',
+						allowedValues: ['off', 'info', 'warning', 'error']
+					}],
+					description: 'The severity of the error or warning',
+					required: true
+				}
+			}],
+			defaultValue: Runtime.options.severities,
+			required: false
+		},
+		failOn: {
+			description: 'The minimum severity of the errors and warnings that cause the analysis to be considered a failure',
+			types: [{
+				type: 'string',
+				allowedValues: severityLevels
+			}],
+			defaultValue: Runtime.options.failOn,
+			required: false
+		},
+		baseline: {
+			description: 'The path to a baseline file of known errors, warnings, and infos. If the file does not exist,' +
+				' it is created from the findings of this run. Otherwise, findings in the baseline are reported as' +
+				' existing and are not counted',
+			types: [{
+				type: 'string'
+			}],
+			defaultValue: Runtime.options.baseline,
+			required: false
+		},
+		updateBaseline: {
+			description: 'Whether or not to rewrite the baseline file from the findings of this run, even if it already' +
+				' exists. Findings are not compared against the previous baseline',
+			types: [{
+				type: 'boolean'
+			}],
+			defaultValue: Runtime.options.updateBaseline,
+			required: false
+		},
+		cacheDir: {
+			description: 'The directory to cache parsed files and analysis results in. Results are reused when none of' +
+				' the analyzed files have changed since the last run',
+			types: [{
+				type: 'string'
+			}],
+			defaultValue: Runtime.options.cacheDir,
+			required: false
+		},
+		recordValues: {
+			description: 'Whether or not to record the values of identifiers so that they can be queried once the' +
+				' analysis is complete. Cached results are not used when values are recorded',
+			types: [{
+				type: 'boolean'
+			}],
+			defaultValue: Runtime.options.recordValues,
+			required: false
 		}
 	});
 }
@@ -348,7 +454,9 @@ function queryOptions(callback) {
  */
 /**
  * Processes the entry point using the supplied options and plugins. The function calls the other functions in this module,
- * so it is not necessary to call them separately if calling this function.
+ * so it is not necessary to call them separately if calling this function. If the project cannot be analyzed, the
+ * error is printed and the process exits. Use {@link module:CodeProcessor.analyze} or a
+ * {@link module:Processor} instance to handle the error instead.
  *
  * @method module:CodeProcessor.run
  * @param {module:CodeProcessor.sourceInformation} sourceInformation The source information for the project
@@ -360,52 +468,121 @@ function queryOptions(callback) {
  */
 exports.run = run;
 function run(sourceInformation, options, plugins, logger, callback) {
+	return analyze(sourceInformation, options, plugins, logger, function (err) {
+		if (err) {
+			console.error(err.message);
+			if (err.cause && err.cause.stack) {
+				Runtime.log('debug', err.cause.stack);
+			}
+			process.exit(1);
+		}
+		callback && callback();
+	});
+}
 
-	var results;
+/**
+ * The analyze callback definition
+ *
+ * @callback module:CodeProcessor.analyzeCallback
+ * @param {(module:Errors.CodeProcessorError | null)} err The reason the project could not be analyzed, if any
+ */
+/**
+ * Processes the entry point using the supplied options and plugins, the same as {@link module:CodeProcessor.run}, except
+ * that failures are reported through the callback as a {@link module:Errors.CodeProcessorError} instead of exiting the
+ * process
+ *
+ * @method module:CodeProcessor.analyze
+ * @param {module:CodeProcessor.sourceInformation} sourceInformation The source information for the project
+ * @param {Object} options The options for the run. See {@link module:CodeProcessor.queryOptions} for more info
+ * @param {Object} plugins The plugins to load. Each key is the name of the plugin, and the value is the plugin information
+ * @param {module:CodeProcessor.pluginInformation} plugins.entry A plugin entry, whose name is "entry"
+ * @param {(Object | undefined)} logger A logger instance from the CLI (can be a CLI logger, which wraps winston, or a winston logger directly)
+ * @param {module:CodeProcessor.analyzeCallback} callback The callback to call once processing is complete
+ * @return {(module:RuleProcessor.returnTuple | undefined)} The return value tuple of the entry point, if it was processed
+ */
+exports.analyze = analyze;
+function analyze(sourceInformation, options, plugins, logger, callback) {
+
+	var results,
+		rawResults,
+		configurationHash,
+		cacheEntry,
+		callbackCalled = false;
 	options = options || {};
 	plugins = plugins || {};
 
 	try {
 		Runtime.setLogger(logger);
 
+		configurationHash = AnalysisCache.hashConfiguration(sourceInformation, options, plugins);
 		init(sourceInformation, options, plugins);
 
 		Runtime.on('enteredFile', function(e) {
 			Runtime.log('debug', 'Entering file ' + e.data.filename);
 		});
 
-		Runtime.fireEvent('projectProcessingBegin', 'Project processing is beginning');
+		// The values of identifiers are recorded during the analysis, so they aren't available from cached results
+		cacheEntry = !AnalysisState.isRecordingValues() && AnalysisCache.loadResults(Runtime.fileList, configurationHash);
+
+		if (cacheEntry) {
+			loadCachedResults(cacheEntry);
+		} else {
+			Runtime.fireEvent('projectProcessingBegin', 'Project processing is beginning');
+
+			Runtime.log('info', 'Analyzing project');
+			AnalysisCache.addRoot(sourceInformation.entryPoint);
+			results = processEntryPoint(sourceInformation.entryPoint);
 
-		Runtime.log('info', 'Analyzing project');
-		results = processEntryPoint(sourceInformation.entryPoint);
+			Runtime.log('info', 'Processing queued functions');
+			processQueuedFunctions();
 
-		Runtime.log('info', 'Processing queued functions');
-		processQueuedFunctions();
+			if (Runtime.options.processUnvisitedCode) {
+				Runtime.log('info', 'Processing unvisited code');
+				processUnvisitedCode();
+			}
+
+			restoreReusedResults();
+
+			finalize();
+
+			Runtime.fireEvent('projectProcessingEnd', 'Project processing complete');
 
-		if (Runtime.options.processUnvisitedCode) {
-			Runtime.log('info', 'Processing unvisited code');
-			processUnvisitedCode();
+			if (AnalysisCache.isEnabled()) {
+				Runtime.log('info', 'Caching results');
+				saveCachedResults(configurationHash);
+			}
 		}
 
-		finalize();
+		if (Baseline.isEnabled()) {
+			rawResults = getRawResults();
+			Baseline.create(rawResults.errors.concat(rawResults.warnings, rawResults.infos));
+		}
 
 		Runtime.log('info', 'Generating results');
-		Runtime.fireEvent('projectProcessingEnd', 'Project processing complete');
-		generateResultsPages(options.outputFormat, Runtime.options.resultsPath, Runtime.options.resultsTheme, callback);
+		generateResultsPages(options.outputFormat, Runtime.options.resultsPath, Runtime.options.resultsTheme, function () {
+			callbackCalled = true;
+			callback(null);
+		});
 		if (options.outputFormat === 'stream') {
 			var endEvent = JSON.stringify({'projectProcessingEnd':true});
 			console.log('REQ,01000002,' + ('00000000' + endEvent.length.toString(16)).slice(-8) + ',' + endEvent);
 		}
 	} catch(e) {
-		if (e.message === 'Maximum call stack size exceeded') {
-			console.error('node.js maximum call stack size exceeded. Increasing the stack size may allow the project to be fully analyzed');
-		} else {
-			console.error('Internal error ' + e.message + '. Please file a bug report at http://jira.appcelerator.org/');
-			if (e.stack) {
-				Runtime.log('debug', e.stack);
+
+		// Errors thrown by the callback, which may be called synchronously, belong to the caller
+		if (callbackCalled) {
+			throw e;
+		}
+		if (!(e instanceof Errors.CodeProcessorError)) {
+			if (e.message === 'Maximum call stack size exceeded') {
+				e = new Errors.InternalError('node.js maximum call stack size exceeded. Increasing the stack size may ' +
+					'allow the project to be fully analyzed', e);
+			} else {
+				e = new Errors.InternalError('Internal error ' + e.message +
+					'. Please file a bug report at http://jira.appcelerator.org/', e);
 			}
 		}
-		process.exit(1);
+		callback(e);
 	}
 
 	return results;
@@ -440,7 +617,8 @@ function init(sourceInformation, options, plugins, ast) {
 		sourceMapRegex = /\.map$/,
 		projectRoot = sourceInformation.projectDir,
 		whiteList,
-		whiteListPlatforms = ['', 'iphone', 'ipad', 'ios', 'android', 'mobileweb', 'tizen', 'blackberry'];
+		whiteListPlatforms = ['', 'iphone', 'ipad', 'ios', 'android', 'mobileweb', 'tizen', 'blackberry'],
+		p;
 
 	// Parse the invoke methods option
 	if (options.hasOwnProperty('invokeMethods')) {
@@ -527,6 +705,63 @@ function init(sourceInformation, options, plugins, ast) {
 	Runtime.log('debug', 'Setting processing option: ' + (Runtime.options.resultsTheme ? 'the results theme is "' +
 		Runtime.options.resultsTheme + '"' : 'no results theme is set'));
 
+	// Parse the severities option
+	if (options.hasOwnProperty('severities')) {
+		if (typeof options.severities !== 'object' || Array.isArray(options.severities)) {
+			throw new Errors.InvalidOptionError('The severities option must be an object');
+		}
+		for (p in options.severities) {
+			if (severityLevels.indexOf(options.severities[p]) === -1 && options.severities[p] !== 'off') {
+				throw new Errors.InvalidOptionError('Invalid severity "' + options.severities[p] + '" for "' + p +
+					'", must be one of off, ' + severityLevels.join(', '));
+			}
+			Runtime.log('debug', 'Setting processing option: the severity of "' + p + '" is ' + options.severities[p]);
+		}
+		Runtime.options.severities = options.severities;
+	}
+
+	// Parse the failOn option
+	if (options.hasOwnProperty('failOn')) {
+		if (options.failOn && severityLevels.indexOf(options.failOn) === -1) {
+			throw new Errors.InvalidOptionError('Invalid failOn severity "' + options.failOn + '", must be one of ' +
+				severityLevels.join(', '));
+		}
+		Runtime.options.failOn = options.failOn;
+	}
+	Runtime.log('debug', 'Setting processing option: ' + (Runtime.options.failOn ? 'the analysis fails on ' +
+		Runtime.options.failOn + ' or higher' : 'the analysis never fails'));
+
+	// Parse the cacheDir option
+	if (options.hasOwnProperty('cacheDir')) {
+		Runtime.options.cacheDir = options.cacheDir;
+	}
+	Runtime.log('debug', 'Setting processing option: ' + (Runtime.options.cacheDir ? 'the cache directory is "' +
+		Runtime.options.cacheDir + '"' : 'caching is disabled'));
+	AnalysisCache.init();
+
+	// Parse the baseline option
+	if (options.hasOwnProperty('baseline')) {
+		Runtime.options.baseline = options.baseline;
+	}
+	Runtime.log('debug', 'Setting processing option: ' + (Runtime.options.baseline ? 'the baseline file is "' +
+		Runtime.options.baseline + '"' : 'no baseline file is set'));
+
+	// Parse the updateBaseline option
+	if (options.hasOwnProperty('updateBaseline')) {
+		Runtime.options.updateBaseline = !!options.updateBaseline;
+	}
+	Runtime.log('debug', 'Setting processing option: the baseline file is ' +
+		(Runtime.options.updateBaseline ? '' : 'not ') + 'rewritten');
+	Baseline.init();
+
+	// Parse the recordValues option
+	if (options.hasOwnProperty('recordValues')) {
+		Runtime.options.recordValues = !!options.recordValues;
+	}
+	Runtime.log('debug', 'Setting processing option: ' + (Runtime.options.recordValues ? 'the values of identifiers' +
+		' are recorded' : 'the values of identifiers are not recorded'));
+	AnalysisState.init();
+
 	// Calculated the time limit
 	if (Runtime.options.executionTimeLimit) {
 		Runtime.executionTimeLimit = Date.now() + Runtime.options.executionTimeLimit;
@@ -587,8 +822,7 @@ function init(sourceInformation, options, plugins, ast) {
 	if (sourceInformation && sourceInformation.sourceMapDir) {
 		sourceMapDir = sourceInformation.sourceMapDir;
 		if (!fs.existsSync(sourceMapDir)) {
-			console.error('Source map directory "' + sourceMapDir + '" does not exist');
-			process.exit(1);
+			throw new Errors.InvalidOptionError('Source map directory "' + sourceMapDir + '" does not exist');
 		}
 		sourceMapsFiles = wrench.readdirSyncRecursive(sourceMapDir);
 		for (i = 0, ilen = sourceMapsFiles.length; i < ilen; i++) {
@@ -598,8 +832,7 @@ function init(sourceInformation, options, plugins, ast) {
 					sourceMaps[sourceMapsFiles[i].replace(sourceMapRegex, '')] =
 						new sourcemap.SourceMapConsumer(JSON.parse(fs.readFileSync(sourceMap).toString()));
 				} catch (e) {
-					console.error('Could not parse source map file "' + sourceMap + '": ' + e.message);
-					process.exit(1);
+					throw new Errors.InvalidOptionError('Could not parse source map file "' + sourceMap + '": ' + e.message);
 				}
 			}
 		}
@@ -618,8 +851,7 @@ function init(sourceInformation, options, plugins, ast) {
 			Runtime.log('debug', 'Loading code processor plugin ' + pkg.name);
 			pluginDefinitions[i] = pkg;
 		} catch(e) {
-			console.error('Could not parse "' + path.join(plugins[i].path, 'package.json') + '": ' + e);
-			process.exit(1);
+			throw new Errors.PluginError('Could not parse "' + path.join(plugins[i].path, 'package.json') + '": ' + e);
 		}
 	}
 	unsortedPlugins = [].concat(pluginDefinitions);
@@ -648,8 +880,7 @@ function init(sourceInformation, options, plugins, ast) {
 			}
 		}
 		if (!changed) {
-			console.error('Circular or missing plugin dependency detected, cannot load plugins');
-			process.exit(1);
+			throw new Errors.PluginError('Circular or missing plugin dependency detected, cannot load plugins');
 		}
 	}
 	for (i = 0; i < numPlugins; i++) {
@@ -666,6 +897,7 @@ function init(sourceInformation, options, plugins, ast) {
 				loadedPlugins[j].name = pluginDefinitions[j].name;
 				loadedPlugins[j].displayName = pluginDefinitions[j].displayName;
 				loadedPlugins[j].suppressOutput = plugins[j].suppressOutput;
+				loadedPlugins[j].reportedTypes = pluginDefinitions[j].reportedTypes || [];
 				if (loadedPlugins[j].init) {
 					loadedPlugins[j].init(plugins[j].options, dependencies);
 				}
@@ -865,9 +1097,10 @@ function processUnvisitedCode() {
 		i,
 		previousAmbiguousSetting;
 
-	while (unprocessedFile = Runtime.getUnprocessedFilesList()[0]) {
+	while (unprocessedFile = getNextUnprocessedFile()) {
 
 		Runtime.log('debug', 'Processing unprocessed file ' + unprocessedFile);
+		AnalysisCache.addRoot(unprocessedFile);
 
 		// Fire the parsing begin event
 		Runtime.fireEvent('enteredFile', 'Entering file "' + unprocessedFile + '"', {
@@ -919,11 +1152,13 @@ function processUnvisitedCode() {
 		// Create unknown arguments set to the length of the expected args
 		args = [];
 		for (i = 0; i < funcObject.formalParameters.length; i++) {
-			args.push(new Base.UnknownType());
+			args.push(Base.setUnknownOrigin(new Base.UnknownType(), 'Argument "' + funcObject.formalParameters[i] +
+				'" of a function that was never called, processed because processUnvisitedCode is enabled'));
 		}
 
 		try {
-			funcObject.callFunction(new Base.UnknownType(), args, {
+			funcObject.callFunction(Base.setUnknownOrigin(new Base.UnknownType(), 'The this value of a function that was ' +
+				'never called, processed because processUnvisitedCode is enabled'), args, {
 				isAmbiguousContext: true,
 				alwaysInvoke: true
 			});
@@ -956,6 +1191,8 @@ function processUnvisitedCode() {
  * @property {Object} errors.entry.data The event-specific information
  * @property {string} errors.entry.data.type The type of error, e.g. "SyntaxError"
  * @property {string} errors.entry.data.description A description of the error
+ * @property {(string | undefined)} errors.entry.baselineState Either "new" or "existing", if a baseline is used
+ * @property {(boolean | undefined)} errors.entry.suppressed Whether or not the error was suppressed by a comment
  * @property {Array.<Object>} warnings The warnings found in the project
  * @property {Object} warnings.entry A single warning entry
  * @property {string} warnings.entry.type The type of the event
@@ -966,9 +1203,19 @@ function processUnvisitedCode() {
  * @property {Object} warnings.entry.data The event-specific information
  * @property {string} warnings.entry.type The type of warning, e.g. "deprecatedTiPropertyReferenced"
  * @property {string} warnings.entry.description A description of the warning
+ * @property {(string | undefined)} warnings.entry.baselineState Either "new" or "existing", if a baseline is used
+ * @property {(boolean | undefined)} warnings.entry.suppressed Whether or not the warning was suppressed by a comment
+ * @property {(Array.<module:base/types/unknown.explanationStep> | undefined)} warnings.entry.explanation Why the value
+ *		that caused the warning is unknown, e.g. for "requireUnresolved" warnings
+ * @property {Array.<Object>} infos The errors and warnings whose severity was changed to "info" via the severities
+ *		option. Each entry has the same format as an error, including the baselineState
+ * @property {Array.<Object>} ambiguousBlocks The places where the code processor entered an ambiguous block, i.e.
+ *		processed a conditional or loop without knowing which branch would run. Each entry has the same format as a
+ *		warning, with an explanation of why the block is ambiguous and the number of occurances
  * @property {Array.<Object>} plugins The results of the plugins. Each plugin has its own results format
  * @property {number} elapsedTime The elapsed time, in milliseconds
  * @property {string} resultsPath The path to the results files, if a path was specified in the options
+ * @property {(module:Baseline.comparison | undefined)} baseline The comparison against the baseline, if one is used
  */
 /**
  * Gets the results of the code processor. Note: the results are sanitized to remove hidden properties and functions,
@@ -979,11 +1226,87 @@ function processUnvisitedCode() {
  */
 exports.getResults = getResults;
 function getResults() {
+	var results = cachedResults ? JSON.parse(JSON.stringify(cachedResults.results)) : getRawResults(),
+		i, len;
+	results.elapsedTime = Date.now() - startTime;
+	results.resultsPath = Runtime.options.resultsPath;
+	Baseline.compare(results);
+	for (i = 0, len = results.errors.length; i < len; i++) {
+		if (results.errors[i].occurances > 1) {
+			results.errors[i].description += ' (' + results.errors[i].occurances + ' occurances)';
+		}
+	}
+	for (i = 0, len = results.warnings.length; i < len; i++) {
+		if (results.warnings[i].occurances > 1) {
+			results.warnings[i].description += ' (' + results.warnings[i].occurances + ' occurances)';
+		}
+	}
+	for (i = 0, len = results.infos.length; i < len; i++) {
+		if (results.infos[i].occurances > 1) {
+			results.infos[i].description += ' (' + results.infos[i].occurances + ' occurances)';
+		}
+	}
+	return results;
+}
+
+/**
+ * Checks whether or not the analysis failed, i.e. if any errors or warnings were reported with a severity equal to or
+ * higher than the failOn option. Suppressed findings and existing findings from the baseline are ignored.
+ *
+ * @method module:CodeProcessor.isFailure
+ * @param {module:CodeProcessor.getResultsReturnValue} [results] The results to check. If not specified, the results
+ *		of the current analysis are checked
+ * @return {boolean} Whether or not the analysis failed
+ */
+exports.isFailure = isFailure;
+function isFailure(results) {
+	var failOn = severityLevels.indexOf(Runtime.options.failOn);
+	if (failOn === -1) {
+		return false;
+	}
+	results = results || getResults();
+	return results.errors.some(isCountedFinding) ||
+		(failOn <= 1 && results.warnings.some(isCountedFinding)) ||
+		(failOn === 0 && results.infos.some(isCountedFinding));
+}
+
+/**
+ * Gets the values that an identifier had on a line during the analysis. Requires the recordValues option. See
+ * {@link module:AnalysisState.getValues} for more info
+ *
+ * @method module:CodeProcessor.getValues
+ * @param {string} filename The file, relative to the project directory or absolute
+ * @param {number} line The line, starting at 1
+ * @param {string} name The name of the identifier
+ * @return {module:AnalysisState.getValuesReturnValue} The values of the identifier
+ */
+exports.getValues = AnalysisState.getValues;
+
+/**
+ * Gets the places that the functions with the given name were called from during the analysis. See
+ * {@link module:AnalysisState.getCallers} for more info
+ *
+ * @method module:CodeProcessor.getCallers
+ * @param {string} name The name of the function
+ * @return {Array.<module:AnalysisState.calledFunction>} The functions with the name
+ */
+exports.getCallers = AnalysisState.getCallers;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the sanitized results of the analysis, as reported by the runtime and the plugins
+ *
+ * @private
+ */
+function getRawResults() {
 	var errors = Runtime.getReportedErrors(),
 		warnings = Runtime.getReportedWarnings(),
 		rawResults = {
 			errors: errors,
 			warnings: warnings,
+			infos: Runtime.getReportedInfos(),
+			ambiguousBlocks: Runtime.getReportedAmbiguousBlocks(),
 			plugins: [],
 			elapsedTime: Date.now() - startTime,
 			resultsPath: Runtime.options.resultsPath
@@ -996,16 +1319,6 @@ function getResults() {
 		rawResults.plugins[i] = Runtime.plugins[i].getResults && Runtime.plugins[i].getResults() || {};
 		rawResults.plugins[i].name = Runtime.plugins[i].name;
 	}
-	for (i = 0, len = errors.length; i < len; i++) {
-		if (errors[i].occurances > 1) {
-			errors[i].description += ' (' + errors[i].occurances + ' occurances)';
-		}
-	}
-	for (i = 0, len = warnings.length; i < len; i++) {
-		if (warnings[i].occurances > 1) {
-			warnings[i].description += ' (' + warnings[i].occurances + ' occurances)';
-		}
-	}
 	function sanitize(rawNode, node) {
 		var p;
 		for (p in rawNode) {
@@ -1023,7 +1336,101 @@ function getResults() {
 	return results;
 }
 
-// ******** Helper Methods ********
+/**
+ * Saves the results of the analysis, and the rendered output of each plugin, to the analysis cache
+ *
+ * @private
+ */
+function saveCachedResults(configurationHash) {
+	var plugins = Runtime.plugins,
+		plugin,
+		pluginOutput = [],
+		baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
+		i, len;
+	for (i = 0, len = plugins.length; i < len; i++) {
+		plugin = plugins[i];
+		pluginOutput[i] = {
+			name: plugin.name,
+			displayName: plugin.displayName,
+			suppressOutput: plugin.suppressOutput,
+			elevatePluginSummary: plugin.elevatePluginSummary,
+			reportedTypes: plugin.reportedTypes
+		};
+		if (!plugin.suppressOutput) {
+			if (plugin.renderLogOutput) {
+				pluginOutput[i].logOutput = plugin.renderLogOutput(arrayGen);
+			}
+			if (plugin.getResultsPageData) {
+				pluginOutput[i].pages = plugin.getResultsPageData(plugin.name + '.html', baseDirectory);
+			}
+		}
+	}
+	try {
+		AnalysisCache.saveResults(Runtime.fileList, configurationHash, getRawResults(), pluginOutput);
+	} catch(e) {
+		Runtime.log('warn', 'Could not cache the analysis results: ' + e.message);
+	}
+}
+
+/**
+ * Gets the next file that has not been processed yet and whose results are not restored from the analysis cache
+ *
+ * @private
+ */
+function getNextUnprocessedFile() {
+	return Runtime.getUnprocessedFilesList().filter(function (file) {
+		return !AnalysisCache.isReusedFile(file);
+	})[0];
+}
+
+/**
+ * Adds the cached results of the files that were not reanalyzed because no changed file affects them
+ *
+ * @private
+ */
+function restoreReusedResults() {
+	var reusedResults = AnalysisCache.getReusedResults(Runtime.getProcessedFilesList());
+	if (reusedResults) {
+		Array.prototype.push.apply(Runtime.getReportedErrors(), reusedResults.errors);
+		Array.prototype.push.apply(Runtime.getReportedWarnings(), reusedResults.warnings);
+		Array.prototype.push.apply(Runtime.getReportedInfos(), reusedResults.infos);
+		Array.prototype.push.apply(Runtime.getReportedAmbiguousBlocks(), reusedResults.ambiguousBlocks);
+	}
+}
+
+/**
+ * Replaces the loaded plugins with stand-ins that return the cached output of each plugin
+ *
+ * @private
+ */
+function loadCachedResults(cacheEntry) {
+	cachedResults = cacheEntry;
+	Runtime.plugins = cacheEntry.plugins.map(function (pluginOutput) {
+		return {
+			name: pluginOutput.name,
+			displayName: pluginOutput.displayName,
+			suppressOutput: pluginOutput.suppressOutput,
+			elevatePluginSummary: pluginOutput.elevatePluginSummary,
+			reportedTypes: pluginOutput.reportedTypes,
+			renderLogOutput: pluginOutput.hasOwnProperty('logOutput') ? function () {
+				return pluginOutput.logOutput;
+			} : undefined,
+			getResultsPageData: pluginOutput.hasOwnProperty('pages') ? function () {
+				return pluginOutput.pages;
+			} : undefined
+		};
+	});
+}
+
+/**
+ * Checks whether an error or warning counts towards the number of errors and warnings, i.e. it is not suppressed by a
+ * comment and it is not an existing finding from the baseline
+ *
+ * @private
+ */
+function isCountedFinding(entry) {
+	return !entry.suppressed && entry.baselineState !== 'existing';
+}
 
 /**
  * Generates a string with n number of chr
@@ -1053,6 +1460,7 @@ function nChars(n, chr) {
  * @param {Array.<string>} entriesOrder The order of the keys to fetch from entries
  * @return {string} The rendered table
  */
+exports.arrayGen = arrayGen;
 function arrayGen(headings, entries, entriesOrder) {
 	var columns = new Array(headings.length),
 		i, ilen, j, jlen,
@@ -1107,6 +1515,258 @@ function arrayGen(headings, entries, entriesOrder) {
 	return output;
 }
 
+/**
+ * Generates a SARIF 2.1.0 log from the results of the analysis. Each error and warning, including those reported by
+ * plugins, becomes a SARIF result whose rule is the type of the error or warning.
+ *
+ * @method module:CodeProcessor.generateSarif
+ * @param {module:CodeProcessor.getResultsReturnValue} results The results of the analysis
+ * @param {string} baseDirectory The directory that file locations are made relative to
+ * @return {Object} The SARIF log
+ * @see {@link http://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html}
+ */
+function generateSarif(results, baseDirectory) {
+	var rules = [],
+		ruleIndices = {},
+		sarifResults = [],
+		extensions = [],
+		plugins = Runtime.plugins,
+		i, len;
+
+	function addResults(entries, level) {
+		var i, len,
+			entry,
+			mappedLocation,
+			result;
+		for (i = 0, len = entries.length; i < len; i++) {
+			entry = entries[i];
+			if (!ruleIndices.hasOwnProperty(entry.type)) {
+				ruleIndices[entry.type] = rules.length;
+				rules.push({
+					id: entry.type,
+					defaultConfiguration: {
+						level: level
+					}
+				});
+			}
+			result = {
+				ruleId: entry.type,
+				ruleIndex: ruleIndices[entry.type],
+				level: level,
+				message: {
+					text: entry.description
+				},
+				occurrenceCount: entry.occurances
+			};
+			if (entry.baselineState) {
+				result.baselineState = entry.baselineState === 'existing' ? 'unchanged' : 'new';
+			}
+			if (entry.suppressed) {
+				result.suppressions = [{
+					kind: 'inSource'
+				}];
+			}
+			if (entry.filename) {
+				mappedLocation = Runtime.mapLocation(entry);
+				result.locations = [{
+					physicalLocation: {
+						artifactLocation: {
+							uri: mappedLocation.filename.replace(baseDirectory, '').split(path.sep).join('/'),
+							uriBaseId: 'PROJECTROOT'
+						},
+						region: mappedLocation.line ? {
+							startLine: mappedLocation.line,
+							startColumn: (mappedLocation.column || 0) + 1
+						} : undefined
+					}
+				}];
+			}
+			sarifResults.push(result);
+		}
+	}
+	addResults(results.errors, 'error');
+	addResults(results.warnings, 'warning');
+	addResults(results.infos, 'note');
+
+	// Findings from the baseline that were not reported are included as absent results
+	if (results.baseline) {
+		for (i = 0, len = results.baseline.fixed.length; i < len; i++) {
+			sarifResults.push({
+				ruleId: results.baseline.fixed[i].type,
+				level: 'none',
+				message: {
+					text: results.baseline.fixed[i].description
+				},
+				baselineState: 'absent',
+				locations: results.baseline.fixed[i].filename ? [{
+					physicalLocation: {
+						artifactLocation: {
+							uri: results.baseline.fixed[i].filename,
+							uriBaseId: 'PROJECTROOT'
+						}
+					}
+				}] : undefined
+			});
+		}
+	}
+
+	for (i = 0, len = plugins.length; i < len; i++) {
+		extensions.push({
+			name: plugins[i].name,
+			fullName: plugins[i].displayName
+		});
+	}
+
+	return {
+		$schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+		version: '2.1.0',
+		runs: [{
+			tool: {
+				driver: {
+					name: 'Titanium Code Processor',
+					version: pkg.version,
+					informationUri: pkg.homepage,
+					rules: rules
+				},
+				extensions: extensions
+			},
+			originalUriBaseIds: {
+				PROJECTROOT: {
+					uri: 'file://' + baseDirectory.split(path.sep).join('/')
+				}
+			},
+			results: sarifResults
+		}]
+	};
+}
+
+/**
+ * Escapes a string for use in XML text and attribute values
+ *
+ * @method module:CodeProcessor.escapeXML
+ * @param {string} value The string to escape
+ * @return {string} The escaped string
+ */
+function escapeXML(value) {
+	return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Generates a JUnit XML report from the results of the analysis. Each plugin becomes a test suite, along with a suite
+ * for the errors and warnings reported by the core engine, and each error or warning becomes a failing test case in
+ * the suite of the plugin that reported it. Errors are reported as JUnit errors and warnings as JUnit failures, except
+ * for existing findings from the baseline, which are reported as skipped.
+ *
+ * @method module:CodeProcessor.generateJUnit
+ * @param {module:CodeProcessor.getResultsReturnValue} results The results of the analysis
+ * @param {string} baseDirectory The directory that file locations are made relative to
+ * @return {string} The JUnit XML report
+ */
+function generateJUnit(results, baseDirectory) {
+	var plugins = Runtime.plugins,
+		suites = [],
+		suitesByType = {},
+		coreSuite,
+		suite,
+		totalErrors = 0,
+		totalWarnings = 0,
+		timestamp = (new Date()).toISOString().replace(/\.\d+Z$/, ''),
+		time = (results.elapsedTime / 1000).toFixed(3),
+		output,
+		i, ilen, j, jlen;
+
+	function addTestCases(entries, isError) {
+		var i, len,
+			entry,
+			mappedLocation,
+			filename,
+			location,
+			element,
+			suite;
+		for (i = 0, len = entries.length; i < len; i++) {
+			entry = entries[i];
+			suite = suitesByType[entry.type] || coreSuite;
+			mappedLocation = entry.filename ? Runtime.mapLocation(entry) : undefined;
+			filename = mappedLocation ? mappedLocation.filename.replace(baseDirectory, '') : '';
+			location = filename + (mappedLocation && mappedLocation.line ? ':' + mappedLocation.line : '');
+			element = isCountedFinding(entry) ? isError ? 'error' : 'failure' : 'skipped';
+			suite.testCases.push('\t\t<testcase name="' + escapeXML(entry.type + ': ' + entry.description) +
+				'" classname="' + escapeXML(filename || suite.name) + '" time="0">\n' +
+				'\t\t\t<' + element + (element !== 'skipped' ? ' type="' + escapeXML(entry.type) + '"' : '') +
+				' message="' + escapeXML((entry.suppressed ? 'Suppressed by a comment: ' :
+					element === 'skipped' ? 'Existing finding from the baseline: ' : '') +
+				entry.description + (location ? ' (' + location + ')' : '')) + '">' +
+				escapeXML(location ? location + ': ' + entry.description : entry.description) +
+				'</' + element + '>\n' +
+				'\t\t</testcase>\n');
+			if (element === 'skipped') {
+				suite.numSkipped++;
+			} else if (isError) {
+				suite.numErrors++;
+			} else {
+				suite.numWarnings++;
+			}
+		}
+	}
+
+	// Create the suites
+	coreSuite = {
+		name: 'Titanium Code Processor',
+		summary: '',
+		testCases: [],
+		numErrors: 0,
+		numWarnings: 0,
+		numSkipped: 0
+	};
+	suites.push(coreSuite);
+	for (i = 0, ilen = plugins.length; i < ilen; i++) {
+		suite = {
+			name: plugins[i].displayName,
+			summary: results.plugins[i] && results.plugins[i].summary || '',
+			testCases: [],
+			numErrors: 0,
+			numWarnings: 0,
+			numSkipped: 0
+		};
+		for (j = 0, jlen = plugins[i].reportedTypes ? plugins[i].reportedTypes.length : 0; j < jlen; j++) {
+			suitesByType[plugins[i].reportedTypes[j]] = suite;
+		}
+		suites.push(suite);
+	}
+
+	addTestCases(results.errors, true);
+	addTestCases(results.warnings, false);
+
+	// Render the suites
+	output = '';
+	for (i = 0, ilen = suites.length; i < ilen; i++) {
+		suite = suites[i];
+		totalErrors += suite.numErrors;
+		totalWarnings += suite.numWarnings;
+		if (!suite.testCases.length) {
+			suite.testCases.push('\t\t<testcase name="' + escapeXML(suite.name) + '" classname="' +
+				escapeXML(suite.name) + '" time="0"/>\n');
+		}
+		output += '\t<testsuite name="' + escapeXML(suite.name) + '" tests="' + suite.testCases.length +
+			'" errors="' + suite.numErrors + '" failures="' + suite.numWarnings + '" skipped="' + suite.numSkipped +
+			'" time="' + time + '" timestamp="' + timestamp + '">\n' +
+			'\t\t<properties>\n' +
+			'\t\t\t<property name="errors" value="' + suite.numErrors + '"/>\n' +
+			'\t\t\t<property name="warnings" value="' + suite.numWarnings + '"/>\n' +
+			(suite.summary ? '\t\t\t<property name="summary" value="' + escapeXML(suite.summary) + '"/>\n' : '') +
+			'\t\t</properties>\n' +
+			suite.testCases.join('') +
+			'\t</testsuite>\n';
+	}
+
+	return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<testsuites name="Titanium Code Processor" errors="' + totalErrors + '" failures="' + totalWarnings +
+		'" time="' + time + '">\n' +
+		output +
+		'</testsuites>';
+}
+
 /**
  * The object that plugins return for rendering
  *
@@ -1114,6 +1774,28 @@ function arrayGen(headings, entries, entriesOrder) {
  * @property {string} template The path to the mustache template (filenames must be unique across all plugins)
  * @property {Object} data The render data for the template
  */
+/**
+ * Generates the render data for an explanation of why a value is unknown
+ *
+ * @private
+ */
+function generateExplanationData(explanation, baseDirectory) {
+	var stepList = [],
+		mappedLocation,
+		i, len;
+	if (!explanation || !explanation.length) {
+		return;
+	}
+	for (i = 0, len = explanation.length; i < len; i++) {
+		mappedLocation = explanation[i].filename && Runtime.mapLocation(explanation[i]);
+		stepList.push({
+			description: explanation[i].description,
+			location: mappedLocation ? mappedLocation.filename.replace(baseDirectory, '') + ':' + mappedLocation.line : undefined
+		});
+	}
+	return { stepList: stepList };
+}
+
 /**
  * private
  */
@@ -1128,6 +1810,11 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		error,
 		warningList,
 		warning,
+		infoList,
+		info,
+		ambiguousBlockList,
+		ambiguousBlock,
+		fixedList,
 		pluginList,
 		elevatedPluginList,
 		plugin,
@@ -1162,6 +1849,11 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 				compiledData += data.toString();
 			});
 			renderStream.on('end', function() {
+
+				// Plugins may render pages into sub-directories of the results directory
+				if (!fs.existsSync(path.dirname(destination))) {
+					wrench.mkdirSyncRecursive(path.dirname(destination));
+				}
 				fs.writeFile(destination, compiledData, function () {
 					next();
 				});
@@ -1174,9 +1866,12 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		errorList = [];
 		for (i = 0, len = results.errors.length; i < len; i++) {
 			error = results.errors[i];
+			if (error.suppressed) {
+				continue;
+			}
 			mappedLocation = Runtime.mapLocation(error);
 			errorList.push({
-				description: error.description,
+				description: (error.baselineState === 'existing' ? '[existing] ' : '') + error.description,
 				filename: mappedLocation.filename.replace(baseDirectory, ''),
 				line: mappedLocation.line
 			});
@@ -1186,15 +1881,49 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		warningList = [];
 		for (i = 0, len = results.warnings.length; i < len; i++) {
 			warning = results.warnings[i];
+			if (warning.suppressed) {
+				continue;
+			}
 			mappedLocation = Runtime.mapLocation(warning);
 			warningList.push({
-				description: warning.description,
+				description: (warning.baselineState === 'existing' ? '[existing] ' : '') + warning.description,
+				filename: mappedLocation.filename.replace(baseDirectory, ''),
+				line: mappedLocation.line,
+				explanation: generateExplanationData(warning.explanation, baseDirectory)
+			});
+		}
+	}
+
+	if (results.infos.length) {
+		infoList = [];
+		for (i = 0, len = results.infos.length; i < len; i++) {
+			info = results.infos[i];
+			if (info.suppressed) {
+				continue;
+			}
+			mappedLocation = Runtime.mapLocation(info);
+			infoList.push({
+				description: info.description,
 				filename: mappedLocation.filename.replace(baseDirectory, ''),
 				line: mappedLocation.line
 			});
 		}
 	}
 
+	if (results.ambiguousBlocks && results.ambiguousBlocks.length) {
+		ambiguousBlockList = [];
+		for (i = 0, len = results.ambiguousBlocks.length; i < len; i++) {
+			ambiguousBlock = results.ambiguousBlocks[i];
+			mappedLocation = Runtime.mapLocation(ambiguousBlock);
+			ambiguousBlockList.push({
+				description: ambiguousBlock.description,
+				filename: mappedLocation.filename.replace(baseDirectory, ''),
+				line: mappedLocation.line,
+				explanation: generateExplanationData(ambiguousBlock.explanation, baseDirectory)
+			});
+		}
+	}
+
 	// Generate the plugin summary list
 	if (plugins.length) {
 		pluginList = [];
@@ -1211,8 +1940,8 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 	}
 
 	// Generate the errors and warnings summary
-	numErrors = results.errors.length;
-	numWarnings = results.warnings.length;
+	numErrors = results.errors.filter(isCountedFinding).length;
+	numWarnings = results.warnings.filter(isCountedFinding).length;
 	if (numErrors || numWarnings) {
 		errorsAndWarnings = '\n';
 		if (numErrors) {
@@ -1226,6 +1955,19 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		}
 		errorsAndWarnings += 'detected';
 	}
+	if (results.baseline) {
+		errorsAndWarnings = (errorsAndWarnings || '') + '\nCompared to the baseline: ' + results.baseline.numNew + ' new, ' +
+			results.baseline.numExisting + ' existing, ' + results.baseline.numFixed + ' fixed';
+		if (results.baseline.numFixed) {
+			fixedList = [];
+			for (i = 0, len = results.baseline.fixed.length; i < len; i++) {
+				fixedList.push({
+					description: results.baseline.fixed[i].description,
+					filename: results.baseline.fixed[i].filename
+				});
+			}
+		}
+	}
 
 	data = {
 		elapsedTime: (results.elapsedTime / 1000).toFixed(1),
@@ -1242,8 +1984,11 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 			value: Runtime.options.processUnvisitedCode,
 		}],
 		errorsAndWarnings: errorsAndWarnings,
-		errors: errorList ? { errorList: errorList } : undefined,
-		warnings: warningList ? { warningList: warningList } : undefined,
+		errors: errorList && errorList.length ? { errorList: errorList } : undefined,
+		warnings: warningList && warningList.length ? { warningList: warningList } : undefined,
+		infos: infoList && infoList.length ? { infoList: infoList } : undefined,
+		ambiguousBlocks: ambiguousBlockList ? { ambiguousBlockList: ambiguousBlockList } : undefined,
+		fixed: fixedList ? { fixedList: fixedList } : undefined,
 		elevatedPlugins: elevatedPluginList,
 		plugins: pluginList ? { pluginList: pluginList } : undefined
 	};
@@ -1286,6 +2031,14 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 			resultsToLog += '\n\nWarnings\n';
 			resultsToLog += arrayGen(['Description', 'File', 'Line'], data.warnings.warningList, ['description', 'filename', 'line']);
 		}
+		if (data.infos) {
+			resultsToLog += '\n\nInfo\n';
+			resultsToLog += arrayGen(['Description', 'File', 'Line'], data.infos.infoList, ['description', 'filename', 'line']);
+		}
+		if (data.fixed) {
+			resultsToLog += '\n\nFixed Since Baseline\n';
+			resultsToLog += arrayGen(['Description', 'File'], data.fixed.fixedList, ['description', 'filename']);
+		}
 		if (data.plugins && data.plugins.pluginList.length) {
 			resultsToLog += '\n\nPlugin Summary\n';
 			resultsToLog += arrayGen(['Plugin', 'Overview'], data.plugins.pluginList, ['name', 'overview']);
@@ -1294,6 +2047,10 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		console.log(resultsToLog + '\n');
 	} else if (outputFormat === 'json') {
 		console.log(JSON.stringify(results, false, '\t'));
+	} else if (outputFormat === 'sarif') {
+		console.log(JSON.stringify(generateSarif(results, baseDirectory), false, '\t'));
+	} else if (outputFormat === 'junit') {
+		console.log(generateJUnit(results, baseDirectory));
 	} else if (outputFormat === 'stream') {
 		results = JSON.stringify(results);
 		console.log('REQ,01000001,' + ('00000000' + results.length.toString(16)).slice(-8) + ',' + results);
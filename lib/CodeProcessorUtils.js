@@ -28,6 +28,106 @@ exports.pluralize = function (singular, plural, value) {
 	return sourceStr.replace(/%s/g, value);
 };
 
+/**
+ * Gets the description of a finding without the number of occurances appended by
+ * {@link module:CodeProcessor.getResults}
+ *
+ * @method module:CodeProcessorUtils.getBaseDescription
+ * @param {module:Runtime.eventObject} finding The error, warning, or info from the results
+ * @return {string} The description of the finding
+ */
+exports.getBaseDescription = function (finding) {
+	var suffix = ' (' + finding.occurances + ' occurances)',
+		description = finding.description;
+	if (finding.occurances > 1 && description.slice(-suffix.length) === suffix) {
+		description = description.slice(0, -suffix.length);
+	}
+	return description;
+};
+
+/**
+ * Calculates a percentage, rounded to one decimal place
+ *
+ * @method module:CodeProcessorUtils.getPercentage
+ * @param {number} count The number of items
+ * @param {number} total The total number of items
+ * @return {number} The percentage, or 0 if the total is 0
+ */
+exports.getPercentage = function (count, total) {
+	return total ? Math.round(count / total * 1000) / 10 : 0;
+};
+
+/**
+ * Calculates the edit distance between two strings, i.e. the minimum number of single character insertions, deletions,
+ * substitutions, and transpositions of adjacent characters needed to turn one string into the other
+ *
+ * @method module:CodeProcessorUtils.getEditDistance
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @return {number} The edit distance
+ */
+exports.getEditDistance = function (a, b) {
+	var distances = [],
+		i, j;
+
+	for (i = 0; i <= a.length; i++) {
+		distances[i] = [i];
+	}
+	for (j = 1; j <= b.length; j++) {
+		distances[0][j] = j;
+	}
+	for (i = 1; i <= a.length; i++) {
+		for (j = 1; j <= b.length; j++) {
+			distances[i][j] = Math.min(
+				distances[i - 1][j] + 1,
+				distances[i][j - 1] + 1,
+				distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+			}
+		}
+	}
+	return distances[a.length][b.length];
+};
+
+/**
+ * Finds the names that are most likely to have been meant when a name was mistyped. A candidate is considered a
+ * suggestion if its edit distance from the name is no more than a third of the length of the name (but at least 1), or
+ * if it only differs by case.
+ *
+ * @method module:CodeProcessorUtils.getSuggestions
+ * @param {string} name The mistyped name
+ * @param {Array.<string>} candidates The list of valid names
+ * @param {number} [maxSuggestions] The maximum number of suggestions to return. Defaults to 3
+ * @return {Array.<string>} The suggestions, closest first
+ */
+exports.getSuggestions = function (name, candidates, maxSuggestions) {
+	var maxDistance = Math.max(1, Math.floor(name.length / 3)),
+		lowerCaseName = name.toLowerCase(),
+		suggestions = [],
+		distance,
+		i, len;
+
+	for (i = 0, len = candidates.length; i < len; i++) {
+		if (candidates[i] === name) {
+			continue;
+		}
+		distance = candidates[i].toLowerCase() === lowerCaseName ? 0 : exports.getEditDistance(name, candidates[i]);
+		if (distance <= maxDistance) {
+			suggestions.push({
+				name: candidates[i],
+				distance: distance
+			});
+		}
+	}
+	suggestions.sort(function (a, b) {
+		return a.distance - b.distance || a.name.localeCompare(b.name);
+	});
+	return suggestions.slice(0, maxSuggestions || 3).map(function (suggestion) {
+		return suggestion.name;
+	});
+};
+
 /**
  * Non-recursively finds all sub-directories inside of a given directory
  *
@@ -0,0 +1,77 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * The errors reported when the code processor cannot analyze a project, e.g. because of an invalid option or a plugin
+ * that could not be loaded. These are failures of the code processor itself, not problems found in the project being
+ * analyzed, which are reported as errors and warnings in the results. This module is shared by all
+ * {@link module:Processor} instances, so errors can be checked with instanceof no matter which instance reported them.
+ *
+ * @module Errors
+ */
+
+var util = require('util');
+
+/**
+ * @classdesc The base class for all code processor errors
+ *
+ * @constructor module:Errors.CodeProcessorError
+ * @extends Error
+ * @param {string} message The description of the error
+ */
+exports.CodeProcessorError = CodeProcessorError;
+function CodeProcessorError(message) {
+	Error.call(this);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, this.constructor);
+	}
+	this.message = message;
+}
+util.inherits(CodeProcessorError, Error);
+CodeProcessorError.prototype.name = 'CodeProcessorError';
+
+/**
+ * @classdesc An option passed to the code processor is invalid, or a file referenced by an option could not be read
+ *
+ * @constructor module:Errors.InvalidOptionError
+ * @extends module:Errors.CodeProcessorError
+ * @param {string} message The description of the error
+ */
+exports.InvalidOptionError = InvalidOptionError;
+function InvalidOptionError(message) {
+	CodeProcessorError.call(this, message);
+}
+util.inherits(InvalidOptionError, CodeProcessorError);
+InvalidOptionError.prototype.name = 'InvalidOptionError';
+
+/**
+ * @classdesc A plugin could not be loaded, or its options are invalid
+ *
+ * @constructor module:Errors.PluginError
+ * @extends module:Errors.CodeProcessorError
+ * @param {string} message The description of the error
+ * @param {(string | undefined)} plugin The name of the plugin, if known
+ */
+exports.PluginError = PluginError;
+function PluginError(message, plugin) {
+	CodeProcessorError.call(this, message);
+	this.plugin = plugin;
+}
+util.inherits(PluginError, CodeProcessorError);
+PluginError.prototype.name = 'PluginError';
+
+/**
+ * @classdesc An unexpected error occured while analyzing the project, usually a bug in the code processor
+ *
+ * @constructor module:Errors.InternalError
+ * @extends module:Errors.CodeProcessorError
+ * @param {string} message The description of the error
+ * @param {(Error | undefined)} cause The original error, if any
+ */
+exports.InternalError = InternalError;
+function InternalError(message, cause) {
+	CodeProcessorError.call(this, message);
+	this.cause = cause;
+}
+util.inherits(InternalError, CodeProcessorError);
+InternalError.prototype.name = 'InternalError';
@@ -0,0 +1,903 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * A Language Server Protocol front-end for the code processor, which lets editors show the results of the analysis as
+ * they are editing. The project is analyzed when the workspace is opened and again whenever a file is saved, and the
+ * errors, warnings, and infos, including the ones reported by plugins, are published as diagnostics. Hovering over a
+ * Titanium API shows its type from the JSCA file of the SDK, and go-to-definition on a require call jumps to the file
+ * it was resolved to.
+ *
+ * The analysis is run in a {@link module:Processor} instance, and the Titanium APIs and require targets are collected
+ * from its {@link module:Runtime} events, so the information reflects what the analysis actually saw, e.g. the type of
+ * a variable holding a Titanium object. The analysis is synchronous, so requests received while the project is being
+ * analyzed are answered once the analysis is complete.
+ *
+ * @module LanguageServer
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+
+	uglify = require('uglify-js'),
+	appc = require('node-appc'),
+
+	CodeProcessor = require('./CodeProcessor'),
+	Project = require('./Project'),
+
+	pkg = require('../package.json'),
+
+	defaultPlugins = [
+		'ti-api-provider',
+		'ti-api-platform-validator',
+		'ti-api-call-validator',
+		'ti-api-member-validator',
+		'ti-api-deprecation-finder',
+		'ti-api-require-finder'
+	],
+
+	defaultOptions = {
+		invokeMethods: true,
+		evaluateLoops: true,
+		processUnvisitedCode: true,
+		logConsoleCalls: false
+	},
+
+	diagnosticSeverities = {
+		errors: 1,
+		warnings: 2,
+		infos: 3
+	},
+
+	messageTypes = {
+		error: 1,
+		warn: 2,
+		notice: 3,
+		info: 3
+	},
+
+	errorCodes = {
+		parseError: -32700,
+		methodNotFound: -32601,
+		internalError: -32603,
+		serverNotInitialized: -32002
+	},
+
+	requestHandlers = {
+		initialize: initialize,
+		shutdown: shutdown,
+		'textDocument/hover': hover,
+		'textDocument/definition': definition
+	},
+
+	notificationHandlers = {
+		initialized: scheduleAnalysis,
+		'textDocument/didSave': didSave,
+		exit: exit
+	},
+
+	output,
+	inputBuffer,
+	rootDir,
+	settings,
+	processor,
+	initialized = false,
+	shutdownRequested = false,
+	analysisTimer,
+	publishedURIs = {},
+	apiTypes,
+	apiSDKPath,
+	apiReferences,
+	requireReferences,
+	requireTargets;
+
+// ******** Helper Methods ********
+
+/**
+ * Converts a file:// URI to a path
+ *
+ * @private
+ */
+function uriToPath(uri) {
+	var filePath = decodeURIComponent(uri.replace(/^file:\/\//, ''));
+	if (/^\/[a-zA-Z]:/.test(filePath)) {
+		filePath = filePath.slice(1);
+	}
+	return path.resolve(filePath);
+}
+
+/**
+ * Converts a path to a file:// URI
+ *
+ * @private
+ */
+function pathToURI(filePath) {
+	filePath = filePath.replace(/\\/g, '/');
+	if (filePath[0] !== '/') {
+		filePath = '/' + filePath;
+	}
+	return 'file://' + encodeURI(filePath).replace(/\?/g, '%3F').replace(/#/g, '%23');
+}
+
+/**
+ * Sends a message to the client
+ *
+ * @private
+ */
+function send(message) {
+	var body;
+	message.jsonrpc = '2.0';
+	body = JSON.stringify(message);
+	output.write('Content-Length: ' + Buffer.byteLength(body, 'utf8') + '\r\n\r\n' + body);
+}
+
+/**
+ * Sends a notification to the client
+ *
+ * @private
+ */
+function notify(method, params) {
+	send({
+		method: method,
+		params: params
+	});
+}
+
+/**
+ * Creates a logger that forwards the code processor log to the client's output window
+ *
+ * @private
+ */
+function createLogger() {
+	return {
+		log: function (level, message) {
+			if (messageTypes[level]) {
+				notify('window/logMessage', {
+					type: messageTypes[level],
+					message: message
+				});
+			}
+		}
+	};
+}
+
+/**
+ * Reads a file and splits it into lines, returning undefined if the file cannot be read
+ *
+ * @private
+ */
+function readLines(filename) {
+	try {
+		return fs.readFileSync(filename).toString().split(/\r?\n/);
+	} catch(e) {}
+}
+
+/**
+ * Parses a file, returning undefined if it cannot be read or parsed
+ *
+ * @private
+ */
+function parseFile(filename) {
+	try {
+		return uglify.parse(fs.readFileSync(filename).toString(), {
+			filename: filename
+		});
+	} catch(e) {}
+}
+
+/**
+ * Creates the range of the word starting at the given location, or a single character if there is no word there
+ *
+ * @private
+ */
+function createWordRange(lines, line, column) {
+	var text = lines && lines[line] || '',
+		word = /^[\w$]+/.exec(text.slice(column));
+	return {
+		start: {
+			line: line,
+			character: column
+		},
+		end: {
+			line: line,
+			character: column + (word ? word[0].length : 1)
+		}
+	};
+}
+
+/**
+ * Checks if a position is inside of a token
+ *
+ * @private
+ */
+function isInToken(token, position) {
+	return token.line - 1 === position.line && position.character >= token.col &&
+		position.character <= token.col + (token.endpos - token.pos);
+}
+
+/**
+ * Records where an event happened, keyed by file, for hover and go-to-definition
+ *
+ * @private
+ */
+function recordReference(references, e, value) {
+	var fileReferences;
+	if (!e.filename || !e.line) {
+		return;
+	}
+	fileReferences = references[e.filename] = references[e.filename] || {};
+	fileReferences[e.line + ':' + e.column + ':' + JSON.stringify(value)] = {
+		line: e.line,
+		value: value
+	};
+}
+
+/**
+ * Gets the recorded references in a file between two lines, inclusive
+ *
+ * @private
+ */
+function getReferences(references, filename, startLine, endLine) {
+	var fileReferences = references[filename],
+		found = [],
+		p;
+	for (p in fileReferences) {
+		if (fileReferences[p].line >= startLine && fileReferences[p].line <= endLine) {
+			found.push(fileReferences[p].value);
+		}
+	}
+	return found;
+}
+
+/**
+ * Gets the key used to look up the target of a require call by name, which depends on the calling file for relative
+ * paths
+ *
+ * @private
+ */
+function getRequireKey(filename, name) {
+	return name[0] === '.' ? path.resolve(path.dirname(filename), name) : name;
+}
+
+/**
+ * Adds the listeners that collect the Titanium API references and require targets from the analysis
+ *
+ * @private
+ */
+function addReferenceListeners() {
+	function addAPIReference(e) {
+		if (e.data && e.data.name) {
+			recordReference(apiReferences, e, e.data.name);
+		}
+	}
+	processor.on('tiPropertyReferenced', addAPIReference);
+	processor.on('tiFunctionCalled', addAPIReference);
+	processor.on('tiPropertySet', addAPIReference);
+	processor.on('requireResolved', function (e) {
+		var key;
+		recordReference(requireReferences, e, {
+			name: e.data.name,
+			path: e.data.path
+		});
+		if (!e.data.pattern && e.filename) {
+			key = getRequireKey(e.filename, e.data.name);
+			requireTargets[key] = requireTargets[key] || [];
+			if (requireTargets[key].indexOf(e.data.path) === -1) {
+				requireTargets[key].push(e.data.path);
+			}
+		}
+	});
+}
+
+/**
+ * Loads the JSCA file from the SDK, keyed by type name
+ *
+ * @private
+ */
+function loadAPI(sdkPath) {
+	var jsca;
+	if (apiSDKPath === sdkPath) {
+		return;
+	}
+	apiSDKPath = sdkPath;
+	apiTypes = {};
+	try {
+		jsca = JSON.parse(fs.readFileSync(path.join(sdkPath, 'api.jsca')));
+	} catch(e) {
+		return;
+	}
+	jsca.types.forEach(function (type) {
+		apiTypes[type.name] = type;
+	});
+}
+
+/**
+ * Converts the HTML in a JSCA description to markdown
+ *
+ * @private
+ */
+function htmlToMarkdown(html) {
+	return (html || '')
+		.replace(/<\/?code>/g, '`')
+		.replace(/<\/?(strong|b)>/g, '**')
+		.replace(/<\/?(em|i)>/g, '_')
+		.replace(/<br\s*\/?>|<\/p>\s*<p>/g, '\n\n')
+		.replace(/<[^>]+>/g, '')
+		.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+		.trim();
+}
+
+/**
+ * Describes a Titanium API from the JSCA file as markdown, or returns undefined if the API is not in the JSCA file
+ *
+ * @private
+ */
+function describeAPI(name) {
+	var type = apiTypes && apiTypes[name],
+		separator = name.lastIndexOf('.'),
+		owner,
+		member,
+		memberName,
+		signature,
+		description = [];
+
+	function findMember(list) {
+		var i, len;
+		for (i = 0, len = (list || []).length; i < len; i++) {
+			if (list[i].name === memberName) {
+				return list[i];
+			}
+		}
+	}
+
+	if (type) {
+		signature = name;
+		member = type;
+	} else if (separator !== -1) {
+		owner = apiTypes && apiTypes[name.slice(0, separator)];
+		memberName = name.slice(separator + 1);
+		if (!owner) {
+			return;
+		}
+		if (member = findMember(owner.functions)) {
+			signature = name + '(' + (member.parameters || []).map(function (parameter) {
+				return parameter.name + (parameter.usage === 'optional' ? '?' : '') + ': ' + parameter.type;
+			}).join(', ') + '): ' + ((member.returnTypes || []).map(function (returnType) {
+				return returnType.type;
+			}).join(' | ') || 'void');
+		} else if (member = findMember(owner.properties)) {
+			signature = name + ': ' + member.type + (member.permission === 'read-only' ? ' (read-only)' : '');
+		} else {
+			return;
+		}
+	} else {
+		return;
+	}
+
+	description.push('```javascript\n' + signature + '\n```');
+	if (member.deprecated) {
+		description.push('**Deprecated**' + (member.deprecated.since ? ' since ' + member.deprecated.since : '') +
+			(member.deprecated.notes ? ': ' + htmlToMarkdown(member.deprecated.notes) : ''));
+	}
+	if (member.description) {
+		description.push(htmlToMarkdown(member.description));
+	}
+	if (member.userAgents && member.userAgents.length) {
+		description.push('Platforms: ' + member.userAgents.map(function (userAgent) {
+			return userAgent.platform;
+		}).join(', '));
+	}
+	return description.join('\n\n');
+}
+
+/**
+ * Gets the name of the Titanium API for a chain of property accesses starting at Ti or Titanium, e.g. Ti.UI.Window, or
+ * undefined if the chain does not start with Ti or Titanium
+ *
+ * @private
+ */
+function getStaticAPIName(node) {
+	var parts = [];
+	while (node instanceof uglify.AST_Dot) {
+		parts.unshift(node.property);
+		node = node.expression;
+	}
+	if (node instanceof uglify.AST_SymbolRef && (node.name === 'Ti' || node.name === 'Titanium')) {
+		parts.unshift('Titanium');
+		return parts.join('.');
+	}
+}
+
+/**
+ * Creates the diagnostics for the results of an analysis, keyed by file
+ *
+ * @private
+ */
+function createDiagnostics(results) {
+	var diagnostics = {},
+		lines = {};
+	Object.keys(diagnosticSeverities).forEach(function (findingType) {
+		results[findingType].forEach(function (finding) {
+			var line,
+				column;
+			if (finding.suppressed) {
+				return;
+			}
+			if (!finding.filename) {
+				notify('window/logMessage', {
+					type: messageTypes.warn,
+					message: finding.type + ': ' + finding.description
+				});
+				return;
+			}
+			if (!lines.hasOwnProperty(finding.filename)) {
+				lines[finding.filename] = readLines(finding.filename);
+			}
+			line = Math.max((finding.line || 1) - 1, 0);
+			column = Math.max(finding.column || 0, 0);
+			(diagnostics[finding.filename] = diagnostics[finding.filename] || []).push({
+				range: createWordRange(lines[finding.filename], line, column),
+				severity: diagnosticSeverities[findingType],
+				code: finding.type,
+				source: 'titanium-code-processor',
+				message: finding.description
+			});
+		});
+	});
+	return diagnostics;
+}
+
+/**
+ * Publishes the diagnostics for each file, clearing the diagnostics of files that no longer have any
+ *
+ * @private
+ */
+function publishDiagnostics(diagnostics) {
+	var newURIs = {},
+		uri;
+	Object.keys(diagnostics).forEach(function (filename) {
+		uri = pathToURI(filename);
+		newURIs[uri] = 1;
+		notify('textDocument/publishDiagnostics', {
+			uri: uri,
+			diagnostics: diagnostics[filename]
+		});
+	});
+	for (uri in publishedURIs) {
+		if (!newURIs[uri]) {
+			notify('textDocument/publishDiagnostics', {
+				uri: uri,
+				diagnostics: []
+			});
+		}
+	}
+	publishedURIs = newURIs;
+}
+
+/**
+ * Finds the Titanium SDK to analyze the project with. The sdkPath setting takes precedence, followed by the SDK
+ * version in the tiapp.xml, followed by the newest installed SDK
+ *
+ * @private
+ */
+function findSDKPath(tiapp) {
+	var sdk;
+	if (settings.sdkPath) {
+		return path.resolve(settings.sdkPath);
+	}
+	appc.environ.detect(settings.sdkPaths);
+	sdk = appc.environ.getSDK(tiapp.sdkVersion) || appc.environ.getSDK('latest');
+	return sdk && sdk.path;
+}
+
+/**
+ * Creates the module list for the ti-api-provider plugin. The modules are not evaluated, since that would require
+ * locating them the same way the Titanium CLI does, so each module is treated as a native module
+ *
+ * @private
+ */
+function createModuleList(tiapp, platform) {
+	var modules = {};
+	modules[platform] = {};
+	tiapp.modules.forEach(function (module) {
+		modules[platform][module.id] = null;
+	});
+	return modules;
+}
+
+/**
+ * Analyzes the project and publishes the results
+ *
+ * @private
+ */
+function analyzeProject() {
+	var tiapp = Project.readTiapp(rootDir),
+		sourceInformation,
+		platform,
+		sdkPath,
+		logger = createLogger();
+
+	analysisTimer = undefined;
+	if (!tiapp) {
+		notify('window/showMessage', {
+			type: messageTypes.error,
+			message: 'Could not find a tiapp.xml file in "' + rootDir + '", the project will not be analyzed'
+		});
+		return;
+	}
+	sdkPath = findSDKPath(tiapp);
+	if (!sdkPath) {
+		notify('window/showMessage', {
+			type: messageTypes.error,
+			message: 'Could not find a Titanium SDK to analyze the project with. Set the "sdkPath" initialization option ' +
+				'to the path of the SDK'
+		});
+		return;
+	}
+	loadAPI(sdkPath);
+	platform = settings.platform || tiapp.targets[0] || 'iphone';
+	sourceInformation = Project.getSourceInformation(rootDir);
+
+	CodeProcessor.queryPlugins(settings.pluginPaths || [], logger, function (err, availablePlugins) {
+		var plugins = [],
+			options = appc.util.mix({}, defaultOptions, settings.options || {});
+
+		if (err) {
+			logger.log('error', 'Could not query the plugins: ' + err);
+			return;
+		}
+		(settings.plugins || defaultPlugins).forEach(function (name) {
+			if (availablePlugins[name]) {
+				plugins.push({
+					path: availablePlugins[name].path,
+					options: {}
+				});
+			} else {
+				logger.log('warn', 'Plugin "' + name + '" is unknown');
+			}
+		});
+		Project.configurePlugins(plugins, {
+			platform: platform,
+			sdkPath: sdkPath,
+			modules: createModuleList(tiapp, platform),
+			tiappProperties: tiapp.properties
+		});
+
+		apiReferences = {};
+		requireReferences = {};
+		requireTargets = {};
+		logger.log('info', 'Analyzing project at "' + rootDir + '" for ' + platform);
+		processor.run(sourceInformation, options, plugins, logger, function (err, results) {
+			if (err) {
+				notify('window/showMessage', {
+					type: messageTypes.error,
+					message: 'The project could not be analyzed: ' + err.message
+				});
+				return;
+			}
+			publishDiagnostics(createDiagnostics(results));
+		});
+	});
+}
+
+/**
+ * Schedules an analysis of the project. Saves that arrive while an analysis is scheduled are merged into it
+ *
+ * @private
+ */
+function scheduleAnalysis() {
+	if (!analysisTimer && rootDir) {
+		analysisTimer = setTimeout(analyzeProject, 100);
+	}
+}
+
+/**
+ * Finds the innermost node at a position that satisfies the check
+ *
+ * @private
+ */
+function findNode(ast, check) {
+	var found;
+	ast.walk(new uglify.TreeWalker(function (node) {
+		if (check(node)) {
+			found = node;
+		}
+	}));
+	return found;
+}
+
+// ******** Request Handlers ********
+
+/**
+ * @private
+ */
+function initialize(params) {
+	var workspaceFolder = params.workspaceFolders && params.workspaceFolders[0];
+	settings = params.initializationOptions || {};
+	if (params.rootUri || workspaceFolder) {
+		rootDir = uriToPath(params.rootUri || workspaceFolder.uri);
+	} else if (params.rootPath) {
+		rootDir = path.resolve(params.rootPath);
+	}
+	initialized = true;
+	return {
+		capabilities: {
+			textDocumentSync: {
+				openClose: true,
+				change: 0,
+				save: {
+					includeText: false
+				}
+			},
+			hoverProvider: true,
+			definitionProvider: true
+		},
+		serverInfo: {
+			name: pkg.name,
+			version: pkg.version
+		}
+	};
+}
+
+/**
+ * @private
+ */
+function hover(params) {
+	var filename = uriToPath(params.textDocument.uri),
+		position = params.position,
+		ast = parseFile(filename),
+		node,
+		token,
+		memberName,
+		names,
+		descriptions;
+
+	if (!ast) {
+		return null;
+	}
+	node = findNode(ast, function (node) {
+		return (node instanceof uglify.AST_Dot && isInToken(node.end, position)) ||
+			(node instanceof uglify.AST_SymbolRef && isInToken(node.start, position));
+	});
+	if (!node) {
+		return null;
+	}
+	token = node instanceof uglify.AST_Dot ? node.end : node.start;
+	memberName = node instanceof uglify.AST_Dot ? node.property : node.name;
+
+	// Prefer what the analysis saw, since it knows the type of variables, and fall back to the static name
+	names = getReferences(apiReferences || {}, filename, node.start.line, node.end.line).filter(function (name) {
+		return name === memberName || name.slice(-memberName.length - 1) === '.' + memberName ||
+			(name === 'Titanium' && memberName === 'Ti');
+	}).filter(function (name, index, list) {
+		return list.indexOf(name) === index;
+	});
+	if (!names.length && getStaticAPIName(node)) {
+		names = [getStaticAPIName(node)];
+	}
+	descriptions = names.map(describeAPI).filter(function (description) {
+		return description;
+	});
+	if (!descriptions.length) {
+		return null;
+	}
+	return {
+		contents: {
+			kind: 'markdown',
+			value: descriptions.join('\n\n---\n\n')
+		},
+		range: {
+			start: {
+				line: token.line - 1,
+				character: token.col
+			},
+			end: {
+				line: token.line - 1,
+				character: token.col + (token.endpos - token.pos)
+			}
+		}
+	};
+}
+
+/**
+ * @private
+ */
+function definition(params) {
+	var filename = uriToPath(params.textDocument.uri),
+		position = params.position,
+		ast = parseFile(filename),
+		node,
+		name,
+		paths;
+
+	if (!ast) {
+		return null;
+	}
+	node = findNode(ast, function (node) {
+		return node instanceof uglify.AST_Call && node.expression instanceof uglify.AST_SymbolRef &&
+			node.expression.name === 'require' &&
+			(position.line > node.start.line - 1 || position.line === node.start.line - 1 &&
+				position.character >= node.start.col) &&
+			(position.line < node.end.line - 1 || position.line === node.end.line - 1 &&
+				position.character <= node.end.col + (node.end.endpos - node.end.pos));
+	});
+	if (!node) {
+		return null;
+	}
+	name = node.args[0] instanceof uglify.AST_String ? node.args[0].value : undefined;
+
+	// Prefer the targets resolved at this call, and fall back to the targets resolved elsewhere for the same name
+	paths = getReferences(requireReferences || {}, filename, node.start.line, node.end.line).filter(function (reference) {
+		return name === undefined || reference.name === name;
+	}).map(function (reference) {
+		return reference.path;
+	});
+	if (!paths.length && name !== undefined) {
+		paths = (requireTargets || {})[getRequireKey(filename, name)] || [];
+	}
+	return paths.filter(function (filePath, index, list) {
+		return list.indexOf(filePath) === index;
+	}).map(function (filePath) {
+		return {
+			uri: pathToURI(filePath),
+			range: {
+				start: {
+					line: 0,
+					character: 0
+				},
+				end: {
+					line: 0,
+					character: 0
+				}
+			}
+		};
+	});
+}
+
+/**
+ * @private
+ */
+function shutdown() {
+	shutdownRequested = true;
+	return null;
+}
+
+// ******** Notification Handlers ********
+
+/**
+ * @private
+ */
+function didSave(params) {
+	var filename = uriToPath(params.textDocument.uri);
+	if (/\.js$/.test(filename) || path.basename(filename) === 'tiapp.xml') {
+		scheduleAnalysis();
+	}
+}
+
+/**
+ * @private
+ */
+function exit() {
+	process.exit(shutdownRequested ? 0 : 1);
+}
+
+// ******** Message Handling ********
+
+/**
+ * Dispatches a message from the client to its handler
+ *
+ * @private
+ */
+function handleMessage(message) {
+	var handler;
+	if (message.id === undefined) {
+		handler = notificationHandlers[message.method];
+		if (handler && (initialized || message.method === 'exit')) {
+			handler(message.params || {});
+		}
+	} else if (message.method) {
+		handler = requestHandlers[message.method];
+		if (!handler) {
+			send({
+				id: message.id,
+				error: {
+					code: errorCodes.methodNotFound,
+					message: 'Unsupported method "' + message.method + '"'
+				}
+			});
+		} else if (!initialized && message.method !== 'initialize') {
+			send({
+				id: message.id,
+				error: {
+					code: errorCodes.serverNotInitialized,
+					message: 'The server has not been initialized'
+				}
+			});
+		} else {
+			try {
+				send({
+					id: message.id,
+					result: handler(message.params || {})
+				});
+			} catch(e) {
+				send({
+					id: message.id,
+					error: {
+						code: errorCodes.internalError,
+						message: e.message
+					}
+				});
+			}
+		}
+	}
+}
+
+/**
+ * Reads as many complete messages as are available from the input buffer
+ *
+ * @private
+ */
+function readMessages() {
+	var headerEnd,
+		contentLength,
+		body,
+		message;
+	while ((headerEnd = inputBuffer.indexOf('\r\n\r\n')) !== -1) {
+		contentLength = /Content-Length:\s*(\d+)/i.exec(inputBuffer.slice(0, headerEnd).toString());
+		if (!contentLength) {
+			inputBuffer = inputBuffer.slice(headerEnd + 4);
+			continue;
+		}
+		contentLength = parseInt(contentLength[1], 10);
+		if (inputBuffer.length < headerEnd + 4 + contentLength) {
+			return;
+		}
+		body = inputBuffer.slice(headerEnd + 4, headerEnd + 4 + contentLength).toString('utf8');
+		inputBuffer = inputBuffer.slice(headerEnd + 4 + contentLength);
+		try {
+			message = JSON.parse(body);
+		} catch(e) {
+			send({
+				id: null,
+				error: {
+					code: errorCodes.parseError,
+					message: 'Could not parse message: ' + e.message
+				}
+			});
+			continue;
+		}
+		handleMessage(message);
+	}
+}
+
+// ******** API Methods ********
+
+/**
+ * Starts the language server. The server communicates using the base protocol of the Language Server Protocol, i.e.
+ * JSON-RPC messages with a Content-Length header. The following initialization options are supported, all optional:
+ * <ul>
+ *	<li><code>sdkPath</code>: the path to the Titanium SDK. Defaults to the SDK in the tiapp.xml, then the newest SDK</li>
+ *	<li><code>sdkPaths</code>: additional directories to search for SDKs</li>
+ *	<li><code>platform</code>: the platform to analyze. Defaults to the first deployment target in the tiapp.xml</li>
+ *	<li><code>plugins</code>: the names of the plugins to load</li>
+ *	<li><code>pluginPaths</code>: additional directories to search for plugins</li>
+ *	<li><code>options</code>: the runtime options, see {@link module:CodeProcessor.queryOptions}</li>
+ * </ul>
+ *
+ * @method module:LanguageServer.start
+ * @param {stream.Readable} input The stream to read messages from, usually stdin
+ * @param {stream.Writable} outputStream The stream to write messages to, usually stdout
+ */
+exports.start = start;
+function start(input, outputStream) {
+	output = outputStream;
+	inputBuffer = Buffer.concat([]);
+	processor = new CodeProcessor.Processor();
+	addReferenceListeners();
+	input.on('data', function (data) {
+		inputBuffer = Buffer.concat([inputBuffer, data]);
+		readMessages();
+	});
+	input.on('end', exit);
+	input.resume();
+}
@@ -0,0 +1,291 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * An instantiable code processor for embedding the code processor in a long-running process. The runtime state of the
+ * code processor (errors, warnings, ASTs, queued functions, options, etc.) lives in module-level variables, and the
+ * rule processors are attached to the uglify-js AST classes, so each instance loads its own copy of the code processor,
+ * uglify-js, and the plugins it uses. The copies are swapped into the module cache while the instance is in use and
+ * swapped back out afterwards, which keeps instances independent of each other and of the module-level
+ * {@link module:CodeProcessor} API. Only one analysis can be evaluated at a time since the analysis is synchronous, but
+ * any number of instances can exist at once.
+ *
+ * Failures are reported through the callback as a {@link module:Errors.CodeProcessorError} instead of exiting the
+ * process.
+ *
+ * @module Processor
+ */
+
+var path = require('path'),
+
+	Errors = require('./Errors'),
+
+	codeProcessorPath = path.join(__dirname, 'CodeProcessor.js'),
+	runtimePath = path.join(__dirname, 'Runtime.js'),
+
+	uglifyRoot = path.dirname(require.resolve('uglify-js/package.json')) + path.sep,
+	isolatedRoots = [
+		path.join(__dirname, '..') + path.sep,
+		uglifyRoot
+	],
+
+	// The other dependencies don't hold any analysis state, and some of them, such as node-appc, register process
+	// listeners when they are loaded, so they are shared by all instances
+	dependenciesRoot = path.join(__dirname, '..', 'node_modules') + path.sep,
+
+	// These modules are shared by all instances so that, e.g., errors can be checked with instanceof
+	sharedModules = [
+		__filename,
+		require.resolve('./Errors')
+	];
+
+// ******** Helper Methods ********
+
+/**
+ * Checks if a module is loaded separately for each instance
+ *
+ * @private
+ */
+function isIsolated(filename, roots) {
+	var i, len;
+	if (sharedModules.indexOf(filename) !== -1 ||
+			(filename.indexOf(dependenciesRoot) === 0 && filename.indexOf(uglifyRoot) !== 0)) {
+		return false;
+	}
+	for (i = 0, len = roots.length; i < len; i++) {
+		if (filename.indexOf(roots[i]) === 0) {
+			return true;
+		}
+	}
+	return false;
+}
+
+// ******** API Methods ********
+
+/**
+ * @classdesc A code processor instance. Each instance analyzes one project at a time, and the state of the last
+ * analysis is kept until the next call to run or until the instance is garbage collected
+ *
+ * @constructor module:Processor.Processor
+ */
+exports.Processor = Processor;
+function Processor() {
+	this._modules = {};
+	this._roots = isolatedRoots;
+	this._codeProcessor = undefined;
+	this._listeners = [];
+	this._depth = 0;
+	this._outerModules = undefined;
+}
+
+/**
+ * Swaps this instance's modules into the module cache. Calls may be nested
+ *
+ * @private
+ */
+Processor.prototype._enter = function _enter() {
+	var cache = require.cache,
+		outerModules,
+		filename;
+	if (this._depth++) {
+		return;
+	}
+	outerModules = this._outerModules = {};
+	for (filename in cache) {
+		if (isIsolated(filename, this._roots)) {
+			outerModules[filename] = cache[filename];
+			delete cache[filename];
+		}
+	}
+	for (filename in this._modules) {
+		cache[filename] = this._modules[filename];
+	}
+};
+
+/**
+ * Swaps this instance's modules, including any that were loaded while it was in use, out of the module cache and
+ * restores the modules that were there before
+ *
+ * @private
+ */
+Processor.prototype._exit = function _exit() {
+	var cache = require.cache,
+		modules,
+		filename,
+		roots = this._roots;
+	if (--this._depth) {
+		return;
+	}
+	modules = this._modules = {};
+	for (filename in cache) {
+		if (isIsolated(filename, roots)) {
+			modules[filename] = cache[filename];
+			delete cache[filename];
+		}
+	}
+	for (filename in this._outerModules) {
+		cache[filename] = this._outerModules[filename];
+	}
+	this._outerModules = undefined;
+
+	// Node records every module required from here as a child of this module, which would keep old instances alive
+	module.children = module.children.filter(function (child) {
+		return !isIsolated(child.filename, roots);
+	});
+};
+
+/**
+ * Calls a function of this instance's code processor with its modules swapped in
+ *
+ * @private
+ */
+Processor.prototype._call = function _call(name, args) {
+	if (!this._codeProcessor) {
+		throw new Errors.CodeProcessorError('The processor has not been run');
+	}
+	this._enter();
+	try {
+		return this._codeProcessor[name].apply(this._codeProcessor, args);
+	} finally {
+		this._exit();
+	}
+};
+
+/**
+ * Adds a listener for a {@link module:Runtime} event, e.g. "requireResolved". The listener is added to every analysis
+ * run by this instance
+ *
+ * @method module:Processor.Processor#on
+ * @param {string} name The name of the event to listen to
+ * @param {module:Runtime.eventedOnCallback} callback The function to call when the event is fired
+ */
+Processor.prototype.on = function on(name, callback) {
+	this._listeners.push({
+		name: name,
+		callback: callback
+	});
+};
+
+/**
+ * The processor run callback definition
+ *
+ * @callback module:Processor.runCallback
+ * @param {(module:Errors.CodeProcessorError | null)} err The reason the project could not be analyzed, if any
+ * @param {(module:CodeProcessor.getResultsReturnValue | undefined)} results The results of the analysis, if it
+ *		succeeded
+ */
+/**
+ * Analyzes a project. Any state from a previous analysis by this instance is discarded
+ *
+ * @method module:Processor.Processor#run
+ * @param {module:CodeProcessor.sourceInformation} sourceInformation The source information for the project
+ * @param {Object} options The options for the run. See {@link module:CodeProcessor.queryOptions} for more info
+ * @param {Array.<module:CodeProcessor.pluginInformation>} plugins The plugins to load
+ * @param {(Object | undefined)} logger A logger instance from the CLI (can be a CLI logger, which wraps winston, or a
+ *		winston logger directly)
+ * @param {module:Processor.runCallback} callback The callback to call once processing is complete
+ */
+Processor.prototype.run = function run(sourceInformation, options, plugins, logger, callback) {
+	var self = this,
+		runtime,
+		inProgress = true,
+		completed = false,
+		error;
+
+	function finish(err) {
+		var results;
+		if (!err) {
+			try {
+				results = self.getResults();
+			} catch(e) {
+				err = new Errors.InternalError('Internal error ' + e.message, e);
+			}
+		}
+		callback(err || null, results);
+	}
+
+	plugins = plugins || [];
+	this._modules = {};
+	this._roots = isolatedRoots.concat(plugins.map(function (plugin) {
+		return path.resolve(plugin.path) + path.sep;
+	}));
+
+	this._enter();
+	try {
+		this._codeProcessor = require(codeProcessorPath);
+		runtime = require(runtimePath);
+		this._listeners.forEach(function (listener) {
+			runtime.on(listener.name, listener.callback);
+		});
+		this._codeProcessor.analyze(sourceInformation, options, plugins, logger, function (err) {
+
+			// The callback is called synchronously if there are no results pages to generate, in which case the
+			// results are reported once this instance's modules are swapped out
+			if (inProgress) {
+				completed = true;
+				error = err;
+			} else {
+				finish(err);
+			}
+		});
+	} catch(e) {
+		completed = true;
+		error = new Errors.InternalError('Could not load the code processor: ' + e.message, e);
+	} finally {
+		inProgress = false;
+		this._exit();
+	}
+
+	if (completed) {
+		finish(error);
+	}
+};
+
+/**
+ * Gets the results of the last analysis. See {@link module:CodeProcessor.getResults} for more info
+ *
+ * @method module:Processor.Processor#getResults
+ * @return {module:CodeProcessor.getResultsReturnValue} The results of the analysis
+ */
+Processor.prototype.getResults = function getResults() {
+	return this._call('getResults', []);
+};
+
+/**
+ * Checks whether or not the last analysis failed according to the failOn option. See
+ * {@link module:CodeProcessor.isFailure} for more info
+ *
+ * @method module:Processor.Processor#isFailure
+ * @param {module:CodeProcessor.getResultsReturnValue} [results] The results to check. Defaults to the results of the
+ *		last analysis
+ * @return {boolean} Whether or not the analysis failed
+ */
+Processor.prototype.isFailure = function isFailure(results) {
+	return this._call('isFailure', [results]);
+};
+
+/**
+ * Gets the values that an identifier had on a line during the last analysis, which must have been run with the
+ * recordValues option. See {@link module:AnalysisState.getValues} for more info
+ *
+ * @method module:Processor.Processor#getValues
+ * @param {string} filename The file, relative to the project directory or absolute
+ * @param {number} line The line, starting at 1
+ * @param {string} name The name of the identifier
+ * @return {module:AnalysisState.getValuesReturnValue} The values of the identifier
+ */
+Processor.prototype.getValues = function getValues(filename, line, name) {
+	return this._call('getValues', [filename, line, name]);
+};
+
+/**
+ * Gets the places that the functions with the given name were called from during the last analysis. See
+ * {@link module:AnalysisState.getCallers} for more info
+ *
+ * @method module:Processor.Processor#getCallers
+ * @param {string} name The name of the function
+ * @return {Array.<module:AnalysisState.calledFunction>} The functions with the name
+ */
+Processor.prototype.getCallers = function getCallers(name) {
+	return this._call('getCallers', [name]);
+};
@@ -0,0 +1,188 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Detects the layout of a Titanium project and creates the source information and plugin options for analyzing it.
+ * Shared by the CLI command and the language server so that both analyze a project the same way.
+ *
+ * @module Project
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+
+	tiappPropertyTypes = {
+		bool: function (value) {
+			return value === 'true';
+		},
+		int: function (value) {
+			return parseInt(value, 10);
+		},
+		double: function (value) {
+			return parseFloat(value);
+		}
+	};
+
+// ******** Helper Methods ********
+
+/**
+ * Unescapes the XML entities in a tiapp.xml text node
+ *
+ * @private
+ */
+function unescapeXML(value) {
+	return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'')
+		.replace(/&amp;/g, '&');
+}
+
+// ******** API Methods ********
+
+/**
+ * Checks if a project is an Alloy project
+ *
+ * @method module:Project.isAlloyProject
+ * @param {string} projectDir The project directory
+ * @return {boolean} Whether or not the project is an Alloy project
+ */
+exports.isAlloyProject = isAlloyProject;
+function isAlloyProject(projectDir) {
+	return fs.existsSync(path.join(projectDir, 'app'));
+}
+
+/**
+ * Creates the source information for a project. The entry point is Resources/app.js, and the source maps of Alloy
+ * projects are used to map results back to the app directory
+ *
+ * @method module:Project.getSourceInformation
+ * @param {string} projectDir The project directory
+ * @return {module:CodeProcessor.sourceInformation} The source information for the project
+ */
+exports.getSourceInformation = getSourceInformation;
+function getSourceInformation(projectDir) {
+	var sourceInformation = {};
+	projectDir = sourceInformation.projectDir = path.resolve(projectDir);
+	sourceInformation.sourceDir = path.join(projectDir, 'Resources');
+	sourceInformation.entryPoint = path.join(projectDir, 'Resources', 'app.js');
+	if (isAlloyProject(projectDir)) {
+		sourceInformation.sourceMapDir = path.join(projectDir, 'build', 'map', 'Resources');
+		sourceInformation.originalSourceDir = path.join(projectDir, 'app');
+	}
+	return sourceInformation;
+}
+
+/**
+ * Information read from a tiapp.xml file
+ *
+ * @typedef {Object} module:Project.tiapp
+ * @property {(string | undefined)} sdkVersion The SDK version, if specified
+ * @property {Array.<string>} targets The enabled deployment targets, e.g. ["iphone", "android"]
+ * @property {Array.<Object>} modules The modules, each with an id and an optional platform and version
+ * @property {Object.<string, Object>} properties The app properties, in the same format as the CLI, i.e. each entry has
+ *		a type and a value
+ */
+/**
+ * Reads the parts of a tiapp.xml file that are needed for analysis without requiring the Titanium CLI. The CLI parses
+ * the tiapp.xml itself, so this is only used when running outside of the CLI
+ *
+ * @method module:Project.readTiapp
+ * @param {string} projectDir The project directory
+ * @return {(module:Project.tiapp | undefined)} The tiapp information, or undefined if there is no tiapp.xml
+ */
+exports.readTiapp = readTiapp;
+function readTiapp(projectDir) {
+	var tiappPath = path.join(projectDir, 'tiapp.xml'),
+		tiapp,
+		result,
+		sdkVersion,
+		attributeRegex = /(\w+)="([^"]*)"/g,
+		tagRegex,
+		attributes,
+		attribute,
+		match;
+
+	if (!fs.existsSync(tiappPath)) {
+		return;
+	}
+	tiapp = fs.readFileSync(tiappPath).toString().replace(/<!--[\s\S]*?-->/g, '');
+
+	function parseAttributes(source) {
+		var parsed = {};
+		attributeRegex.lastIndex = 0;
+		while (attribute = attributeRegex.exec(source)) {
+			parsed[attribute[1]] = unescapeXML(attribute[2]);
+		}
+		return parsed;
+	}
+
+	sdkVersion = /<sdk-version>\s*([^<]*?)\s*<\/sdk-version>/.exec(tiapp);
+	result = {
+		sdkVersion: sdkVersion ? sdkVersion[1] : undefined,
+		targets: [],
+		modules: [],
+		properties: {}
+	};
+
+	tagRegex = /<target([^>]*)>\s*true\s*<\/target>/g;
+	while (match = tagRegex.exec(tiapp)) {
+		attributes = parseAttributes(match[1]);
+		if (attributes.device) {
+			result.targets.push(attributes.device);
+		}
+	}
+
+	tagRegex = /<module([^>]*)>\s*([^<]*?)\s*<\/module>/g;
+	while (match = tagRegex.exec(tiapp)) {
+		attributes = parseAttributes(match[1]);
+		result.modules.push({
+			id: match[2],
+			platform: attributes.platform,
+			version: attributes.version
+		});
+	}
+
+	tagRegex = /<property([^>]*)>([^<]*)<\/property>/g;
+	while (match = tagRegex.exec(tiapp)) {
+		attributes = parseAttributes(match[1]);
+		if (attributes.name) {
+			attributes.type = attributes.type || 'string';
+			result.properties[attributes.name] = {
+				type: attributes.type,
+				value: (tiappPropertyTypes[attributes.type] || String)(unescapeXML(match[2]))
+			};
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Sets the project specific options of each plugin that needs them
+ *
+ * @method module:Project.configurePlugins
+ * @param {Array.<module:CodeProcessor.pluginInformation>} plugins The plugins to configure
+ * @param {Object} settings The project settings
+ * @param {string} settings.platform The platform to analyze
+ * @param {string} settings.sdkPath The path to the Titanium SDK
+ * @param {Object} settings.modules The modules for each platform, keyed by platform and then module id, with the path
+ *		to the module as the value (or null for native modules)
+ * @param {Object} settings.tiappProperties The app properties from the tiapp.xml
+ * @param {(string | undefined)} settings.resultsPath The results path, if any, used to place visualizations
+ * @param {boolean} settings.analyzeBlacklistedFiles Whether or not visualizations include blacklisted files
+ */
+exports.configurePlugins = configurePlugins;
+function configurePlugins(plugins, settings) {
+	plugins.forEach(function (plugin) {
+		var name = path.basename(plugin.path);
+		if (name === 'ti-api-provider') {
+			plugin.options.platform = settings.platform;
+			plugin.options.sdkPath = settings.sdkPath;
+			plugin.options.modules = settings.modules;
+			plugin.options.tiappProperties = settings.tiappProperties;
+		} else if (name === 'analysis-coverage' || name === 'unknown-ambiguous-visualizer') {
+			plugin.options.visualization = {
+				outputDirectory: settings.resultsPath ? path.join(settings.resultsPath, name) : undefined
+			};
+			plugin.options.analyzeBlacklistedFiles = settings.analyzeBlacklistedFiles;
+		}
+	});
+}
@@ -0,0 +1,265 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Answers requests about the state of an analysis over the stream output format, so that a client such as an IDE can
+ * inspect the analysis without reimplementing the engine. Requests are read from the input as "REQ" packets, and each
+ * one is answered with a "RES" packet with the same sequence ID. The analysis is kept in memory by a
+ * {@link module:Processor} instance until the client asks to exit.
+ *
+ * @module QueryServer
+ */
+
+var Errors = require('./Errors'),
+
+	headerRegex = /^(REQ),([0-9a-fA-F]{8}),([0-9a-fA-F]{8}),/,
+	headerLength = 22,
+
+	requestHandlers = {
+		getValues: getValues,
+		getCallers: getCallers,
+		rerun: rerun,
+		exit: exit
+	};
+
+// ******** Helper Methods ********
+
+/**
+ * Writes a packet in the low level packet format
+ *
+ * @private
+ */
+function writePacket(output, messageType, sequenceID, message) {
+	message = JSON.stringify(message);
+	output.write(messageType + ',' + sequenceID + ',' + ('00000000' + message.length.toString(16)).slice(-8) + ',' +
+		message + '\n');
+}
+
+/**
+ * Checks that a request contains the given properties, with the given types
+ *
+ * @private
+ */
+function validateData(data, properties) {
+	Object.keys(properties).forEach(function (name) {
+		if (!data || typeof data[name] !== properties[name]) {
+			throw new Errors.CodeProcessorError('The "' + name + '" property must be a ' + properties[name]);
+		}
+	});
+}
+
+/**
+ * Gets the values of an identifier
+ *
+ * @private
+ */
+function getValues(server, data, callback) {
+	validateData(data, {
+		filename: 'string',
+		line: 'number',
+		name: 'string'
+	});
+	callback(null, server.processor.getValues(data.filename, data.line, data.name));
+}
+
+/**
+ * Gets the callers of a function
+ *
+ * @private
+ */
+function getCallers(server, data, callback) {
+	validateData(data, {
+		name: 'string'
+	});
+	callback(null, server.processor.getCallers(data.name));
+}
+
+/**
+ * Re-analyzes the project with new options
+ *
+ * @private
+ */
+function rerun(server, data, callback) {
+	if (data && data.options !== undefined && (typeof data.options !== 'object' || Array.isArray(data.options))) {
+		throw new Errors.CodeProcessorError('The "options" property must be an object');
+	}
+	server.rerun(data && data.options || {}, function (err) {
+		callback(err, null);
+	});
+}
+
+/**
+ * Stops answering requests
+ *
+ * @private
+ */
+function exit(server, data, callback) {
+	server.exiting = true;
+	callback(null, null);
+}
+
+/**
+ * Handles a request, answering it once it has been handled. Requests are handled one at a time, in the order they
+ * were received, since re-running the analysis replaces the state the other requests query
+ *
+ * @private
+ */
+function handleRequest(server, sequenceID, message, callback) {
+	var request,
+		handler;
+
+	function respond(err, data) {
+		var response = {
+			messageType: request && request.messageType || null
+		};
+		if (err) {
+			response.error = err.message;
+		} else {
+			response.data = data === undefined ? null : data;
+		}
+		writePacket(server.output, 'RES', sequenceID, response);
+		callback();
+	}
+
+	try {
+		request = JSON.parse(message);
+	} catch(e) {
+		respond(new Errors.CodeProcessorError('Could not parse request: ' + e.message));
+		return;
+	}
+	handler = request && Object.prototype.hasOwnProperty.call(requestHandlers, request.messageType) &&
+		requestHandlers[request.messageType];
+	if (!handler) {
+		respond(new Errors.CodeProcessorError('Unsupported message type "' + (request && request.messageType) + '"'));
+		return;
+	}
+	try {
+		handler(server, request.data, respond);
+	} catch(e) {
+		respond(e);
+	}
+}
+
+/**
+ * Handles the queued requests one at a time
+ *
+ * @private
+ */
+function processQueue(server) {
+	var request;
+	if (server.busy) {
+		return;
+	}
+	if (server.exiting || server.ended && !server.queue.length) {
+		server.input.removeListener('data', server.onData);
+		server.input.removeListener('end', server.onEnd);
+		server.input.pause();
+		server.callback();
+		return;
+	}
+	request = server.queue.shift();
+	if (request) {
+		server.busy = true;
+		handleRequest(server, request.sequenceID, request.message, function () {
+			server.busy = false;
+			processQueue(server);
+		});
+	}
+}
+
+/**
+ * Reads the complete packets in the input buffer. Anything between packets, such as the newline at the end of each
+ * packet, is skipped
+ *
+ * @private
+ */
+function readPackets(server) {
+	var buffer = server.buffer,
+		header,
+		messageLength,
+		start;
+	while (true) {
+		start = buffer.search(/\S/);
+		if (start === -1) {
+			buffer = '';
+			break;
+		}
+		buffer = buffer.slice(start);
+		if (buffer.length < headerLength) {
+			break;
+		}
+		header = headerRegex.exec(buffer);
+		if (!header) {
+			writePacket(server.output, 'RES', '00000000', {
+				messageType: null,
+				error: 'Invalid packet header "' + buffer.slice(0, headerLength).split('\n')[0] + '"'
+			});
+
+			// Skip to the next line, which is where the next packet starts if the client ends packets with newlines
+			start = buffer.indexOf('\n');
+			buffer = start === -1 ? '' : buffer.slice(start + 1);
+			continue;
+		}
+		messageLength = parseInt(header[3], 16);
+		if (buffer.length < headerLength + messageLength) {
+			break;
+		}
+		server.queue.push({
+			sequenceID: header[2],
+			message: buffer.substr(headerLength, messageLength)
+		});
+		buffer = buffer.slice(headerLength + messageLength);
+	}
+	server.buffer = buffer;
+}
+
+// ******** API Methods ********
+
+/**
+ * Called to re-analyze the project
+ *
+ * @callback module:QueryServer.rerunFunction
+ * @param {Object} options The options to change, which are merged with the options of the previous run
+ * @param {Function} callback The function to call once the analysis is complete, with an error if it failed
+ */
+/**
+ * Starts answering requests. The requests are read until the client sends an exit request or the input ends
+ *
+ * @method module:QueryServer.start
+ * @param {module:Processor.Processor} processor The processor that analyzed the project, with the recordValues option
+ *		set if values are to be queried
+ * @param {module:QueryServer.rerunFunction} rerun The function that re-analyzes the project with the same processor
+ * @param {stream.Readable} input The stream to read requests from, e.g. process.stdin
+ * @param {stream.Writable} output The stream to write responses to, e.g. process.stdout
+ * @param {Function} callback The function to call once the client is done sending requests
+ */
+exports.start = start;
+function start(processor, rerun, input, output, callback) {
+	var server = {
+		processor: processor,
+		rerun: rerun,
+		input: input,
+		output: output,
+		callback: callback,
+		buffer: '',
+		queue: [],
+		busy: false,
+		exiting: false,
+		ended: false
+	};
+
+	server.onData = function (data) {
+		server.buffer += data;
+		readPackets(server);
+		processQueue(server);
+	};
+	server.onEnd = function () {
+		server.ended = true;
+		processQueue(server);
+	};
+
+	input.setEncoding('utf8');
+	input.on('data', server.onData);
+	input.on('end', server.onEnd);
+	input.resume();
+}
@@ -15,7 +15,9 @@ var Runtime = require('./Runtime'),
 	callLocationStack = [],
 	traceLocation = 0,
 	throwNativeException,
-	recursionExitPoint = -1;
+	recursionExitPoint = -1,
+	unknownInputStack = [],
+	taintedInputStack = [];
 
 /**
  * A return tuple is a value returned from a JavaScript statement. It is always composed of three elements. The first is
@@ -48,6 +50,16 @@ function preProcess(ast) {
 	// Store line and column numbers, if they exist
 	Runtime.setCurrentLocation(filename, line, column);
 
+	// The unknown values used by this rule are only tracked once one is found. Tainted values are only tracked once
+	// something has been tainted, so the depth of the rule is kept to tell which rules began before then
+	unknownInputStack.push(undefined);
+	if (Base.isTrackingTaint()) {
+		taintedInputStack.push({
+			depth: unknownInputStack.length,
+			inputs: undefined
+		});
+	}
+
 	// Make sure we haven't exceeded the time limit
 	if (Runtime.executionTimeLimit && Runtime.executionTimeLimit < Date.now()) {
 		throwNativeException('RangeError', 'Execution timeout exceeded');
@@ -100,11 +112,178 @@ function preProcess(ast) {
  */
 exports.postProcess = postProcess;
 function postProcess(ast, returnValue) {
+	var depth = unknownInputStack.length,
+		unknownInputs = unknownInputStack.pop(),
+		Base = require('./Base'),
+		taintedInputs,
+		origin;
+
 	returnValue = Array.isArray(returnValue) ? returnValue[1] : returnValue;
 	ast._unknown = ast._unknown || !!(returnValue && returnValue.type === 'Unknown');
+
+	// Unknown values created by this rule that haven't been described yet were derived from the unknown values it used
+	if (returnValue && returnValue.type === 'Unknown') {
+		origin = Base.getOrigin(returnValue);
+		if (!origin.description) {
+			Base.setUnknownOrigin(returnValue, describeRule(ast), unknownInputs);
+		}
+		addUnknownInput(returnValue);
+	} else if (returnValue && returnValue.type === 'Reference' && returnValue.baseValue &&
+			returnValue.baseValue.type === 'Unknown') {
+		addUnknownInput(returnValue.baseValue);
+	}
+
+	// Strings built from tainted values are tainted, and tainted values created by this rule that haven't been
+	// described yet, such as the results of native calls, are described by it
+	if (Base.isTrackingTaint()) {
+		taintedInputs = popTaintedInputs(depth);
+		if (Base.isTainted(returnValue) || (taintedInputs && Base.isTaintable(returnValue) &&
+				propagatesTaint(ast, returnValue))) {
+			Base.taintNewValue(returnValue, describeRule(ast), taintedInputs);
+			addTaintedInput(returnValue);
+		} else if (returnValue && returnValue.type === 'Reference' && Base.isTainted(returnValue.baseValue)) {
+			addTaintedInput(returnValue.baseValue);
+		}
+	}
+
 	Runtime.exitCurrentLocation();
 }
 
+/**
+ * Pops the tainted values used by the rule at the given depth, if the rule began after something was tainted. Rules
+ * that threw an exception never pop their tainted values, so those are discarded along the way.
+ *
+ * @private
+ */
+function popTaintedInputs(depth) {
+	var top = taintedInputStack[taintedInputStack.length - 1];
+	while (top && top.depth >= depth) {
+		taintedInputStack.pop();
+		if (top.depth === depth) {
+			return top.inputs;
+		}
+		top = taintedInputStack[taintedInputStack.length - 1];
+	}
+}
+
+/**
+ * Checks if the value created by a rule is derived from the tainted values it used. Only string concatenation derives
+ * new strings, other operators create numbers or booleans, or return one of their operands as is. The logical operators
+ * create a new unknown value when the operand they return is not known, as do property lookups on unknown values.
+ *
+ * @private
+ */
+function propagatesTaint(ast, returnValue) {
+	switch (ast.className) {
+		case 'AST_Binary':
+			return ast.operator === '+' ||
+				((ast.operator === '&&' || ast.operator === '||') && returnValue.type === 'Unknown');
+		case 'AST_Dot':
+		case 'AST_Sub':
+			return returnValue.type === 'Unknown';
+		case 'AST_Assign':
+			return ast.operator === '+=';
+		default:
+			return false;
+	}
+}
+
+/**
+ * Describes the operation performed by a rule, for use in the origins of unknown values
+ *
+ * @private
+ */
+function describeRule(ast) {
+	var name;
+	switch (ast.className) {
+		case 'AST_Call':
+		case 'AST_New':
+			name = describeExpression(ast.expression);
+			return name ? 'Result of calling "' + name + '"' : 'Result of a function call';
+		case 'AST_Binary':
+		case 'AST_UnaryPrefix':
+		case 'AST_UnaryPostfix':
+			return 'Result of the "' + ast.operator + '" operator';
+		case 'AST_Assign':
+			name = describeExpression(ast.left);
+			return 'Result of assigning to ' + (name ? '"' + name + '"' : 'a property');
+		case 'AST_Dot':
+		case 'AST_Sub':
+			name = describeExpression(ast);
+			return name ? 'Value of "' + name + '"' : 'Value of a computed property';
+		case 'AST_SymbolRef':
+			return 'Value of "' + ast.name + '"';
+		case 'AST_Conditional':
+			return 'Result of a conditional expression';
+		default:
+			return 'Result of ' + ast.className.replace('AST_', '');
+	}
+}
+
+/**
+ * Describes a simple expression, such as "Ti.UI.createWindow", or returns undefined for other expressions
+ *
+ * @private
+ */
+function describeExpression(ast) {
+	var base;
+	if (ast.className === 'AST_SymbolRef') {
+		return ast.name;
+	} else if (ast.className === 'AST_This') {
+		return 'this';
+	} else if (ast.className === 'AST_Dot') {
+		base = describeExpression(ast.expression);
+		return base && base + '.' + ast.property;
+	} else if (ast.className === 'AST_Sub') {
+		base = describeExpression(ast.expression);
+		return base && base + '[]';
+	}
+}
+
+/**
+ * Records that an unknown value was used by the rule currently being processed. If the rule creates an unknown value,
+ * the unknown values it used are recorded as the sources of the new value's origin.
+ *
+ * @method module:RuleProcessor.addUnknownInput
+ * @param {module:base/types/unknown.UnknownType} value The unknown value that was used
+ */
+exports.addUnknownInput = addUnknownInput;
+function addUnknownInput(value) {
+	var top = unknownInputStack.length - 1;
+	if (top < 0) {
+		return;
+	}
+	if (!unknownInputStack[top]) {
+		unknownInputStack[top] = [];
+	}
+	if (unknownInputStack[top].indexOf(value) === -1) {
+		unknownInputStack[top].push(value);
+	}
+}
+
+/**
+ * Records that a tainted value was used by the rule currently being processed. If the rule concatenates strings, the
+ * result is tainted by the tainted values it used, see {@link module:base/taint}.
+ *
+ * @method module:RuleProcessor.addTaintedInput
+ * @param {module:base.BaseType} value The tainted value that was used
+ */
+exports.addTaintedInput = addTaintedInput;
+function addTaintedInput(value) {
+	var top = taintedInputStack[taintedInputStack.length - 1];
+
+	// Rules that began before anything was tainted do not track the tainted values they use
+	if (!top || top.depth !== unknownInputStack.length) {
+		return;
+	}
+	if (!top.inputs) {
+		top.inputs = [];
+	}
+	if (top.inputs.indexOf(value) === -1) {
+		top.inputs.push(value);
+	}
+}
+
 /**
  * Enters a function call by pushing the function information on the call stack
  *
@@ -12,6 +12,9 @@ var path = require('path'),
 
 	errors = [],
 	warnings = [],
+	infos = [],
+	ambiguousBlocks = [],
+	ambiguousBlockLocations = {},
 
 	logger,
 
@@ -25,6 +28,8 @@ var path = require('path'),
 	asts = {},
 	astIdentifier = 1,
 
+	suppressions = {},
+
 	delayedFunctionsQueue = [],
 	delayedFunctionsQueueIndex = 0;
 
@@ -49,6 +54,19 @@ var path = require('path'),
  * @property {boolean} processUnvisitedCode When set to true, all nodes and files that are not visited/skipped will be
  *		processed in ambiguous mode after all other code has been processed. While this will cause more of a project to
  *		be analyzed, this will decrease accuracy and can generate a lot of false positives.
+ * @property {Object.<string, string>} severities The severity of each type of error and warning, overriding the
+ *		severity chosen by the reporter. Each key is a type, e.g. "invalidPlatformReferenced", and each value is one of
+ *		"off", "info", "warning", or "error"
+ * @property {(string | undefined)} failOn The minimum severity, one of "info", "warning", or "error", of the errors and
+ *		warnings that cause the analysis to be considered a failure. Undefined means the analysis never fails
+ * @property {(string | undefined)} baseline The path to the baseline file of known errors and warnings. Undefined
+ *		means no baseline is used
+ * @property {boolean} updateBaseline Indicates whether or not the baseline file is rewritten from the findings of the
+ *		run instead of being compared against
+ * @property {(string | undefined)} cacheDir The directory to cache parsed files and analysis results in. Undefined
+ *		means caching is disabled
+ * @property {boolean} recordValues Indicates whether or not the values of identifiers are recorded so that they can be
+ *		queried once the analysis is complete. See {@link module:AnalysisState} for more info
  */
 exports.options = {
 	invokeMethods: true,
@@ -61,7 +79,10 @@ exports.options = {
 	nativeExceptionRecovery: true,
 	executionTimeLimit: 300000, // 5 minute timeout
 	exactMode: false,
-	processUnvisitedCode: false
+	processUnvisitedCode: false,
+	recordValues: false,
+	updateBaseline: false,
+	severities: {}
 };
 
 /**
@@ -227,6 +248,52 @@ function setAST(ast, filename) {
 	asts[filename] = ast;
 }
 
+/**
+ * A region of code where errors and warnings are suppressed via comments
+ *
+ * @typedef {Object} module:Runtime.suppression
+ * @property {number} startLine The first line of the region
+ * @property {number} endLine The last line of the region
+ * @property {(Array.<string> | undefined)} types The types of errors and warnings to suppress, or undefined to suppress
+ *		all types
+ */
+/**
+ * Sets the suppression regions for a file
+ *
+ * @method module:Runtime.setSuppressions
+ * @param {string} filename The name of the file
+ * @param {Array.<module:Runtime.suppression>} fileSuppressions The suppression regions in the file
+ */
+exports.setSuppressions = setSuppressions;
+function setSuppressions(filename, fileSuppressions) {
+	suppressions[filename] = fileSuppressions;
+}
+
+/**
+ * Checks if an error or warning of the given type is suppressed at the given location
+ *
+ * @method module:Runtime.isSuppressed
+ * @param {string} type The type of the error or warning
+ * @param {module:Runtime.location} location The location of the error or warning
+ * @return {boolean} Whether or not the error or warning is suppressed
+ */
+exports.isSuppressed = isSuppressed;
+function isSuppressed(type, location) {
+	var fileSuppressions = location.filename && suppressions[location.filename],
+		suppression,
+		i, len;
+	if (fileSuppressions) {
+		for (i = 0, len = fileSuppressions.length; i < len; i++) {
+			suppression = fileSuppressions[i];
+			if (location.line >= suppression.startLine && location.line <= suppression.endLine &&
+					(!suppression.types || suppression.types.indexOf(type) !== -1)) {
+				return true;
+			}
+		}
+	}
+	return false;
+}
+
 /**
  * Gets the list of ASTs that have been processed
  *
@@ -299,7 +366,7 @@ function getNextUnprocessedFunction() {
 }
 
 /**
- * Queues a function for later evaluation
+ * Queues a function for later evaluation. A function is only queued once from each location
  *
  * @method module:Runtime.queueFunction
  * @param {module:base/types/function.FunctionType} func The function to execute later
@@ -311,16 +378,19 @@ function getNextUnprocessedFunction() {
 exports.queueFunction = queueFunction;
 function queueFunction(func, thisVal, args, ambiguousContext, skippedContext) {
 
-	// Make sure that the function isn't already in the queue
+	// Make sure that the function isn't already queued from this location. Functions are compared by their AST so that
+	// closures created by the same function expression are only queued once
 	var location = getCurrentLocation(),
 		filename = location.filename,
 		line = location.line,
 		column = location.column,
+		funcKey = func._ast || func,
 		i, len;
 	for (i = 0, len = delayedFunctionsQueue.length; i < len; i++) {
 		if (delayedFunctionsQueue[i].filename === filename &&
 				delayedFunctionsQueue[i].line === line &&
-				delayedFunctionsQueue[i].column === column) {
+				delayedFunctionsQueue[i].column === column &&
+				(delayedFunctionsQueue[i].func._ast || delayedFunctionsQueue[i].func) === funcKey) {
 			return;
 		}
 	}
@@ -402,6 +472,8 @@ function Evented() {
  * @property {(number | undefined)} line The line number of the file being processed when the event was triggered, if any
  * @property {(number | undefined)} column The column number of the file being processed when the event was triggered, if any
  * @property {Object} data The event-specific information
+ * @property {(Array.<module:base/types/unknown.explanationStep> | undefined)} explanation Why the value that caused a
+ *		reported warning or ambiguous block is unknown, if known
  */
 /**
  * A callback to be called when an event is fired
@@ -474,7 +546,59 @@ function fireEvent() {
 // ******** Error/warning Methods ********
 
 /**
- * Reports an error
+ * Records an error, warning, or info using the severity configured for its type, or the default severity if the type
+ * is not configured
+ *
+ * @private
+ */
+function addFinding(eventObject, defaultSeverity, stackTrace) {
+	var severities = exports.options.severities,
+		severity = severities && severities.hasOwnProperty(eventObject.type) ?
+			severities[eventObject.type] : defaultSeverity,
+		list,
+		logLevel,
+		finding,
+		i, len;
+
+	if (severity === 'off') {
+		return;
+	} else if (severity === 'error') {
+		list = errors;
+		logLevel = 'error';
+	} else if (severity === 'warning') {
+		list = warnings;
+		logLevel = 'warn';
+	} else {
+		list = infos;
+		logLevel = 'info';
+	}
+
+	for (i = 0, len = list.length; i < len; i++) {
+		finding = list[i];
+		if (finding.filename === eventObject.filename && finding.line === eventObject.line &&
+				finding.column === eventObject.column && finding.type === eventObject.type &&
+				finding.description === eventObject.description) {
+			finding.occurances++;
+			return;
+		}
+	}
+	eventObject.occurances = 1;
+	if (isSuppressed(eventObject.type, eventObject)) {
+		eventObject.suppressed = true;
+		log('debug', 'Suppressed ' + severity + ' ' + eventObject.type + ': ' + eventObject.description);
+	} else {
+		fireEvent(severity + 'Reported', eventObject.type + ': ' + eventObject.description, {
+			type: eventObject.type,
+			description: eventObject.description
+		});
+		log(logLevel, eventObject.type + ': ' + eventObject.description +
+			(stackTrace ? '\n    at ' + stackTrace.join('\n    at ') : ''));
+	}
+	list.push(eventObject);
+}
+
+/**
+ * Reports an error. The error is reported with the severity configured for its type in the severities option, if any
  *
  * @method module:Runtime.reportError
  * @param {string} type The type of the error, e.g. 'SyntaxError'
@@ -489,25 +613,7 @@ function reportError(type, description, stackTrace) {
 		return;
 	}
 
-	var i, len,
-		error,
-		eventObject = createEventObject(type, description || '');
-	for (i = 0, len = errors.length; i < len; i++) {
-		error = errors[i];
-		if (error.file === eventObject.file && error.line === eventObject.line && error.column === eventObject.column &&
-				error.type === eventObject.type && error.description === eventObject.description) {
-			error.occurances++;
-			return;
-		}
-	}
-	eventObject.occurances = 1;
-	fireEvent('errorReported', type + ': ' + description, {
-		type: type,
-		description: description
-	});
-	log('error', type + ': ' + description +
-		(stackTrace ? '\n    at ' + stackTrace.join('\n    at ') : ''));
-	errors.push(eventObject);
+	addFinding(createEventObject(type, description || ''), 'error', stackTrace);
 }
 
 /**
@@ -525,62 +631,67 @@ function reportUglifyError(uglifyError) {
 		return;
 	}
 
-	var i, len,
-		error,
-		eventObject = createEventObject('SyntaxError', uglifyError.message || '');
+	var eventObject = createEventObject('SyntaxError', uglifyError.message || '');
 	eventObject.filename = uglifyError.filename;
 	eventObject.line = uglifyError.line;
 	eventObject.column = uglifyError.column;
-	for (i = 0, len = errors.length; i < len; i++) {
-		error = errors[i];
-		if (error.file === eventObject.file && error.line === eventObject.line && error.column === eventObject.column &&
-				error.type === eventObject.type && error.description === eventObject.description) {
-			error.occurances++;
-			return;
-		}
-	}
-	eventObject.occurances = 1;
-	fireEvent('errorReported', 'SyntaxError: ' + uglifyError.message, {
-		type: 'SyntaxError',
-		description: uglifyError.message
-	});
-	log('error', 'SyntaxError: ' + uglifyError.message);
-	errors.push(eventObject);
+	addFinding(eventObject, 'error');
 }
 
 /**
- * Reports a warning
+ * Reports a warning. The warning is reported with the severity configured for its type in the severities option, if any
  *
  * @method module:Runtime.reportWarning
  * @param {string} type The type of the warning, e.g. 'requireMissing.'  Note: the type will be made lowercase.
  * @param {string} description A description of the warning, e.g. 'A required file could not be found'
+ * @param {Array.<module:base/types/unknown.explanationStep>} [explanation] Why the value that caused the warning is
+ *		unknown, as returned by {@link module:base/types/unknown.explainUnknown}
  */
 exports.reportWarning = reportWarning;
-function reportWarning(type, description) {
+function reportWarning(type, description, explanation) {
 
 	// Squash the reporting of the error if we are in skipped mode
 	if (require('./Base').isSkippedMode()) {
 		return;
 	}
 
-	var i, len,
-		warning,
-		eventObject = createEventObject(type, description || '');
-	for (i = 0, len = warnings.length; i < len; i++) {
-		warning = warnings[i];
-		if (warning.file === eventObject.file && warning.line === eventObject.line && warning.column === eventObject.column &&
-				warning.type === eventObject.type && warning.description === eventObject.description) {
-			warning.occurances++;
-			return;
-		}
+	var eventObject = createEventObject(type, description || '');
+	if (explanation) {
+		eventObject.explanation = explanation;
+	}
+	addFinding(eventObject, 'warning');
+}
+
+/**
+ * Reports that an ambiguous block was entered at the current location. Each location is only explained once, the
+ * number of times it was entered is counted in the occurances property
+ *
+ * @method module:Runtime.reportAmbiguousBlock
+ * @param {string} description Why the block is ambiguous, e.g. 'The condition of the if statement is unknown'
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} [cause] The unknown value, or
+ *		the origin of whatever else, that made the block ambiguous
+ */
+exports.reportAmbiguousBlock = reportAmbiguousBlock;
+function reportAmbiguousBlock(description, cause) {
+	var Base = require('./Base'),
+		eventObject,
+		key;
+
+	// Squash the reporting of the block if we are in skipped mode
+	if (Base.isSkippedMode()) {
+		return;
+	}
+
+	eventObject = createEventObject('ambiguousBlock', description);
+	key = eventObject.filename + ':' + eventObject.line + ':' + eventObject.column + ':' + description;
+	if (ambiguousBlockLocations.hasOwnProperty(key)) {
+		ambiguousBlockLocations[key].occurances++;
+		return;
 	}
 	eventObject.occurances = 1;
-	fireEvent('warningReported', type + ': ' + description, {
-		type: type,
-		description: description
-	});
-	log('warn', type + ': ' + description);
-	warnings.push(eventObject);
+	eventObject.explanation = cause ? Base.explainUnknown(cause) : [];
+	ambiguousBlockLocations[key] = eventObject;
+	ambiguousBlocks.push(eventObject);
 }
 
 /**
@@ -605,6 +716,28 @@ function getReportedWarnings() {
 	return warnings;
 }
 
+/**
+ * Gets the list of all errors and warnings whose severity was changed to "info" via the severities option
+ *
+ * @method module:Runtime.getReportedInfos
+ * @return {Array.<module:Runtime.eventObject>} The list of infos
+ */
+exports.getReportedInfos = getReportedInfos;
+function getReportedInfos() {
+	return infos;
+}
+
+/**
+ * Gets the list of all ambiguous blocks reported via {@link module:Runtime.reportAmbiguousBlock}
+ *
+ * @method module:Runtime.getReportedAmbiguousBlocks
+ * @return {Array.<module:Runtime.eventObject>} The list of ambiguous blocks, each with an explanation property
+ */
+exports.getReportedAmbiguousBlocks = getReportedAmbiguousBlocks;
+function getReportedAmbiguousBlocks() {
+	return ambiguousBlocks;
+}
+
 // ******** Logging Methods ********
 
 /**
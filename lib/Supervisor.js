@@ -0,0 +1,156 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Runs independent analyses in parallel. The runtime is a process-wide singleton, so each analysis is run in its own
+ * {@link module:AnalysisWorker} process, and up to a maximum number of workers are run at the same time. Log messages
+ * from each worker are forwarded to the runtime logger, prefixed with the name of the analysis. Errors sent by a worker
+ * are turned back into the {@link module:Errors.CodeProcessorError} subclass that the worker reported.
+ *
+ * @module Supervisor
+ */
+
+var path = require('path'),
+	os = require('os'),
+	fork = require('child_process').fork,
+
+	Runtime = require('./Runtime'),
+	Errors = require('./Errors');
+
+// ******** Helper Methods ********
+
+/**
+ * Creates a code processor error from an error sent by a worker
+ *
+ * @private
+ */
+function createError(jobName, error) {
+	var message = 'The analysis for ' + jobName + ' failed: ' + error.message,
+		cause;
+	switch(error.name) {
+		case 'InvalidOptionError':
+			return new Errors.InvalidOptionError(message);
+		case 'PluginError':
+			return new Errors.PluginError(message, error.plugin);
+		case 'InternalError':
+			if (error.causeStack) {
+				cause = new Error(error.message);
+				cause.stack = error.causeStack;
+			}
+			return new Errors.InternalError(message, cause);
+		default:
+			return new Errors.CodeProcessorError(message);
+	}
+}
+
+// ******** API Methods ********
+
+/**
+ * An analysis to run in a worker process
+ *
+ * @typedef {Object} module:Supervisor.job
+ * @property {string} name The name of the analysis, used to key the responses and to prefix log messages
+ * @property {module:CodeProcessor.sourceInformation} sourceInformation The source information for the analysis
+ * @property {Object} options The options for the analysis. See {@link module:CodeProcessor.queryOptions} for more info
+ * @property {Array.<module:CodeProcessor.pluginInformation>} plugins The plugins to load
+ */
+/**
+ * The supervisor run callback definition
+ *
+ * @callback module:Supervisor.runCallback
+ * @param {(module:Errors.CodeProcessorError | null)} err The error, if a worker could not analyze its project or exited
+ *		before sending its results
+ * @param {Object.<string, module:AnalysisWorker.message>} responses The "results" message from each worker, keyed by
+ *		the name of the analysis
+ */
+/**
+ * Runs each analysis in a worker process, with at most maxWorkers workers running at a time. If a worker reports an
+ * error or exits before sending its results, the remaining workers are stopped and the callback is called with the
+ * error.
+ *
+ * @method module:Supervisor.run
+ * @param {Array.<module:Supervisor.job>} jobs The analyses to run
+ * @param {number} [maxWorkers] The maximum number of workers to run at a time. Defaults to the number of CPUs
+ * @param {module:Supervisor.runCallback} callback The callback to call once all analyses are complete
+ */
+exports.run = run;
+function run(jobs, maxWorkers, callback) {
+	var queue = [].concat(jobs),
+		runningWorkers = [],
+		responses = {},
+		finished = false;
+
+	maxWorkers = maxWorkers || getDefaultMaxWorkers();
+
+	function finish(err) {
+		if (!finished) {
+			finished = true;
+			runningWorkers.forEach(function (worker) {
+				worker.kill();
+			});
+			callback(err || null, responses);
+		}
+	}
+
+	function startWorker(job) {
+		// Output is only sent over IPC, so stdout is ignored instead of piped where it could fill up and block the worker
+		var worker = fork(path.join(__dirname, 'AnalysisWorker.js'), [], {
+			stdio: ['ignore', 'ignore', 'pipe', 'ipc']
+		});
+
+		Runtime.log('info', 'Starting the analysis for ' + job.name);
+		runningWorkers.push(worker);
+
+		worker.stderr.pipe(process.stderr);
+		worker.on('message', function (message) {
+			if (message.type === 'log') {
+				Runtime.log(message.level, '[' + job.name + '] ' + message.message);
+			} else if (message.type === 'results') {
+				responses[job.name] = message;
+			} else if (message.type === 'error') {
+				finish(createError(job.name, message.error));
+			}
+		});
+		worker.on('exit', function (code) {
+			runningWorkers.splice(runningWorkers.indexOf(worker), 1);
+			if (finished) {
+				return;
+			}
+			if (!responses[job.name]) {
+				finish(new Errors.InternalError('The analysis for ' + job.name + ' exited with code ' + code +
+					' before sending its results'));
+			} else {
+				Runtime.log('info', 'Finished the analysis for ' + job.name);
+				pump();
+			}
+		});
+
+		worker.send({
+			sourceInformation: job.sourceInformation,
+			options: job.options,
+			plugins: job.plugins
+		});
+	}
+
+	function pump() {
+		while (queue.length && runningWorkers.length < maxWorkers) {
+			startWorker(queue.shift());
+		}
+		if (!queue.length && !runningWorkers.length) {
+			finish();
+		}
+	}
+
+	pump();
+}
+
+/**
+ * Gets the default maximum number of workers to run at a time, which is the number of CPUs
+ *
+ * @method module:Supervisor.getDefaultMaxWorkers
+ * @return {number} The default maximum number of workers
+ */
+exports.getDefaultMaxWorkers = getDefaultMaxWorkers;
+function getDefaultMaxWorkers() {
+	return os.cpus().length || 1;
+}
@@ -0,0 +1,355 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Keeps a project analyzed while it is being edited. The source directory and the tiapp.xml are watched for changes,
+ * the project is re-analyzed after each change, and the findings that were added or resolved since the previous run
+ * are output.
+ *
+ * @module Watcher
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+
+	Runtime = require('./Runtime'),
+	CodeProcessor = require('./CodeProcessor'),
+	CodeProcessorUtils = require('./CodeProcessorUtils'),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	findingTypes = {
+		errors: 'error',
+		warnings: 'warning',
+		infos: 'info'
+	},
+
+	hiddenFileRegex = /^\./,
+
+	// The time to wait for more changes before re-analyzing, since saving a file often fires several events
+	changeDelay = 200;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the key used to match a finding between runs. Like baseline fingerprints, the line and column are not part of
+ * the key so that findings below an edit are not reported as both resolved and added
+ *
+ * @private
+ */
+function getFindingKey(finding) {
+	return [finding.type, finding.filename, CodeProcessorUtils.getBaseDescription(finding),
+		(finding.targets || []).join(',')].join('|');
+}
+
+/**
+ * Gets the unsuppressed findings of each type from the results
+ *
+ * @private
+ */
+function getFindings(results) {
+	var findings = [];
+	Object.keys(findingTypes).forEach(function (findingType) {
+		(results[findingType] || []).forEach(function (finding) {
+			if (!finding.suppressed) {
+				findings.push({
+					severity: findingTypes[findingType],
+					type: finding.type,
+					description: CodeProcessorUtils.getBaseDescription(finding),
+					filename: finding.filename,
+					line: finding.line,
+					column: finding.column,
+					targets: finding.targets,
+					key: getFindingKey(finding)
+				});
+			}
+		});
+	});
+	return findings;
+}
+
+/**
+ * Removes the matching key from each finding in a diff
+ *
+ * @private
+ */
+function stripKeys(findings) {
+	findings.forEach(function (finding) {
+		delete finding.key;
+	});
+	return findings;
+}
+
+/**
+ * Renders a diff to a log-friendly string
+ *
+ * @private
+ */
+function renderLogOutput(diff, baseDirectory) {
+	var resultsToLog =
+			'\n\n******************************************\n' +
+			'*         ' + 'Changes Since Last Run'.cyan + '         *\n' +
+			'******************************************\n\n';
+
+	function createList(findings) {
+		return findings.map(function (finding) {
+			return {
+				severity: finding.severity,
+				description: finding.description,
+				filename: finding.filename ? finding.filename.replace(baseDirectory, '') : '',
+				line: finding.line
+			};
+		});
+	}
+
+	resultsToLog += 'Changed files: ' + (diff.changedFiles.map(function (file) {
+		return file.replace(baseDirectory, '');
+	}).join(', ') || 'none') + '\n';
+	if (!diff.added.length && !diff.resolved.length) {
+		return resultsToLog + 'No findings were added or resolved\n';
+	}
+	resultsToLog += pluralize('%s finding', '%s findings', diff.added.length) + ' added, ' +
+		pluralize('%s finding', '%s findings', diff.resolved.length) + ' resolved\n';
+	if (diff.added.length) {
+		resultsToLog += '\n\nAdded\n';
+		resultsToLog += CodeProcessor.arrayGen(['Severity', 'Description', 'File', 'Line'], createList(diff.added),
+			['severity', 'description', 'filename', 'line']);
+	}
+	if (diff.resolved.length) {
+		resultsToLog += '\n\nResolved\n';
+		resultsToLog += CodeProcessor.arrayGen(['Severity', 'Description', 'File', 'Line'], createList(diff.resolved),
+			['severity', 'description', 'filename', 'line']);
+	}
+	return resultsToLog + '\n';
+}
+
+/**
+ * Outputs a diff in the given output format
+ *
+ * @private
+ */
+function outputDiff(diff, outputFormat, baseDirectory) {
+	var packet;
+	if (outputFormat === 'report') {
+		console.log(renderLogOutput(diff, baseDirectory));
+	} else if (outputFormat === 'json') {
+		console.log(JSON.stringify(diff, false, '\t'));
+	} else if (outputFormat === 'stream') {
+		packet = JSON.stringify(diff);
+		console.log('REQ,01000003,' + ('00000000' + packet.length.toString(16)).slice(-8) + ',' + packet);
+	}
+}
+
+// ******** API Methods ********
+
+/**
+ * A finding that was added or resolved between two runs
+ *
+ * @typedef {Object} module:Watcher.changedFinding
+ * @property {string} severity The severity of the finding, one of "error", "warning", or "info"
+ * @property {string} type The type of the finding
+ * @property {string} description The description of the finding, without the number of occurances
+ * @property {string} filename The file containing the finding
+ * @property {number} line The line of the finding in the run that reported it
+ * @property {number} column The column of the finding in the run that reported it
+ * @property {(Array.<string> | undefined)} targets The targets the finding occured on, if multiple targets were
+ *		analyzed
+ */
+/**
+ * The findings that changed between two runs
+ *
+ * @typedef {Object} module:Watcher.diff
+ * @property {Array.<module:Watcher.changedFinding>} added The findings that were not reported by the previous run
+ * @property {Array.<module:Watcher.changedFinding>} resolved The findings from the previous run that are no longer
+ *		reported
+ * @property {Array.<string>} changedFiles The files that changed since the previous run
+ */
+/**
+ * Compares the findings of two runs. Findings are matched by their type, file, description, and targets, and the number
+ * of times each one is reported is taken into account
+ *
+ * @method module:Watcher.diffResults
+ * @param {(module:CodeProcessor.getResultsReturnValue | module:AnalysisMatrix.results)} previous The results of the
+ *		previous run
+ * @param {(module:CodeProcessor.getResultsReturnValue | module:AnalysisMatrix.results)} current The results of the
+ *		current run
+ * @return {module:Watcher.diff} The findings that changed, without any changed files
+ */
+exports.diffResults = diffResults;
+function diffResults(previous, current) {
+	var previousFindings = {},
+		added = [],
+		resolved = [];
+
+	getFindings(previous).forEach(function (finding) {
+		(previousFindings[finding.key] = previousFindings[finding.key] || []).push(finding);
+	});
+	getFindings(current).forEach(function (finding) {
+		var matches = previousFindings[finding.key];
+		if (matches && matches.length) {
+			matches.shift();
+		} else {
+			added.push(finding);
+		}
+	});
+	Object.keys(previousFindings).forEach(function (key) {
+		resolved = resolved.concat(previousFindings[key]);
+	});
+
+	return {
+		added: stripKeys(added),
+		resolved: stripKeys(resolved),
+		changedFiles: []
+	};
+}
+
+/**
+ * Called to analyze the project
+ *
+ * @callback module:Watcher.analyzeFunction
+ * @param {Array.<string>} changedFiles The files that changed since the previous run. Empty for the first run
+ * @param {Function} callback The function to call with the results once the analysis is complete, or with undefined if
+ *		the analysis failed
+ */
+/**
+ * Analyzes a project and re-analyzes it whenever a file in the source directory or the tiapp.xml changes. Changes made
+ * while an analysis is running are analyzed once it completes. After each run but the first, the findings that were
+ * added or resolved are output in the given format. The watchers keep the process alive until they are closed
+ *
+ * @method module:Watcher.watch
+ * @param {module:CodeProcessor.sourceInformation} sourceInformation The source information for the project
+ * @param {Object} options The watch options
+ * @param {string} options.outputFormat The output format, one of "report", "json", or "stream"
+ * @param {(string | undefined)} options.resultsPath The results path, if any. Changes to the results are ignored
+ * @param {module:Watcher.analyzeFunction} analyze The function that analyzes the project
+ * @param {(Object | undefined)} logger A logger instance from the CLI
+ * @return {Object} A handle with a close method that stops watching the project. A run that is in progress is
+ *		completed, but no further runs are started
+ */
+exports.watch = watch;
+function watch(sourceInformation, options, analyze, logger) {
+	var watchers = {},
+		changedFiles = [],
+		changeTimer,
+		running = false,
+		closed = false,
+		previousResults,
+		baseDirectory = sourceInformation.projectDir + path.sep,
+		tiappPath = path.join(sourceInformation.projectDir, 'tiapp.xml'),
+		ignoredDirectory = options.resultsPath && path.resolve(options.resultsPath) + path.sep;
+
+	Runtime.setLogger(logger);
+
+	function isIgnored(file) {
+		return hiddenFileRegex.test(path.basename(file)) ||
+			!!ignoredDirectory && (file + path.sep).indexOf(ignoredDirectory) === 0;
+	}
+
+	function fileChanged(file) {
+		if (closed || isIgnored(file)) {
+			return;
+		}
+		if (changedFiles.indexOf(file) === -1) {
+			changedFiles.push(file);
+		}
+		if (!running) {
+			clearTimeout(changeTimer);
+			changeTimer = setTimeout(run, changeDelay);
+		}
+	}
+
+	function watchDirectory(directory, filter) {
+		var watcher;
+		try {
+			watcher = fs.watch(directory, function (event, filename) {
+				var file = filename && path.join(directory, filename.toString());
+				if (file && (!filter || filter(file))) {
+					fileChanged(file);
+				}
+			});
+		} catch(e) {
+			Runtime.log('debug', 'Could not watch "' + directory + '": ' + e.message);
+			return;
+		}
+
+		// Directories that are deleted are unwatched the next time the watchers are updated
+		watcher.on('error', function () {});
+		watchers[directory] = watcher;
+	}
+
+	// Watches new directories and stops watching deleted ones, since directories cannot be watched recursively on all
+	// platforms
+	function updateWatchers() {
+		var directories = {};
+		directories[sourceInformation.sourceDir] = 1;
+		if (fs.existsSync(sourceInformation.sourceDir)) {
+			CodeProcessorUtils.crawlDirectory(sourceInformation.sourceDir, function () {
+				return false;
+			}, function (dirName, dirPath) {
+				if (!isIgnored(dirPath)) {
+					directories[dirPath] = 1;
+					return true;
+				}
+				return false;
+			});
+		}
+		Object.keys(watchers).forEach(function (directory) {
+			if (directory !== sourceInformation.projectDir && (!directories[directory] || !fs.existsSync(directory))) {
+				watchers[directory].close();
+				delete watchers[directory];
+			}
+		});
+		Object.keys(directories).forEach(function (directory) {
+			if (!watchers[directory] && fs.existsSync(directory)) {
+				watchDirectory(directory);
+			}
+		});
+	}
+
+	function run() {
+		var runChangedFiles = changedFiles;
+		changedFiles = [];
+		running = true;
+		updateWatchers();
+		if (runChangedFiles.length) {
+			Runtime.log('info', 'Re-analyzing the project because ' +
+				pluralize('%s file changed', '%s files changed', runChangedFiles.length));
+		}
+		analyze(runChangedFiles, function (results) {
+			var diff;
+			running = false;
+			if (results) {
+				if (previousResults) {
+					diff = diffResults(previousResults, results);
+					diff.changedFiles = runChangedFiles;
+					outputDiff(diff, options.outputFormat, baseDirectory);
+				}
+				previousResults = results;
+			}
+			if (closed) {
+				return;
+			}
+			Runtime.log('info', 'Watching "' + sourceInformation.sourceDir + '" for changes');
+			if (changedFiles.length) {
+				changeTimer = setTimeout(run, changeDelay);
+			}
+		});
+	}
+
+	// The project directory itself is only watched for the tiapp.xml, which editors often replace instead of modifying
+	watchDirectory(sourceInformation.projectDir, function (file) {
+		return file === tiappPath;
+	});
+	run();
+
+	return {
+		close: function () {
+			closed = true;
+			clearTimeout(changeTimer);
+			Object.keys(watchers).forEach(function (directory) {
+				watchers[directory].close();
+			});
+			watchers = {};
+		}
+	};
+}
@@ -160,6 +160,9 @@ Cloner.prototype.cloneValue = function cloneValue(source) {
 		default:
 			throw new Error('Internal Error: Cannot clone value of unknown class type "' + source.className + '"');
 	}
+	if (source._taint) {
+		cloned._taint = source._taint;
+	}
 	return cloned;
 };
 
@@ -314,6 +317,8 @@ Cloner.prototype.cloneReference = function cloneReference(source) {
 
 Cloner.prototype.cloneUnknown = function cloneUnknown(source) {
 	var cloned = new UnknownType();
+	cloned._origin = source._origin;
+	cloned._stringPattern = source._stringPattern;
 	if (!this._valueMap.has(source)) {
 		this._valueMap.set(source, cloned);
 	}
@@ -12,6 +12,7 @@ Runtime,
 FunctionTypeBase,
 addNonEnumerableProperty,
 UnknownType,
+setUnknownOrigin,
 prototypes,
 NumberType,
 StringType,
@@ -38,7 +39,7 @@ function DateParseFunc(className) {
 }
 util.inherits(DateParseFunc, FunctionTypeBase);
 DateParseFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	return new UnknownType();
+	return setUnknownOrigin(new UnknownType(), 'The return value of "Date.parse" is not evaluated');
 });
 
 /**
@@ -52,7 +53,7 @@ function DateUTCFunc(className) {
 }
 util.inherits(DateUTCFunc, FunctionTypeBase);
 DateUTCFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	return new UnknownType();
+	return setUnknownOrigin(new UnknownType(), 'The return value of "Date.UTC" is not evaluated');
 });
 
 /**
@@ -69,7 +70,7 @@ DateNowFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
 	if (Runtime.options.exactMode) {
 		return new NumberType(Date.now());
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The return value of "Date.now" is not known until runtime');
 	}
 });
 
@@ -95,7 +96,7 @@ DateConstructor.prototype.callFunction = wrapNativeCall(function callFunction()
 	if (Runtime.options.exactMode) {
 		return new StringType(Date());
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The return value of "Date" is not known until runtime');
 	}
 });
 DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
@@ -175,6 +176,6 @@ DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 		});
 		return dateObj;
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The value of "new Date" is not known until runtime');
 	}
 }, true);
\ No newline at end of file
@@ -11,6 +11,8 @@ Runtime,
 RuleProcessor,
 AST,
 UnknownType,
+createOrigin,
+setUnknownOrigin,
 UndefinedType,
 handleRecoverableNativeException,
 type,
@@ -22,7 +24,13 @@ isAccessorDescriptor,
 throwNativeException,
 NumberType,
 throwTypeError,
-toObject
+toObject,
+taint,
+isTainted,
+isTaintable,
+getTaintedValues,
+taintNewValue,
+isTrackingTaint
 */
 
 /*****************************************
@@ -121,7 +129,7 @@ DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBi
 	if (!bindings[n].isMutable) {
 		if (s) {
 			handleRecoverableNativeException('TypeError', 'Could not set binding: binding "' + n + '" is not mutable');
-			bindings[n].value = new UnknownType();
+			bindings[n].value = setUnknownOrigin(new UnknownType(), 'Assigned to immutable binding "' + n + '"');
 		} else {
 			return;
 		}
@@ -129,13 +137,13 @@ DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBi
 
 	if (isLocalSkippedMode() || !this.getBindingValue(n)._isSkippedLocal()) {
 		if (type(v) === 'Unknown' || !this.getBindingValue(n)._isLocal() || isAmbiguousBlock()) {
-			bindings[n].alternateValues[getSkippedSection()] = new UnknownType();
+			bindings[n].alternateValues[getSkippedSection()] = createAssignedUnknown(n, v, this.getBindingValue(n)._isLocal());
 		} else {
 			bindings[n].alternateValues[getSkippedSection()] = v;
 		}
 	} else {
 		if (type(v) === 'Unknown' || !this.getBindingValue(n)._isLocal() || isAmbiguousBlock()) {
-			bindings[n].value = new UnknownType();
+			bindings[n].value = createAssignedUnknown(n, v, this.getBindingValue(n)._isLocal());
 		} else {
 			bindings[n].value = v;
 		}
@@ -515,6 +523,8 @@ function newObjectEnvironment(o, e) {
  * @property {module:base/types/object.ObjectType} thisBinding ECMA-262 Spec: <em>The value associated with the this keyword within
  *		ECMAScript code associated with this execution context.</em>
  * @property {boolean} strict Indicates whether or not this execution context is strict mode
+ * @property {(module:base/types/function.FunctionType | undefined)} functionObject The function being executed, for
+ *		function contexts
  */
 function ExecutionContext(lexicalEnvironment, variableEnvironment, thisBinding, strict) {
 	this.lexicalEnvironment = lexicalEnvironment;
@@ -522,6 +532,7 @@ function ExecutionContext(lexicalEnvironment, variableEnvironment, thisBinding,
 	this.thisBinding = thisBinding;
 	this.strict = typeof strict != 'undefined' ? strict : false;
 	this._ambiguousBlock = 0;
+	this._ambiguousBlockOrigins = [];
 }
 
 // ******** Context Creation Methods ********
@@ -941,10 +952,17 @@ function getGlobalObject() {
  * Enters an ambiguous block in the current context
  *
  * @method module:base/context.enterAmbiguousBlock
+ * @param {string} [description] Why the block is ambiguous, e.g. 'The condition of the if statement is unknown'
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} [cause] The unknown value, or
+ *		the origin of whatever else, that made the block ambiguous
  */
 exports.enterAmbiguousBlock = enterAmbiguousBlock;
-function enterAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock++;
+function enterAmbiguousBlock(description, cause) {
+	var context = getCurrentContext();
+	description = description || 'Entered an ambiguous block';
+	context._ambiguousBlock++;
+	context._ambiguousBlockOrigins.push(createOrigin(description, cause && [cause]));
+	Runtime.reportAmbiguousBlock(description, cause);
 }
 
 /**
@@ -954,7 +972,53 @@ function enterAmbiguousBlock() {
  */
 exports.exitAmbiguousBlock = exitAmbiguousBlock;
 function exitAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock--;
+	var context = getCurrentContext();
+	context._ambiguousBlock--;
+	context._ambiguousBlockOrigins.pop();
+}
+
+/**
+ * Gets the origin of the innermost ambiguous block in the current context, which is the source of the unknown values
+ * created because of the block
+ *
+ * @method module:base/context.getAmbiguousBlockOrigin
+ * @return {(module:base/types/unknown.origin | undefined)} The origin, or undefined if not in an ambiguous block
+ */
+exports.getAmbiguousBlockOrigin = getAmbiguousBlockOrigin;
+function getAmbiguousBlockOrigin() {
+	var origins = getCurrentContext()._ambiguousBlockOrigins;
+	return origins && origins[origins.length - 1];
+}
+
+/**
+ * Creates the unknown value that is stored in place of a value assigned to a binding or property, which happens when
+ * the value is unknown, when it is assigned inside of an ambiguous block, or when the binding or property belongs to
+ * code outside of an ambiguous context
+ *
+ * @method module:base/context.createAssignedUnknown
+ * @param {string} name The name of the binding or property
+ * @param {module:base.BaseType} value The value being assigned
+ * @param {boolean} isLocal Whether or not the binding or property belongs to the current context. The known parts of
+ *		a partially known string are only kept if it does and the assignment is not inside of an ambiguous block
+ * @return {module:base/types/unknown.UnknownType} The unknown value to store
+ */
+exports.createAssignedUnknown = createAssignedUnknown;
+function createAssignedUnknown(name, value, isLocal) {
+	var unknown = new UnknownType();
+	if (type(value) === 'Unknown') {
+		setUnknownOrigin(unknown, 'Assigned to "' + name + '"', [value]);
+		if (isLocal && !isAmbiguousBlock()) {
+			unknown._stringPattern = value._stringPattern;
+		}
+	} else if (isAmbiguousBlock()) {
+		setUnknownOrigin(unknown, 'Assigned to "' + name + '" inside of an ambiguous block', [getAmbiguousBlockOrigin()]);
+	} else {
+		setUnknownOrigin(unknown, 'Assigned to "' + name + '" from inside of an ambiguous context');
+	}
+	if (isTainted(value)) {
+		taintNewValue(unknown, 'Assigned to "' + name + '"', [value]);
+	}
+	return unknown;
 }
 
 /**
@@ -1385,6 +1449,7 @@ function createFunctionContext(functionObject, thisArg, argumentsList, scope) {
 	// Create the execution context and find declarations inside of it
 	executionContext = new ExecutionContext(env, env, thisBinding, strict);
 	executionContext.isFunctionContext = true;
+	executionContext.functionObject = functionObject;
 	enterContext(executionContext);
 	env = executionContext.variableEnvironment.envRec;
 	result = findDeclarations(AST.createBodyContainer(functionObject.code), executionContext);
@@ -1473,7 +1538,8 @@ function wrapNativeCall (func, isConstructor) {
 		// Create the context
 		var env = newDeclarativeEnvironment(getCurrentContext().lexicalEnvironment),
 			executionContext = new ExecutionContext(env, env, isConstructor ? getModuleContext().thisBinding : thisVal, false),
-			result;
+			result,
+			taintedValues;
 
 		executionContext.isFunctionContext = true;
 		enterContext(executionContext);
@@ -1484,6 +1550,17 @@ function wrapNativeCall (func, isConstructor) {
 			exitContext();
 		}
 
+		// Results derived from untrusted data are untrusted too. The rule that made the call describes the taint
+		if (isTrackingTaint()) {
+			taintedValues = getTaintedValues([thisVal].concat(arguments[1] || []));
+			if (taintedValues.length && isTaintable(result)) {
+				result = taint(result, undefined, taintedValues);
+			}
+			if (isTainted(result)) {
+				RuleProcessor.addTaintedInput(result);
+			}
+		}
+
 		return result;
 	};
 }
\ No newline at end of file
@@ -14,6 +14,7 @@ FunctionTypeBase,
 util,
 areAnyUnknown,
 UnknownType,
+setUnknownOrigin,
 type,
 handleRecoverableNativeException,
 createEvalContext,
@@ -734,7 +735,7 @@ MathRandomFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
 	if (Runtime.options.exactMode) {
 		return new NumberType(Math.random());
 	} else {
-		return new UnknownType();
+		return setUnknownOrigin(new UnknownType(), 'The return value of "Math.random" is not known until runtime');
 	}
 });
 
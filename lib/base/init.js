@@ -48,7 +48,8 @@ MathObject,
 JSONObject,
 globalObject,
 addNonEnumerableProperty,
-getGlobalContext
+getGlobalContext,
+resetTaint
 */
 
 /*****************************************
@@ -66,6 +67,7 @@ exports.init = init;
 function init(ast) {
 
 	createGlobalContext(ast && RuleProcessor.isBlockStrict(ast));
+	resetTaint();
 
 	var globalContext = getGlobalContext(),
 		globalObjects = {};
@@ -0,0 +1,290 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tracks values that are derived from untrusted data, such as the response of a network request. Values are tainted
+ * by plugins, and the taint is carried along with the values as they are processed, see
+ * {@link module:base/taint.taint}
+ *
+ * @module base/taint
+ */
+/*global
+Runtime,
+type,
+isCallable,
+StringType,
+NumberType,
+BooleanType,
+UnknownType
+*/
+
+var MAX_TAINT_STEPS = 20,
+	MAX_VISITED_TAINTS = 500,
+
+	// Looking for tainted values is skipped entirely until something is tainted
+	hasTaintedValues = false;
+
+/*****************************************
+ *
+ * Taint Tracking
+ *
+ *****************************************/
+
+/**
+ * The taint of a value, i.e. where the value was derived from untrusted data and the tainted values it was derived
+ * from. A taint with no sources is where the untrusted data entered the application.
+ *
+ * @typedef {Object} module:base/taint.taint
+ * @property {(string | undefined)} description How the value was derived, e.g. 'Result of the "+" operator', or
+ *		undefined if it has not been described yet
+ * @property {string} filename The file the value was tainted in
+ * @property {number} line The line the value was tainted on
+ * @property {number} column The column the value was tainted at
+ * @property {Array.<module:base/taint.taint>} sources The taints of the values that this value was derived from, if any
+ */
+
+/**
+ * Checks if a value can be tainted by the values it was derived from. Only strings and unknown values are tainted this
+ * way, since numbers and booleans cannot carry untrusted text, and objects are not themselves derived from the values
+ * used to create them. Sources of untrusted data can taint any value, see {@link module:base/taint.taint}.
+ *
+ * @method module:base/taint.isTaintable
+ * @param {module:base.BaseType} value The value to check
+ * @return {boolean} Whether or not the value can be tainted
+ */
+exports.isTaintable = isTaintable;
+function isTaintable(value) {
+	return !!value && !!~['String', 'Unknown'].indexOf(type(value));
+}
+
+/**
+ * Resets the taint tracking for a new run, so that the taint bookkeeping is skipped again until something is tainted
+ *
+ * @method module:base/taint.resetTaint
+ */
+exports.resetTaint = resetTaint;
+function resetTaint() {
+	hasTaintedValues = false;
+}
+
+/**
+ * Checks if taint is being tracked. Nothing needs to be tracked until a value has been tainted, so callers skip all of
+ * their taint bookkeeping until then.
+ *
+ * @method module:base/taint.isTrackingTaint
+ * @return {boolean} Whether or not any value has been tainted yet
+ */
+exports.isTrackingTaint = isTrackingTaint;
+function isTrackingTaint() {
+	return hasTaintedValues;
+}
+
+/**
+ * Taints a value at the current location. Strings, numbers, booleans, and unknown values are often shared, e.g. by
+ * every object that a property value was assigned to, so a tainted copy of the value is returned and the value itself
+ * is left untouched. Objects are tainted in place, since a copy would be a different object. Values that are already
+ * tainted keep their taint, unless it has not been described yet.
+ *
+ * @method module:base/taint.taint
+ * @param {module:base.BaseType} value The value to taint
+ * @param {string} [description] How the value was derived, e.g. 'The value of "Titanium.UI.TextField.value"'
+ * @param {Array.<module:base.BaseType>} [sources] The tainted values that this value was derived from
+ * @return {module:base.BaseType} The tainted value, which must be used in place of the original value
+ */
+exports.taint = taint;
+function taint(value, description, sources) {
+	var copy;
+	if (!value || (value._taint && value._taint.description)) {
+		return value;
+	}
+	copy = copyValue(value);
+	copy._taint = value._taint;
+	return taintNewValue(copy, description, sources);
+}
+
+/**
+ * Taints a value that was just created, such as the result of an operator, in place. Since nothing else can reference
+ * the value yet, it does not need to be copied, see {@link module:base/taint.taint}.
+ *
+ * @method module:base/taint.taintNewValue
+ * @param {module:base.BaseType} value The value to taint
+ * @param {string} [description] How the value was derived, e.g. 'Result of the "+" operator'
+ * @param {Array.<module:base.BaseType>} [sources] The tainted values that this value was derived from
+ * @return {module:base.BaseType} The value, for convenience
+ */
+exports.taintNewValue = taintNewValue;
+function taintNewValue(value, description, sources) {
+	var currentLocation,
+		source,
+		i, len;
+	if (!value) {
+		return value;
+	}
+	if (!value._taint) {
+		currentLocation = Runtime.getCurrentLocation();
+		value._taint = {
+			description: description,
+			filename: currentLocation.filename,
+			line: currentLocation.line,
+			column: currentLocation.column,
+			sources: []
+		};
+		hasTaintedValues = true;
+	} else if (!value._taint.description) {
+		value._taint = {
+			description: description,
+			filename: value._taint.filename,
+			line: value._taint.line,
+			column: value._taint.column,
+			sources: value._taint.sources.slice()
+		};
+	} else {
+		return value;
+	}
+	if (sources) {
+		for (i = 0, len = sources.length; i < len; i++) {
+			source = sources[i] && sources[i]._taint;
+			if (source && source !== value._taint && value._taint.sources.indexOf(source) === -1) {
+				value._taint.sources.push(source);
+			}
+		}
+	}
+	return value;
+}
+
+/**
+ * Copies a string, number, boolean, or unknown value so that it can be tainted without tainting the original. Other
+ * values are returned as is.
+ *
+ * @private
+ */
+function copyValue(value) {
+	var copy;
+	switch(type(value)) {
+		case 'String':
+			return new StringType(value.value);
+		case 'Number':
+			return new NumberType(value.value);
+		case 'Boolean':
+			return new BooleanType(value.value);
+		case 'Unknown':
+			copy = new UnknownType();
+			copy._origin = value._origin;
+			copy._stringPattern = value._stringPattern;
+			return copy;
+		default:
+			return value;
+	}
+}
+
+/**
+ * Gets the taint of a value
+ *
+ * @method module:base/taint.getTaint
+ * @param {module:base.BaseType} value The value
+ * @return {(module:base/taint.taint | undefined)} The taint, or undefined if the value is not tainted
+ */
+exports.getTaint = getTaint;
+function getTaint(value) {
+	return value ? value._taint : undefined;
+}
+
+/**
+ * Checks if a value is tainted
+ *
+ * @method module:base/taint.isTainted
+ * @param {module:base.BaseType} value The value to check
+ * @return {boolean} Whether or not the value is tainted
+ */
+exports.isTainted = isTainted;
+function isTainted(value) {
+	return !!(value && value._taint);
+}
+
+/**
+ * Gets the values that carry taint out of a list of values. Objects carry the taint of the values of their own
+ * properties, so that e.g. <code>JSON.stringify({ name: taintedValue })</code> is tainted.
+ *
+ * @method module:base/taint.getTaintedValues
+ * @param {Array.<module:base.BaseType>} values The values to check
+ * @return {Array.<module:base.BaseType>} The tainted values, or an empty array if none of the values are tainted
+ */
+exports.getTaintedValues = getTaintedValues;
+function getTaintedValues(values) {
+	var taintedValues = [],
+		value,
+		properties,
+		i, ilen, j, jlen;
+	if (!hasTaintedValues) {
+		return taintedValues;
+	}
+	for (i = 0, ilen = values.length; i < ilen; i++) {
+		value = values[i];
+		if (!value) {
+			continue;
+		}
+		if (value._taint) {
+			taintedValues.push(value);
+		} else if (type(value) === 'Object' && !value._apiName && !isCallable(value)) {
+			properties = value._properties;
+			for (j = 0, jlen = properties.length; j < jlen; j++) {
+				if (properties[j].value.value && properties[j].value.value._taint) {
+					taintedValues.push(properties[j].value.value);
+				}
+			}
+		}
+	}
+	return taintedValues;
+}
+
+/**
+ * Explains how a value was derived from untrusted data by walking its taint, starting with the value itself and
+ * ending with the places where the untrusted data entered the application. The steps have the same form as the steps
+ * that explain unknown values, so they can be reported with warnings. Values derived at the same location, such as the
+ * copies of a value that is tainted in a loop, are only listed once. Long chains are truncated, but the places where
+ * the untrusted data entered are always included.
+ *
+ * @method module:base/taint.explainTaint
+ * @param {module:base.BaseType} value The value to explain
+ * @return {Array.<module:base/types/unknown.explanationStep>} The steps, or an empty array if the value isn't tainted.
+ *		The isOrigin property of a step is true if the step is where the untrusted data entered the application.
+ */
+exports.explainTaint = explainTaint;
+function explainTaint(value) {
+	var queue = [],
+		visited = [],
+		steps = [],
+		stepsByLocation = {},
+		numPropagationSteps = 0,
+		current = getTaint(value),
+		isOrigin,
+		location,
+		i, len;
+	if (current) {
+		queue.push(current);
+		visited.push(current);
+	}
+	while (queue.length) {
+		current = queue.shift();
+		isOrigin = !current.sources.length;
+		location = current.filename + ':' + current.line + ':' + current.column;
+		if (stepsByLocation.hasOwnProperty(location)) {
+			stepsByLocation[location].isOrigin = stepsByLocation[location].isOrigin || isOrigin;
+		} else if (isOrigin || numPropagationSteps++ < MAX_TAINT_STEPS) {
+			steps.push(stepsByLocation[location] = {
+				description: current.description || 'Derived from untrusted data',
+				filename: current.filename,
+				line: current.line,
+				column: current.column,
+				isOrigin: isOrigin
+			});
+		}
+		for (i = 0, len = current.sources.length; i < len; i++) {
+			if (visited.length < MAX_VISITED_TAINTS && visited.indexOf(current.sources[i]) === -1) {
+				visited.push(current.sources[i]);
+				queue.push(current.sources[i]);
+			}
+		}
+	}
+	return steps;
+}
@@ -21,7 +21,8 @@ UnknownType,
 handleRecoverableNativeException,
 isPrimitive,
 sameValue,
-isAmbiguousBlock
+isAmbiguousBlock,
+createAssignedUnknown
 */
 
 /*****************************************
@@ -584,7 +585,7 @@ ObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, thr
 			if (typeof desc.writable != 'undefined') {
 				newProp.writable = desc.writable;
 			}
-			newProp.value = new UnknownType();
+			newProp.value = createAssignedUnknown(p, desc.value, desc.value._isLocal());
 			this._addProperty(p, newProp);
 			return true;
 		}
@@ -9,6 +9,7 @@
 /*global
 util,
 Runtime,
+RuleProcessor,
 BaseType,
 isType,
 type,
@@ -19,7 +20,11 @@ UndefinedType,
 isDataDescriptor,
 throwNativeException,
 isAccessorDescriptor,
-getGlobalObject
+getGlobalObject,
+taint,
+isTainted,
+isTaintable,
+isTrackingTaint
 */
 
 /*****************************************
@@ -141,6 +146,32 @@ function isUnresolvableReference(v) {
  */
 exports.getValue = getValue;
 function getValue(v, alternate) {
+	var value = getReferenceValue.call(this, v, alternate);
+
+	// Keep track of the unknown values used by the current rule so that the values it creates can be explained
+	if (!alternate && value && type(value) === 'Unknown') {
+		RuleProcessor.addUnknownInput(value);
+	}
+
+	// The properties of untrusted objects are untrusted too, and the tainted values used by the current rule taint the
+	// values it creates
+	if (!alternate && isTrackingTaint()) {
+		if (type(v) === 'Reference' && isPropertyReference(v) && isTainted(getBase(v)) && isTaintable(value)) {
+			value = taint(value, 'Value of property "' + getReferencedName(v) + '"', [getBase(v)]);
+		}
+		if (isTainted(value)) {
+			RuleProcessor.addTaintedInput(value);
+		}
+	}
+	return value;
+}
+
+/**
+ * Gets the value pointed to by the supplied reference, without tracking unknown values
+ *
+ * @private
+ */
+function getReferenceValue(v, alternate) {
 
 	var base,
 		get,
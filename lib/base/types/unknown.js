@@ -9,9 +9,13 @@
 /*global
 util,
 Runtime,
-BaseType
+BaseType,
+type
 */
 
+var MAX_EXPLANATION_STEPS = 20,
+	MAX_VISITED_ORIGINS = 500;
+
 /*****************************************
  *
  * Unknown Type Class
@@ -20,7 +24,8 @@ BaseType
 
 /**
  * @classdesc Represents an unknown type. Types are considered to be 'unknown' if their value cannot be determined at
- * compile time and are unique to this implementation. There is no equivalent in the ECMA-262 spec.
+ * compile time and are unique to this implementation. There is no equivalent in the ECMA-262 spec. Each unknown value
+ * records its origin so that the reason it is unknown can be explained, see {@link module:base/types/unknown.origin}.
  *
  * @constructor module:base/types/unknown.UnknownType
  * @param {string} [className] The name of the class, such as 'String' or 'Object'
@@ -35,5 +40,285 @@ function UnknownType(className) {
 	}
 	BaseType.call(this, className || 'Unknown');
 	this.type = 'Unknown';
+	this._origin = createOrigin();
+}
+util.inherits(UnknownType, BaseType);
+
+/*****************************************
+ *
+ * Unknown Origins
+ *
+ *****************************************/
+
+/**
+ * The origin of an unknown value, i.e. where it was created and the values it was derived from
+ *
+ * @typedef {Object} module:base/types/unknown.origin
+ * @property {(string | undefined)} description What created the value, e.g. 'The return value of "Math.random" is
+ *		not known until runtime', or undefined if it has not been described yet
+ * @property {string} filename The file the value was created in
+ * @property {number} line The line the value was created on
+ * @property {number} column The column the value was created at
+ * @property {Array.<module:base/types/unknown.origin>} sources The origins of the values that this value was derived
+ *		from, if any
+ */
+
+/**
+ * Creates an origin at the current location. Origins are created for each unknown value, and can also be created for
+ * things that cause values to become unknown, such as an ambiguous block
+ *
+ * @method module:base/types/unknown.createOrigin
+ * @param {string} [description] What created the value
+ * @param {Array.<(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)>} [sources] The values
+ *		or origins that caused this origin
+ * @return {module:base/types/unknown.origin} The new origin
+ */
+exports.createOrigin = createOrigin;
+function createOrigin(description, sources) {
+	var currentLocation = Runtime.getCurrentLocation(),
+		origin = {
+			description: description,
+			filename: currentLocation.filename,
+			line: currentLocation.line,
+			column: currentLocation.column,
+			sources: []
+		},
+		i, len;
+	if (sources) {
+		for (i = 0, len = sources.length; i < len; i++) {
+			addOriginSource(origin, sources[i]);
+		}
+	}
+	return origin;
+}
+
+/**
+ * Gets the origin of an unknown value, or the origin itself if an origin is passed in
+ *
+ * @method module:base/types/unknown.getOrigin
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} value The value
+ * @return {(module:base/types/unknown.origin | undefined)} The origin, or undefined if the value is not unknown
+ */
+exports.getOrigin = getOrigin;
+function getOrigin(value) {
+	if (!value) {
+		return;
+	} else if (Array.isArray(value.sources)) {
+		return value;
+	} else if (type(value) === 'Unknown') {
+
+		// Values converted to unknown in-place may not have been created at a location with an origin
+		if (!value._origin) {
+			value._origin = createOrigin();
+		}
+		return value._origin;
+	}
+}
+
+/**
+ * Adds a source to an origin. Values that are not unknown are ignored
+ *
+ * @method module:base/types/unknown.addOriginSource
+ * @param {module:base/types/unknown.origin} origin The origin to add the source to
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} source The value or origin that
+ *		caused the origin
+ */
+exports.addOriginSource = addOriginSource;
+function addOriginSource(origin, source) {
+	source = getOrigin(source);
+	if (source && source !== origin && origin.sources.indexOf(source) === -1) {
+		origin.sources.push(source);
+	}
+}
+
+/**
+ * Describes what created an unknown value
+ *
+ * @method module:base/types/unknown.setUnknownOrigin
+ * @param {module:base/types/unknown.UnknownType} value The unknown value
+ * @param {string} description What created the value, e.g. 'The return value of "Math.random" is not known until
+ *		runtime'
+ * @param {Array.<(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)>} [sources] The values
+ *		or origins that the value was derived from
+ * @return {module:base/types/unknown.UnknownType} The value, for convenience
+ */
+exports.setUnknownOrigin = setUnknownOrigin;
+function setUnknownOrigin(value, description, sources) {
+	var origin = getOrigin(value),
+		i, len;
+	if (origin) {
+		origin.description = description;
+		if (sources) {
+			for (i = 0, len = sources.length; i < len; i++) {
+				addOriginSource(origin, sources[i]);
+			}
+		}
+	}
+	return value;
+}
+
+/**
+ * A step in the explanation of an unknown value
+ *
+ * @typedef {Object} module:base/types/unknown.explanationStep
+ * @property {string} description What created or propagated the value
+ * @property {string} filename The file the step happened in
+ * @property {number} line The line the step happened on
+ * @property {number} column The column the step happened at
+ * @property {boolean} isOrigin Whether or not this step is where the unknown value originated, i.e. it was not derived
+ *		from any other unknown values
+ */
+/**
+ * Explains why a value is unknown by walking its origin chain, starting with the value itself and ending with the
+ * places where the unknown values it was derived from originated. Long chains are truncated, but the places where the
+ * values originated are always included.
+ *
+ * @method module:base/types/unknown.explainUnknown
+ * @param {(module:base/types/unknown.UnknownType | module:base/types/unknown.origin)} value The value to explain
+ * @return {Array.<module:base/types/unknown.explanationStep>} The steps, or an empty array if the value isn't unknown
+ */
+exports.explainUnknown = explainUnknown;
+function explainUnknown(value) {
+	var queue = [],
+		visited = [],
+		steps = [],
+		numPropagationSteps = 0,
+		origin = getOrigin(value),
+		isOrigin,
+		i, len;
+	if (origin) {
+		queue.push(origin);
+		visited.push(origin);
+	}
+	while (queue.length) {
+		origin = queue.shift();
+		isOrigin = !origin.sources.length;
+		if (isOrigin || numPropagationSteps++ < MAX_EXPLANATION_STEPS) {
+			steps.push({
+				description: origin.description || 'An unknown value was created',
+				filename: origin.filename,
+				line: origin.line,
+				column: origin.column,
+				isOrigin: isOrigin
+			});
+		}
+		for (i = 0, len = origin.sources.length; i < len; i++) {
+			if (visited.length < MAX_VISITED_ORIGINS && visited.indexOf(origin.sources[i]) === -1) {
+				visited.push(origin.sources[i]);
+				queue.push(origin.sources[i]);
+			}
+		}
+	}
+	return steps;
 }
-util.inherits(UnknownType, BaseType);
\ No newline at end of file
+
+/*****************************************
+ *
+ * Partially Known Strings
+ *
+ *****************************************/
+
+/**
+ * A pattern describing an unknown string whose value is partially known, e.g. <code>['ui/', null, '/Window']</code> for
+ * <code>'ui/' + x + '/Window'</code>. Each element is either a known part of the string or null for an unknown part.
+ *
+ * @typedef {Array.<(string | null)>} module:base/types/unknown.stringPattern
+ */
+
+/**
+ * Gets the parts that a value contributes to a string concatenation. Known values other than strings only contribute
+ * their value if the other operand is known to be a string, otherwise the concatenation could be a numeric addition
+ *
+ * @private
+ */
+function getConcatenationParts(value, other) {
+	var valueType = type(value);
+	if (valueType === 'Unknown') {
+		return value._stringPattern || [null];
+	} else if (valueType === 'String' || ((other._stringPattern || type(other) === 'String') &&
+			~['Number', 'Boolean', 'Null', 'Undefined'].indexOf(valueType))) {
+		return [String(value.value)];
+	}
+	return [null];
+}
+
+/**
+ * Concatenates two values, at least one of which is unknown, with the + operator. If either value is known to be a
+ * string, the result is an unknown value that keeps track of the known parts of the string
+ *
+ * @method module:base/types/unknown.concatUnknownStrings
+ * @param {module:base.BaseType} left The left operand, after conversion to a primitive if it is known
+ * @param {module:base.BaseType} right The right operand, after conversion to a primitive if it is known
+ * @return {module:base/types/unknown.UnknownType} The unknown result of the concatenation
+ */
+exports.concatUnknownStrings = concatUnknownStrings;
+function concatUnknownStrings(left, right) {
+	var result = new UnknownType(),
+		parts,
+		pattern = [],
+		hasKnownPart = false,
+		i, len;
+	if (!left._stringPattern && type(left) !== 'String' && !right._stringPattern && type(right) !== 'String') {
+		return result;
+	}
+	parts = getConcatenationParts(left, right).concat(getConcatenationParts(right, left));
+	for (i = 0, len = parts.length; i < len; i++) {
+		if (parts[i] === null) {
+			if (pattern[pattern.length - 1] !== null) {
+				pattern.push(null);
+			}
+		} else if (parts[i]) {
+			hasKnownPart = true;
+			if (typeof pattern[pattern.length - 1] === 'string') {
+				pattern[pattern.length - 1] += parts[i];
+			} else {
+				pattern.push(parts[i]);
+			}
+		}
+	}
+	if (hasKnownPart) {
+		result._stringPattern = pattern;
+	}
+	return result;
+}
+
+/**
+ * Gets the pattern of an unknown value that is a partially known string
+ *
+ * @method module:base/types/unknown.getStringPattern
+ * @param {module:base.BaseType} value The value to get the pattern of
+ * @return {(module:base/types/unknown.stringPattern | undefined)} The pattern, or undefined if the value is not a
+ *		partially known string
+ */
+exports.getStringPattern = getStringPattern;
+function getStringPattern(value) {
+	return value && type(value) === 'Unknown' ? value._stringPattern : undefined;
+}
+
+/**
+ * Describes a string pattern for use in messages, using * for the unknown parts, e.g. "ui/*.js"
+ *
+ * @method module:base/types/unknown.describeStringPattern
+ * @param {module:base/types/unknown.stringPattern} pattern The pattern to describe
+ * @return {string} The description of the pattern
+ */
+exports.describeStringPattern = describeStringPattern;
+function describeStringPattern(pattern) {
+	return pattern.map(function (part) {
+		return part === null ? '*' : part;
+	}).join('');
+}
+
+/**
+ * Creates a regular expression that matches the strings described by a string pattern
+ *
+ * @method module:base/types/unknown.createStringPatternRegExp
+ * @param {module:base/types/unknown.stringPattern} pattern The pattern to match
+ * @return {RegExp} The regular expression
+ */
+exports.createStringPatternRegExp = createStringPatternRegExp;
+function createStringPatternRegExp(pattern) {
+	return new RegExp('^' + pattern.map(function (part) {
+		return part === null ? '[\\s\\S]*' : part.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+	}).join('') + '$');
+}
\ No newline at end of file
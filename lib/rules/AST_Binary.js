@@ -44,10 +44,14 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 	leftValue = Base.getValue(this.left.processRule());
 
 	if (Base.type(leftValue) === 'Unknown') {
-		result = new Base.UnknownType();
-		Base.enterAmbiguousBlock();
-		Base.getValue(this.right.processRule());
+		Base.enterAmbiguousBlock('The left operand of the "' + operator + '" operator is unknown', leftValue);
+		rightValue = Base.getValue(this.right.processRule());
 		Base.exitAmbiguousBlock();
+		if (operator === '+') {
+			result = Base.concatUnknownStrings(leftValue, rightValue);
+		} else {
+			result = new Base.UnknownType();
+		}
 	} else if (~['*', '/', '%', '-', '<<', '>>', '>>>', '&', '|', '^'].indexOf(operator)) {
 		result = new Base.NumberType();
 		rightValue = Base.getValue(this.right.processRule());
@@ -151,11 +155,11 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 		leftPrimitive = Base.toPrimitive(leftValue);
 		rightValue = Base.getValue(this.right.processRule());
 		if (Base.type(rightValue) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = Base.concatUnknownStrings(leftPrimitive, rightValue);
 		} else {
 			rightPrimitive = Base.toPrimitive(rightValue);
 			if (Base.type(rightPrimitive) === 'Unknown') {
-				result = new Base.UnknownType();
+				result = Base.concatUnknownStrings(leftPrimitive, rightPrimitive);
 			} else if (Base.type(leftPrimitive) === 'String' || Base.type(rightPrimitive) === 'String') {
 				result = new Base.StringType(Base.toString(leftPrimitive).value + Base.toString(rightPrimitive).value);
 			} else {
@@ -20,7 +20,8 @@
  * @property {module:base/types/function.FunctionType} func The function to be called. Only available post-evaluation.
  * @property {Array.<module:base.BaseType>} args The function arguments. Only available post-evaluation.
  * @property {module:base.BaseType} thisValue The value of 'this' inside the function. Only available post-evaluation.
- * @property {module:base.BaseType} result The result of the function call. Only available post-evaluation.
+ * @property {module:base.BaseType} result The result of the function call. Only available post-evaluation. Plugins can
+ *		replace the result, e.g. with a tainted copy of it, see {@link module:base/taint.taint}
  */
 
 var AST = require('../AST'),
@@ -46,7 +47,8 @@ AST.registerRuleProcessor('AST_Call', function processRule() {
 		skippedArgSets = [],
 		lockedArgs,
 		indices,
-		self = this;
+		self = this,
+		eventData;
 
 	RuleProcessor.preProcess(this);
 
@@ -116,9 +118,13 @@ AST.registerRuleProcessor('AST_Call', function processRule() {
 
 		var result;
 
-		// Check if this is an unknown and short-circuit it
+		// Check if this is an unknown and short-circuit it. Calling a method of an untrusted value, such as trim,
+		// gives an untrusted value
 		if (Base.type(func) === 'Unknown') {
 			result = new Base.UnknownType();
+			if (Base.isTainted(func)) {
+				Base.taintNewValue(result, undefined, [func]);
+			}
 		} else if (func.className !== 'Function') {
 			Base.handleRecoverableNativeException('TypeError', Base.getReferencedName(ref) + ' is not a function');
 			result = new Base.UnknownType();
@@ -239,12 +245,14 @@ AST.registerRuleProcessor('AST_Call', function processRule() {
 		}
 	}
 
-	RuleProcessor.fireRuleEvent(this, {
+	eventData = {
 		func: func,
 		args: args,
 		thisValue: thisValue,
 		result: result
-	}, true);
+	};
+	RuleProcessor.fireRuleEvent(this, eventData, true);
+	result = eventData.result;
 
 	RuleProcessor.postProcess(this, result);
 
@@ -40,7 +40,7 @@ AST.registerRuleProcessor('AST_Conditional', function processRule() {
 	if (Base.type(leftValue) === 'Unknown') {
 		this._ambiguousBlock = true;
 		this.condition._unknown = true;
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('The condition of the conditional expression is unknown', leftValue);
 		Base.getValue(this.consequent.processRule());
 		Base.getValue(this.alternative.processRule());
 		result = new Base.UnknownType();
@@ -43,7 +43,7 @@ AST.registerRuleProcessor('AST_Do', function processRule() {
 	RuleProcessor.logRule('AST_Do');
 
 	if (!Runtime.options.evaluateLoops) {
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('Loops are not evaluated because the evaluateLoops option is disabled');
 		this._ambiguousBlock = true;
 		if (conditional) {
 			if (Base.getValue(conditional.processRule())) {
@@ -68,7 +68,7 @@ AST.registerRuleProcessor('AST_Do', function processRule() {
 				Runtime.reportError('maxIterationsExceeded', eventDescription, RuleProcessor.getStackTrace());
 
 				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
+				Base.enterAmbiguousBlock(eventDescription);
 				result = body.processRule();
 				if (result[0] === 'return') {
 					context._returnIsUnknown = true;
@@ -106,7 +106,7 @@ AST.registerRuleProcessor('AST_Do', function processRule() {
 			if (Base.type(testExprRef) === 'Unknown') {
 				conditional._unknown = true;
 				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
+				Base.enterAmbiguousBlock('The condition of the do-while loop is unknown', testExprRef);
 				result = body.processRule();
 				if (result[0] === 'return') {
 					context._returnIsUnknown = true;
@@ -49,7 +49,7 @@ AST.registerRuleProcessor('AST_For', function processRule() {
 
 	if (!Runtime.options.evaluateLoops) {
 		this._ambiguousBlock = true;
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('Loops are not evaluated because the evaluateLoops option is disabled');
 		if (conditional) {
 			Base.getValue(conditional.processRule());
 		}
@@ -74,7 +74,7 @@ AST.registerRuleProcessor('AST_For', function processRule() {
 				Runtime.reportError('maxIterationsExceeded', eventDescription, RuleProcessor.getStackTrace());
 
 				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
+				Base.enterAmbiguousBlock(eventDescription);
 				result = body.processRule();
 				if (result[0] === 'return') {
 					context._returnIsUnknown = true;
@@ -89,7 +89,7 @@ AST.registerRuleProcessor('AST_For', function processRule() {
 			if (testExprRef) {
 				if (Base.type(testExprRef) === 'Unknown') {
 					this._ambiguousBlock = true;
-					Base.enterAmbiguousBlock();
+					Base.enterAmbiguousBlock('The condition of the for loop is unknown', testExprRef);
 					result = body.processRule();
 					if (result[0] === 'return') {
 						context._returnIsUnknown = true;
@@ -68,7 +68,11 @@ AST.registerRuleProcessor('AST_ForIn', function processRule() {
 	if (experValueType === 'Unknown' || !Runtime.options.evaluateLoops) {
 		this._ambiguousBlock = true;
 		this.object._unknown = true;
-		Base.enterAmbiguousBlock();
+		if (experValueType === 'Unknown') {
+			Base.enterAmbiguousBlock('The object of the for-in loop is unknown', experValue);
+		} else {
+			Base.enterAmbiguousBlock('Loops are not evaluated because the evaluateLoops option is disabled');
+		}
 		Base.putValue(getRef(), new Base.UnknownType());
 		result = this.body.processRule();
 		if (result[0] === 'return') {
@@ -91,7 +95,7 @@ AST.registerRuleProcessor('AST_ForIn', function processRule() {
 					Runtime.reportError('maxIterationsExceeded', eventDescription, RuleProcessor.getStackTrace());
 
 					this._ambiguousBlock = true;
-					Base.enterAmbiguousBlock();
+					Base.enterAmbiguousBlock(eventDescription);
 					Base.putValue(getRef(), new Base.UnknownType());
 					result = this.body.processRule();
 					if (result[0] === 'return') {
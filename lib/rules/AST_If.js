@@ -41,7 +41,7 @@ AST.registerRuleProcessor('AST_If', function processRule() {
 	if (Base.type(leftValue) === 'Unknown') {
 		this._ambiguousBlock = true;
 		this.condition._unknown = true;
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('The condition of the if statement is unknown', leftValue);
 		result = this.body.processRule();
 		if (result[0] === 'return') {
 			context._returnIsUnknown = true;
@@ -55,7 +55,7 @@ AST.registerRuleProcessor('AST_Switch', function processRule() {
 	if (Base.type(input) === 'Unknown') {
 		this._ambiguousBlock = true;
 		this.expression._unknown = true;
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('The expression of the switch statement is unknown', input);
 		for (i = 0, len = this.body.length; i < len; i++) {
 			Base.setVisited(this.body[i]);
 			this.body[i].expression && this.body[i].expression.processRule();
@@ -44,7 +44,7 @@ AST.registerRuleProcessor('AST_While', function processRule() {
 
 	if (!Runtime.options.evaluateLoops) {
 		this._ambiguousBlock = true;
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('Loops are not evaluated because the evaluateLoops option is disabled');
 		if (conditional) {
 			Base.getValue(conditional.processRule());
 			if (Base.type(conditional) === 'Unknown') {
@@ -69,7 +69,7 @@ AST.registerRuleProcessor('AST_While', function processRule() {
 				Runtime.reportError('maxIterationsExceeded', eventDescription, RuleProcessor.getStackTrace());
 
 				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
+				Base.enterAmbiguousBlock(eventDescription);
 				result = body.processRule();
 				if (result[0] === 'return') {
 					context._returnIsUnknown = true;
@@ -84,7 +84,7 @@ AST.registerRuleProcessor('AST_While', function processRule() {
 			if (Base.type(testExprRef) === 'Unknown') {
 				this._ambiguousBlock = true;
 				conditional._unknown = true;
-				Base.enterAmbiguousBlock();
+				Base.enterAmbiguousBlock('The condition of the while loop is unknown', testExprRef);
 				result = body.processRule();
 				if (result[0] === 'return') {
 					context._returnIsUnknown = true;
@@ -0,0 +1,246 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin measures how much of the project was covered by the analysis. Each node that the code processor has a rule
+ * for is either visited, skipped (only processed in skipped mode, such as the branch of an if statement whose condition
+ * is known to be false), or not visited at all. Files in the project that the analysis never reached are parsed so that
+ * all of their nodes are counted as not visited. The source of each file is rendered with the nodes colored by their
+ * state.
+ *
+ * @module plugins/AnalysisCoverage
+ */
+
+var path = require('path'),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	AST = require(path.join(global.titaniumCodeProcessorLibDir, 'AST')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	getPercentage = CodeProcessorUtils.getPercentage,
+
+	pluginOptions,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the coverage state of a node, or undefined if the code processor doesn't have a rule for the node (e.g. variable
+ * declarations), in which case the node shares the state of its parent
+ *
+ * @private
+ */
+function getNodeState(node) {
+	if (node.className !== 'AST_' + node.TYPE || node.TYPE === 'Toplevel') {
+		return;
+	}
+	if (node._visited) {
+		return 'visited';
+	} else if (node._skipped) {
+		return 'skipped';
+	}
+	return 'unvisited';
+}
+
+/**
+ * Creates a coverage entry from the number of nodes in each state
+ *
+ * @private
+ */
+function createCoverageEntry(numVisited, numSkipped, numUnvisited) {
+	var numNodes = numVisited + numSkipped + numUnvisited;
+	return {
+		numNodes: numNodes,
+		numVisited: numVisited,
+		numSkipped: numSkipped,
+		numUnvisited: numUnvisited,
+		percentVisited: getPercentage(numVisited, numNodes),
+		percentSkipped: getPercentage(numSkipped, numNodes),
+		percentUnvisited: getPercentage(numUnvisited, numNodes)
+	};
+}
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData(projectASTs) {
+	var totalVisited = 0,
+		totalSkipped = 0,
+		totalUnvisited = 0,
+		counts,
+		i, len;
+
+	function countNode(node) {
+		var state = getNodeState(node);
+		if (state) {
+			counts[state]++;
+		}
+	}
+
+	results.files = {};
+	for (i = 0, len = projectASTs.length; i < len; i++) {
+		counts = {
+			visited: 0,
+			skipped: 0,
+			unvisited: 0
+		};
+		AST.walk(projectASTs[i].ast, [{
+			callback: countNode
+		}]);
+		results.files[projectASTs[i].filename] = createCoverageEntry(counts.visited, counts.skipped, counts.unvisited);
+		totalVisited += counts.visited;
+		totalSkipped += counts.skipped;
+		totalUnvisited += counts.unvisited;
+	}
+	results.total = createCoverageEntry(totalVisited, totalSkipped, totalUnvisited);
+	results.summary = results.total.percentVisited + '% of the code was visited, ' + results.total.percentSkipped +
+		'% was skipped, and ' + results.total.percentUnvisited + '% was not visited';
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData(projectASTs) {
+	var list = [],
+		pages = [],
+		coverage,
+		page,
+		data,
+		i, len;
+
+	function createRow(name, entry) {
+		return {
+			filename: name,
+			numNodes: entry.numNodes,
+			percentVisited: entry.percentVisited + '%',
+			percentSkipped: entry.percentSkipped + '%',
+			percentUnvisited: entry.percentUnvisited + '%'
+		};
+	}
+
+	for (i = 0, len = projectASTs.length; i < len; i++) {
+		coverage = createRow(path.relative(Runtime.sourceInformation.projectDir, projectASTs[i].filename),
+			results.files[projectASTs[i].filename]);
+		page = AST.getAnnotatedSourcePage(projectASTs[i].filename, exports.name, pluginOptions);
+		coverage.link = page;
+		list.push(coverage);
+		data = AST.createAnnotatedSourcePageData(projectASTs[i], page, exports.displayName, getNodeState);
+		data.coverage = coverage;
+		pages.push({
+			page: page,
+			data: data
+		});
+	}
+
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		summary: results.summary,
+		files: list.length ? { list: list } : undefined,
+		total: createRow('Total', results.total),
+		pages: pages
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/AnalysisCoverage.init
+ * @param {Object} options The plugin options
+ * @param {Object} [options.visualization] The visualization options
+ * @param {string} [options.visualization.outputDirectory] The directory to write the annotated source pages to. It
+ *		must be inside of the results directory. Defaults to the "analysis-coverage" directory in the results directory
+ * @param {boolean} [options.analyzeBlacklistedFiles] Whether or not to include blacklisted files
+ */
+exports.init = function init(options) {
+	pluginOptions = options || {};
+	results = {
+		summary: '',
+		files: {},
+		total: createCoverageEntry(0, 0, 0)
+	};
+
+	Runtime.on('projectProcessingEnd', function () {
+		var projectASTs = AST.getProjectASTs(pluginOptions.analyzeBlacklistedFiles);
+		generateResultsData(projectASTs);
+		generateRenderData(projectASTs);
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/AnalysisCoverage.coverage
+ * @property {number} numNodes The number of nodes that the code processor has a rule for
+ * @property {number} numVisited The number of nodes that were visited
+ * @property {number} numSkipped The number of nodes that were only processed in skipped mode
+ * @property {number} numUnvisited The number of nodes that were not processed at all
+ * @property {number} percentVisited The percentage of nodes that were visited
+ * @property {number} percentSkipped The percentage of nodes that were skipped
+ * @property {number} percentUnvisited The percentage of nodes that were not processed at all
+ */
+/**
+ * @typedef {Object} module:plugins/AnalysisCoverage.results
+ * @property {string} summary A short summary of the results
+ * @property {Object.<string, module:plugins/AnalysisCoverage.coverage>} files The coverage of each file, keyed by
+ *		the full path to the file
+ * @property {module:plugins/AnalysisCoverage.coverage} total The coverage of the whole project
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/AnalysisCoverage.getResults
+* @return {module:plugins/AnalysisCoverage.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/AnalysisCoverage.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {},
+		i, len;
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'analysisCoverageTemplate.html'),
+		data: renderData
+	};
+	for (i = 0, len = renderData.pages.length; i < len; i++) {
+		template[renderData.pages[i].page] = {
+			template: path.join(__dirname, '..', 'templates', 'analysisCoverageFileTemplate.html'),
+			data: renderData.pages[i].data
+		};
+	}
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/AnalysisCoverage.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog = renderData.summary;
+	if (renderData.files) {
+		resultsToLog += '\n\nCoverage\n';
+		resultsToLog += arrayGen(['File', 'Num Nodes', 'Visited', 'Skipped', 'Not Visited'],
+			renderData.files.list.concat([renderData.total]),
+			['filename', 'numNodes', 'percentVisited', 'percentSkipped', 'percentUnvisited']);
+	}
+	return resultsToLog;
+};
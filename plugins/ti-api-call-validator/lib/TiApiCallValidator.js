@@ -0,0 +1,335 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin validates the arguments passed to Titanium API functions against the parameters in the JSCA, finding
+ * calls with missing required arguments, too many arguments, or arguments of the wrong type. It also validates the
+ * properties in the creation dictionaries passed to Ti.*.create* functions, finding properties that are not part of the
+ * API, read-only properties, and values of the wrong type
+ *
+ * @module plugins/TiApiCallValidator
+ */
+
+var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	RuleProcessor = require(path.join(global.titaniumCodeProcessorLibDir, 'RuleProcessor')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	tiApiProvider,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData() {
+	var summary,
+		numInvalidAPIs = Object.keys(results.invalidCalls).length;
+
+	// Generate the results data
+	if (numInvalidAPIs) {
+		summary = pluralize('%s API is', '%s APIs are', numInvalidAPIs) + ' called with invalid arguments';
+	} else {
+		summary = 'No APIs are called with invalid arguments';
+	}
+	results.summary = summary;
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData() {
+	var numInvalidAPIs = Object.keys(results.invalidCalls).length,
+		invalidCalls,
+		numInvalidCallReferences = 0,
+		numInvalidCallInstances = 0,
+		invalidCall,
+		api,
+		list;
+
+	function apiComparator(a, b) {
+		return a.api.toUpperCase().localeCompare(b.api.toUpperCase());
+	}
+
+	// Generate the render data
+	if (numInvalidAPIs) {
+		invalidCalls = {
+			list: []
+		};
+		list = invalidCalls.list;
+		for (api in results.invalidCalls) {
+			invalidCall = results.invalidCalls[api];
+			list.push({
+				api: api,
+				problems: invalidCall.problems.join(', '),
+				numReferences: Object.keys(invalidCall.locations).length,
+				numInstances: invalidCall.numInstances
+			});
+			numInvalidCallInstances += invalidCall.numInstances;
+			numInvalidCallReferences += Object.keys(invalidCall.locations).length;
+		}
+		list.sort(apiComparator);
+		numInvalidAPIs = pluralize('%s API is', '%s APIs are', numInvalidAPIs);
+		numInvalidCallReferences = pluralize('%s place', '%s places', numInvalidCallReferences);
+		numInvalidCallInstances = pluralize('%s time', '%s times', numInvalidCallInstances);
+	}
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numAPIs: numInvalidAPIs,
+		numReferences: numInvalidCallReferences,
+		numInstances: numInvalidCallInstances,
+		invalidCalls: invalidCalls
+	};
+}
+
+/**
+ * Checks if a JSCA parameter may be left out
+ *
+ * @private
+ */
+function isOptionalParameter(parameter) {
+	return parameter.optional || parameter.usage === 'optional' || parameter.usage === 'zero-or-more';
+}
+
+/**
+ * Checks if a JSCA parameter accepts any number of arguments
+ *
+ * @private
+ */
+function isRepeatableParameter(parameter) {
+	return parameter.repeatable || parameter.usage === 'one-or-more' || parameter.usage === 'zero-or-more';
+}
+
+/**
+ * Describes the type of a value for use in messages
+ *
+ * @private
+ */
+function describeValue(value) {
+	if (Base.isCallable(value)) {
+		return 'function';
+	} else if (Base.type(value) === 'Object') {
+		return value.className === 'Array' ? 'array' : 'object';
+	}
+	return Base.type(value).toLowerCase();
+}
+
+/**
+ * Records a problem with a call to an API
+ *
+ * @private
+ */
+function recordInvalidCall(e, name, problem) {
+	var location = e.filename + ':' + e.line + ':' + e.column,
+		invalidCall = results.invalidCalls[name];
+
+	if (!invalidCall) {
+		invalidCall = results.invalidCalls[name] = {
+			problems: [],
+			numInstances: 0,
+			locations: {}
+		};
+	}
+	if (invalidCall.problems.indexOf(problem) === -1) {
+		invalidCall.problems.push(problem);
+	}
+	invalidCall.numInstances++;
+	if (invalidCall.locations.hasOwnProperty(location)) {
+		invalidCall.locations[location]++;
+	} else {
+		invalidCall.locations[location] = 1;
+	}
+}
+
+/**
+ * Validates the arguments of a call to an API
+ *
+ * @private
+ */
+function validateCall(e) {
+	var name = e.data.name,
+		parameters = e.data.node && e.data.node.parameters,
+		args = e.data.args,
+		numRequired = 0,
+		isRepeatable,
+		parameter,
+		missing = [],
+		i, len;
+
+	// Some APIs, such as properties that hold functions, do not describe their parameters
+	if (!parameters) {
+		return;
+	}
+
+	for (i = 0, len = parameters.length; i < len; i++) {
+		if (!isOptionalParameter(parameters[i])) {
+			numRequired = i + 1;
+		}
+	}
+	isRepeatable = !!parameters.length && isRepeatableParameter(parameters[parameters.length - 1]);
+
+	// Check the number of arguments
+	if (args.length < numRequired) {
+		for (i = args.length; i < numRequired; i++) {
+			if (!isOptionalParameter(parameters[i])) {
+				missing.push(parameters[i].name);
+			}
+		}
+		Runtime.reportError('missingTiArgument', pluralize('Missing required argument', 'Missing required arguments',
+			missing.length) + ' "' + missing.join('", "') + '" in call to "' + name + '"', RuleProcessor.getStackTrace());
+		recordInvalidCall(e, name, 'missing arguments');
+	} else if (args.length > parameters.length && !isRepeatable) {
+		Runtime.reportWarning('tooManyTiArguments', '"' + name + '" takes ' +
+			pluralize('%s argument', '%s arguments', parameters.length) + ' but was called with ' + args.length);
+		recordInvalidCall(e, name, 'too many arguments');
+	}
+
+	// Check the type of each argument
+	for (i = 0, len = args.length; i < len; i++) {
+		parameter = parameters[Math.min(i, parameters.length - 1)];
+		if ((i < parameters.length || isRepeatable) && parameter.type &&
+				!tiApiProvider.isValueOfType(args[i], parameter.type)) {
+			Runtime.reportWarning('invalidTiArgumentType', 'Argument "' + parameter.name + '" of "' + name +
+				'" should be of type "' + parameter.type + '" but a ' + describeValue(args[i]) + ' was passed');
+			recordInvalidCall(e, name, 'invalid argument types');
+		}
+	}
+}
+
+/**
+ * Validates a property set in the creation dictionary passed to a Ti.*.create* function
+ *
+ * @private
+ */
+function validateCreationProperty(e) {
+	var node = e.data.node,
+		name = e.data.objectName + '.' + e.data.name,
+		suggestions,
+		description;
+
+	if (!node) {
+		suggestions = CodeProcessorUtils.getSuggestions(e.data.name, e.data.obj._getPropertyNames());
+		description = 'Property "' + e.data.name + '" is not part of the "' + e.data.objectName + '" API';
+		if (suggestions.length) {
+			description += '. Did you mean "' + suggestions.join('", "') + '"?';
+		}
+		Runtime.reportWarning('undefinedTiCreationProperty', description);
+		recordInvalidCall(e, name, 'undefined creation properties');
+		return;
+	}
+
+	if (node.permission === 'read-only') {
+		Runtime.reportWarning('readOnlyTiCreationProperty', 'Read-only property "' + name +
+			'" cannot be set in the creation dictionary');
+		recordInvalidCall(e, name, 'read-only creation properties');
+	}
+	if (node.type && !tiApiProvider.isValueOfType(e.data.value, node.type)) {
+		Runtime.reportWarning('invalidTiCreationPropertyType', 'Property "' + name + '" should be of type "' +
+			node.type + '" but a ' + describeValue(e.data.value) + ' was passed in the creation dictionary');
+		recordInvalidCall(e, name, 'invalid creation property types');
+	}
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/TiApiCallValidator.init
+ * @param {Object} options The plugin options
+ * @param {Array.<Object>} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init(options, dependencies) {
+	var i, len;
+	for (i = 0, len = dependencies.length; i < len; i++) {
+		if (dependencies[i].name === 'ti-api-provider') {
+			tiApiProvider = dependencies[i];
+		}
+	}
+
+	results = {
+		summary: '',
+		invalidCalls: {}
+	};
+
+	Runtime.on('tiFunctionCalled', validateCall);
+	Runtime.on('tiCreationPropertySet', validateCreationProperty);
+	Runtime.on('projectProcessingEnd', function () {
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/TiApiCallValidator.invalidCall
+ * @property {Array.<string>} problems The problems found with calls to the API, one or more of "missing arguments",
+ *		"too many arguments", "invalid argument types", "undefined creation properties", "read-only creation properties",
+ *		and "invalid creation property types"
+ * @property {number} numInstances The number of invalid calls to the API
+ * @property {Object.<string, number>} locations The number of invalid calls to the API at each location
+ */
+/**
+ * @typedef {Object} module:plugins/TiApiCallValidator.results
+ * @property {string} summary A short summary of the results
+ * @property {Object.<string, module:plugins/TiApiCallValidator.invalidCall>} invalidCalls The APIs that are called
+ *		with invalid arguments. Each key is the name of the API, e.g. "Titanium.UI.Window.addEventListener"
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/TiApiCallValidator.getResults
+* @return {module:plugins/TiApiCallValidator.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/TiApiCallValidator.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiApiCallValidatorTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/TiApiCallValidator.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog;
+	if (renderData.invalidCalls) {
+		resultsToLog = renderData.numAPIs + ' called with invalid arguments in ' + renderData.numReferences + ' ' +
+			renderData.numInstances + '\n\nInvalid API Calls\n';
+		resultsToLog += arrayGen(['API', 'Problems', 'Num References', 'Num Instances'], renderData.invalidCalls.list,
+			['api', 'problems', 'numReferences', 'numInstances']);
+	} else {
+		resultsToLog = 'No APIs are called with invalid arguments in the project';
+	}
+	return resultsToLog;
+};
@@ -0,0 +1,285 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin finds reads, writes, and calls of members that are not part of the API of a Titanium object, such as
+ * <code>win.titel</code> or <code>view.addEventLisener()</code>, as well as listeners for events that are not part of
+ * the API, and suggests the members that were probably meant
+ *
+ * @module plugins/TiApiMemberValidator
+ */
+
+var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	RuleProcessor = require(path.join(global.titaniumCodeProcessorLibDir, 'RuleProcessor')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	currentCallee,
+	currentMemberExpression,
+	firedEvents,
+	undefinedEventReferences,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData() {
+	var summary,
+		numUndefinedMembers = Object.keys(results.undefinedMembers).length;
+
+	// Generate the results data
+	if (numUndefinedMembers) {
+		summary = pluralize('%s undefined API member is', '%s undefined API members are', numUndefinedMembers) + ' used';
+	} else {
+		summary = 'No undefined API members are used';
+	}
+	results.summary = summary;
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData() {
+	var numUndefinedMembers = Object.keys(results.undefinedMembers).length,
+		undefinedMembers,
+		numUndefinedMemberReferences = 0,
+		numUndefinedMemberInstances = 0,
+		undefinedMember,
+		member,
+		list;
+
+	function memberComparator(a, b) {
+		return a.member.toUpperCase().localeCompare(b.member.toUpperCase());
+	}
+
+	// Generate the render data
+	if (numUndefinedMembers) {
+		undefinedMembers = {
+			list: []
+		};
+		list = undefinedMembers.list;
+		for (member in results.undefinedMembers) {
+			undefinedMember = results.undefinedMembers[member];
+			list.push({
+				member: member,
+				accesses: undefinedMember.accesses.join(', '),
+				suggestions: undefinedMember.suggestions.join(', '),
+				numReferences: Object.keys(undefinedMember.locations).length,
+				numInstances: undefinedMember.numInstances
+			});
+			numUndefinedMemberInstances += undefinedMember.numInstances;
+			numUndefinedMemberReferences += Object.keys(undefinedMember.locations).length;
+		}
+		list.sort(memberComparator);
+		numUndefinedMembers = pluralize('%s undefined API member is', '%s undefined API members are', numUndefinedMembers);
+		numUndefinedMemberReferences = pluralize('%s place', '%s places', numUndefinedMemberReferences);
+		numUndefinedMemberInstances = pluralize('%s time', '%s times', numUndefinedMemberInstances);
+	}
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numMembers: numUndefinedMembers,
+		numReferences: numUndefinedMemberReferences,
+		numInstances: numUndefinedMemberInstances,
+		undefinedMembers: undefinedMembers
+	};
+}
+
+/**
+ * Reports an access of a member that is not part of the API
+ *
+ * @private
+ */
+function reportUndefinedMember(e, access) {
+	var name = e.data.name,
+		objectName = e.data.objectName,
+		fullName = objectName + '.' + name,
+		location = e.filename + ':' + e.line + ':' + e.column,
+		candidates,
+		suggestions,
+		description,
+		undefinedMember;
+
+	if (access === 'listen') {
+		candidates = (e.data.obj._api.events || []).map(function (eventNode) {
+			return eventNode.name;
+		});
+		description = 'Event "';
+	} else {
+		candidates = e.data.obj._getPropertyNames();
+		description = access === 'call' ? 'Method "' : 'Property "';
+	}
+	suggestions = CodeProcessorUtils.getSuggestions(name, candidates);
+	description += name + '" is not part of the "' + objectName + '" API';
+	if (suggestions.length) {
+		description += '. Did you mean "' + suggestions.join('", "') + '"?';
+	}
+	if (access === 'call') {
+		Runtime.reportError('undefinedTiMethodCalled', description, RuleProcessor.getStackTrace());
+	} else if (access === 'listen') {
+		Runtime.reportWarning('undefinedTiEventReferenced', description);
+	} else {
+		Runtime.reportWarning(access === 'write' ? 'undefinedTiPropertySet' : 'undefinedTiPropertyReferenced', description);
+	}
+
+	undefinedMember = results.undefinedMembers[fullName];
+	if (!undefinedMember) {
+		undefinedMember = results.undefinedMembers[fullName] = {
+			accesses: [],
+			suggestions: suggestions,
+			numInstances: 0,
+			locations: {}
+		};
+	}
+	if (undefinedMember.accesses.indexOf(access) === -1) {
+		undefinedMember.accesses.push(access);
+	}
+	undefinedMember.numInstances++;
+	if (undefinedMember.locations.hasOwnProperty(location)) {
+		undefinedMember.locations[location]++;
+	} else {
+		undefinedMember.locations[location] = 1;
+	}
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/TiApiMemberValidator.init
+ * @param {Object} options The plugin options
+ * @param {Array.<Object>} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init() {
+	results = {
+		summary: '',
+		undefinedMembers: {}
+	};
+	currentCallee = undefined;
+	currentMemberExpression = undefined;
+	firedEvents = {};
+	undefinedEventReferences = [];
+
+	// A call looks up its function immediately after the member expression for it is evaluated, so a missing property
+	// is being called if the member expression that was just evaluated is the expression of the call being processed
+	Runtime.on('rule', function (e) {
+		var ruleName = e.data.ruleName;
+		if (ruleName === 'AST_Call' && !e.data.processingComplete) {
+			currentCallee = e.data.ast.expression;
+		} else if ((ruleName === 'AST_Dot' || ruleName === 'AST_Sub') && e.data.processingComplete) {
+			currentMemberExpression = e.data.ast;
+		}
+	});
+
+	Runtime.on('tiPropertyMissing', function (e) {
+		if (e.data.isWrite) {
+			reportUndefinedMember(e, 'write');
+		} else if (currentMemberExpression && currentMemberExpression === currentCallee) {
+			reportUndefinedMember(e, 'call');
+		} else {
+			reportUndefinedMember(e, 'read');
+		}
+	});
+
+	// Projects are free to fire their own events, so listeners for events that are not part of the API are only
+	// reported once the whole project has been processed and the event was never fired. Custom application events
+	// are the project's own, and the listeners for the ones that are never fired are reported by the Ti.App event
+	// flow plugin
+	Runtime.on('tiEventReferenced', function (e) {
+		if (e.data.method === 'fireEvent') {
+			firedEvents[e.data.name] = 1;
+		} else if (!e.data.node && e.data.objectName !== 'Titanium.App' && !Base.isSkippedMode()) {
+			undefinedEventReferences.push(e);
+		}
+	});
+
+	Runtime.on('projectProcessingEnd', function () {
+		var i, len;
+		for (i = 0, len = undefinedEventReferences.length; i < len; i++) {
+			if (!firedEvents[undefinedEventReferences[i].data.name]) {
+				Runtime.setCurrentLocation(undefinedEventReferences[i].filename, undefinedEventReferences[i].line,
+					undefinedEventReferences[i].column);
+				reportUndefinedMember(undefinedEventReferences[i], 'listen');
+				Runtime.exitCurrentLocation();
+			}
+		}
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/TiApiMemberValidator.undefinedMember
+ * @property {Array.<string>} accesses How the member was accessed, one or more of "read", "write", "call", and
+ *		"listen" (for events that listeners were added to or removed from)
+ * @property {Array.<string>} suggestions The members of the API that were probably meant
+ * @property {number} numInstances The number of times the member was accessed
+ * @property {Object.<string, number>} locations The number of times the member was accessed at each location
+ */
+/**
+ * @typedef {Object} module:plugins/TiApiMemberValidator.results
+ * @property {string} summary A short summary of the results
+ * @property {Object.<string, module:plugins/TiApiMemberValidator.undefinedMember>} undefinedMembers The members that
+ *		are not part of the API but are used in the project. Each key is the name of the API and the member, e.g.
+ *		"Titanium.UI.Window.titel"
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/TiApiMemberValidator.getResults
+* @return {module:plugins/TiApiMemberValidator.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/TiApiMemberValidator.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiApiMemberValidatorTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/TiApiMemberValidator.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog;
+	if (renderData.undefinedMembers) {
+		resultsToLog = renderData.numMembers + ' used in ' + renderData.numReferences + ' ' + renderData.numInstances +
+			'\n\nUndefined API Members\n';
+		resultsToLog += arrayGen(['Member', 'Accessed By', 'Did You Mean', 'Num References', 'Num Instances'],
+			renderData.undefinedMembers.list, ['member', 'accesses', 'suggestions', 'numReferences', 'numInstances']);
+	} else {
+		resultsToLog = 'No undefined API members are used in the project';
+	}
+	return resultsToLog;
+};
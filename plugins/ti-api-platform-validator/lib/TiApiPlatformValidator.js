@@ -2,17 +2,23 @@
  * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
  * Please see the LICENSE file for information about licensing.</p>
  *
- * This plugin finds the Titanium APIs that are used that are not supported on the current platform
+ * This plugin finds the Titanium APIs that are used that are not supported on the current platform. APIs referenced in
+ * code that is unreachable on the current platform, such as a branch guarded by a platform check or by a check that the
+ * API exists, are listed separately as suppressed instead of being reported
  *
  * @module plugins/TiApiPlatformValidator
  */
 
 var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
 	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
 	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
 
 	pluralize = CodeProcessorUtils.pluralize,
 
+	platform,
+	guards,
+
 	results,
 	renderData;
 
@@ -25,7 +31,8 @@ var path = require('path'),
  */
 function generateResultsData() {
 	var summary,
-		numInvalidAPIs = Object.keys(results.invalidAPIs).length;
+		numInvalidAPIs = Object.keys(results.invalidAPIs).length,
+		numSuppressedAPIs = Object.keys(results.suppressedAPIs).length;
 
 	// Generate the results data
 	if (numInvalidAPIs) {
@@ -33,6 +40,11 @@ function generateResultsData() {
 	} else {
 		summary = 'No platform specific APIs are used incorrectly';
 	}
+	if (numSuppressedAPIs) {
+		summary += ', and ' + pluralize('%s API was', '%s APIs were', numSuppressedAPIs) +
+			' not reported because ' + pluralize('it is', 'they are', numSuppressedAPIs) +
+			' referenced in code that is unreachable on ' + platform;
+	}
 	results.summary = summary;
 }
 
@@ -48,12 +60,25 @@ function generateRenderData() {
 		numInvalidAPIReferences = 0,
 		numInvalidAPIInstances = 0,
 		invalidAPI,
+		suppressedAPIs,
+		suppressedAPI,
 		list;
 
 	function apiComparator(a, b) {
 		return a.api.toUpperCase().localeCompare(b.api.toUpperCase());
 	}
 
+	function createRow(api, entry) {
+		return {
+			api: api,
+			numReferences: Object.keys(entry.locations).length,
+			numInstances: entry.numInstances,
+			locations: Object.keys(entry.locations).map(function (location) {
+				return path.relative(Runtime.sourceInformation.projectDir, location);
+			}).sort().join(', ')
+		};
+	}
+
 	// Generate the render data
 	if (numInvalidAPIs) {
 		invalidAPIs = {
@@ -61,11 +86,7 @@ function generateRenderData() {
 		};
 		list = invalidAPIs.list;
 		for (invalidAPI in results.invalidAPIs) {
-			list.push({
-				api: invalidAPI,
-				numReferences: Object.keys(results.invalidAPIs[invalidAPI].locations).length,
-				numInstances: results.invalidAPIs[invalidAPI].numInstances
-			});
+			list.push(createRow(invalidAPI, results.invalidAPIs[invalidAPI]));
 			numInvalidAPIInstances += results.invalidAPIs[invalidAPI].numInstances;
 			numInvalidAPIReferences += Object.keys(results.invalidAPIs[invalidAPI].locations).length;
 		}
@@ -86,15 +107,118 @@ function generateRenderData() {
 			numInvalidAPIInstances = numInvalidAPIInstances + ' times';
 		}
 	}
+	if (Object.keys(results.suppressedAPIs).length) {
+		suppressedAPIs = {
+			platform: platform,
+			list: []
+		};
+		for (suppressedAPI in results.suppressedAPIs) {
+			suppressedAPIs.list.push(createRow(suppressedAPI, results.suppressedAPIs[suppressedAPI]));
+		}
+		suppressedAPIs.list.sort(apiComparator);
+	}
 	renderData = {
 		pluginDisplayName: exports.displayName,
 		numAPIs: numInvalidAPIs,
 		numReferences: numInvalidAPIReferences,
 		numInstances: numInvalidAPIInstances,
-		invalidAPIs: invalidAPIs
+		invalidAPIs: invalidAPIs,
+		suppressedAPIs: suppressedAPIs
 	};
 }
 
+/**
+ * Records a reference to an API in one of the result sets
+ *
+ * @private
+ */
+function recordAPI(apis, name, location) {
+	var api = apis[name];
+	if (!api) {
+		api = apis[name] = {
+			numInstances: 0,
+			locations: {}
+		};
+	}
+	api.numInstances++;
+	if (api.locations.hasOwnProperty(location)) {
+		api.locations[location]++;
+	} else {
+		api.locations[location] = 1;
+	}
+}
+
+/**
+ * Gets the name of the API referenced by a member expression, e.g. "Titanium.Android" for <code>Ti.Android</code>, or
+ * undefined if the expression is not a reference to a Titanium API
+ *
+ * @private
+ */
+function getApiName(ast) {
+	var name;
+	if (ast.className === 'AST_SymbolRef') {
+		return ast.name === 'Ti' ? 'Titanium' : ast.name;
+	}
+	if (ast.className === 'AST_Dot') {
+		name = getApiName(ast.expression);
+		return name && name + '.' + ast.property;
+	}
+	if (ast.className === 'AST_Sub' && ast.property.className === 'AST_String') {
+		name = getApiName(ast.expression);
+		return name && name + '.' + ast.property.value;
+	}
+}
+
+/**
+ * Gets the names of the APIs whose existence is checked by a condition, such as <code>Ti.Android</code>,
+ * <code>typeof Ti.Android !== 'undefined'</code>, or a combination of them with &&
+ *
+ * @private
+ */
+function getCheckedApis(ast) {
+	var name,
+		typeofExpression;
+	if (ast.className === 'AST_Binary') {
+		if (ast.operator === '&&') {
+			return getCheckedApis(ast.left).concat(getCheckedApis(ast.right));
+		}
+		if (ast.operator === '!==' || ast.operator === '!=') {
+			if (ast.right.className === 'AST_String' && ast.right.value === 'undefined') {
+				typeofExpression = ast.left;
+			} else if (ast.left.className === 'AST_String' && ast.left.value === 'undefined') {
+				typeofExpression = ast.right;
+			}
+			if (typeofExpression && typeofExpression.className === 'AST_UnaryPrefix' &&
+					typeofExpression.operator === 'typeof') {
+				return getCheckedApis(typeofExpression.expression);
+			}
+		}
+		return [];
+	}
+	name = getApiName(ast);
+	return name && name.indexOf('Titanium.') === 0 ? [name] : [];
+}
+
+/**
+ * Checks if an API is referenced in code that only runs if the API, or the namespace it belongs to, exists
+ *
+ * @private
+ */
+function isGuarded(name) {
+	var i, j, len, guardedApis;
+	for (i = 0; i < guards.length; i++) {
+		if (!guards[i].inAlternative) {
+			guardedApis = guards[i].apis;
+			for (j = 0, len = guardedApis.length; j < len; j++) {
+				if (name === guardedApis[j] || name.indexOf(guardedApis[j] + '.') === 0) {
+					return true;
+				}
+			}
+		}
+	}
+	return false;
+}
+
 // ******** Plugin API Methods ********
 
 /**
@@ -105,8 +229,7 @@ function generateRenderData() {
  * @param {Array.<Object>} dependencies The dependant plugins of this plugin
  */
 exports.init = function init(options, dependencies) {
-	var i, len,
-		platform;
+	var i, len;
 	for (i = 0, len = dependencies.length; i < len; i++) {
 		if (dependencies[i].name === 'ti-api-provider') {
 			platform = dependencies[i].platform;
@@ -115,16 +238,16 @@ exports.init = function init(options, dependencies) {
 
 	results = {
 		summary: '',
-		invalidAPIs: {}
+		invalidAPIs: {},
+		suppressedAPIs: {}
 	};
 
-	Runtime.on('tiPropertyReferenced', function(e) {
-		var platformList = e.data.node.userAgents,
+	function validatePlatform(e, name, kind) {
+		// Values read from Titanium objects, such as the Ti.Android namespace, carry their JSCA node as _api
+		var platformList = (e.data.node._api || e.data.node).userAgents,
 			location = e.filename + ':' + e.line + ':' + e.column,
 			i, len,
-			isSupported = false,
-			name = e.data.name,
-			invalidAPI;
+			isSupported = false;
 
 		// Global nodes don't have platform lists
 		if (!platformList) {
@@ -135,41 +258,90 @@ exports.init = function init(options, dependencies) {
 				isSupported = true;
 			}
 		}
-		if (!isSupported) {
-			Runtime.reportWarning('invalidPlatformReferenced', 'Property "' + name +
+		if (isSupported) {
+			return;
+		}
+
+		// Skipped code never runs on this platform, e.g. the Android branch of an osname check when analyzing iOS, and
+		// neither does code guarded by a check that the API exists, e.g. the body of "if (Ti.Android)"
+		if (Base.isSkippedMode() || isGuarded(name)) {
+			recordAPI(results.suppressedAPIs, name, location);
+		} else {
+			Runtime.reportWarning('invalidPlatformReferenced', kind + ' "' + name +
 				'" is not supported on ' + platform, {
 					property: name,
 					platform: platform
 				});
+			recordAPI(results.invalidAPIs, name, location);
+		}
+	}
 
-			invalidAPI = results.invalidAPIs[name];
-			if (invalidAPI) {
-				invalidAPI.numInstances++;
-				if (invalidAPI.locations.hasOwnProperty(location)) {
-					invalidAPI.locations[location]++;
-				} else {
-					invalidAPI.locations[location] = 1;
+	// Existence checks, such as "if (Ti.Android)", guard themselves and the code that only runs if they pass, i.e.
+	// everything but the else branch of an if statement or conditional expression
+	guards = [];
+	Runtime.on('rule', function (e) {
+		var ast = e.data.ast,
+			ruleName = e.data.ruleName,
+			guard = guards[guards.length - 1],
+			apis,
+			i;
+		if (guard && guard.alternative === ast) {
+			guard.inAlternative = !e.data.processingComplete;
+		}
+		if (e.data.processingComplete) {
+			// Guards of rules that were exited by an exception are removed along with the guard of the enclosing rule
+			for (i = guards.length - 1; i >= 0; i--) {
+				if (guards[i].ast === ast) {
+					guards.splice(i, guards.length - i);
+					break;
 				}
-			} else {
-				results.invalidAPIs[name] = {
-					numInstances: 1,
-					locations: {}
-				};
-				results.invalidAPIs[name].locations[location] = 1;
+			}
+		} else if (ruleName === 'AST_If' || ruleName === 'AST_Conditional' ||
+				(ruleName === 'AST_Binary' && ast.operator === '&&')) {
+			apis = getCheckedApis(ruleName === 'AST_Binary' ? ast.left : ast.condition);
+			if (apis.length) {
+				guards.push({
+					ast: ast,
+					apis: apis,
+					alternative: ast.alternative,
+					inAlternative: false
+				});
 			}
 		}
 	});
+
+	Runtime.on('tiPropertyReferenced', function(e) {
+		validatePlatform(e, e.data.name, 'Property');
+	});
+	Runtime.on('tiCreationPropertySet', function(e) {
+		if (e.data.node) {
+			validatePlatform(e, e.data.objectName + '.' + e.data.name, 'Property');
+		}
+	});
+	Runtime.on('tiEventReferenced', function(e) {
+		if (e.data.node) {
+			validatePlatform(e, e.data.objectName + '.' + e.data.name, 'Event');
+		}
+	});
 	Runtime.on('projectProcessingEnd', function () {
 		generateResultsData();
 		generateRenderData();
 	});
 };
 
+/**
+ * @typedef {Object} module:plugins/TiApiPlatformValidator.suppressedAPI
+ * @property {number} numInstances The number of times the API is referenced in unreachable code
+ * @property {Object.<string, number>} locations The number of times the API is referenced at each location
+ */
 /**
  * @typedef {Object} module:plugins/TiApiPlatformValidator.results
  * @property {string} summary A short summary of the results
  * @property {Object.<string, number>} invalidAPIs The platform-specific APIs used incorrectly in the project. Each key
  *		is the name of the platform-specific API used incorrectly, and the value is the count
+ * @property {Object.<string, module:plugins/TiApiPlatformValidator.suppressedAPI>} suppressedAPIs The platform-specific
+ *		APIs that were not reported because they are used in code that is unreachable on the current platform. Each
+ *		key is the name of the API
  */
 /**
 * Gets the results of the plugin
@@ -215,5 +387,11 @@ exports.renderLogOutput = function renderLogOutput(arrayGen) {
 	} else {
 		resultsToLog = 'No platform specific APIs are used incorrectly in the project';
 	}
+	if (renderData.suppressedAPIs) {
+		resultsToLog += '\n\nSuppressed Platform-Specific API References (unreachable on ' +
+			renderData.suppressedAPIs.platform + ')\n';
+		resultsToLog += arrayGen(['API', 'Num References', 'Num Instances', 'Locations'], renderData.suppressedAPIs.list,
+			['api', 'numReferences', 'numInstances', 'locations']);
+	}
 	return resultsToLog;
 };
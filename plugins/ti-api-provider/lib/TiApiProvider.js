@@ -16,6 +16,7 @@ var fs = require('fs'),
 	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
 	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
 	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+	Errors = require(path.join(global.titaniumCodeProcessorLibDir, 'Errors')),
 
 	jsca,
 	manifest,
@@ -24,6 +25,8 @@ var fs = require('fs'),
 	platformList = ['android', 'mobileweb', 'iphone', 'ipad', 'blackberry', 'tizen'],
 	values,
 	api,
+	overrideLocation,
+	memberReference,
 
 	methodOverrides = [],
 	propertyOverrides = [],
@@ -32,7 +35,8 @@ var fs = require('fs'),
 	getterRegex = /^get([A-Z])(.*)$/,
 	setterRegex = /^set([A-Z])(.*)$/,
 	underscoreRegex = /\._/g,
-	globalObjectRegex = /^Global\.(.*)$/;
+	globalObjectRegex = /^Global\.(.*)$/,
+	genericTypeRegex = /^([^<]*)</;
 
 /**
  * @callback module:plugins/TiApiProvider.overrideFunctionCallback
@@ -90,16 +94,25 @@ exports.init = function init(options) {
 		children: {}
 	};
 
+	// Only the reads made by the project itself are checked for missing members, not the reads made by overrides, so the
+	// reference created by the member expression that was just processed is kept until the project reads it
+	memberReference = undefined;
+	Runtime.on('rule', function (e) {
+		if (!e.data.processingComplete) {
+			memberReference = undefined;
+		} else if (e.data.ruleName === 'AST_Dot' || e.data.ruleName === 'AST_Sub') {
+			memberReference = e.data.result;
+		}
+	});
+
 	if (!fs.existsSync(options.sdkPath)) {
-		console.error('The ' + exports.displayName + ' plugin requires a valid "sdkPath" option');
-		process.exit(1);
+		throw new Errors.PluginError('The ' + exports.displayName + ' plugin requires a valid "sdkPath" option', exports.name);
 	}
 
 	// Parse and validate the JSCA file
 	jsca = path.join(options.sdkPath, 'api.jsca');
 	if (!fs.existsSync(jsca)) {
-		console.error('The ' + exports.displayName + ' plugin could not find a valid JSCA file at "' + jsca + '"');
-		process.exit(1);
+		throw new Errors.PluginError('The ' + exports.displayName + ' plugin could not find a valid JSCA file at "' + jsca + '"', exports.name);
 	}
 	jsca = JSON.parse(fs.readFileSync(jsca));
 	types = jsca.types;
@@ -121,8 +134,7 @@ exports.init = function init(options) {
 				}
 			}
 		} else {
-			console.error('The ' + exports.displayName + ' plugin could not find a valid manifest file at "' + manifest + '"');
-			process.exit(1);
+			throw new Errors.PluginError('The ' + exports.displayName + ' plugin could not find a valid manifest file at "' + manifest + '"', exports.name);
 		}
 	}
 
@@ -135,18 +147,15 @@ exports.init = function init(options) {
 		platformList.push('iphone');
 	}
 	if (!platform) {
-		console.error('The ' + exports.displayName + ' plugin requires the "platform" option');
-		process.exit(1);
+		throw new Errors.PluginError('The ' + exports.displayName + ' plugin requires the "platform" option', exports.name);
 	}
 	if (platformList.indexOf(platform) === -1) {
-		console.error('"' + platform + '" is not a valid platform for the ' + exports.displayName + ' plugin');
-		process.exit(1);
+		throw new Errors.PluginError('"' + platform + '" is not a valid platform for the ' + exports.displayName + ' plugin', exports.name);
 	}
 
 	// Validate the SDK version
 	if (appc.version.lt(manifest.version, '2.1.0')) {
-		console.error('The ' + exports.displayName + ' plugin only works with SDK 2.1.0 or newer');
-		process.exit(1);
+		throw new Errors.PluginError('The ' + exports.displayName + ' plugin only works with SDK 2.1.0 or newer', exports.name);
 	}
 
 	// Create the API tree
@@ -166,7 +175,7 @@ exports.init = function init(options) {
 	// Load the overrides
 	for (i = 0, ilen = overrideFiles.length; i < ilen; i++) {
 		if (jsRegex.test(overrideFiles[i])) {
-			overrideDefs = require(overrideFiles[i]).getOverrides(appc.util.mix(options, {
+			overrideDefs = require(overrideFiles[i]).getOverrides(appc.util.mix({}, options, {
 					api: api,
 					manifest: manifest,
 					platform: platform,
@@ -255,6 +264,66 @@ exports.init = function init(options) {
 	}
 };
 
+/**
+ * Checks if a value could be of the given JSCA type. JSCA types can be unions, e.g. "String,Titanium.Blob", and generic
+ * types, e.g. "Callback<Object>", in which case only the outer type is checked. Titanium proxy types are only checked
+ * to be objects, since the JSCA does not describe which types inherit from which.
+ *
+ * @method module:plugins/TiApiProvider.isValueOfType
+ * @param {module:base.BaseType} value The value to check
+ * @param {string} type The JSCA type to check against
+ * @return {boolean} Whether or not the value could be of the type. Unknown, undefined, and null values always match, as
+ *		do types that cannot be checked, such as "Object"
+ */
+exports.isValueOfType = isValueOfType;
+function isValueOfType(value, type) {
+	var valueType = Base.type(value),
+		types = splitUnionType(type),
+		genericType,
+		i, len;
+	if (Base.isType(value, ['Unknown', 'Undefined', 'Null'])) {
+		return true;
+	}
+	for (i = 0, len = types.length; i < len; i++) {
+		type = types[i];
+		genericType = genericTypeRegex.exec(type);
+		if (genericType) {
+			type = genericType[1];
+		}
+		switch (type) {
+			case 'String':
+			case 'Number':
+			case 'Boolean':
+				if (valueType === type) {
+					return true;
+				}
+				break;
+			case 'Function':
+			case 'Callback':
+				if (Base.isCallable(value)) {
+					return true;
+				}
+				break;
+			case 'Array':
+			case 'Date':
+				if (valueType === 'Object' && value.className === type) {
+					return true;
+				}
+				break;
+			case 'Dictionary':
+				if (valueType === 'Object') {
+					return true;
+				}
+				break;
+			default:
+				if (type.indexOf('Titanium.') !== 0 || valueType === 'Object') {
+					return true;
+				}
+		}
+	}
+	return false;
+}
+
 // ******** Function Type ********
 
 /**
@@ -267,14 +336,33 @@ function TiFunction(returnTypes, className) {
 }
 util.inherits(TiFunction, Base.FunctionTypeBase);
 
+/**
+ * Indicates that a titanium function was called
+ *
+ * @event module:plugins/TiApiProvider#tiFunctionCalled
+ * @param {string} name The name of the function that was called, e.g. "Titanium.UI.Window.open"
+ * @param {Object} node The JSCA node for the function
+ * @param {module:base.BaseType} thisVal The this value of the call
+ * @param {Array.<module:base.BaseType>} args The arguments of the call
+ */
 /**
  * @private
  */
 TiFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(thisVal, args) {
+	fireFunctionCalledEvent(this, thisVal, args);
+	return callTiFunction.call(this, thisVal, args);
+});
+
+/**
+ * The default implementation of Function.Call for titanium functions
+ *
+ * @private
+ */
+function callTiFunction(thisVal, args) {
 	var returnType,
 		root = api,
 		i, ilen, j, jlen,
-		value = new Base.UnknownType(),
+		value = Base.setUnknownOrigin(new Base.UnknownType(), 'The return value of "' + this._apiName + '" is unknown'),
 		callArgs;
 	args = args || [];
 	for (i = 0, ilen = args.length; i < ilen; i++) {
@@ -282,7 +370,8 @@ TiFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(th
 			if (Base.isCallable(args[i])) {
 				callArgs = [];
 				for (j = 0, jlen = args[i].get('length').value; j < jlen; j++) {
-					callArgs[j] = new Base.UnknownType();
+					callArgs[j] = Base.setUnknownOrigin(new Base.UnknownType(), 'An argument passed to a callback by "' +
+						this._apiName + '"');
 				}
 				Runtime.queueFunction(args[i], thisVal, callArgs, true, Base.isSkippedMode());
 			}
@@ -307,11 +396,9 @@ TiFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(th
 				name: this._returnTypes[0].type
 			});
 		}
-		return value;
-	} else {
-		return new Base.UnknownType();
 	}
-});
+	return value;
+}
 
 // ******** Object Type ********
 
@@ -328,6 +415,7 @@ TiFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(th
 function TiObjectType(api, className) {
 	Base.ObjectType.call(this, className || 'Object');
 	this._api = api;
+	this._apiChildren = api.children;
 	this.dontClone = true;
 }
 util.inherits(TiObjectType, Base.ObjectType);
@@ -369,6 +457,66 @@ TiObjectType.prototype.getOwnProperty = function getOwnProperty(p, alternate, su
 	return value;
 };
 
+/**
+ * Indicates that a property that is not part of the API was written, or that a property that is not part of the API and
+ * was not otherwise added to the object was read by the project
+ *
+ * @event module:plugins/TiApiProvider#tiPropertyMissing
+ * @param {string} name The name of the property that is missing
+ * @param {string} objectName The name of the API of the object, e.g. "Titanium.UI.Window"
+ * @param {module:base/types/object.ObjectType} obj The object the property is missing from
+ * @param {boolean} isWrite Whether the property was written or read
+ */
+/**
+ * ECMA-262 Spec: <em>Returns the value of the named property.</em>
+ *
+ * @method module:plugins/TiApiProvider.get
+ * @param {string} p The name of the property to fetch
+ * @param {boolean} alternate Whether or not to fetch the alternate values, or the base value
+ * @return {module:base.BaseType} The value of the property, or a new instance of
+ *		{@link module:base/types/undefined.UndefinedType} if the property does not exist
+ * @see ECMA-262 Spec Chapter 8.12.3
+ */
+TiObjectType.prototype.get = function get(p, alternate) {
+	var isProjectRead = !alternate && memberReference && memberReference.baseValue === this &&
+		memberReference.referencedName === p;
+	if (isProjectRead) {
+		memberReference = undefined;
+	}
+	if (isProjectRead && !this._lookupProperty(p) && !isApiMember(this, p)) {
+		Runtime.fireEvent('tiPropertyMissing', 'Property "' + p + '" is not part of the API of "' + this._apiName + '"', {
+			name: p,
+			objectName: this._apiName,
+			obj: this,
+			isWrite: false
+		});
+	}
+	return Base.ObjectType.prototype.get.apply(this, arguments);
+};
+
+/**
+ * ECMA-262 Spec: <em>Sets the specified named property to the value of the second parameter. The flag controls failure
+ * handling.</em>
+ *
+ * @method module:plugins/TiApiProvider.put
+ * @param {string} p The name of the parameter to set the value as
+ * @param {module:base.BaseType} v The value to set
+ * @param {boolean} throwFlag Whether or not to throw an exception on error (related to strict mode)
+ * @param {boolean} suppressEvent Suppresses the 'tiPropertyMissing' event
+ * @see ECMA-262 Spec Chapter 8.12.5
+ */
+TiObjectType.prototype.put = function put(p, v, throwFlag, suppressEvent) {
+	if (!suppressEvent && !isApiMember(this, p)) {
+		Runtime.fireEvent('tiPropertyMissing', 'Property "' + p + '" is not part of the API of "' + this._apiName + '"', {
+			name: p,
+			objectName: this._apiName,
+			obj: this,
+			isWrite: true
+		});
+	}
+	Base.ObjectType.prototype.put.apply(this, arguments);
+};
+
 /**
  * Indicates that a titanium property was set (i.e. written).
  *
@@ -411,7 +559,8 @@ TiObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, t
 			if (Base.isCallable(v)) {
 				callArgs = [];
 				for (i = 0, len = v.get('length').value; i < len; i++) {
-					callArgs[i] = new Base.UnknownType();
+					callArgs[i] = Base.setUnknownOrigin(new Base.UnknownType(), 'An argument passed to the "' +
+						this._apiName + '.' + p + '" callback');
 				}
 				Runtime.queueFunction(v, this, callArgs, true, Base.isSkippedMode());
 			}
@@ -449,14 +598,108 @@ TiObjectType.prototype.delete = function objDelete(p) {
 // ******** Helper Methods ********
 
 /**
- * Creates a setter function
+ * Splits a JSCA union type into its types, ignoring separators inside of generic types
  *
  * @private
  */
-function TiSetterFunction(obj, name, className) {
+function splitUnionType(type) {
+	var types = [],
+		depth = 0,
+		start = 0,
+		i, len;
+	for (i = 0, len = type.length; i < len; i++) {
+		if (type[i] === '<') {
+			depth++;
+		} else if (type[i] === '>') {
+			depth--;
+		} else if (!depth && (type[i] === ',' || type[i] === '|')) {
+			types.push(type.substring(start, i).trim());
+			start = i + 1;
+		}
+	}
+	types.push(type.substring(start).trim());
+	return types;
+}
+
+/**
+ * Checks if a property is part of the API of a titanium object, either as a property, as one of the getters and setters
+ * of a property, as a function, as a child namespace, or as a member of Object.prototype
+ *
+ * @private
+ */
+function isApiMember(obj, p) {
+	var properties = obj._api.properties || [],
+		functions = obj._api.functions || [],
+		property,
+		i, len;
+	if (obj._apiChildren && obj._apiChildren.hasOwnProperty(p)) {
+		return true;
+	}
+	for (i = 0, len = properties.length; i < len; i++) {
+		property = properties[i];
+		if (property.name === p || (property._getter && property._getter.name === p) ||
+				(property._setter && property._setter.name === p)) {
+			return true;
+		}
+	}
+	for (i = 0, len = functions.length; i < len; i++) {
+		if (functions[i].name === p) {
+			return true;
+		}
+	}
+	return !!(obj.objectPrototype && obj.objectPrototype.hasProperty(p));
+}
+
+/**
+ * Fires the tiFunctionCalled event for a titanium function
+ *
+ * @private
+ */
+function fireFunctionCalledEvent(func, thisVal, args) {
+
+	// Overrides sometimes delegate to other titanium functions, e.g. Ti.API.info calls console.info, which should not
+	// be reported as separate calls. These calls happen without any code being processed in between.
+	if (overrideLocation && overrideLocation === Runtime.getCurrentLocation()) {
+		return;
+	}
+	Runtime.fireEvent('tiFunctionCalled', 'Function "' + func._apiName + '" was called', {
+		name: func._apiName,
+		node: func._api,
+		thisVal: thisVal,
+		args: args || []
+	});
+}
+
+/**
+ * Creates a Function.Call implementation that fires the tiFunctionCalled event before calling an override
+ *
+ * @private
+ */
+function createOverrideCallFunction(callFunction) {
+	return function (thisVal, args) {
+		var previousOverrideLocation = overrideLocation;
+		fireFunctionCalledEvent(this, thisVal, args);
+		overrideLocation = Runtime.getCurrentLocation();
+		try {
+			return callFunction.apply(this, arguments);
+		} finally {
+			overrideLocation = previousOverrideLocation;
+		}
+	};
+}
+
+/**
+ * Creates a setter function. Calls to the setter fire the tiFunctionCalled event with the JSCA node of the setter, so
+ * that they are validated like any other call
+ *
+ * @private
+ */
+function TiSetterFunction(obj, name, api, apiName, className) {
 	Base.FunctionTypeBase.call(this, className || 'Function');
 	this._obj = obj;
 	this._name = name;
+	this._api = api;
+	this._apiName = apiName;
 	this._isTiSetter = true;
 }
 util.inherits(TiSetterFunction, Base.FunctionTypeBase);
@@ -466,6 +709,7 @@ util.inherits(TiSetterFunction, Base.FunctionTypeBase);
  */
 TiSetterFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(thisVal, args) {
 	var oldValue;
+	fireFunctionCalledEvent(this, thisVal, args);
 	if (thisVal !== this._obj) {
 		Base.handleRecoverableNativeException('TypeError', 'Cannot invoke setters on objects that are not the original owner of the setter');
 		return new Base.UnknownType();
@@ -483,14 +727,16 @@ TiSetterFunction.prototype.callFunction = Base.wrapNativeCall(function callFunct
 });
 
 /**
- * Creates a getter function
+ * Creates a getter function. Calls to the getter fire the tiFunctionCalled event, the same as setters
  *
  * @private
  */
-function TiGetterFunction(obj, name, className) {
+function TiGetterFunction(obj, name, api, apiName, className) {
 	Base.FunctionTypeBase.call(this, className || 'Function');
 	this._obj = obj;
 	this._name = name;
+	this._api = api;
+	this._apiName = apiName;
 	this._isTiGetter = true;
 }
 util.inherits(TiGetterFunction, Base.FunctionTypeBase);
@@ -498,7 +744,8 @@ util.inherits(TiGetterFunction, Base.FunctionTypeBase);
 /**
  * @private
  */
-TiGetterFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(thisVal) {
+TiGetterFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(thisVal, args) {
+	fireFunctionCalledEvent(this, thisVal, args);
 	if (thisVal !== this._obj) {
 		Base.handleRecoverableNativeException('TypeError', 'Cannot invoke getters on objects that are not the original owner of the getter');
 		return new Base.UnknownType();
@@ -599,14 +846,14 @@ function createGlobalObject(apiNode, apiName, obj) {
 						value = new Base.BooleanType(values[fullName]);
 						break;
 					default:
-						console.error('Invalid value specified in ' + this.name + ' options: ' + values[fullName]);
-						process.exit(1);
+						throw new Errors.PluginError('Invalid value specified in ' + this.name + ' options: ' + values[fullName], exports.name);
 				}
 			}
 		} else if (type in api.children) {
 			value = createObject(api.children[type]);
 		} else {
-			value = new Base.UnknownType();
+			value = Base.setUnknownOrigin(new Base.UnknownType(), 'The value of "' +
+				fullName.replace(underscoreRegex, '.') + '" is not known until runtime');
 		}
 		value._api = property;
 		value._apiName = fullName.replace(underscoreRegex, '.');
@@ -620,19 +867,21 @@ function createGlobalObject(apiNode, apiName, obj) {
 		}, false, true);
 		if (property._setter) {
 			obj.defineOwnProperty('set' + name[0].toUpperCase() + name.substr(1), {
-				value: new TiSetterFunction(obj, name),
+				value: new TiSetterFunction(obj, name, property._setter,
+					(apiName ? apiName + '.' + property._setter.name : property._setter.name).replace(underscoreRegex, '.')),
 				writable: false,
 				enumerable: false,
 				configurable: true,
-			});
+			}, false, true);
 		}
 		if (property._getter) {
 			obj.defineOwnProperty('get' + name[0].toUpperCase() + name.substr(1), {
-				value: new TiGetterFunction(obj, name),
+				value: new TiGetterFunction(obj, name, property._getter,
+					(apiName ? apiName + '.' + property._getter.name : property._getter.name).replace(underscoreRegex, '.')),
 				writable: false,
 				enumerable: false,
 				configurable: true,
-			});
+			}, false, true);
 		}
 	}
 
@@ -646,7 +895,7 @@ function createGlobalObject(apiNode, apiName, obj) {
 		value = new TiFunction(func.returnTypes);
 		for (j = 0, jlen = methodOverrides.length; j < jlen; j++) {
 			if (methodOverrides[j].regex.test(name) && methodOverrides[j].callFunction) {
-				value.callFunction = methodOverrides[j].callFunction;
+				value.callFunction = createOverrideCallFunction(methodOverrides[j].callFunction);
 			}
 		}
 		if (func.parameters) {
@@ -741,9 +990,7 @@ function createObject(apiNode, obj) {
 				break;
 			}
 		}
-		if (name === 'osname' && apiNode.node.name === 'Titanium.Platform') {
-			value = new Base.StringType(platform);
-		} else if (value) {
+		if (value) {
 			// Do nothing
 		} else if (fullName in values) {
 			if (values[fullName] === null) {
@@ -760,41 +1007,40 @@ function createObject(apiNode, obj) {
 						value = new Base.BooleanType(values[fullName]);
 						break;
 					default:
-						console.error('Invalid value specified in ' + this.name + ' options: ' + values[fullName]);
-						process.exit(1);
+						throw new Errors.PluginError('Invalid value specified in ' + this.name + ' options: ' + values[fullName], exports.name);
 				}
 			}
 		} else if (type in api.children) {
 			value = createObject(api.children[type]);
 		} else {
-			value = new Base.UnknownType();
+			value = Base.setUnknownOrigin(new Base.UnknownType(), 'The value of "' +
+				fullName.replace(underscoreRegex, '.') + '" is not known until runtime');
 		}
 		value._api = property;
 		value._apiName = fullName.replace(underscoreRegex, '.');
 		obj.defineOwnProperty(name, {
 			value: value,
-			writable:
-				!(name === 'osname' && apiNode.node.name === 'Titanium.Platform') &&
-				!property.isClassProperty &&
-				!property.readonly,
+			writable: !property.isClassProperty && !property.readonly,
 			enumerable: true,
 			configurable: true
 		}, false, true);
 		if (property._setter) {
 			obj.defineOwnProperty('set' + name[0].toUpperCase() + name.substr(1), {
-				value: new TiSetterFunction(obj, name),
+				value: new TiSetterFunction(obj, name, property._setter,
+					(apiNode.node.name + '.' + property._setter.name).replace(underscoreRegex, '.')),
 				writable: false,
 				enumerable: false,
 				configurable: true,
-			});
+			}, false, true);
 		}
 		if (property._getter) {
 			obj.defineOwnProperty('get' + name[0].toUpperCase() + name.substr(1), {
-				value: new TiGetterFunction(obj, name),
+				value: new TiGetterFunction(obj, name, property._getter,
+					(apiNode.node.name + '.' + property._getter.name).replace(underscoreRegex, '.')),
 				writable: false,
 				enumerable: false,
 				configurable: true,
-			});
+			}, false, true);
 		}
 	}
 
@@ -805,7 +1051,7 @@ function createObject(apiNode, obj) {
 		value = new TiFunction(func.returnTypes);
 		for (j = 0, jlen = methodOverrides.length; j < jlen; j++) {
 			if (methodOverrides[j].regex.test(name) && methodOverrides[j].callFunction) {
-				value.callFunction = methodOverrides[j].callFunction;
+				value.callFunction = createOverrideCallFunction(methodOverrides[j].callFunction);
 			}
 		}
 		if (func.parameters) {
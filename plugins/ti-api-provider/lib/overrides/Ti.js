@@ -14,6 +14,119 @@ var fs = require('fs'),
 	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
 	RuleProcessor = require(path.join(global.titaniumCodeProcessorLibDir, 'RuleProcessor'));
 
+/**
+ * Indicates that a property was set in the creation dictionary passed to a Ti.*.create* function
+ *
+ * @event module:plugins/TiApiProvider#tiCreationPropertySet
+ * @param {string} name The name of the property that was set, e.g. "color"
+ * @param {string} objectName The name of the API of the created object, e.g. "Titanium.UI.Label"
+ * @param {module:base/types/object.ObjectType} obj The created object
+ * @param {(Object | undefined)} node The JSCA node for the property, or undefined if the property is not part of the API
+ * @param {module:base.BaseType} value The value that was set
+ */
+/**
+ * Indicates that an event was referenced by addEventListener, removeEventListener, or fireEvent
+ *
+ * @event module:plugins/TiApiProvider#tiEventReferenced
+ * @param {string} name The name of the event, e.g. "click"
+ * @param {string} objectName The name of the API of the object the event belongs to, e.g. "Titanium.UI.Button"
+ * @param {module:base/types/object.ObjectType} obj The object the event belongs to
+ * @param {(Object | undefined)} node The JSCA node for the event, or undefined if the event is not part of the API
+ * @param {string} method The method that referenced the event, one of "addEventListener", "removeEventListener", or
+ *		"fireEvent"
+ * @param {(module:base/types/function.FunctionType | undefined)} func The listener that was added or removed, if any
+ */
+// ******** Helper Methods ********
+
+/**
+ * Creates the event object passed to the listeners of an event, containing the documented event properties
+ *
+ * @method module:plugins/TiApiProvider/Ti.createEventObject
+ * @param {Object} options The options passed to the Ti API provider plugin
+ * @param {module:base/types/object.ObjectType} obj The object the event belongs to
+ * @param {(string | undefined)} name The name of the event, or undefined if it is not known
+ * @param {(Object | undefined)} eventNode The JSCA node for the event, if the event is part of the API
+ * @return {module:base/types/object.ObjectType} The event object
+ */
+exports.createEventObject = createEventObject;
+function createEventObject(options, obj, name, eventNode) {
+	var eventObject = new Base.ObjectType(),
+		properties = (eventNode && eventNode.properties) || [],
+		root,
+		type,
+		value,
+		i, ilen, j, jlen;
+
+	eventObject.defineOwnProperty('type', {
+		value: typeof name === 'string' ? new Base.StringType(name) :
+			Base.setUnknownOrigin(new Base.UnknownType(), 'The name of the event is unknown'),
+		writable: true,
+		enumerable: true,
+		configurable: true
+	}, false, true);
+	eventObject.defineOwnProperty('source', {
+		value: obj,
+		writable: true,
+		enumerable: true,
+		configurable: true
+	}, false, true);
+	for (i = 0, ilen = properties.length; i < ilen; i++) {
+		if (properties[i].name === 'type' || properties[i].name === 'source') {
+			continue;
+		}
+		root = options.api;
+		type = (properties[i].type || '').split('.');
+		for (j = 0, jlen = type.length; j < jlen; j++) {
+			root = root && root.children[type[j]];
+		}
+		value = root && root.node ? options.createObject(root) : Base.setUnknownOrigin(new Base.UnknownType(),
+			'The "' + properties[i].name + '" property of an event object is not known until runtime');
+		eventObject.defineOwnProperty(properties[i].name, {
+			value: value,
+			writable: true,
+			enumerable: true,
+			configurable: true
+		}, false, true);
+	}
+	return eventObject;
+}
+
+/**
+ * Fires the tiEventReferenced event for an event that was referenced by addEventListener, removeEventListener, or
+ * fireEvent, if the object the event belongs to is part of the API
+ *
+ * @method module:plugins/TiApiProvider/Ti.referenceEvent
+ * @param {module:base/types/object.ObjectType} obj The object the event belongs to
+ * @param {string} name The name of the event
+ * @param {string} method The method that referenced the event
+ * @param {(module:base.BaseType | undefined)} [func] The listener passed to addEventListener or removeEventListener
+ * @return {(Object | undefined)} The JSCA node for the event, or undefined if the event is not part of the API
+ */
+exports.referenceEvent = referenceEvent;
+function referenceEvent(obj, name, method, func) {
+	var events = obj && obj._api && obj._api.events,
+		eventNode,
+		i, len;
+	if (events) {
+		for (i = 0, len = events.length; i < len; i++) {
+			if (events[i].name === name) {
+				eventNode = events[i];
+			}
+		}
+		Runtime.fireEvent('tiEventReferenced', 'Event "' + name + '" was referenced by ' + method, {
+			name: name,
+			objectName: obj._apiName,
+			obj: obj,
+			node: eventNode,
+			method: method,
+			func: method !== 'fireEvent' && func && Base.isCallable(func) ? func : undefined
+		});
+	}
+	return eventNode;
+}
+
+// ******** API Methods ********
+
 /**
  * Gets the set of overrides defined in this file
  *
@@ -25,6 +138,7 @@ exports.getOverrides = function (options) {
 	if (options.globalsOnly) {
 		return [];
 	}
+
 	return [{
 		regex: /^Titanium\.version$/,
 		value: new Base.StringType(options.manifest.version)
@@ -34,17 +148,19 @@ exports.getOverrides = function (options) {
 			var returnType,
 				root = options.api,
 				i, j, len,
-				value = new Base.UnknownType(),
+				value = Base.setUnknownOrigin(new Base.UnknownType(), 'The return value of "' + this._apiName + '" is unknown'),
 				callArgs,
 				props = args && args[0] && Base.type(args[0]) === 'Object' && args[0],
-				propNames;
+				propNames,
+				propertyNodes = {};
 			args = args || [];
 			for (i = 0, len = args.length; i < len; i++) {
 				if (Base.type(args[i]) !== 'Unknown') {
 					if (Base.isCallable(args[i])) {
 						callArgs = [];
 						for (j = 0; j < args[i].get('length').value; j++) {
-							callArgs[j] = new Base.UnknownType();
+							callArgs[j] = Base.setUnknownOrigin(new Base.UnknownType(), 'An argument passed to a callback by "' +
+								this._apiName + '"');
 						}
 						Runtime.queueFunction(args[i], new Base.UndefinedType(), callArgs, true, Base.isSkippedMode());
 					}
@@ -65,8 +181,19 @@ exports.getOverrides = function (options) {
 						node: root.node
 					});
 					if (props) {
+						for (i = 0, len = root.node.properties.length; i < len; i++) {
+							propertyNodes[root.node.properties[i].name] = root.node.properties[i];
+						}
 						propNames = props._getPropertyNames();
 						for (i = 0, len = propNames.length; i < len; i++) {
+							Runtime.fireEvent('tiCreationPropertySet', 'Property "' + propNames[i] +
+								'" was set when creating "' + root.node.name + '"', {
+									name: propNames[i],
+									objectName: root.node.name,
+									obj: value,
+									node: propertyNodes.hasOwnProperty(propNames[i]) ? propertyNodes[propNames[i]] : undefined,
+									value: props.get(propNames[i])
+								});
 							value.defineOwnProperty(propNames[i], props.getOwnProperty(propNames[i], true));
 						}
 					}
@@ -75,10 +202,34 @@ exports.getOverrides = function (options) {
 						name: this._returnTypes[0].type
 					});
 				}
-				return value;
+			}
+			return value;
+		})
+	},{
+		regex: /^Titanium(\..*)?\.(addEventListener|removeEventListener|fireEvent)$/,
+		callFunction: Base.wrapNativeCall(function callFunction(thisVal, args) {
+			var method = this._api.name,
+				name = args && args[0] && Base.getValue(args[0]),
+				callback = args && args[1] && Base.getValue(args[1]),
+				eventNode;
+
+			if (name && Base.type(name) === 'String') {
+				name = name.value;
+				eventNode = referenceEvent(thisVal, name, method, callback);
 			} else {
-				return new Base.UnknownType();
+				name = undefined;
 			}
+
+			if (method === 'addEventListener' && callback) {
+				if (Base.isCallable(callback)) {
+					Runtime.queueFunction(callback, thisVal, [createEventObject(options, thisVal, name, eventNode)], true,
+						Base.isSkippedMode());
+				} else if (Base.type(callback) === 'Unknown') {
+					Runtime.fireEvent('unknownCallback', 'An unknown value was passed to ' + this._apiName +
+						'. Some source code may not be analyzed.');
+				}
+			}
+			return new Base.UndefinedType();
 		})
 	},{
 		regex: /^Titanium\.include$/,
@@ -98,11 +249,13 @@ exports.getOverrides = function (options) {
 			this._location = undefined;
 			this._ast = undefined;
 			files.forEach(function (filename) {
+				var originalFilename = filename;
 				filename = Base.toString(filename);
 				if (Base.type(filename) !== 'String') {
 					eventDescription = 'A value that could not be evaluated was passed to Ti.include';
 					Runtime.fireEvent('tiIncludeUnresolved', eventDescription);
-					Runtime.reportWarning('tiIncludeUnresolved', eventDescription);
+					Runtime.reportWarning('tiIncludeUnresolved', eventDescription,
+						Base.explainUnknown(Base.type(originalFilename) === 'Unknown' ? originalFilename : filename));
 					return result;
 				}
 				filename = filename.value;
@@ -9,8 +9,33 @@
 
 var path = require('path'),
 
-	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base'));
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
 
+	Ti = require('../Ti');
+
+/**
+ * Indicates that a listener was added to an application-level event with Ti.App.addEventListener
+ *
+ * @event module:plugins/TiApiProvider#tiAppEventListenerAdded
+ * @param {string} name The name of the event, e.g. "cart:updated"
+ * @param {module:base/types/function.FunctionType} func The listener
+ * @param {(Object | undefined)} node The JSCA node for the event, or undefined if the event is not part of the API
+ */
+/**
+ * Indicates that a listener was removed from an application-level event with Ti.App.removeEventListener
+ *
+ * @event module:plugins/TiApiProvider#tiAppEventListenerRemoved
+ * @param {string} name The name of the event, e.g. "cart:updated"
+ * @param {module:base/types/function.FunctionType} func The listener
+ */
+/**
+ * Indicates that an application-level event was fired with Ti.App.fireEvent
+ *
+ * @event module:plugins/TiApiProvider#tiAppEventFired
+ * @param {(string | undefined)} name The name of the event, e.g. "cart:updated", or undefined if the name is unknown
+ * @param {(Object | undefined)} node The JSCA node for the event, or undefined if the event is not part of the API
+ */
 /**
  * Gets the set of overrides defined in this file
  *
@@ -19,11 +44,145 @@ var path = require('path'),
  * @return {Array.<module:plugins/TiApiProvider.override>} The list of overrides
  */
 exports.getOverrides = function (options) {
+
+	// The listeners added to each event, and the events fired for each event from each location
+	var listeners = {},
+		firedEvents = {};
+
 	if (options.globalsOnly) {
 		return [];
 	}
+
+	/**
+	 * Creates the event object passed to the listeners of a fired event, containing the properties of the data passed
+	 * to fireEvent
+	 *
+	 * @private
+	 */
+	function createFiredEventObject(obj, name, eventNode, data) {
+		var eventObject,
+			propNames,
+			i, len;
+
+		if (data && Base.type(data) === 'Unknown') {
+			return Base.setUnknownOrigin(new Base.UnknownType(), 'The data passed to Ti.App.fireEvent for "' + name +
+				'" is unknown');
+		}
+		eventObject = Ti.createEventObject(options, obj, name, eventNode);
+		if (data && Base.type(data) === 'Object') {
+			propNames = data._getPropertyNames();
+			for (i = 0, len = propNames.length; i < len; i++) {
+				if (propNames[i] !== 'type' && propNames[i] !== 'source') {
+					eventObject.defineOwnProperty(propNames[i], {
+						value: data.get(propNames[i]),
+						writable: true,
+						enumerable: true,
+						configurable: true
+					}, false, true);
+				}
+			}
+		}
+		return eventObject;
+	}
+
+	/**
+	 * Queues a listener to be called with a fired event, from the location the event was fired at
+	 *
+	 * @private
+	 */
+	function deliverEvent(listener, firedEvent) {
+		Runtime.setCurrentLocation(firedEvent.filename, firedEvent.line, firedEvent.column);
+		Runtime.queueFunction(listener.func, listener.thisVal, [firedEvent.eventObject], true,
+			listener.skipped || firedEvent.skipped);
+		Runtime.exitCurrentLocation();
+	}
+
 	return [{
-		regex: /^Titanium\.App\.Properties$/,
-		obj: new Base.UnknownType() // Force to unknown, even though it has a type in the docs
+		regex: /^Titanium\.App\.(addEventListener|removeEventListener|fireEvent)$/,
+		callFunction: Base.wrapNativeCall(function callFunction(thisVal, args) {
+			var method = this._api.name,
+				name = args && args[0] && Base.getValue(args[0]),
+				callback = args && args[1] && Base.getValue(args[1]), // The data of the event, for fireEvent
+				eventNode,
+				location,
+				listener,
+				firedEvent,
+				key;
+
+			if (name && Base.type(name) === 'String') {
+				name = name.value;
+				eventNode = Ti.referenceEvent(thisVal, name, method, callback);
+			} else {
+				name = undefined;
+			}
+
+			if (method === 'fireEvent') {
+				Runtime.fireEvent('tiAppEventFired', name === undefined ? 'An application event with an unknown name was fired' :
+					'Application event "' + name + '" was fired', {
+					name: name,
+					node: eventNode
+				});
+
+				// Events with unknown names cannot be matched to their listeners
+				if (name === undefined) {
+					return new Base.UndefinedType();
+				}
+
+				// Only the first event fired from each location is kept, so that a listener is queued at most once for
+				// each location the event is fired from
+				location = Runtime.getCurrentLocation();
+				key = location.filename + ':' + location.line + ':' + location.column;
+				firedEvents[name] = firedEvents[name] || {};
+				if (!firedEvents[name][key]) {
+					firedEvent = firedEvents[name][key] = {
+						eventObject: createFiredEventObject(thisVal, name, eventNode, callback),
+						filename: location.filename,
+						line: location.line,
+						column: location.column,
+						skipped: Base.isSkippedMode()
+					};
+					(listeners[name] || []).forEach(function (listener) {
+						deliverEvent(listener, firedEvent);
+					});
+				}
+			} else if (method === 'addEventListener' && callback && Base.isCallable(callback)) {
+				if (name === undefined) {
+					Runtime.queueFunction(callback, thisVal, [Ti.createEventObject(options, thisVal, name)], true,
+						Base.isSkippedMode());
+					return new Base.UndefinedType();
+				}
+				Runtime.fireEvent('tiAppEventListenerAdded', 'A listener was added to application event "' + name + '"', {
+					name: name,
+					func: callback,
+					node: eventNode
+				});
+
+				// Listeners are always called with a generic event object, since events can also be fired by the platform
+				// or from a web view, neither of which is analyzed
+				Runtime.queueFunction(callback, thisVal, [Ti.createEventObject(options, thisVal, name, eventNode)], true,
+					Base.isSkippedMode());
+
+				// Listeners are also called with every event fired so far, and with every event fired from now on
+				listener = {
+					func: callback,
+					thisVal: thisVal,
+					skipped: Base.isSkippedMode()
+				};
+				(listeners[name] = listeners[name] || []).push(listener);
+				for (key in firedEvents[name]) {
+					deliverEvent(listener, firedEvents[name][key]);
+				}
+			} else if (method === 'addEventListener' && callback && Base.type(callback) === 'Unknown') {
+				Runtime.fireEvent('unknownCallback', 'An unknown value was passed to ' + this._apiName +
+					'. Some source code may not be analyzed.');
+			} else if (method === 'removeEventListener' && name !== undefined && callback && Base.isCallable(callback)) {
+				Runtime.fireEvent('tiAppEventListenerRemoved', 'A listener was removed from application event "' + name +
+					'"', {
+						name: name,
+						func: callback
+					});
+			}
+			return new Base.UndefinedType();
+		})
 	}];
-};
\ No newline at end of file
+};
@@ -23,7 +23,7 @@ exports.getOverrides = function (options) {
 	if (options.globalsOnly) {
 		return [];
 	}
-	var tiappProperties = options.tiappProperties,
+	var tiappProperties = {},
 		setProperty = Base.wrapNativeCall(function setProperty(thisVal, args) {
 			var name = Base.toString(args[0]);
 			if (Base.type(name) != 'Unknown') {
@@ -50,43 +50,56 @@ exports.getOverrides = function (options) {
 			} else if (tiappProperties[name].type != type) {
 				return new Base.UndefinedType();
 			} else {
-				return tiappProperties[name];
+				return createValue(tiappProperties[name]);
 			}
 		});
 	}
 
-	for (p in tiappProperties) {
-		switch(tiappProperties[p].type) {
+	// Each call gets its own value, since values can be changed after they are returned, e.g. when they are tainted
+	function createValue(property) {
+		switch(property.type) {
+			case 'string':
+				return new Base.StringType(property.value);
+			case 'bool':
+				return new Base.BooleanType(property.value);
+			default:
+				return new Base.NumberType(property.value);
+		}
+	}
+
+	// The properties are copied so that the tiapp.xml properties passed in the options are left untouched, since they
+	// are reused if the project is analyzed again
+	for (p in options.tiappProperties) {
+		switch(options.tiappProperties[p].type) {
 			case 'string':
-				tiappProperties[p].value = new Base.StringType(tiappProperties[p].value);
-				break;
 			case 'bool':
-				tiappProperties[p].value = new Base.BooleanType(tiappProperties[p].value);
-				break;
 			case 'int':
 			case 'double':
-				tiappProperties[p].value = new Base.NumberType(tiappProperties[p].value);
+				tiappProperties[p] = {
+					type: options.tiappProperties[p].type,
+					value: options.tiappProperties[p].value
+				};
 				break;
 			default:
-				Runtime.reportWarning('invalidTiappPropertyType', 'Invalid tiapp.xml property type "' + tiappProperties[p].type + '"');
-				delete tiappProperties[p];
+				Runtime.reportWarning('invalidTiappPropertyType', 'Invalid tiapp.xml property type "' +
+					options.tiappProperties[p].type + '"');
 		}
 	}
 
 	return [{
-		regex: /^Titanium\.App\.getBool$/,
+		regex: /^Titanium\.App\.Properties\.getBool$/,
 		callFunction: createGetFunction('bool')
 	},{
-		regex: /^Titanium\.App\.getDouble$/,
+		regex: /^Titanium\.App\.Properties\.getDouble$/,
 		callFunction: createGetFunction('double')
 	},{
-		regex: /^Titanium\.App\.getInt$/,
+		regex: /^Titanium\.App\.Properties\.getInt$/,
 		callFunction: createGetFunction('int')
 	},{
-		regex: /^Titanium\.App\.getString$/,
+		regex: /^Titanium\.App\.Properties\.getString$/,
 		callFunction: createGetFunction('string')
 	},{
-		regex: /^Titanium\.App\.hasProperty$/,
+		regex: /^Titanium\.App\.Properties\.hasProperty$/,
 		callFunction: Base.wrapNativeCall(function callFunction(thisVal, args) {
 			var name = Base.toString(args[0]);
 			if (Base.type(name) == 'Unknown') {
@@ -96,7 +109,7 @@ exports.getOverrides = function (options) {
 			return tiappProperties[name] ? new Base.BooleanType(true) : new Base.UnknownType();
 		})
 	},{
-		regex: /^Titanium\.App\.removeProperty$/,
+		regex: /^Titanium\.App\.Properties\.removeProperty$/,
 		callFunction: Base.wrapNativeCall(function callFunction(thisVal, args) {
 			var name = Base.toString(args[0]);
 			if (Base.type(name) != 'Unknown') {
@@ -110,16 +123,16 @@ exports.getOverrides = function (options) {
 			return new Base.UndefinedType();
 		})
 	},{
-		regex: /^Titanium\.App\.setBool$/,
+		regex: /^Titanium\.App\.Properties\.setBool$/,
 		callFunction: setProperty
 	},{
-		regex: /^Titanium\.App\.setDouble$/,
+		regex: /^Titanium\.App\.Properties\.setDouble$/,
 		callFunction: setProperty
 	},{
-		regex: /^Titanium\.App\.setInt$/,
+		regex: /^Titanium\.App\.Properties\.setInt$/,
 		callFunction: setProperty
 	},{
-		regex: /^Titanium\.App\.setString$/,
+		regex: /^Titanium\.App\.Properties\.setString$/,
 		callFunction: setProperty
 	}];
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Ti.Platform implementation. The platform being analyzed is known ahead of time, so the properties that identify the
+ * platform are given concrete values. This allows branches guarded by platform checks to be skipped instead of being
+ * treated as ambiguous. Namespaces that do not exist on the platform, such as Ti.Android on iOS, are left as API objects
+ * so that using them is reported by the platform validator instead of failing the analysis.
+ *
+ * @module plugins/TiApiProvider/Ti/Platform
+ */
+
+var path = require('path'),
+
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+
+	platformNames = {
+		iphone: 'iPhone OS',
+		ipad: 'iPhone OS'
+	};
+
+/**
+ * Gets the set of overrides defined in this file
+ *
+ * @method module:plugins/TiApiProvider/Ti/Platform.getOverrides
+ * @param  {Object} options The options passed to the Ti API provider plugin
+ * @return {Array.<module:plugins/TiApiProvider.override>} The list of overrides
+ */
+exports.getOverrides = function (options) {
+	if (options.globalsOnly) {
+		return [];
+	}
+	var platform = options.platform,
+		overrides = [{
+			regex: /^Titanium\.Platform\.osname$/,
+			value: new Base.StringType(platform)
+		}];
+
+	// Values supplied by the user take precedence over the platform name
+	if (!options.values.hasOwnProperty('Titanium.Platform.name')) {
+		overrides.push({
+			regex: /^Titanium\.Platform\.name$/,
+			value: new Base.StringType(platformNames[platform] || platform)
+		});
+	}
+
+	return overrides;
+};
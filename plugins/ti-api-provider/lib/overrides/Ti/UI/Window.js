@@ -9,8 +9,15 @@
 
 var path = require('path'),
 
-	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base'));
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime'));
 
+/**
+ * Indicates that a window was opened with Ti.UI.Window.open
+ *
+ * @event module:plugins/TiApiProvider#tiWindowOpened
+ * @param {module:base/types/object.ObjectType} obj The window that was opened
+ */
 /**
  * Gets the set of overrides defined in this file
  *
@@ -24,6 +31,9 @@ exports.getOverrides = function () {
 		callFunction: Base.wrapNativeCall(function callFunction(thisVal) {
 			var requireFunction = Base.getGlobalObject().get('require'),
 				urlValue = thisVal.get('url');
+			Runtime.fireEvent('tiWindowOpened', 'A window was opened', {
+				obj: thisVal
+			});
 			if (requireFunction && urlValue && Base.type(urlValue) !== 'Undefined' && Base.type(urlValue) !== 'Null') {
 				requireFunction.callFunction(new Base.UndefinedType(), [urlValue]);
 			}
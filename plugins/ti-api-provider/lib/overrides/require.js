@@ -14,6 +14,7 @@ var path = require('path'),
 	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
 	AST = require(path.join(global.titaniumCodeProcessorLibDir, 'AST')),
 	RuleProcessor = require(path.join(global.titaniumCodeProcessorLibDir, 'RuleProcessor')),
+	Errors = require(path.join(global.titaniumCodeProcessorLibDir, 'Errors')),
 
 	pluginRegExp = /^(.+?)\!(.*)$/,
 	fileRegExp = /\.js$/,
@@ -41,20 +42,19 @@ exports.getOverrides = function (options) {
 		var platform,
 			entry,
 			modulePath,
-			errors;
+			errors = [];
 		if (options.modules) {
 			for (platform in options.modules) {
 				for (entry in options.modules[platform]) {
 					modulePath = options.modules[platform][entry];
 					if (modulePath && !fs.existsSync(modulePath)) {
-						console.error('Module "' + entry + '" for platform "' + platform + '" could not be found at "' + modulePath + '"');
-						errors = true;
+						errors.push('Module "' + entry + '" for platform "' + platform + '" could not be found at "' + modulePath + '"');
 					}
 				}
 			}
 		}
-		if (errors) {
-			process.exit(1);
+		if (errors.length) {
+			throw new Errors.PluginError(errors.join('\n'), 'ti-api-provider');
 		}
 	})();
 
@@ -103,26 +103,41 @@ exports.getOverrides = function (options) {
 		callFunction: function callFunction(thisVal, args) {
 			// Validate and parse the args
 			var name = args && Base.getValue(args[0]),
+				originalName = name,
 				filePath,
 				moduleInfo,
 				result = new Base.UnknownType(),
 				isModule,
+				pattern,
+				candidates,
 				eventDescription;
 
 			if (!name) {
 				name = new Base.UndefinedType();
 			}
 
+			this._location = undefined;
+			this._ast = undefined;
 			name = Base.toString(name);
 			if (Base.type(name) !== 'String') {
+
+				// If part of the name is known, analyze every file that it could refer to
+				pattern = Base.getStringPattern(originalName);
+				candidates = pattern && findCandidates(pattern);
+				if (candidates && candidates.length) {
+					return processCandidates.call(this, candidates, pattern, originalName);
+				}
+
 				eventDescription = 'A value that could not be evaluated was passed to require';
+				if (pattern) {
+					eventDescription += ', and no files match "' + Base.describeStringPattern(pattern) + '"';
+				}
 				Runtime.fireEvent('requireUnresolved', eventDescription);
-				Runtime.reportWarning('requireUnresolved', eventDescription);
+				Runtime.reportWarning('requireUnresolved', eventDescription,
+					Base.explainUnknown(Base.type(originalName) === 'Unknown' ? originalName : name));
 				return result;
 			}
 			name = name.value;
-			this._location = undefined;
-			this._ast = undefined;
 			if (pluginRegExp.test(name) || name.indexOf(':') !== -1) {
 				Runtime.fireEvent('requireUnresolved',
 					'Plugins and URLS can not be evaluated at compile-time and will be deferred until runtime.', {
@@ -183,13 +198,13 @@ exports.getOverrides = function (options) {
 
 					// Make sure that the file exists and then process it
 					if (Runtime.fileList.indexOf(filePath) !== -1) {
+						Runtime.fireEvent('requireResolved', 'Module "' + name + '" was resolved to "' + filePath + '"', {
+							name: name,
+							path: filePath
+						});
 						if (cache[filePath]) {
 							result = cache[filePath];
 						} else {
-							Runtime.fireEvent('requireResolved', 'Module "' + name + '" was resolved to "' + filePath + '"', {
-								name: name,
-								path: filePath
-							});
 							result = processFile.call(this, filePath, isModule);
 							cache[filePath] = result;
 						}
@@ -215,6 +230,90 @@ exports.getOverrides = function (options) {
 
 // ******** Helper Methods ********
 
+/**
+ * Finds the files that a partially known module name could refer to. The names are relative to the current file if
+ * the pattern starts with ".", otherwise they are relative to the Resources directory (or its platform specific
+ * directory)
+ *
+ * @private
+ */
+function findCandidates(pattern) {
+	var regex = Base.createStringPatternRegExp(pattern),
+		sourceDir = Runtime.sourceInformation.sourceDir,
+		currentDir = path.dirname(Runtime.getCurrentLocation().filename),
+		isRelative = typeof pattern[0] === 'string' && pattern[0][0] === '.',
+		isAbsolute = typeof pattern[0] === 'string' && pattern[0][0] === '/',
+		candidates = [];
+
+	Runtime.fileList.forEach(function (file) {
+		var segments,
+			name;
+		if (!fileRegExp.test(file)) {
+			return;
+		}
+		if (isRelative) {
+			segments = path.relative(currentDir, file).split(path.sep);
+			if (segments[0] !== '..') {
+				segments.unshift('.');
+			}
+		} else {
+			segments = path.relative(sourceDir, file).split(path.sep);
+			if (segments[0] === platform) {
+				segments.shift();
+			}
+			if (isAbsolute) {
+				segments.unshift('');
+			}
+		}
+		name = segments.join('/');
+		if (regex.test(name.replace(fileRegExp, ''))) {
+			candidates.push({
+				name: name.replace(fileRegExp, ''),
+				path: file,
+				isModule: true
+			});
+		} else if (regex.test(name)) {
+			candidates.push({
+				name: name,
+				path: file,
+				isModule: false
+			});
+		}
+	});
+	return candidates;
+}
+
+/**
+ * Analyzes every file that a partially known module name could refer to. Since it isn't known which of the files is
+ * actually required, each one is analyzed in an ambiguous block and the result is unknown
+ *
+ * @private
+ */
+function processCandidates(candidates, pattern, name) {
+	var description = Base.describeStringPattern(pattern),
+		candidate,
+		i, len;
+
+	Base.enterAmbiguousBlock('The name passed to require is only partially known', name);
+	for (i = 0, len = candidates.length; i < len; i++) {
+		candidate = candidates[i];
+		Runtime.fireEvent('requireResolved', 'Module "' + candidate.name + '" was resolved to "' + candidate.path +
+			'" as a candidate for "' + description + '"', {
+				name: candidate.name,
+				path: candidate.path,
+				pattern: description
+			});
+		if (!cache[candidate.path]) {
+			processFile.call(this, candidate.path, candidate.isModule);
+		}
+	}
+	Base.exitAmbiguousBlock();
+	this._ast = undefined;
+
+	return Base.setUnknownOrigin(new Base.UnknownType(), 'The module returned by require could be any of ' +
+		candidates.length + ' files matching "' + description + '"', [name]);
+}
+
 /**
  * @private
  */
@@ -26,6 +26,7 @@ var path = require('path'),
  */
 function generateResultsData() {
 	var resolved = results.resolved.length,
+		candidates = results.candidates.length,
 		unresolved = results.unresolved.length,
 		missing = results.missing.length,
 		skipped = results.skipped.length,
@@ -33,6 +34,9 @@ function generateResultsData() {
 	if (resolved) {
 		summary.push(pluralize('%s module', '%s modules', resolved) + ' resolved');
 	}
+	if (candidates) {
+		summary.push(pluralize('%s candidate module', '%s candidate modules', candidates) + ' found');
+	}
 	if (unresolved) {
 		summary.push(pluralize('%s module', '%s modules', unresolved) + ' not resolved');
 	}
@@ -60,10 +64,12 @@ function generateResultsData() {
  */
 function generateRenderData() {
 	var numRequiresResolved = results.resolved.length,
+		numRequiresCandidates = results.candidates.length,
 		numRequiresUnresolved = results.unresolved.length,
 		numRequiresMissing = results.missing.length,
 		numRequiresSkipped = results.skipped.length,
 		resolved,
+		candidates,
 		unresolved,
 		missing,
 		skipped,
@@ -92,6 +98,24 @@ function generateRenderData() {
 		list.sort(locationComparator);
 	}
 
+	if (numRequiresCandidates) {
+		candidates = {
+			list: []
+		};
+		list = candidates.list;
+		results.candidates.forEach(function (module) {
+			var mappedLocation = Runtime.mapLocation(module);
+			list.push({
+				pattern: module.data.pattern,
+				name: module.data.name,
+				path: module.data.path.replace(baseDirectory, ''),
+				filename: mappedLocation.filename.replace(baseDirectory, ''),
+				line: mappedLocation.line
+			});
+		});
+		list.sort(locationComparator);
+	}
+
 	if (numRequiresUnresolved) {
 		unresolved = {
 			list: []
@@ -142,10 +166,12 @@ function generateRenderData() {
 	renderData = {
 		pluginDisplayName: exports.displayName,
 		numRequiresResolved: pluralize('%s module', '%s modules', numRequiresResolved),
+		numRequiresCandidates: pluralize('%s candidate module', '%s candidate modules', numRequiresCandidates),
 		numRequiresUnresolved: pluralize('%s module', '%s modules', numRequiresUnresolved),
 		numRequiresMissing: pluralize('%s module', '%s modules', numRequiresMissing),
 		numRequiresSkipped: pluralize('%s native module', '%s native modules', numRequiresSkipped),
 		resolved: resolved,
+		candidates: candidates,
 		unresolved: unresolved,
 		missing: missing,
 		skipped: skipped
@@ -162,6 +188,7 @@ function generateRenderData() {
 exports.init = function init() {
 	results = {
 		resolved: [],
+		candidates: [],
 		unresolved: [],
 		missing: [],
 		skipped: []
@@ -170,7 +197,7 @@ exports.init = function init() {
 		results.unresolved.push(e);
 	});
 	Runtime.on('requireResolved', function(e) {
-		results.resolved.push(e);
+		(e.data.pattern ? results.candidates : results.resolved).push(e);
 	});
 	Runtime.on('requireMissing', function(e) {
 		results.missing.push(e);
@@ -190,6 +217,13 @@ exports.init = function init() {
  * @property {string} name The name (after conversion to a string) passed to the include call
  * @property {string} path The full path to the file that was included
  */
+/**
+ * @typedef {Object} module:plugins/TiApiRequireFinder.candidateResult
+ * @extends module:Runtime.eventObject
+ * @property {string} name The name that the file would be required by
+ * @property {string} path The full path to the file that may be required
+ * @property {string} pattern The partially known name passed to the require call, with * for the unknown parts
+ */
 /**
  * @typedef {Object} module:plugins/TiApiRequireFinder.unresolvedResult
  * @extends module:Runtime.eventObject
@@ -209,6 +243,8 @@ exports.init = function init() {
  * @property {string} summary A short summary of the results
  * @property {Array.<module:plugins/TiApiRequireFinder.resolvedResult>} resolved A list of the
  *		<code>require()</code> calls that were resolved
+ * @property {Array.<module:plugins/TiApiRequireFinder.candidateResult>} candidates A list of the files that
+ *		<code>require()</code> calls with a partially known name could refer to
  * @property {Array.<module:plugins/TiApiRequireFinder.unresolvedResult>} unresolved A list of the
  *		<code>require()</code> calls without a name that can be resolved
  * @property {Array.<module:plugins/TiApiRequireFinder.missingResult>} missing A list of the
@@ -254,6 +290,7 @@ exports.getResultsPageData = function getResultsPageData(entryFile) {
  */
 exports.renderLogOutput = function (arrayGen) {
 	var resultsToLog = renderData.numRequiresResolved + ' resolved\n' +
+		renderData.numRequiresCandidates + ' found\n' +
 		renderData.numRequiresUnresolved + ' unresolved\n' +
 		renderData.numRequiresMissing + ' missing\n' +
 		renderData.numRequiresSkipped + ' skipped';
@@ -262,6 +299,11 @@ exports.renderLogOutput = function (arrayGen) {
 		resultsToLog += '\n\nResolved Modules\n';
 		resultsToLog += arrayGen(['File', 'Line', 'Name', 'Resolved Path'], renderData.resolved.list, ['filename', 'line', 'name', 'path']);
 	}
+	if (renderData.candidates) {
+		resultsToLog += '\n\nCandidate Modules\n';
+		resultsToLog += arrayGen(['File', 'Line', 'Pattern', 'Name', 'Candidate Path'], renderData.candidates.list,
+			['filename', 'line', 'pattern', 'name', 'path']);
+	}
 	if (renderData.unresolved) {
 		resultsToLog += '\n\nUnresolved Modules\n';
 		resultsToLog += arrayGen(['File', 'Line'], renderData.unresolved.list, ['filename', 'line']);
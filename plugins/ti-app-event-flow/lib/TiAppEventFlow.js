@@ -0,0 +1,359 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin follows the application-level events sent with <code>Ti.App.fireEvent</code> to the listeners added with
+ * <code>Ti.App.addEventListener</code>, and finds events that are fired with no listeners, listeners for events that
+ * are never fired, and listeners that are never removed
+ *
+ * @module plugins/TiAppEventFlow
+ */
+
+var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	listenerFunctions,
+	documentedEvents,
+	unknownEventFired,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the information for an event, creating it if it doesn't exist yet
+ *
+ * @private
+ */
+function getEvent(name) {
+	if (!results.events.hasOwnProperty(name)) {
+		results.events[name] = {
+			senders: [],
+			receivers: []
+		};
+		listenerFunctions[name] = [];
+	}
+	return results.events[name];
+}
+
+/**
+ * Checks if a location is already in a list of locations
+ *
+ * @private
+ */
+function containsLocation(locations, location) {
+	var i, len;
+	for (i = 0, len = locations.length; i < len; i++) {
+		if (locations[i].filename === location.filename && locations[i].line === location.line &&
+				locations[i].column === location.column) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Checks if the listeners for an event are never called. Events that are part of the API are fired by the platform,
+ * and an event fired with an unknown name could be any event
+ *
+ * @private
+ */
+function isUnfired(name) {
+	return !results.events[name].senders.length && !documentedEvents[name] && !unknownEventFired;
+}
+
+/**
+ * Reports a warning at the given location
+ *
+ * @private
+ */
+function reportWarningAt(location, type, description) {
+	Runtime.setCurrentLocation(location.filename, location.line, location.column);
+	Runtime.reportWarning(type, description);
+	Runtime.exitCurrentLocation();
+}
+
+/**
+ * Reports the events fired with no listeners, the listeners for events that are never fired, and the listeners that
+ * are never removed
+ *
+ * @private
+ */
+function reportFindings() {
+	var name,
+		event;
+	for (name in results.events) {
+		event = results.events[name];
+		if (!event.receivers.length) {
+			event.senders.forEach(function (sender) {
+				reportWarningAt(sender, 'unheardTiAppEvent', 'Application event "' + name +
+					'" is fired, but no listeners are added for it');
+			});
+		}
+		if (isUnfired(name)) {
+			event.receivers.forEach(function (receiver) {
+				reportWarningAt(receiver, 'unfiredTiAppEvent', 'A listener is added for application event "' + name +
+					'", but the event is never fired');
+			});
+		}
+		event.receivers.forEach(function (receiver) {
+			if (!receiver.removed) {
+				reportWarningAt(receiver, 'unremovedTiAppEventListener', 'A listener for application event "' + name +
+					'" is never removed');
+			}
+		});
+	}
+}
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData() {
+	var numEvents = Object.keys(results.events).length,
+		numConnections = 0,
+		name;
+	for (name in results.events) {
+		numConnections += results.events[name].senders.length * results.events[name].receivers.length;
+	}
+	if (numEvents) {
+		results.summary = pluralize('%s application event is', '%s application events are', numEvents) +
+			' used, with ' + pluralize('%s connection', '%s connections', numConnections) +
+			' between senders and receivers';
+	} else {
+		results.summary = 'No application events are used';
+	}
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData() {
+	var baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
+		flow = [],
+		unheard = [],
+		unfired = [],
+		unremoved = [],
+		names = Object.keys(results.events).sort(),
+		numSenders = 0,
+		numReceivers = 0;
+
+	function formatLocation(location) {
+		var mappedLocation = Runtime.mapLocation(location);
+		return mappedLocation.filename.replace(baseDirectory, '') + ':' + mappedLocation.line;
+	}
+
+	names.forEach(function (name) {
+		var event = results.events[name];
+		numSenders += event.senders.length;
+		numReceivers += event.receivers.length;
+		event.senders.forEach(function (sender) {
+			if (!event.receivers.length) {
+				unheard.push({
+					name: name,
+					location: formatLocation(sender)
+				});
+			}
+			event.receivers.forEach(function (receiver) {
+				flow.push({
+					name: name,
+					sender: formatLocation(sender),
+					receiver: formatLocation(receiver)
+				});
+			});
+		});
+		event.receivers.forEach(function (receiver) {
+			if (isUnfired(name)) {
+				unfired.push({
+					name: name,
+					location: formatLocation(receiver)
+				});
+			}
+			if (!receiver.removed) {
+				unremoved.push({
+					name: name,
+					location: formatLocation(receiver)
+				});
+			}
+		});
+	});
+
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numEvents: pluralize('%s application event', '%s application events', names.length),
+		numSenders: pluralize('%s sender', '%s senders', numSenders),
+		numReceivers: pluralize('%s receiver', '%s receivers', numReceivers),
+		flow: flow.length ? { list: flow } : undefined,
+		unheard: unheard.length ? { list: unheard } : undefined,
+		unfired: unfired.length ? { list: unfired } : undefined,
+		unremoved: unremoved.length ? { list: unremoved } : undefined
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/TiAppEventFlow.init
+ * @param {Object} options The plugin options
+ * @param {Array.<Object>} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init() {
+	results = {
+		summary: '',
+		events: {}
+	};
+	listenerFunctions = {};
+	documentedEvents = {};
+	unknownEventFired = false;
+
+	Runtime.on('tiAppEventFired', function (e) {
+		var event,
+			location = {
+				filename: e.filename,
+				line: e.line,
+				column: e.column
+			};
+		if (Base.isSkippedMode()) {
+			return;
+		}
+		if (e.data.name === undefined) {
+			unknownEventFired = true;
+			return;
+		}
+		event = getEvent(e.data.name);
+		if (!containsLocation(event.senders, location)) {
+			event.senders.push(location);
+		}
+	});
+
+	Runtime.on('tiAppEventListenerAdded', function (e) {
+		var event,
+			receiver = {
+				filename: e.filename,
+				line: e.line,
+				column: e.column,
+				removed: false
+			};
+		if (Base.isSkippedMode()) {
+			return;
+		}
+		event = getEvent(e.data.name);
+		if (e.data.node) {
+			documentedEvents[e.data.name] = 1;
+		}
+		if (!containsLocation(event.receivers, receiver)) {
+			event.receivers.push(receiver);
+			listenerFunctions[e.data.name].push(e.data.func._ast || e.data.func);
+		}
+	});
+
+	// Listeners are matched to their removals by the function expression that created them, since a new closure is
+	// created each time the code that adds the listener runs
+	Runtime.on('tiAppEventListenerRemoved', function (e) {
+		var event,
+			func = e.data.func._ast || e.data.func;
+		if (Base.isSkippedMode() || !results.events.hasOwnProperty(e.data.name)) {
+			return;
+		}
+		event = results.events[e.data.name];
+		listenerFunctions[e.data.name].forEach(function (listenerFunction, i) {
+			if (listenerFunction === func) {
+				event.receivers[i].removed = true;
+			}
+		});
+	});
+
+	Runtime.on('projectProcessingEnd', function () {
+		reportFindings();
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/TiAppEventFlow.receiver
+ * @extends module:Runtime.location
+ * @property {boolean} removed Whether or not the listener added at this location is removed anywhere in the project
+ */
+/**
+ * @typedef {Object} module:plugins/TiAppEventFlow.event
+ * @property {Array.<module:Runtime.location>} senders The locations the event is fired from
+ * @property {Array.<module:plugins/TiAppEventFlow.receiver>} receivers The locations listeners are added to the event
+ *		from
+ */
+/**
+ * @typedef {Object} module:plugins/TiAppEventFlow.results
+ * @property {string} summary A short summary of the results
+ * @property {Object.<string, module:plugins/TiAppEventFlow.event>} events The application events used in the project.
+ *		Each key is the name of the event
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/TiAppEventFlow.getResults
+* @return {module:plugins/TiAppEventFlow.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/TiAppEventFlow.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiAppEventFlowTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/TiAppEventFlow.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog = renderData.numEvents + ' fired by ' + renderData.numSenders + ' and handled by ' +
+		renderData.numReceivers;
+
+	if (renderData.flow) {
+		resultsToLog += '\n\nEvent Flow\n';
+		resultsToLog += arrayGen(['Event', 'Sender', 'Receiver'], renderData.flow.list, ['name', 'sender', 'receiver']);
+	}
+	if (renderData.unheard) {
+		resultsToLog += '\n\nEvents Fired With No Listeners\n';
+		resultsToLog += arrayGen(['Event', 'Sender'], renderData.unheard.list, ['name', 'location']);
+	}
+	if (renderData.unfired) {
+		resultsToLog += '\n\nListeners For Events That Are Never Fired\n';
+		resultsToLog += arrayGen(['Event', 'Receiver'], renderData.unfired.list, ['name', 'location']);
+	}
+	if (renderData.unremoved) {
+		resultsToLog += '\n\nListeners That Are Never Removed\n';
+		resultsToLog += arrayGen(['Event', 'Receiver'], renderData.unremoved.list, ['name', 'location']);
+	}
+
+	return resultsToLog;
+};
@@ -0,0 +1,330 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin inspects the values passed to <code>Ti.Network.HTTPClient</code> and reports insecure network
+ * configurations: plaintext URLs, disabled certificate validation, credentials sent in query strings, and hard-coded
+ * credentials sent in headers. Only values that are known during analysis are inspected, but since strings are
+ * computed by the code processor, URLs and headers that are built from constants, even across modules, are inspected.
+ *
+ * @module plugins/TiInsecureNetworkFinder
+ */
+
+var path = require('path'),
+	url = require('url'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	// Hosts that plaintext requests are allowed to, since the request never leaves the device
+	loopbackHosts = ['localhost', '127.0.0.1', '::1'],
+
+	// The names of query string parameters that carry credentials, lower cased and without "-" or "_"
+	credentialParameters = ['password', 'passwd', 'pass', 'pwd', 'secret', 'clientsecret', 'token', 'accesstoken',
+		'authtoken', 'refreshtoken', 'idtoken', 'apikey', 'apisecret', 'privatekey', 'sessionid', 'sid', 'auth'],
+
+	// The names of headers that carry credentials, lower cased and without "-" or "_", other than "Authorization"
+	credentialHeaderRegex = /^x?(api(key|secret|token)|(auth|access|client)?(token|secret))$/,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the name of the API a function implements, e.g. "Titanium.Network.HTTPClient.open". Setters, such as
+ * <code>setValidatesSecureCertificate</code>, are named after the property they set
+ *
+ * @private
+ */
+function getFunctionName(func) {
+	if (!func) {
+		return;
+	} else if (func._isTiSetter && func._obj._apiName) {
+		return func._obj._apiName + '.' + func._name;
+	}
+	return func._apiName;
+}
+
+/**
+ * Gets the value of a string, or undefined if the value is not a known string
+ *
+ * @private
+ */
+function getString(value) {
+	return value && Base.type(value) === 'String' ? value.value : undefined;
+}
+
+/**
+ * Normalizes the name of a query string parameter or header so that e.g. "api_key", "Api-Key", and "APIKEY" match
+ *
+ * @private
+ */
+function normalizeName(name) {
+	return name.toLowerCase().replace(/[\-_]/g, '');
+}
+
+/**
+ * Gets the location of a runtime event
+ *
+ * @private
+ */
+function getLocation(e) {
+	return {
+		filename: e.filename,
+		line: e.line,
+		column: e.column
+	};
+}
+
+/**
+ * Reports an insecure configuration, once for each type and location, even if the code runs multiple times
+ *
+ * @private
+ */
+function reportFinding(type, description, location) {
+	if (results.findings.some(function (finding) {
+			return finding.type === type && finding.filename === location.filename && finding.line === location.line &&
+				finding.column === location.column;
+		})) {
+		return;
+	}
+	results.findings.push({
+		type: type,
+		description: description,
+		filename: location.filename,
+		line: location.line,
+		column: location.column
+	});
+	Runtime.setCurrentLocation(location.filename, location.line, location.column);
+	Runtime.reportWarning(type, description);
+	Runtime.exitCurrentLocation();
+}
+
+/**
+ * Checks the URL passed to <code>HTTPClient.open</code> for a plaintext protocol and credentials in the query string
+ *
+ * @private
+ */
+function checkUrl(value, location) {
+	var rawUrl = getString(value),
+		parsedUrl,
+		displayUrl,
+		name;
+	if (!rawUrl) {
+		return;
+	}
+	results.numUrls++;
+	parsedUrl = url.parse(rawUrl, true);
+
+	// The URL is displayed without the query string or user info, so that credentials do not end up in the report
+	displayUrl = (parsedUrl.protocol ? parsedUrl.protocol + '//' : '') + (parsedUrl.host || '') +
+		(parsedUrl.pathname || '');
+
+	if (parsedUrl.protocol === 'http:' && loopbackHosts.indexOf(parsedUrl.hostname) === -1) {
+		reportFinding('insecureHttpUrl', 'A request is sent over an unencrypted connection to "' + displayUrl + '"',
+			location);
+	}
+	for (name in parsedUrl.query) {
+		if (parsedUrl.query[name] && credentialParameters.indexOf(normalizeName(name)) !== -1) {
+			reportFinding('credentialsInQueryString', 'Credentials are sent in the "' + name +
+				'" query string parameter of a request to "' + displayUrl + '"', location);
+		}
+	}
+}
+
+/**
+ * Checks the headers passed to <code>HTTPClient.setRequestHeader</code> for hard-coded credentials
+ *
+ * @private
+ */
+function checkHeader(name, value, location) {
+	var headerName = getString(name),
+		headerValue = getString(value),
+		scheme;
+	if (!headerName || !headerValue) {
+		return;
+	}
+	if (normalizeName(headerName) === 'authorization') {
+		scheme = headerValue.match(/^\s*(\S+)\s+\S/);
+		scheme = scheme && scheme[1].toLowerCase();
+		reportFinding('hardCodedCredentialHeader', 'A hard-coded ' + (scheme === 'bearer' ? 'bearer token' :
+			scheme === 'basic' ? 'user name and password' : 'credential') + ' is sent in the "' + headerName + '" header',
+			location);
+	} else if (credentialHeaderRegex.test(normalizeName(headerName))) {
+		reportFinding('hardCodedCredentialHeader', 'A hard-coded ' + (/key$/.test(normalizeName(headerName)) ? 'API key' :
+			'credential') + ' is sent in the "' + headerName + '" header', location);
+	}
+}
+
+/**
+ * Checks the value of <code>HTTPClient.validatesSecureCertificate</code>
+ *
+ * @private
+ */
+function checkValidatesSecureCertificate(value, location) {
+	if (value && Base.type(value) === 'Boolean' && !value.value) {
+		reportFinding('certificateValidationDisabled', 'Certificate validation is disabled by setting ' +
+			'"validatesSecureCertificate" to false', location);
+	}
+}
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData() {
+	if (results.findings.length) {
+		results.summary = pluralize('%s insecure network configuration found', '%s insecure network configurations found',
+			results.findings.length);
+	} else {
+		results.summary = 'No insecure network configurations found';
+	}
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData() {
+	var baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
+		findings;
+
+	if (results.findings.length) {
+		findings = {
+			list: results.findings.map(function (finding) {
+				var mappedLocation = Runtime.mapLocation(finding);
+				return {
+					type: finding.type,
+					description: finding.description,
+					filename: mappedLocation.filename.replace(baseDirectory, ''),
+					line: mappedLocation.line
+				};
+			})
+		};
+	}
+
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numUrls: pluralize('%s URL', '%s URLs', results.numUrls),
+		numFindings: pluralize('%s insecure configuration', '%s insecure configurations', results.findings.length),
+		findings: findings
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/TiInsecureNetworkFinder.init
+ * @param {Object} options The plugin options
+ * @param {Array.<Object>} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init() {
+	results = {
+		summary: '',
+		numUrls: 0,
+		findings: []
+	};
+
+	Runtime.on('rule', function (e) {
+		var name,
+			lhs;
+		if (!e.data.processingComplete || Base.isSkippedMode()) {
+			return;
+		}
+		if (e.data.ruleName === 'AST_Call') {
+			name = getFunctionName(e.data.func);
+			if (name === 'Titanium.Network.HTTPClient.open') {
+				checkUrl(e.data.args[1], getLocation(e));
+			} else if (name === 'Titanium.Network.HTTPClient.setRequestHeader') {
+				checkHeader(e.data.args[0], e.data.args[1], getLocation(e));
+			} else if (name === 'Titanium.Network.HTTPClient.validatesSecureCertificate') {
+				checkValidatesSecureCertificate(e.data.args[0], getLocation(e));
+			}
+		} else if (e.data.ruleName === 'AST_Assign') {
+			lhs = e.data.lhs;
+			if (Base.type(lhs) === 'Reference' && Base.isPropertyReference(lhs) &&
+					Base.getBase(lhs)._apiName === 'Titanium.Network.HTTPClient' &&
+					Base.getReferencedName(lhs) === 'validatesSecureCertificate') {
+				checkValidatesSecureCertificate(e.data.rhs, getLocation(e));
+			}
+		}
+	});
+
+	Runtime.on('tiCreationPropertySet', function (e) {
+		if (!Base.isSkippedMode() && e.data.objectName === 'Titanium.Network.HTTPClient' &&
+				e.data.name === 'validatesSecureCertificate') {
+			checkValidatesSecureCertificate(e.data.value, getLocation(e));
+		}
+	});
+
+	Runtime.on('projectProcessingEnd', function () {
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/TiInsecureNetworkFinder.finding
+ * @extends module:Runtime.location
+ * @property {string} type The type of the warning that was reported, e.g. "insecureHttpUrl"
+ * @property {string} description A description of the insecure configuration
+ */
+/**
+ * @typedef {Object} module:plugins/TiInsecureNetworkFinder.results
+ * @property {string} summary A short summary of the results
+ * @property {number} numUrls The number of known URLs that were inspected
+ * @property {Array.<module:plugins/TiInsecureNetworkFinder.finding>} findings The insecure configurations found
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/TiInsecureNetworkFinder.getResults
+* @return {module:plugins/TiInsecureNetworkFinder.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/TiInsecureNetworkFinder.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiInsecureNetworkFinderTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/TiInsecureNetworkFinder.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog = renderData.numUrls + ' inspected, ' + renderData.numFindings + ' found';
+	if (renderData.findings) {
+		resultsToLog += '\n\nInsecure Network Configurations\n';
+		resultsToLog += arrayGen(['Type', 'Issue', 'File', 'Line'], renderData.findings.list,
+			['type', 'description', 'filename', 'line']);
+	}
+	return resultsToLog;
+};
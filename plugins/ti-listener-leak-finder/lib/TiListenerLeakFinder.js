@@ -0,0 +1,338 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin finds listeners that are added to global modules, such as <code>Ti.App</code> or
+ * <code>Ti.Geolocation</code>, on behalf of a window but are not removed when the window closes. Since global modules
+ * live as long as the application, such a listener keeps the window and everything else it references alive.
+ *
+ * @module plugins/TiListenerLeakFinder
+ */
+
+var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	globalModules = ['Titanium.App', 'Titanium.Geolocation', 'Titanium.Gesture', 'Titanium.Network'],
+
+	registrations,
+	removals,
+	windowOpens,
+	closeListeners,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the key a function is matched by. Functions are matched by the function expression that created them, since a
+ * new closure is created each time the code that adds a listener runs
+ *
+ * @private
+ */
+function getFunctionKey(func) {
+	return func._ast || func;
+}
+
+/**
+ * Gets the function contexts on the context stack, innermost last
+ *
+ * @private
+ */
+function getFunctionContexts() {
+	return Base.getContextStack().filter(function (context) {
+		return context.isFunctionContext;
+	});
+}
+
+/**
+ * Checks if a value is a window
+ *
+ * @private
+ */
+function isWindow(value) {
+	return !!value && Base.type(value) === 'Object' && value._apiName === 'Titanium.UI.Window';
+}
+
+/**
+ * Gets the location of a runtime event
+ *
+ * @private
+ */
+function getLocation(e) {
+	return {
+		filename: e.filename,
+		line: e.line,
+		column: e.column
+	};
+}
+
+/**
+ * Infers the window whose lifecycle a listener was added during. Starting with the innermost call the listener was
+ * added in, a listener belongs to a window if the call is one of the window's listeners or methods, or if the window
+ * was opened during the call, e.g. by a function that creates a window along with its listeners. Listeners added at
+ * the top level of a file are not tied to any window
+ *
+ * @private
+ */
+function findWindow(registration) {
+	var contexts = registration.contexts,
+		thisBinding,
+		i, j, len;
+	for (i = contexts.length - 1; i >= 0; i--) {
+		thisBinding = contexts[i].thisBinding;
+		for (j = 0, len = windowOpens.length; j < len; j++) {
+			if (windowOpens[j].obj === thisBinding || windowOpens[j].contexts.indexOf(contexts[i]) !== -1) {
+				return windowOpens[j];
+			}
+		}
+		if (isWindow(thisBinding)) {
+			return {
+				obj: thisBinding
+			};
+		}
+	}
+}
+
+/**
+ * Checks if a listener is removed while the given window is closing, i.e. while running one of the window's close
+ * listeners
+ *
+ * @private
+ */
+function isRemovedOnClose(registration, window) {
+	return removals.some(function (removal) {
+		return removal.module === registration.module && removal.name === registration.name &&
+			removal.func === registration.func && removal.contexts.some(function (context) {
+				return context.thisBinding === window && context.functionObject &&
+					closeListeners.some(function (closeListener) {
+						return closeListener.window === window &&
+							closeListener.func === getFunctionKey(context.functionObject);
+					});
+			});
+	});
+}
+
+/**
+ * Finds the window of each listener, and reports the listeners that are not removed when their window closes
+ *
+ * @private
+ */
+function findLeaks() {
+	registrations.forEach(function (registration) {
+		var window = findWindow(registration),
+			openLocation;
+		if (!window) {
+			return;
+		}
+		results.numTiedListeners++;
+		if (isRemovedOnClose(registration, window.obj)) {
+			return;
+		}
+		openLocation = window.location;
+
+		// The same listener is added each time its window is created, but is only reported once
+		if (results.leaks.some(function (leak) {
+				return leak.module === registration.module && leak.name === registration.name &&
+					leak.filename === registration.location.filename && leak.line === registration.location.line &&
+					leak.column === registration.location.column;
+			})) {
+			return;
+		}
+		results.leaks.push({
+			module: registration.module,
+			name: registration.name,
+			filename: registration.location.filename,
+			line: registration.location.line,
+			column: registration.location.column,
+			window: openLocation
+		});
+		Runtime.setCurrentLocation(registration.location.filename, registration.location.line,
+			registration.location.column);
+		Runtime.reportWarning('tiGlobalListenerLeak', 'A listener for the "' + registration.name + '" event of ' +
+			registration.module + ' is added for a window' + (openLocation ? ' opened at ' +
+			path.relative(Runtime.sourceInformation.projectDir, openLocation.filename) + ':' + openLocation.line : '') +
+			', but is not removed when the window closes');
+		Runtime.exitCurrentLocation();
+	});
+}
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData() {
+	if (results.leaks.length) {
+		results.summary = pluralize('%s listener outlives its window', '%s listeners outlive their windows',
+			results.leaks.length);
+	} else {
+		results.summary = 'No listeners outlive their windows';
+	}
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData() {
+	var baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
+		leaks;
+
+	if (results.leaks.length) {
+		leaks = {
+			list: results.leaks.map(function (leak) {
+				var mappedLocation = Runtime.mapLocation(leak),
+					mappedWindowLocation = leak.window && Runtime.mapLocation(leak.window);
+				return {
+					module: leak.module,
+					name: leak.name,
+					filename: mappedLocation.filename.replace(baseDirectory, ''),
+					line: mappedLocation.line,
+					window: mappedWindowLocation ?
+						mappedWindowLocation.filename.replace(baseDirectory, '') + ':' + mappedWindowLocation.line : ''
+				};
+			})
+		};
+	}
+
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numListeners: pluralize('%s listener', '%s listeners', results.numTiedListeners),
+		numLeaks: pluralize('%s listener', '%s listeners', results.leaks.length),
+		leaks: leaks
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/TiListenerLeakFinder.init
+ * @param {Object} options The plugin options
+ * @param {Array.<Object>} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init() {
+	results = {
+		summary: '',
+		numTiedListeners: 0,
+		leaks: []
+	};
+	registrations = [];
+	removals = [];
+	windowOpens = [];
+	closeListeners = [];
+
+	Runtime.on('tiEventReferenced', function (e) {
+		var isGlobalModule = globalModules.indexOf(e.data.objectName) !== -1;
+		if (Base.isSkippedMode() || !e.data.func) {
+			return;
+		}
+		if (isGlobalModule && e.data.method === 'addEventListener') {
+			registrations.push({
+				module: e.data.objectName,
+				name: e.data.name,
+				func: getFunctionKey(e.data.func),
+				location: getLocation(e),
+				contexts: getFunctionContexts()
+			});
+		} else if (isGlobalModule && e.data.method === 'removeEventListener') {
+			removals.push({
+				module: e.data.objectName,
+				name: e.data.name,
+				func: getFunctionKey(e.data.func),
+				contexts: getFunctionContexts()
+			});
+		} else if (isWindow(e.data.obj) && e.data.name === 'close' && e.data.method === 'addEventListener') {
+			closeListeners.push({
+				window: e.data.obj,
+				func: getFunctionKey(e.data.func)
+			});
+		}
+	});
+
+	Runtime.on('tiWindowOpened', function (e) {
+		if (!Base.isSkippedMode() && isWindow(e.data.obj)) {
+			windowOpens.push({
+				obj: e.data.obj,
+				location: getLocation(e),
+				contexts: getFunctionContexts()
+			});
+		}
+	});
+
+	Runtime.on('projectProcessingEnd', function () {
+		findLeaks();
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/TiListenerLeakFinder.leak
+ * @extends module:Runtime.location
+ * @property {string} module The global module the listener was added to, e.g. "Titanium.Geolocation"
+ * @property {string} name The name of the event, e.g. "location"
+ * @property {(module:Runtime.location | undefined)} window The location the window was opened at, if the listener was
+ *		tied to the window because it was opened during the same call
+ */
+/**
+ * @typedef {Object} module:plugins/TiListenerLeakFinder.results
+ * @property {string} summary A short summary of the results
+ * @property {number} numTiedListeners The number of listeners on global modules that were tied to a window
+ * @property {Array.<module:plugins/TiListenerLeakFinder.leak>} leaks The listeners that are not removed when their
+ *		window closes
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/TiListenerLeakFinder.getResults
+* @return {module:plugins/TiListenerLeakFinder.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/TiListenerLeakFinder.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiListenerLeakFinderTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/TiListenerLeakFinder.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog = renderData.numListeners + ' added to global modules for a window, ' + renderData.numLeaks +
+		' not removed when the window closes';
+	if (renderData.leaks) {
+		resultsToLog += '\n\nListeners That Outlive Their Window\n';
+		resultsToLog += arrayGen(['Module', 'Event', 'File', 'Line', 'Window Opened At'], renderData.leaks.list,
+			['module', 'name', 'filename', 'line', 'window']);
+	}
+	return resultsToLog;
+};
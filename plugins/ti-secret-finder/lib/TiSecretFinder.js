@@ -0,0 +1,518 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin finds hard-coded secrets, such as API keys and tokens, passed to Titanium APIs that store or send
+ * credentials. Since strings are computed by the code processor, secrets that are assembled from several constants,
+ * even across modules, are found as long as the assembled value is known. The parts of a secret are located by
+ * matching the string literals in the project against the assembled value.
+ *
+ * @module plugins/TiSecretFinder
+ */
+
+var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	// The APIs that store or send credentials, and the indices of the arguments that are checked. Objects passed to
+	// these APIs, such as the parameters of a login, have the values of their properties checked
+	sinks = [{
+		regex: /^Titanium\.App\.Properties\.setString$/,
+		args: [1],
+		description: 'stored in an application property'
+	},{
+		regex: /^Titanium\.Network\.HTTPClient\.setRequestHeader$/,
+		args: [1],
+		description: 'sent in a request header',
+
+		// Credential headers, such as "Authorization", are reported by the insecure network finder instead
+		ignore: function (args) {
+			return isCredentialHeader(args[0]);
+		}
+	},{
+		regex: /^Titanium\.Cloud\.Users\.(login|secureLogin|create|update)$/,
+		args: [0],
+		description: 'sent to Titanium Cloud'
+	},{
+		regex: /keychain/i,
+		description: 'stored in a keychain'
+	}],
+
+	// The formats of well known keys and tokens. Blocks, such as private keys, are considered to run to the end of the
+	// string
+	keyFormats = [{
+		regex: /AKIA[0-9A-Z]{16}/,
+		name: 'an AWS access key ID'
+	},{
+		regex: /AIza[0-9A-Za-z_\-]{35}/,
+		name: 'a Google API key'
+	},{
+		regex: /(sk|rk)_live_[0-9A-Za-z]{24,}/,
+		name: 'a Stripe secret key'
+	},{
+		regex: /gh[pousr]_[0-9A-Za-z]{36}/,
+		name: 'a GitHub token'
+	},{
+		regex: /xox[abprs]-[0-9A-Za-z\-]{10,}/,
+		name: 'a Slack token'
+	},{
+		regex: /eyJ[0-9A-Za-z_\-]+\.eyJ[0-9A-Za-z_\-]+\.[0-9A-Za-z_\-]+/,
+		name: 'a JSON web token'
+	},{
+		regex: /-----BEGIN ([A-Z]+ )?PRIVATE KEY-----/,
+		name: 'a private key',
+		isBlock: true
+	}],
+
+	// Tokens that are at least this long, and have at least this many bits of entropy per character, are considered
+	// random enough to be secrets. Dictionary words and identifiers fall well below this, hex keys are just above it
+	MIN_TOKEN_LENGTH = 16,
+	MIN_TOKEN_ENTROPY = 3.5,
+
+	// String literals shorter than this are not used to locate the parts of a secret, since they match too much
+	MIN_PART_LENGTH = 3,
+
+	// The names of the headers that the insecure network finder reports hard-coded credentials in, other than
+	// "Authorization", lower cased and without "-" or "_"
+	credentialHeaderRegex = /^x?(api(key|secret|token)|(auth|access|client)?(token|secret))$/,
+
+	literals,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Checks if a header name is the name of a header that carries credentials, e.g. "Authorization" or "X-Api-Key"
+ *
+ * @private
+ */
+function isCredentialHeader(name) {
+	var headerName = name && Base.type(name) === 'String' && name.value.toLowerCase().replace(/[\-_]/g, '');
+	return !!headerName && (headerName === 'authorization' || credentialHeaderRegex.test(headerName));
+}
+
+/**
+ * Gets the known strings in a value passed to a sink. Objects and arrays contribute the strings stored in their own
+ * properties, e.g. the password passed to a login
+ *
+ * @private
+ */
+function getStrings(value) {
+	var strings = [],
+		properties,
+		propertyValue,
+		i, len;
+	if (!value) {
+		return strings;
+	}
+	if (Base.type(value) === 'String') {
+		strings.push(value.value);
+	} else if ((Base.type(value) === 'Object' || Base.type(value) === 'Array') && !value._apiName) {
+		properties = value._properties;
+		for (i = 0, len = properties.length; i < len; i++) {
+			propertyValue = properties[i].value.value;
+			if (propertyValue && Base.type(propertyValue) === 'String') {
+				strings.push(propertyValue.value);
+			}
+		}
+	}
+	return strings;
+}
+
+/**
+ * Calculates the Shannon entropy of a string, in bits per character
+ *
+ * @private
+ */
+function calculateEntropy(str) {
+	var counts = {},
+		entropy = 0,
+		probability,
+		i, len,
+		c;
+	for (i = 0, len = str.length; i < len; i++) {
+		counts[str[i]] = (counts[str[i]] || 0) + 1;
+	}
+	for (c in counts) {
+		probability = counts[c] / len;
+		entropy -= probability * Math.log(probability) / Math.LN2;
+	}
+	return entropy;
+}
+
+/**
+ * Finds the secrets in a string, either by their format or by their entropy. Each secret is returned with its
+ * position in the string and the reason it is considered a secret
+ *
+ * @private
+ */
+function findSecrets(str) {
+	var secrets = [],
+		tokenRegex = /[0-9A-Za-z+\/=_\-\.]+/g,
+		tokenCharRegex = /[0-9A-Za-z+\/=_\-\.]/,
+		match,
+		start,
+		end,
+		i, len;
+
+	function isOverlapping(index, length) {
+		return secrets.some(function (secret) {
+			return index < secret.index + secret.length && secret.index < index + length;
+		});
+	}
+
+	for (i = 0, len = keyFormats.length; i < len; i++) {
+		match = keyFormats[i].regex.exec(str);
+		if (!match) {
+			continue;
+		}
+
+		// The whole token a key is part of is the secret, since key formats only match the start of some keys
+		start = match.index;
+		end = keyFormats[i].isBlock ? str.length : match.index + match[0].length;
+		while (start > 0 && tokenCharRegex.test(str[start - 1])) {
+			start--;
+		}
+		while (end < str.length && tokenCharRegex.test(str[end])) {
+			end++;
+		}
+		if (!isOverlapping(start, end - start)) {
+			secrets.push({
+				index: start,
+				length: end - start,
+				reason: 'matches the format of ' + keyFormats[i].name
+			});
+		}
+	}
+
+	// Tokens must mix letters and digits, so that long words and identifiers are not mistaken for secrets
+	while ((match = tokenRegex.exec(str))) {
+		if (match[0].length >= MIN_TOKEN_LENGTH && /[0-9]/.test(match[0]) && /[A-Za-z]/.test(match[0]) &&
+				calculateEntropy(match[0]) >= MIN_TOKEN_ENTROPY && !isOverlapping(match.index, match[0].length)) {
+			secrets.push({
+				index: match.index,
+				length: match[0].length,
+				reason: 'is a random looking token'
+			});
+		}
+	}
+
+	return secrets.sort(function (a, b) {
+		return a.index - b.index;
+	});
+}
+
+/**
+ * Redacts the secrets in a string, leaving the first few characters of each secret so that it can be recognized
+ *
+ * @private
+ */
+function redact(str, secrets) {
+	var redacted = '',
+		position = 0;
+	secrets.forEach(function (secret) {
+		redacted += str.substring(position, secret.index) + str.substr(secret.index, 4) + '****';
+		position = secret.index + secret.length;
+	});
+	return redacted + str.substring(position);
+}
+
+/**
+ * Locates the parts a string was assembled from by matching the string literals in the project against it. The
+ * literals that cover the most of the string, using as few literals as possible, are chosen. Parts of the string that
+ * did not come from a literal, e.g. numbers, are not located
+ *
+ * @private
+ */
+function findParts(str) {
+	var occurrences = [],
+		best = [{
+			covered: 0,
+			numParts: 0
+		}],
+		parts = [],
+		candidate,
+		literal,
+		index,
+		i, j, len;
+
+	// Find every place each literal appears in the string
+	for (literal in literals) {
+		index = str.indexOf(literal.substring(1));
+		while (index !== -1) {
+			occurrences.push({
+				start: index,
+				end: index + literal.length - 1,
+				literal: literal
+			});
+			index = str.indexOf(literal.substring(1), index + 1);
+		}
+	}
+
+	// Find the best way to assemble each prefix of the string from the literals
+	for (i = 1, len = str.length; i <= len; i++) {
+		best[i] = {
+			covered: best[i - 1].covered,
+			numParts: best[i - 1].numParts,
+			previous: i - 1
+		};
+		for (j = 0; j < occurrences.length; j++) {
+			if (occurrences[j].end === i) {
+				candidate = best[occurrences[j].start];
+				if (candidate.covered + i - occurrences[j].start > best[i].covered ||
+						(candidate.covered + i - occurrences[j].start === best[i].covered &&
+						candidate.numParts + 1 < best[i].numParts)) {
+					best[i] = {
+						covered: candidate.covered + i - occurrences[j].start,
+						numParts: candidate.numParts + 1,
+						previous: occurrences[j].start,
+						occurrence: occurrences[j]
+					};
+				}
+			}
+		}
+	}
+
+	// Walk back through the best assembly of the whole string to get the parts, in order
+	for (i = str.length; i > 0; i = best[i].previous) {
+		if (best[i].occurrence) {
+			parts.unshift.apply(parts, literals[best[i].occurrence.literal]);
+		}
+	}
+	return parts;
+}
+
+/**
+ * Gets the location of a runtime event
+ *
+ * @private
+ */
+function getLocation(e) {
+	return {
+		filename: e.filename,
+		line: e.line,
+		column: e.column
+	};
+}
+
+/**
+ * Checks the values passed to a sink for secrets, and reports each value that contains one
+ *
+ * @private
+ */
+function checkSink(name, sink, values, location) {
+	values.forEach(function (value) {
+		getStrings(value).forEach(function (str) {
+			var secrets = findSecrets(str),
+				redactedValue,
+				parts;
+			if (!secrets.length || results.secrets.some(function (secret) {
+					return secret.api === name && secret.filename === location.filename && secret.line === location.line &&
+						secret.column === location.column;
+				})) {
+				return;
+			}
+			redactedValue = redact(str, secrets);
+			parts = findParts(str);
+			results.secrets.push({
+				api: name,
+				value: redactedValue,
+				reason: secrets[0].reason,
+				filename: location.filename,
+				line: location.line,
+				column: location.column,
+				parts: parts
+			});
+			Runtime.setCurrentLocation(location.filename, location.line, location.column);
+			Runtime.reportWarning('hardCodedSecret', 'A hard-coded secret "' + redactedValue + '", which ' +
+				secrets[0].reason + ', is ' + sink.description + ' by "' + name + '"', parts.map(function (part) {
+					return {
+						description: 'Part of the secret',
+						filename: part.filename,
+						line: part.line,
+						column: part.column,
+						isOrigin: true
+					};
+				}));
+			Runtime.exitCurrentLocation();
+		});
+	});
+}
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData() {
+	if (results.secrets.length) {
+		results.summary = pluralize('%s hard-coded secret found', '%s hard-coded secrets found', results.secrets.length);
+	} else {
+		results.summary = 'No hard-coded secrets found';
+	}
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData() {
+	var baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
+		secrets;
+
+	if (results.secrets.length) {
+		secrets = {
+			list: results.secrets.map(function (secret) {
+				var mappedLocation = Runtime.mapLocation(secret),
+					partList = secret.parts.map(function (part) {
+						var mappedPartLocation = Runtime.mapLocation(part);
+						return {
+							location: mappedPartLocation.filename.replace(baseDirectory, '') + ':' + mappedPartLocation.line
+						};
+					});
+				return {
+					api: secret.api,
+					value: secret.value,
+					reason: secret.reason,
+					filename: mappedLocation.filename.replace(baseDirectory, ''),
+					line: mappedLocation.line,
+					partList: partList,
+					parts: partList.map(function (part) {
+						return part.location;
+					}).join(', ')
+				};
+			})
+		};
+	}
+
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numSecrets: pluralize('%s hard-coded secret', '%s hard-coded secrets', results.secrets.length),
+		secrets: secrets
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/TiSecretFinder.init
+ * @param {Object} options The plugin options
+ * @param {Array.<Object>} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init() {
+	results = {
+		summary: '',
+		secrets: []
+	};
+
+	// The locations of each string literal, keyed by the literal prefixed with a space so that literals such as
+	// "__proto__" are safe to use as keys
+	literals = {};
+
+	Runtime.on('rule', function (e) {
+		var key,
+			location;
+		if (e.data.ruleName !== 'AST_String' || !e.data.processingComplete ||
+				e.data.result.value.length < MIN_PART_LENGTH) {
+			return;
+		}
+		key = ' ' + e.data.result.value;
+		location = getLocation(e);
+		if (!literals.hasOwnProperty(key)) {
+			literals[key] = [];
+		}
+		if (!literals[key].some(function (literalLocation) {
+				return literalLocation.filename === location.filename && literalLocation.line === location.line &&
+					literalLocation.column === location.column;
+			})) {
+			literals[key].push(location);
+		}
+	});
+
+	Runtime.on('tiFunctionCalled', function (e) {
+		var args = e.data.args || [];
+		if (Base.isSkippedMode()) {
+			return;
+		}
+		sinks.forEach(function (sink) {
+			if (sink.regex.test(e.data.name) && !(sink.ignore && sink.ignore(args))) {
+				checkSink(e.data.name, sink, sink.args ? sink.args.map(function (i) {
+					return args[i];
+				}) : args, getLocation(e));
+			}
+		});
+	});
+
+	Runtime.on('projectProcessingEnd', function () {
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/TiSecretFinder.secret
+ * @extends module:Runtime.location
+ * @property {string} api The API the secret was passed to, e.g. "Titanium.App.Properties.setString"
+ * @property {string} value The value that was passed, with the secret redacted
+ * @property {string} reason Why the value is considered a secret, e.g. "matches the format of a Google API key"
+ * @property {Array.<module:Runtime.location>} parts The locations of the string literals the value was assembled from
+ */
+/**
+ * @typedef {Object} module:plugins/TiSecretFinder.results
+ * @property {string} summary A short summary of the results
+ * @property {Array.<module:plugins/TiSecretFinder.secret>} secrets The hard-coded secrets that were found
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/TiSecretFinder.getResults
+* @return {module:plugins/TiSecretFinder.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/TiSecretFinder.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiSecretFinderTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/TiSecretFinder.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog = renderData.numSecrets + ' found';
+	if (renderData.secrets) {
+		resultsToLog += '\n\nHard-Coded Secrets\n';
+		resultsToLog += arrayGen(['API', 'Value', 'File', 'Line', 'Parts'], renderData.secrets.list,
+			['api', 'value', 'filename', 'line', 'parts']);
+	}
+	return resultsToLog;
+};
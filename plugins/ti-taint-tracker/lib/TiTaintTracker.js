@@ -0,0 +1,339 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin marks values that come from untrusted sources, such as network responses and user input, as tainted,
+ * and reports tainted values that reach APIs that evaluate code, run SQL statements, display HTML, or include files.
+ * The taint is carried through the code by the interpreter, see {@link module:base/taint}, so only the values that
+ * actually flow from a source to a sink are reported.
+ *
+ * @module plugins/TiTaintTracker
+ */
+
+var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	// The APIs whose values are untrusted. Methods are untrusted if their return value is untrusted
+	sources = [
+		'Titanium.Network.HTTPClient.responseText',
+		'Titanium.Network.HTTPClient.responseData',
+		'Titanium.Network.HTTPClient.responseXML',
+		'Titanium.UI.TextField.value',
+		'Titanium.UI.TextArea.value',
+		'Titanium.UI.SearchBar.value',
+		'Titanium.App.arguments',
+		'Titanium.App.getArguments',
+		'Titanium.Android.Intent.data',
+		'Titanium.Android.Intent.getData',
+		'Titanium.Android.Intent.getStringExtra'
+	],
+
+	// The APIs that must not be passed untrusted values, and the indices of the arguments that are checked. Properties
+	// are checked when they are set
+	sinks = {
+		'eval': {
+			args: [0],
+			description: 'evaluated as code by "eval"'
+		},
+		'Titanium.Database.DB.execute': {
+			args: [0],
+			description: 'used in the SQL statement passed to "Titanium.Database.DB.execute"'
+		},
+		'Titanium.UI.WebView.evalJS': {
+			args: [0],
+			description: 'evaluated as code in a web view by "Titanium.UI.WebView.evalJS"'
+		},
+		'Titanium.UI.WebView.html': {
+			args: [0],
+			description: 'displayed as HTML by "Titanium.UI.WebView.html"'
+		},
+		'Titanium.include': {
+			description: 'used as a path passed to "Titanium.include"'
+		}
+	},
+
+	evalFunction,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the name of the API a function implements, e.g. "Titanium.Database.DB.execute". Getters and setters, such as
+ * <code>getResponseText</code>, are named after the property they get or set
+ *
+ * @private
+ */
+function getFunctionName(func) {
+	if (!func) {
+		return;
+	} else if (func === evalFunction) {
+		return 'eval';
+	} else if ((func._isTiGetter || func._isTiSetter) && func._obj._apiName) {
+		return func._obj._apiName + '.' + func._name;
+	}
+	return func._apiName;
+}
+
+/**
+ * Taints a value that came from an untrusted source. A tainted copy of the value is returned, which must be used in
+ * place of the value, see {@link module:base/taint.taint}
+ *
+ * @private
+ */
+function taintSource(name, value) {
+	if (sources.indexOf(name) === -1 || !value || Base.isTainted(value)) {
+		return value;
+	}
+	results.numSources++;
+	return Base.taint(value, 'The value of "' + name + '" is untrusted');
+}
+
+/**
+ * Reports the first tainted value passed to a sink, if any, along with the path it took from its source
+ *
+ * @private
+ */
+function checkSink(name, values, location) {
+	var taintedValues = Base.getTaintedValues(values),
+		sink = sinks[name],
+		flowPath;
+
+	if (!taintedValues.length || Base.isSkippedMode()) {
+		return;
+	}
+
+	// A sink is reported once for each location, even if it is reached multiple times
+	if (results.flows.some(function (flow) {
+			return flow.sink === name && flow.filename === location.filename && flow.line === location.line &&
+				flow.column === location.column;
+		})) {
+		return;
+	}
+
+	// Paths are given starting at the source, so that they read in the direction the data flows
+	flowPath = Base.explainTaint(taintedValues[0]).reverse();
+	results.flows.push({
+		sink: name,
+		filename: location.filename,
+		line: location.line,
+		column: location.column,
+		path: flowPath
+	});
+	Runtime.setCurrentLocation(location.filename, location.line, location.column);
+	Runtime.reportWarning('untrustedDataFlow', 'Untrusted data is ' + sink.description, flowPath);
+	Runtime.exitCurrentLocation();
+}
+
+/**
+ * Gets the location of a runtime event
+ *
+ * @private
+ */
+function getLocation(e) {
+	return {
+		filename: e.filename,
+		line: e.line,
+		column: e.column
+	};
+}
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData() {
+	if (results.flows.length) {
+		results.summary = pluralize('Untrusted data reaches %s sensitive API', 'Untrusted data reaches %s sensitive APIs',
+			results.flows.length);
+	} else {
+		results.summary = 'No untrusted data reaches sensitive APIs';
+	}
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData() {
+	var baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
+		flows;
+
+	function formatLocation(location) {
+		var mappedLocation = Runtime.mapLocation(location);
+		return mappedLocation.filename.replace(baseDirectory, '') + ':' + mappedLocation.line;
+	}
+
+	if (results.flows.length) {
+		flows = {
+			list: results.flows.map(function (flow) {
+				var mappedLocation = Runtime.mapLocation(flow),
+					stepList = flow.path.map(function (step) {
+						return {
+							description: step.description,
+							location: step.filename ? formatLocation(step) : undefined
+						};
+					});
+				return {
+					sink: flow.sink,
+					filename: mappedLocation.filename.replace(baseDirectory, ''),
+					line: mappedLocation.line,
+					stepList: stepList,
+					flow: stepList.map(function (step) {
+						return step.description + (step.location ? ' (' + step.location + ')' : '');
+					}).join(' -> ')
+				};
+			})
+		};
+	}
+
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numSources: pluralize('%s value', '%s values', results.numSources),
+		numFlows: pluralize('%s sensitive API', '%s sensitive APIs', results.flows.length),
+		flows: flows
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/TiTaintTracker.init
+ * @param {Object} options The plugin options
+ * @param {Array.<Object>} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init() {
+	results = {
+		summary: '',
+		numSources: 0,
+		flows: []
+	};
+	evalFunction = undefined;
+
+	Runtime.on('projectProcessingBegin', function () {
+		evalFunction = Base.getGlobalObject()._lookupProperty('eval').value;
+	});
+
+	Runtime.on('rule', function (e) {
+		var name,
+			sink,
+			lhs,
+			result,
+			desc;
+		if (!e.data.processingComplete) {
+			return;
+		}
+		if (e.data.ruleName === 'AST_Dot' || e.data.ruleName === 'AST_Sub') {
+
+			// Property values are tainted when the property is looked up, before the value is read, so that the value
+			// is already tainted when it is used. The value of the property is replaced with a tainted copy, so other
+			// objects that share the value are not tainted
+			result = e.data.result;
+			if (Base.type(result) === 'Reference' && result.baseValue && result.baseValue._apiName) {
+				desc = result.baseValue._lookupProperty(result.referencedName);
+				if (desc && Base.isDataDescriptor(desc)) {
+					desc.value = taintSource(result.baseValue._apiName + '.' + result.referencedName, desc.value);
+				}
+			}
+		} else if (e.data.ruleName === 'AST_Call') {
+			name = getFunctionName(e.data.func);
+			e.data.result = taintSource(name, e.data.result);
+			sink = sinks[name];
+			if (sink) {
+				checkSink(name, sink.args ? sink.args.map(function (i) {
+					return e.data.args[i];
+				}) : e.data.args, getLocation(e));
+			}
+		} else if (e.data.ruleName === 'AST_Assign') {
+			lhs = e.data.lhs;
+			if (Base.type(lhs) === 'Reference' && Base.isPropertyReference(lhs) && Base.getBase(lhs)._apiName) {
+				name = Base.getBase(lhs)._apiName + '.' + Base.getReferencedName(lhs);
+				if (sinks[name]) {
+					checkSink(name, [e.data.rhs], getLocation(e));
+				}
+			}
+		}
+	});
+
+	Runtime.on('tiCreationPropertySet', function (e) {
+		var name = e.data.objectName + '.' + e.data.name;
+		if (sinks[name]) {
+			checkSink(name, [e.data.value], getLocation(e));
+		}
+	});
+
+	Runtime.on('projectProcessingEnd', function () {
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/TiTaintTracker.flow
+ * @extends module:Runtime.location
+ * @property {string} sink The API the untrusted data reaches, e.g. "Titanium.Database.DB.execute"
+ * @property {Array.<module:base/types/unknown.explanationStep>} path The path the data took, starting where it entered
+ *		the application
+ */
+/**
+ * @typedef {Object} module:plugins/TiTaintTracker.results
+ * @property {string} summary A short summary of the results
+ * @property {number} numSources The number of untrusted values read from sources
+ * @property {Array.<module:plugins/TiTaintTracker.flow>} flows The untrusted data that reaches sensitive APIs
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/TiTaintTracker.getResults
+* @return {module:plugins/TiTaintTracker.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/TiTaintTracker.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiTaintTrackerTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/TiTaintTracker.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog = renderData.numSources + ' read from untrusted sources, ' + renderData.numFlows +
+		' reached by untrusted data';
+	if (renderData.flows) {
+		resultsToLog += '\n\nUntrusted Data Reaching Sensitive APIs\n';
+		resultsToLog += arrayGen(['API', 'File', 'Line', 'Flow'], renderData.flows.list,
+			['sink', 'filename', 'line', 'flow']);
+	}
+	return resultsToLog;
+};
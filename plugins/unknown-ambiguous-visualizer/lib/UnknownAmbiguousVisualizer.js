@@ -0,0 +1,278 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin measures how much of the analyzed code could not be evaluated precisely. Code is in an ambiguous block
+ * when it is inside a conditional or loop whose condition is unknown, in an ambiguous context when it is inside a
+ * function that was called with unknown arguments or from an ambiguous block, and unknown when it evaluated to an
+ * unknown value. The source of each file is rendered with the nodes colored by their state.
+ *
+ * @module plugins/UnknownAmbiguousVisualizer
+ */
+
+var path = require('path'),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	AST = require(path.join(global.titaniumCodeProcessorLibDir, 'AST')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	getPercentage = CodeProcessorUtils.getPercentage,
+
+	pluginOptions,
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Checks if the code processor has a rule for a node. Nodes without a rule, such as variable declarations, share the
+ * state of their parent
+ *
+ * @private
+ */
+function isProcessedNode(node) {
+	return node.className === 'AST_' + node.TYPE && node.TYPE !== 'Toplevel';
+}
+
+/**
+ * Gets the state of a node, in order of precedence
+ *
+ * @private
+ */
+function getNodeState(node) {
+	if (!isProcessedNode(node)) {
+		return;
+	}
+	if (!node._visited && !node._skipped) {
+		return 'unvisited';
+	} else if (node._unknown) {
+		return 'unknown';
+	} else if (node._ambiguousContext) {
+		return 'ambiguous-context';
+	} else if (node._ambiguousBlock) {
+		return 'ambiguous-block';
+	}
+	return 'known';
+}
+
+/**
+ * Creates an entry from the number of analyzed nodes and the number of nodes with each flag. A node may have more than
+ * one flag, so the percentages do not add up to 100
+ *
+ * @private
+ */
+function createEntry(counts) {
+	return {
+		numNodes: counts.numNodes,
+		numAmbiguousBlock: counts.numAmbiguousBlock,
+		numAmbiguousContext: counts.numAmbiguousContext,
+		numUnknown: counts.numUnknown,
+		percentAmbiguousBlock: getPercentage(counts.numAmbiguousBlock, counts.numNodes),
+		percentAmbiguousContext: getPercentage(counts.numAmbiguousContext, counts.numNodes),
+		percentUnknown: getPercentage(counts.numUnknown, counts.numNodes)
+	};
+}
+
+/**
+ * Creates an empty set of counts
+ *
+ * @private
+ */
+function createCounts() {
+	return {
+		numNodes: 0,
+		numAmbiguousBlock: 0,
+		numAmbiguousContext: 0,
+		numUnknown: 0
+	};
+}
+
+/**
+ * Generates the raw results data for this plugin
+ *
+ * @private
+ */
+function generateResultsData(projectASTs) {
+	var total = createCounts(),
+		counts,
+		p,
+		i, len;
+
+	// Only nodes that were analyzed can be ambiguous or unknown
+	function countNode(node) {
+		if (isProcessedNode(node) && (node._visited || node._skipped)) {
+			counts.numNodes++;
+			if (node._ambiguousBlock) {
+				counts.numAmbiguousBlock++;
+			}
+			if (node._ambiguousContext) {
+				counts.numAmbiguousContext++;
+			}
+			if (node._unknown) {
+				counts.numUnknown++;
+			}
+		}
+	}
+
+	results.files = {};
+	for (i = 0, len = projectASTs.length; i < len; i++) {
+		counts = createCounts();
+		AST.walk(projectASTs[i].ast, [{
+			callback: countNode
+		}]);
+		results.files[projectASTs[i].filename] = createEntry(counts);
+		for (p in counts) {
+			total[p] += counts[p];
+		}
+	}
+	results.total = createEntry(total);
+	results.summary = results.total.percentAmbiguousBlock + '% of the analyzed code was in an ambiguous block, ' +
+		results.total.percentAmbiguousContext + '% was in an ambiguous context, and ' + results.total.percentUnknown +
+		'% was unknown';
+}
+
+/**
+ * Generates the render data for this plugin. This is typically an abstracted version of the raw results, carefully
+ * modified to match the requirements of the render templates
+ *
+ * @private
+ */
+function generateRenderData(projectASTs) {
+	var list = [],
+		pages = [],
+		entry,
+		page,
+		data,
+		i, len;
+
+	function createRow(name, entry) {
+		return {
+			filename: name,
+			numNodes: entry.numNodes,
+			percentAmbiguousBlock: entry.percentAmbiguousBlock + '%',
+			percentAmbiguousContext: entry.percentAmbiguousContext + '%',
+			percentUnknown: entry.percentUnknown + '%'
+		};
+	}
+
+	for (i = 0, len = projectASTs.length; i < len; i++) {
+		entry = createRow(path.relative(Runtime.sourceInformation.projectDir, projectASTs[i].filename),
+			results.files[projectASTs[i].filename]);
+		page = AST.getAnnotatedSourcePage(projectASTs[i].filename, exports.name, pluginOptions);
+		entry.link = page;
+		list.push(entry);
+		data = AST.createAnnotatedSourcePageData(projectASTs[i], page, exports.displayName, getNodeState);
+		data.entry = entry;
+		pages.push({
+			page: page,
+			data: data
+		});
+	}
+
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		summary: results.summary,
+		files: list.length ? { list: list } : undefined,
+		total: createRow('Total', results.total),
+		pages: pages
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method module:plugins/UnknownAmbiguousVisualizer.init
+ * @param {Object} options The plugin options
+ * @param {Object} [options.visualization] The visualization options
+ * @param {string} [options.visualization.outputDirectory] The directory to write the annotated source pages to. It
+ *		must be inside of the results directory. Defaults to the "unknown-ambiguous-visualizer" directory in the results
+ *		directory
+ * @param {boolean} [options.analyzeBlacklistedFiles] Whether or not to include blacklisted files
+ */
+exports.init = function init(options) {
+	pluginOptions = options || {};
+	results = {
+		summary: '',
+		files: {},
+		total: createEntry(createCounts())
+	};
+
+	Runtime.on('projectProcessingEnd', function () {
+		var projectASTs = AST.getProjectASTs(pluginOptions.analyzeBlacklistedFiles);
+		generateResultsData(projectASTs);
+		generateRenderData(projectASTs);
+	});
+};
+
+/**
+ * @typedef {Object} module:plugins/UnknownAmbiguousVisualizer.entry
+ * @property {number} numNodes The number of nodes that were analyzed
+ * @property {number} numAmbiguousBlock The number of analyzed nodes in an ambiguous block
+ * @property {number} numAmbiguousContext The number of analyzed nodes in an ambiguous context
+ * @property {number} numUnknown The number of analyzed nodes that are unknown
+ * @property {number} percentAmbiguousBlock The percentage of analyzed nodes in an ambiguous block
+ * @property {number} percentAmbiguousContext The percentage of analyzed nodes in an ambiguous context
+ * @property {number} percentUnknown The percentage of analyzed nodes that are unknown
+ */
+/**
+ * @typedef {Object} module:plugins/UnknownAmbiguousVisualizer.results
+ * @property {string} summary A short summary of the results
+ * @property {Object.<string, module:plugins/UnknownAmbiguousVisualizer.entry>} files The entry for each file, keyed
+ *		by the full path to the file
+ * @property {module:plugins/UnknownAmbiguousVisualizer.entry} total The entry for the whole project
+ */
+/**
+* Gets the results of the plugin
+*
+* @method module:plugins/UnknownAmbiguousVisualizer.getResults
+* @return {module:plugins/UnknownAmbiguousVisualizer.results} The results
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method module:plugins/UnknownAmbiguousVisualizer.getResultsPageData
+ * @param {string} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {module:CodeProcessor.pluginResultsPageData} The information for generating the template(s)
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {},
+		i, len;
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'unknownAmbiguousVisualizerTemplate.html'),
+		data: renderData
+	};
+	for (i = 0, len = renderData.pages.length; i < len; i++) {
+		template[renderData.pages[i].page] = {
+			template: path.join(__dirname, '..', 'templates', 'unknownAmbiguousVisualizerFileTemplate.html'),
+			data: renderData.pages[i].data
+		};
+	}
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @method module:plugins/UnknownAmbiguousVisualizer.renderLogOutput
+ * @param {module:CodeProcessor.arrayGen} arrayGen Log-friendly table generator
+ * @return {string} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog = renderData.summary;
+	if (renderData.files) {
+		resultsToLog += '\n\nUnknown and Ambiguous Code\n';
+		resultsToLog += arrayGen(['File', 'Num Nodes', 'Ambiguous Block', 'Ambiguous Context', 'Unknown'],
+			renderData.files.list.concat([renderData.total]),
+			['filename', 'numNodes', 'percentAmbiguousBlock', 'percentAmbiguousContext', 'percentUnknown']);
+	}
+	return resultsToLog;
+};
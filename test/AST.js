@@ -0,0 +1,47 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the parsing of suppression comments
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	AST = require(path.join(__dirname, '..', 'lib', 'AST'));
+
+describe('AST', function () {
+
+	describe('parseSuppressions', function () {
+
+		it('should suppress the line after a disable-next-line comment', function () {
+			AST.parseSuppressions('a();\n// codeprocessor-disable-next-line ReferenceError, TypeError\nb();\n').should.eql([{
+				startLine: 3,
+				endLine: 3,
+				types: ['ReferenceError', 'TypeError']
+			}]);
+		});
+
+		it('should suppress every type when no types are given', function () {
+			var suppressions = AST.parseSuppressions('/* codeprocessor-disable */\na();\n/* codeprocessor-enable */\nb();\n');
+			suppressions.should.have.length(1);
+			suppressions[0].startLine.should.equal(1);
+			suppressions[0].endLine.should.equal(3);
+			should.not.exist(suppressions[0].types);
+		});
+
+		it('should suppress until the end of the file when there is no enable comment', function () {
+			AST.parseSuppressions('a();\n// codeprocessor-disable RequireMissing\nb();\n').should.eql([{
+				startLine: 2,
+				endLine: Infinity,
+				types: ['RequireMissing']
+			}]);
+		});
+
+		it('should ignore comments that only mention a directive', function () {
+			AST.parseSuppressions('// see codeprocessor-disable in the README\na();\n').should.eql([]);
+		});
+	});
+});
@@ -0,0 +1,144 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the analysis cache
+ */
+/*global describe, it, beforeEach, afterEach*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	AnalysisCache = require(path.join(__dirname, '..', 'lib', 'AnalysisCache')),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Analysis cache', function () {
+
+	var tempDir = path.join(os.tmpdir(), 'titanium-code-processor-test-' + process.pid),
+		projectDir = path.join(tempDir, 'project'),
+		sourceDir = path.join(projectDir, 'Resources'),
+		options;
+
+	/**
+	 * Gets the errors of a run in a stable order, since restored errors are listed after the reanalyzed ones
+	 */
+	function getErrors(results) {
+		return results.errors.map(function (error) {
+			return JSON.stringify(error);
+		}).sort();
+	}
+
+	/**
+	 * Analyzes the project without the cache, for comparing against the cached results
+	 */
+	function analyzeCold(callback) {
+		utils.analyze(projectDir, { processUnvisitedCode: true }, [], callback);
+	}
+
+	function wasReanalyzed(messages, file) {
+		return messages.indexOf('Entering file ' + path.join(sourceDir, file)) !== -1;
+	}
+
+	beforeEach(function () {
+		options = {
+			cacheDir: path.join(tempDir, 'cache'),
+			processUnvisitedCode: true
+		};
+		wrench.mkdirSyncRecursive(tempDir);
+		wrench.copyDirSyncRecursive(path.join(utils.fixturesDir, 'cache'), projectDir);
+	});
+
+	afterEach(function () {
+		wrench.rmdirSyncRecursive(tempDir, true);
+	});
+
+	describe('getAffectedFiles', function () {
+
+		it('should include every file that directly or indirectly requires a changed file', function () {
+			AnalysisCache.getAffectedFiles(['c.js'], {
+				'app.js': ['a.js', 'b.js'],
+				'a.js': ['c.js'],
+				'b.js': [],
+				'd.js': ['b.js']
+			}).sort().should.eql(['a.js', 'app.js', 'c.js']);
+		});
+	});
+
+	it('should reuse the cached results when no files have changed', function (done) {
+		utils.analyze(projectDir, options, [], function (firstResults) {
+			utils.analyze(projectDir, options, [], function (secondResults, messages) {
+				messages.should.include('No files have changed since the last analysis, using cached results');
+				JSON.stringify(secondResults.errors).should.equal(JSON.stringify(firstResults.errors));
+				done();
+			});
+		});
+	});
+
+	it('should only reanalyze the roots that reach a changed file', function (done) {
+		utils.analyze(projectDir, options, [], function () {
+			fs.appendFileSync(path.join(sourceDir, 'standalone.js'), 'anotherStandaloneCall();\n');
+			utils.analyze(projectDir, options, [], function (results, messages) {
+				messages.should.include('1 file(s) changed since the last analysis, affecting 1 module(s)');
+				messages.should.include('Reusing the cached results of 2 unaffected module(s)');
+				wasReanalyzed(messages, 'standalone.js').should.be.true;
+				wasReanalyzed(messages, 'other.js').should.be.false;
+				should.exist(utils.findFinding(results.errors, 'ReferenceError', 2), 'The changed file should be reanalyzed');
+				analyzeCold(function (coldResults) {
+					getErrors(results).should.eql(getErrors(coldResults));
+					done();
+				});
+			});
+		});
+	});
+
+	it('should reanalyze the modules that require a changed file', function (done) {
+		utils.analyze(projectDir, options, [], function () {
+			fs.writeFileSync(path.join(sourceDir, 'shared.js'), 'exports.run = function () {};\n');
+			utils.analyze(projectDir, options, [], function (results, messages) {
+				messages.should.include('1 file(s) changed since the last analysis, affecting 3 module(s)');
+				messages.should.include('Reusing the cached results of 1 unaffected module(s)');
+				wasReanalyzed(messages, 'other.js').should.be.true;
+				wasReanalyzed(messages, 'standalone.js').should.be.false;
+				analyzeCold(function (coldResults) {
+					getErrors(results).should.eql(getErrors(coldResults));
+
+					// The results of the partial run are cached in turn
+					utils.analyze(projectDir, options, [], function (cachedResults, messages) {
+						messages.should.include('No files have changed since the last analysis, using cached results');
+						getErrors(cachedResults).should.eql(getErrors(coldResults));
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	it('should reuse the cached results when the changed files are not analyzed', function (done) {
+		options.processUnvisitedCode = false;
+		utils.analyze(projectDir, options, [], function (firstResults) {
+			fs.appendFileSync(path.join(sourceDir, 'standalone.js'), 'anotherStandaloneCall();\n');
+			utils.analyze(projectDir, options, [], function (secondResults, messages) {
+				messages.should.include('None of the affected modules are analyzed, using cached results');
+				JSON.stringify(secondResults.errors).should.equal(JSON.stringify(firstResults.errors));
+				done();
+			});
+		});
+	});
+
+	it('should reanalyze the project when the entry point reaches a changed file', function (done) {
+		options.processUnvisitedCode = false;
+		utils.analyze(projectDir, options, [], function () {
+			fs.appendFileSync(path.join(sourceDir, 'app.js'), 'anotherCall();\n');
+			utils.analyze(projectDir, options, [], function (results, messages) {
+				messages.should.include('1 file(s) changed since the last analysis, affecting 1 module(s)');
+				should.exist(utils.findFinding(results.errors, 'ReferenceError', 4));
+				done();
+			});
+		});
+	});
+});
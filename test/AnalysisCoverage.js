@@ -0,0 +1,44 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the analysis coverage plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Analysis coverage', function () {
+
+	var sourceDir = path.join(utils.fixturesDir, 'unrequired', 'Resources');
+
+	it('should include files that are never required in the totals', function (done) {
+		utils.analyzeFixture('unrequired', {}, ['analysis-coverage'], function (results) {
+			var coverage = utils.getPluginResults(results, 'analysis-coverage'),
+				unusedFile = path.join(sourceDir, 'unused.js');
+			should.exist(coverage.files[unusedFile], 'Files that are never required should be included');
+			coverage.files[unusedFile].numVisited.should.equal(0);
+			coverage.files[unusedFile].percentUnvisited.should.equal(100);
+			coverage.total.numUnvisited.should.equal(coverage.files[unusedFile].numNodes);
+			coverage.total.numNodes.should.equal(coverage.total.numVisited + coverage.total.numSkipped +
+				coverage.total.numUnvisited);
+			done();
+		});
+	});
+
+	it('should count the nodes of required files as visited', function (done) {
+		utils.analyzeFixture('unrequired', {}, ['analysis-coverage'], function (results) {
+			var coverage = utils.getPluginResults(results, 'analysis-coverage'),
+				usedFile = coverage.files[path.join(sourceDir, 'used.js')];
+			should.exist(usedFile);
+			usedFile.numNodes.should.be.above(0);
+			usedFile.numVisited.should.equal(usedFile.numNodes);
+			coverage.files[path.join(sourceDir, 'app.js')].percentVisited.should.equal(100);
+			done();
+		});
+	});
+});
@@ -0,0 +1,135 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the analysis matrix
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	AnalysisMatrix = require(path.join(__dirname, '..', 'lib', 'AnalysisMatrix')),
+	Errors = require(path.join(__dirname, '..', 'lib', 'Errors')),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Analysis matrix', function () {
+
+	var projectDir = path.join(utils.fixturesDir, 'platforms'),
+		sourceInformation = {
+			projectDir: projectDir,
+			sourceDir: path.join(projectDir, 'Resources'),
+			entryPoint: path.join(projectDir, 'Resources', 'app.js')
+		};
+
+	function createTargetResults(errors, plugins) {
+		return {
+			errors: errors || [],
+			warnings: [],
+			infos: [],
+			plugins: plugins || []
+		};
+	}
+
+	function createFinding(line, occurances) {
+		return {
+			type: 'ReferenceError',
+			description: '"missingCall" is not defined' + (occurances > 1 ? ' (' + occurances + ' occurances)' : ''),
+			filename: path.join(sourceInformation.sourceDir, 'app.js'),
+			line: line,
+			column: 0,
+			occurances: occurances
+		};
+	}
+
+	describe('mergeResults', function () {
+
+		it('should merge the same finding from each target into one row', function () {
+			var results = AnalysisMatrix.mergeResults({
+				iphone: createTargetResults([createFinding(1, 1)]),
+				android: createTargetResults([createFinding(1, 3)])
+			});
+			results.targets.should.eql(['iphone', 'android']);
+			results.errors.should.have.length(1);
+			results.errors[0].description.should.equal('"missingCall" is not defined');
+			results.errors[0].targets.should.eql(['iphone', 'android']);
+			results.errors[0].matrix.should.eql({
+				iphone: 1,
+				android: 3
+			});
+		});
+
+		it('should keep findings that only occur on some targets in separate rows', function () {
+			var results = AnalysisMatrix.mergeResults({
+				iphone: createTargetResults([createFinding(1, 1), createFinding(2, 1)]),
+				android: createTargetResults([createFinding(2, 1)])
+			});
+			results.errors.should.have.length(2);
+			results.errors[0].targets.should.eql(['iphone']);
+			results.errors[0].matrix.should.eql({
+				iphone: 1,
+				android: 0
+			});
+			results.errors[1].targets.should.eql(['iphone', 'android']);
+		});
+
+		it('should merge the summaries of each plugin', function () {
+			var results = AnalysisMatrix.mergeResults({
+				iphone: createTargetResults([], [{ name: 'analysis-coverage', summary: 'iphone summary' }]),
+				android: createTargetResults([], [{ name: 'analysis-coverage' }])
+			});
+			results.plugins.should.eql([{
+				name: 'analysis-coverage',
+				summaries: {
+					iphone: 'iphone summary',
+					android: ''
+				}
+			}]);
+		});
+	});
+
+	describe('run', function () {
+
+		this.timeout(10000);
+
+		it('should require at least one platform or entry point', function (done) {
+			AnalysisMatrix.run(sourceInformation, {}, utils.getPlugins(), {}, undefined, function (err) {
+				err.should.be.an.instanceof(Errors.InvalidOptionError);
+				done();
+			});
+		});
+
+		it('should reject output formats that cannot be merged', function (done) {
+			AnalysisMatrix.run(sourceInformation, { outputFormat: 'sarif' }, utils.getPlugins(), {
+				platforms: ['iphone', 'android']
+			}, undefined, function (err) {
+				err.should.be.an.instanceof(Errors.InvalidOptionError);
+				err.message.should.equal('The "sarif" output format is not supported when analyzing multiple targets');
+				done();
+			});
+		});
+
+		it('should analyze each platform and report which platforms a finding occurs on', function (done) {
+			AnalysisMatrix.run(sourceInformation, {}, utils.getPlugins(['ti-api-platform-validator']), {
+				platforms: ['iphone', 'android'],
+				maxWorkers: 1
+			}, undefined, function (err, results) {
+				var finding;
+				should.not.exist(err);
+				results.targets.should.eql(['iphone', 'android']);
+				finding = utils.findFinding(results.warnings, 'invalidPlatformReferenced', 4);
+				should.exist(finding);
+				finding.matrix.should.eql({
+					iphone: 1,
+					android: 0
+				});
+				results.targetResults.android.warnings.should.be.empty;
+				results.failedTargets.should.be.empty;
+				AnalysisMatrix.isFailure(results).should.be.false;
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,90 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests baseline files
+ */
+/*global describe, it, beforeEach, afterEach*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	wrench = require('wrench'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Baseline', function () {
+
+	var tempDir = path.join(os.tmpdir(), 'titanium-code-processor-test-' + process.pid),
+		projectDir = path.join(tempDir, 'project'),
+		appFile = path.join(projectDir, 'Resources', 'app.js'),
+		baselineFile = path.join(tempDir, 'baseline.json');
+
+	beforeEach(function () {
+		wrench.mkdirSyncRecursive(tempDir);
+		wrench.copyDirSyncRecursive(path.join(utils.fixturesDir, 'baseline'), projectDir);
+	});
+
+	afterEach(function () {
+		wrench.rmdirSyncRecursive(tempDir, true);
+	});
+
+	it('should count the findings that share a fingerprint', function (done) {
+		utils.analyze(projectDir, { baseline: baselineFile }, [], function (results) {
+			var findings = JSON.parse(fs.readFileSync(baselineFile)).findings;
+			findings.should.have.length(1);
+			findings[0].count.should.equal(2);
+			results.baseline.numExisting.should.equal(2);
+			results.baseline.numNew.should.equal(0);
+			done();
+		});
+	});
+
+	it('should report findings beyond the baseline count as new', function (done) {
+		utils.analyze(projectDir, { baseline: baselineFile }, [], function () {
+			fs.appendFileSync(appFile, 'missingCall();\n');
+			utils.analyze(projectDir, { baseline: baselineFile }, [], function (results) {
+				results.baseline.numExisting.should.equal(2);
+				results.baseline.numNew.should.equal(1);
+				utils.findFinding(results.errors, 'ReferenceError', 3).baselineState.should.equal('new');
+				done();
+			});
+		});
+	});
+
+	it('should report each missing occurance of a finding as fixed', function (done) {
+		utils.analyze(projectDir, { baseline: baselineFile }, [], function () {
+			fs.writeFileSync(appFile, 'missingCall();\n');
+			utils.analyze(projectDir, { baseline: baselineFile }, [], function (results) {
+				results.baseline.numExisting.should.equal(1);
+				results.baseline.numFixed.should.equal(1);
+				done();
+			});
+		});
+	});
+
+	it('should record infos so that existing infos do not cause a failure', function (done) {
+		var options = {
+			baseline: baselineFile,
+			severities: {
+				ReferenceError: 'info'
+			},
+			failOn: 'info'
+		};
+		utils.analyze(projectDir, options, [], function () {
+			utils.analyze(projectDir, options, [], function (results, messages, processor) {
+				results.infos.should.have.length(2);
+				results.baseline.numExisting.should.equal(2);
+				processor.isFailure().should.be.false;
+
+				fs.appendFileSync(appFile, 'missingCall();\n');
+				utils.analyze(projectDir, options, [], function (results, messages, processor) {
+					results.baseline.numNew.should.equal(1);
+					processor.isFailure().should.be.true;
+					done();
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,79 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the output formats of the code processor
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Code processor', function () {
+
+	describe('SARIF output', function () {
+
+		it('should print SARIF results with in-source suppressions', function (done) {
+			utils.analyzeFixtureWithOutput('suppressions', 'sarif', [], function (output) {
+				var sarif = JSON.parse(output),
+					sarifResults = sarif.runs[0].results;
+				sarif.version.should.equal('2.1.0');
+				sarifResults.should.have.length(2);
+				sarifResults[0].ruleId.should.equal('ReferenceError');
+				sarifResults[0].level.should.equal('error');
+				sarifResults[0].locations[0].physicalLocation.artifactLocation.uri.should.equal('Resources/app.js');
+				sarifResults[0].locations[0].physicalLocation.region.startLine.should.equal(2);
+				sarifResults[0].suppressions[0].kind.should.equal('inSource');
+				should.not.exist(sarifResults[1].suppressions);
+				done();
+			});
+		});
+
+		it('should include the findings of plugins and list the plugins as extensions', function (done) {
+			utils.analyzeFixtureWithOutput('platforms', 'sarif', ['ti-api-platform-validator'], function (output) {
+				var run = JSON.parse(output).runs[0],
+					pluginResults = run.results.filter(function (result) {
+						return result.ruleId === 'invalidPlatformReferenced';
+					});
+				pluginResults.should.have.length(1);
+				pluginResults[0].level.should.equal('warning');
+				pluginResults[0].locations[0].physicalLocation.region.startLine.should.equal(4);
+				run.tool.driver.rules[pluginResults[0].ruleIndex].id.should.equal('invalidPlatformReferenced');
+				run.tool.extensions.map(function (extension) {
+					return extension.name;
+				}).should.include('ti-api-platform-validator');
+				done();
+			});
+		});
+	});
+
+	describe('JUnit output', function () {
+
+		it('should print JUnit results with suppressed findings skipped', function (done) {
+			utils.analyzeFixtureWithOutput('suppressions', 'junit', [], function (output) {
+				output.should.match(/^<\?xml /);
+				output.should.match(/<testsuites name="Titanium Code Processor" errors="1" failures="0"/);
+				output.should.match(/<skipped message="Suppressed by a comment: [^"]*\(Resources\/app\.js:2\)"/);
+				output.should.match(/<error type="ReferenceError" message="[^"]*\(Resources\/app\.js:3\)"/);
+				done();
+			});
+		});
+
+		it('should report the findings of each plugin in a test suite of its own', function (done) {
+			utils.analyzeFixtureWithOutput('platforms', 'junit', ['ti-api-platform-validator'], function (output) {
+				var suites = output.split('<testsuite ').slice(1),
+					pluginSuite = suites.filter(function (suite) {
+						return /^name="Platform Validator"/.test(suite);
+					})[0];
+				should.exist(pluginSuite, 'The plugin should have a test suite');
+				pluginSuite.should.match(/^name="[^"]*" tests="1" errors="0" failures="1" skipped="0"/);
+				pluginSuite.should.match(/<failure type="invalidPlatformReferenced" message="[^"]*\(Resources\/app\.js:4\)"/);
+				suites[0].should.match(/^name="Titanium Code Processor" tests="1" errors="0" failures="0"/);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,194 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the language server by talking to it over a pair of in-memory streams
+ */
+/*global describe, it, before*/
+
+var path = require('path'),
+	stream = require('stream'),
+
+	should = require('should'),
+
+	LanguageServer = require(path.join(__dirname, '..', 'lib', 'LanguageServer')),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Language server', function () {
+
+	var projectDir = path.join(utils.fixturesDir, 'editor'),
+		appFile = path.join(projectDir, 'Resources', 'app.js'),
+		appURI = 'file://' + appFile,
+		input = new stream.PassThrough(),
+		output = new stream.PassThrough(),
+		outputBuffer = '',
+		messages = [],
+		listeners = [],
+		nextId = 1;
+
+	this.timeout(10000);
+
+	/**
+	 * Sends a message to the server
+	 */
+	function send(message) {
+		var body;
+		message.jsonrpc = '2.0';
+		body = JSON.stringify(message);
+		input.write('Content-Length: ' + Buffer.byteLength(body, 'utf8') + '\r\n\r\n' + body);
+	}
+
+	/**
+	 * Calls the callback with the first message, received so far or in the future, that passes the check
+	 */
+	function waitFor(check, callback) {
+		var i, len;
+		for (i = 0, len = messages.length; i < len; i++) {
+			if (check(messages[i])) {
+				callback(messages[i]);
+				return;
+			}
+		}
+		listeners.push({
+			check: check,
+			callback: callback
+		});
+	}
+
+	/**
+	 * Sends a request to the server and calls the callback with the response
+	 */
+	function request(method, params, callback) {
+		var id = nextId++;
+		send({
+			id: id,
+			method: method,
+			params: params
+		});
+		waitFor(function (message) {
+			return message.id === id;
+		}, callback);
+	}
+
+	function getDiagnostics(uri, callback) {
+		waitFor(function (message) {
+			return message.method === 'textDocument/publishDiagnostics' && message.params.uri === uri;
+		}, function (message) {
+			callback(message.params.diagnostics);
+		});
+	}
+
+	output.on('data', function (data) {
+		var headerEnd,
+			contentLength,
+			message;
+		outputBuffer += data.toString();
+		while ((headerEnd = outputBuffer.indexOf('\r\n\r\n')) !== -1) {
+			contentLength = parseInt(/Content-Length: (\d+)/.exec(outputBuffer.slice(0, headerEnd))[1], 10);
+			if (outputBuffer.length < headerEnd + 4 + contentLength) {
+				return;
+			}
+			message = JSON.parse(outputBuffer.slice(headerEnd + 4, headerEnd + 4 + contentLength));
+			outputBuffer = outputBuffer.slice(headerEnd + 4 + contentLength);
+			messages.push(message);
+			listeners = listeners.filter(function (listener) {
+				if (listener.check(message)) {
+					listener.callback(message);
+					return false;
+				}
+				return true;
+			});
+		}
+	});
+
+	before(function () {
+		LanguageServer.start(input, output);
+	});
+
+	it('should reject requests before it is initialized', function (done) {
+		request('textDocument/hover', {}, function (response) {
+			response.error.code.should.equal(-32002);
+			done();
+		});
+	});
+
+	it('should report its capabilities when initialized', function (done) {
+		request('initialize', {
+			rootUri: 'file://' + projectDir,
+			initializationOptions: {
+				sdkPath: path.join(utils.fixturesDir, 'sdk'),
+				plugins: ['ti-api-provider', 'ti-api-call-validator']
+			}
+		}, function (response) {
+			response.result.capabilities.hoverProvider.should.be.true;
+			response.result.capabilities.definitionProvider.should.be.true;
+			send({
+				method: 'initialized',
+				params: {}
+			});
+			done();
+		});
+	});
+
+	it('should publish the findings of the analysis as diagnostics', function (done) {
+		getDiagnostics(appURI, function (diagnostics) {
+			var diagnostic = diagnostics.filter(function (diagnostic) {
+				return diagnostic.code === 'ReferenceError';
+			})[0];
+			should.exist(diagnostic);
+			diagnostic.severity.should.equal(1);
+			diagnostic.range.should.eql({
+				start: {
+					line: 2,
+					character: 0
+				},
+				end: {
+					line: 2,
+					character: 11
+				}
+			});
+			done();
+		});
+	});
+
+	it('should describe the Titanium API under the cursor from the JSCA file', function (done) {
+		request('textDocument/hover', {
+			textDocument: {
+				uri: appURI
+			},
+			position: {
+				line: 1,
+				character: 8
+			}
+		}, function (response) {
+			should.exist(response.result);
+			response.result.contents.value.should.include('Titanium.UI.Label.setText(text: String): void');
+			done();
+		});
+	});
+
+	it('should go to the file that a require call was resolved to', function (done) {
+		request('textDocument/definition', {
+			textDocument: {
+				uri: appURI
+			},
+			position: {
+				line: 3,
+				character: 12
+			}
+		}, function (response) {
+			response.result.map(function (location) {
+				return location.uri;
+			}).should.eql(['file://' + path.join(projectDir, 'Resources', 'lib.js')]);
+			done();
+		});
+	});
+
+	it('should answer unknown requests with an error', function (done) {
+		request('textDocument/completion', {}, function (response) {
+			response.error.code.should.equal(-32601);
+			done();
+		});
+	});
+});
@@ -0,0 +1,166 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the query server by sending it requests over a pair of in-memory streams
+ */
+/*global describe, it, beforeEach, afterEach*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+	stream = require('stream'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	QueryServer = require(path.join(__dirname, '..', 'lib', 'QueryServer')),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Query server', function () {
+
+	var tempDir = path.join(os.tmpdir(), 'titanium-code-processor-test-' + process.pid),
+		projectDir = path.join(tempDir, 'project'),
+		appFile = path.join(projectDir, 'Resources', 'app.js');
+
+	/**
+	 * Creates a request packet
+	 */
+	function createPacket(sequenceID, messageType, data) {
+		var message = JSON.stringify({
+			messageType: messageType,
+			data: data
+		});
+		return 'REQ,' + sequenceID + ',' + ('00000000' + message.length.toString(16)).slice(-8) + ',' + message + '\n';
+	}
+
+	/**
+	 * Analyzes the project, sends the packets to the query server, and calls the callback with the responses, keyed by
+	 * sequence ID, once the server is done answering requests
+	 */
+	function query(packets, rerun, callback) {
+		utils.analyze(projectDir, { recordValues: true }, [], function (results, messages, processor) {
+			var input = new stream.PassThrough(),
+				output = new stream.PassThrough(),
+				responses = {};
+
+			output.setEncoding('utf8');
+			output.on('data', function (data) {
+				data.split('\n').forEach(function (packet) {
+					var response = /^RES,([0-9a-fA-F]{8}),[0-9a-fA-F]{8},(.*)$/.exec(packet);
+					if (response) {
+						responses[response[1]] = JSON.parse(response[2]);
+					}
+				});
+			});
+
+			QueryServer.start(processor, function (options, callback) {
+				rerun(processor, options, callback);
+			}, input, output, function () {
+				callback(responses);
+			});
+			input.write(packets.join(''));
+		});
+	}
+
+	beforeEach(function () {
+		wrench.mkdirSyncRecursive(tempDir);
+		wrench.copyDirSyncRecursive(path.join(utils.fixturesDir, 'query'), projectDir);
+	});
+
+	afterEach(function () {
+		wrench.rmdirSyncRecursive(tempDir, true);
+	});
+
+	it('should answer value and caller requests from the analysis', function (done) {
+		query([
+			createPacket('00000001', 'getValues', {
+				filename: 'Resources/app.js',
+				line: 5,
+				name: 'count'
+			}),
+			createPacket('00000002', 'getCallers', {
+				name: 'update'
+			}),
+			createPacket('00000003', 'exit')
+		], undefined, function (responses) {
+			responses['00000001'].should.eql({
+				messageType: 'getValues',
+				data: {
+					visited: true,
+					values: [{
+						type: 'number',
+						value: 5
+					}]
+				}
+			});
+			responses['00000002'].data.should.have.length(1);
+			responses['00000002'].data[0].callers.should.eql([{
+				filename: appFile,
+				line: 5
+			}]);
+			responses['00000003'].should.eql({
+				messageType: 'exit',
+				data: null
+			});
+			done();
+		});
+	});
+
+	it('should answer requests about the new analysis after a rerun', function (done) {
+		var rerunOptions;
+		query([
+			createPacket('00000001', 'rerun', {
+				options: {
+					invokeMethods: false
+				}
+			}),
+			createPacket('00000002', 'getValues', {
+				filename: 'Resources/app.js',
+				line: 5,
+				name: 'count'
+			}),
+			createPacket('00000003', 'exit')
+		], function (processor, options, callback) {
+			rerunOptions = options;
+			fs.writeFileSync(appFile, fs.readFileSync(appFile).toString().replace('count = 5', 'count = 6'));
+			processor.run({
+				projectDir: projectDir,
+				sourceDir: path.join(projectDir, 'Resources'),
+				entryPoint: appFile
+			}, { recordValues: true }, utils.getPlugins(), undefined, callback);
+		}, function (responses) {
+			rerunOptions.should.eql({
+				invokeMethods: false
+			});
+			should.not.exist(responses['00000001'].error);
+			responses['00000002'].data.values[0].value.should.equal(6);
+			done();
+		});
+	});
+
+	it('should answer invalid requests with an error', function (done) {
+		query([
+			createPacket('00000001', 'getValues', {
+				filename: 'Resources/app.js',
+				name: 'count'
+			}),
+			createPacket('00000002', 'getValues', {
+				filename: 'Resources/app.js',
+				line: 1,
+				name: 'missing'
+			}),
+			createPacket('00000003', 'compile'),
+			'REQ,bad\n',
+			createPacket('00000004', 'exit')
+		], undefined, function (responses) {
+			responses['00000001'].error.should.equal('The "line" property must be a number');
+			responses['00000002'].error.should.equal('There is no reference to "missing" on line 1 of "Resources/app.js"');
+			responses['00000003'].error.should.equal('Unsupported message type "compile"');
+			responses['00000000'].error.should.match(/^Invalid packet header/);
+			should.exist(responses['00000004']);
+			done();
+		});
+	});
+});
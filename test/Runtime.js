@@ -0,0 +1,94 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the reporting of findings and ambiguous blocks
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Runtime', function () {
+
+	describe('Suppressions', function () {
+
+		it('should mark findings suppressed by a comment and leave other findings alone', function (done) {
+			utils.analyzeFixture('suppressions', {}, [], function (results) {
+				should.strictEqual(utils.findFinding(results.errors, 'ReferenceError', 2).suppressed, true);
+				should.not.exist(utils.findFinding(results.errors, 'ReferenceError', 3).suppressed);
+				done();
+			});
+		});
+
+		it('should not log suppressed findings as errors or count them as failures', function (done) {
+			utils.analyzeFixture('suppressions', { failOn: 'error' }, [], function (results, messages, processor) {
+				var suppressedError = utils.findFinding(results.errors, 'ReferenceError', 2);
+				messages.should.include('Suppressed error ReferenceError: "suppressedCall" is not defined');
+				messages.filter(function (message) {
+					return /^Firing event "errorReported": .*suppressedCall/.test(message);
+				}).should.be.empty;
+				processor.isFailure({
+					errors: [suppressedError],
+					warnings: [],
+					infos: []
+				}).should.be.false;
+				processor.isFailure().should.be.true;
+				done();
+			});
+		});
+	});
+
+	describe('Unknown value explanations', function () {
+
+		function getDescriptions(explanation) {
+			return explanation.map(function (step) {
+				return step.description;
+			});
+		}
+
+		it('should explain why the value passed to require is unknown', function (done) {
+			utils.analyzeFixture('explanations', {}, [], function (results) {
+				var explanation = utils.findFinding(results.warnings, 'requireUnresolved', 1).explanation;
+				getDescriptions(explanation).should.eql([
+					'Result of the "+" operator',
+					'The return value of "Date.now" is not known until runtime'
+				]);
+				explanation[0].isOrigin.should.be.false;
+				explanation[1].isOrigin.should.be.true;
+				explanation[1].line.should.equal(1);
+				done();
+			});
+		});
+
+		it('should explain why the value passed to Ti.include is unknown', function (done) {
+			utils.analyzeFixture('explanations', {}, [], function (results) {
+				getDescriptions(utils.findFinding(results.warnings, 'tiIncludeUnresolved', 2).explanation).should.eql([
+					'The return value of "Math.random" is not known until runtime'
+				]);
+				done();
+			});
+		});
+
+		it('should explain ambiguous blocks back to where the unknown value was created', function (done) {
+			utils.analyzeFixture('explanations', {}, [], function (results) {
+				var block = results.ambiguousBlocks.filter(function (block) {
+					return block.description === 'The condition of the if statement is unknown';
+				})[0];
+				should.exist(block);
+				block.line.should.equal(4);
+				block.occurances.should.equal(1);
+				getDescriptions(block.explanation).should.eql([
+					'Result of the ">" operator',
+					'Assigned to "index"',
+					'The return value of "Math.random" is not known until runtime'
+				]);
+				block.explanation[2].line.should.equal(3);
+				done();
+			});
+		});
+	});
+});
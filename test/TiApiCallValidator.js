@@ -0,0 +1,72 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti API call validator plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti API call validator', function () {
+
+	function getFindings(results) {
+		return results.errors.concat(results.warnings).filter(function (finding) {
+			return /TiArgument/.test(finding.type);
+		}).map(function (finding) {
+			return finding.type + ':' + finding.line;
+		});
+	}
+
+	it('should validate the calls to getters and setters', function (done) {
+		utils.analyzeFixture('calls', {}, ['ti-api-call-validator'], function (results) {
+			getFindings(results).should.eql([
+				'missingTiArgument:3',
+				'invalidTiArgumentType:2',
+				'tooManyTiArguments:4',
+				'tooManyTiArguments:6'
+			]);
+			utils.findFinding(results.warnings, 'invalidTiArgumentType', 2).description.should.equal(
+				'Argument "text" of "Titanium.UI.Label.setText" should be of type "String" but a number was passed');
+			utils.findFinding(results.errors, 'missingTiArgument', 3).description.should.equal(
+				'Missing required argument "text" in call to "Titanium.UI.Label.setText"');
+			done();
+		});
+	});
+
+	it('should record the invalid calls to accessors in its results', function (done) {
+		utils.analyzeFixture('calls', {}, ['ti-api-call-validator'], function (results) {
+			var invalidCalls = utils.getPluginResults(results, 'ti-api-call-validator').invalidCalls;
+			invalidCalls['Titanium.UI.Label.setText'].numInstances.should.equal(3);
+			invalidCalls['Titanium.UI.Label.getText'].problems.should.eql(['too many arguments']);
+			should.not.exist(invalidCalls['Titanium.UI.createLabel']);
+			done();
+		});
+	});
+
+	it('should report creation dictionary keys that are not part of the API without the member validator', function (done) {
+		utils.analyzeFixture('calls', {}, ['ti-api-call-validator'], function (results) {
+			var finding = utils.findFinding(results.warnings, 'undefinedTiCreationProperty', 8);
+			should.exist(finding);
+			finding.description.should.equal('Property "colour" is not part of the "Titanium.UI.Label" API. Did you mean ' +
+				'"color"?');
+			should.exist(utils.findFinding(results.warnings, 'invalidTiCreationPropertyType', 8));
+			utils.getPluginResults(results, 'ti-api-call-validator').invalidCalls['Titanium.UI.Label.colour'].problems
+				.should.eql(['undefined creation properties']);
+			done();
+		});
+	});
+
+	it('should not report creation dictionary keys twice when the member validator is loaded', function (done) {
+		utils.analyzeFixture('calls', {}, ['ti-api-member-validator', 'ti-api-call-validator'], function (results) {
+			results.warnings.filter(function (warning) {
+				return warning.line === 8 && /colour/.test(warning.description);
+			}).should.have.length(1);
+			done();
+		});
+	});
+});
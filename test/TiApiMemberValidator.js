@@ -0,0 +1,57 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti API member validator plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti API member validator', function () {
+
+	function getFindings(results) {
+		return results.errors.concat(results.warnings).filter(function (finding) {
+			return /^undefinedTi/.test(finding.type);
+		}).map(function (finding) {
+			return finding.type + ':' + finding.line;
+		});
+	}
+
+	it('should not report the getters and setters of properties or the reads made by the API itself', function (done) {
+		utils.analyzeFixture('members', {}, ['ti-api-member-validator'], function (results) {
+			should.not.exist(utils.findFinding(results.errors, 'undefinedTiMethodCalled', 3), 'label.getText() is part of the API');
+			should.not.exist(utils.findFinding(results.warnings, 'undefinedTiPropertySet', 4), 'win.setTitle() is part of the API');
+			getFindings(results).should.eql([
+				'undefinedTiPropertySet:5',
+				'undefinedTiPropertyReferenced:7'
+			]);
+			done();
+		});
+	});
+
+	it('should check writes against the API even if the creation dictionary already set the property', function (done) {
+		utils.analyzeFixture('members', {}, ['ti-api-member-validator'], function (results) {
+			var finding = utils.findFinding(results.warnings, 'undefinedTiPropertySet', 5);
+			should.exist(finding, 'The write of "titel" after the creation dictionary set it should be reported');
+			finding.description.should.equal('Property "titel" is not part of the "Titanium.UI.Window" API. Did you mean "title"?');
+			utils.getPluginResults(results, 'ti-api-member-validator').undefinedMembers['Titanium.UI.Window.titel'].numInstances
+				.should.equal(1);
+			done();
+		});
+	});
+
+	it('should leave custom application events to the app event flow plugin', function (done) {
+		utils.analyzeFixture('listeners', {}, ['ti-api-member-validator', 'ti-app-event-flow'], function (results) {
+			utils.findFindings(results.warnings, 'undefinedTiEventReferenced').should.be.empty;
+			utils.findFindings(results.warnings, 'unfiredTiAppEvent').map(function (finding) {
+				return finding.line;
+			}).should.eql([2]);
+			done();
+		});
+	});
+});
@@ -0,0 +1,53 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti API platform validator plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti API platform validator', function () {
+
+	function getSuppressedLines(results) {
+		var suppressedAPI = utils.getPluginResults(results, 'ti-api-platform-validator').suppressedAPIs['Titanium.Android'];
+		return Object.keys(suppressedAPI.locations).map(function (location) {
+			return parseInt(location.split(':')[1], 10);
+		}).filter(function (line, i, lines) {
+			return lines.indexOf(line) === i;
+		});
+	}
+
+	it('should only report namespaces of other platforms that are not guarded by a check', function (done) {
+		utils.analyzeFixture('platforms', {}, ['ti-api-platform-validator'], function (results) {
+			var findings = utils.findFindings(results.warnings, 'invalidPlatformReferenced');
+			findings.should.have.length(1);
+			findings[0].line.should.equal(4);
+			should.not.exist(utils.findFinding(results.errors, 'TypeError', 4));
+			done();
+		});
+	});
+
+	it('should list the references in unreachable platform branches as suppressed', function (done) {
+		utils.analyzeFixture('platforms', {}, ['ti-api-platform-validator'], function (results) {
+			getSuppressedLines(results).should.include(2);
+			done();
+		});
+	});
+
+	it('should treat existence checks of a namespace as guards of the code they cover', function (done) {
+		utils.analyzeFixture('platforms', {}, ['ti-api-platform-validator'], function (results) {
+			var suppressedLines = getSuppressedLines(results);
+			[5, 6, 8, 9, 11].forEach(function (line) {
+				suppressedLines.should.include(line);
+			});
+			suppressedLines.should.not.include(4);
+			done();
+		});
+	});
+});
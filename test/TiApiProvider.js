@@ -0,0 +1,81 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti API provider plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti API provider', function () {
+
+	describe('require', function () {
+
+		var sourceDir = path.join(utils.fixturesDir, 'candidates', 'Resources');
+
+		function getErrorFiles(results) {
+			return results.errors.map(function (error) {
+				return path.relative(sourceDir, error.filename);
+			}).filter(function (file, i, files) {
+				return files.indexOf(file) === i;
+			}).sort();
+		}
+
+		it('should analyze every file that matches a partially known name', function (done) {
+			utils.analyzeFixture('candidates', {}, [], function (results) {
+				getErrorFiles(results).should.eql([
+					path.join('ui', 'helper.js'),
+					path.join('ui', 'main', 'Window.js'),
+					path.join('ui', 'settings', 'Window.js')
+				]);
+				utils.findFindings(results.warnings, 'requireUnresolved').should.be.empty;
+				done();
+			});
+		});
+
+		it('should analyze the candidates in an ambiguous block', function (done) {
+			utils.analyzeFixture('candidates', {}, [], function (results) {
+				var blocks = results.ambiguousBlocks.filter(function (block) {
+					return block.description === 'The name passed to require is only partially known';
+				});
+				blocks.map(function (block) {
+					return block.line;
+				}).should.eql([1, 3]);
+				blocks[0].explanation[0].description.should.equal('Result of the "+" operator');
+				done();
+			});
+		});
+	});
+
+	describe('Ti.App events', function () {
+
+		it('should call listeners for events that are never fired in the project', function (done) {
+			utils.analyzeFixture('listeners', {}, [], function (results) {
+				should.exist(utils.findFinding(results.errors, 'ReferenceError', 3),
+					'The listener for an event fired from outside of the project should be called');
+				done();
+			});
+		});
+
+		it('should call listeners for events fired by the platform', function (done) {
+			utils.analyzeFixture('listeners', {}, [], function (results) {
+				should.exist(utils.findFinding(results.errors, 'ReferenceError', 8),
+					'The listener for an API event should be called');
+				done();
+			});
+		});
+
+		it('should call listeners with the data passed to fireEvent', function (done) {
+			utils.analyzeFixture('listeners', {}, [], function (results) {
+				should.exist(utils.findFinding(results.errors, 'ReferenceError', 19),
+					'The handler passed to fireEvent should reach the listener');
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,48 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti API require finder plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti API require finder', function () {
+
+	function getCandidateNames(candidates, pattern) {
+		return candidates.filter(function (candidate) {
+			return candidate.data.pattern === pattern;
+		}).map(function (candidate) {
+			return candidate.data.name;
+		});
+	}
+
+	it('should list the files that match a partially known name as candidates', function (done) {
+		utils.analyzeFixture('candidates', {}, ['ti-api-require-finder'], function (results) {
+			var requireFinder = utils.getPluginResults(results, 'ti-api-require-finder');
+			getCandidateNames(requireFinder.candidates, 'ui/*/Window').should.eql(['ui/main/Window', 'ui/settings/Window']);
+			getCandidateNames(requireFinder.candidates, './ui/*').should.eql(['./ui/helper', './ui/main/Window',
+				'./ui/settings/Window']);
+			requireFinder.resolved.should.be.empty;
+			requireFinder.unresolved.should.be.empty;
+			requireFinder.summary.should.equal('5 candidate modules found');
+			done();
+		});
+	});
+
+	it('should list requires whose name matches no files as unresolved', function (done) {
+		utils.analyzeFixture('explanations', {}, ['ti-api-require-finder'], function (results) {
+			var requireFinder = utils.getPluginResults(results, 'ti-api-require-finder');
+			requireFinder.candidates.should.be.empty;
+			requireFinder.unresolved.should.have.length(1);
+			requireFinder.unresolved[0].line.should.equal(1);
+			should.exist(utils.findFinding(results.warnings, 'requireUnresolved', 1));
+			done();
+		});
+	});
+});
@@ -0,0 +1,76 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti App event flow plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti App event flow', function () {
+
+	var appFile = path.join(utils.fixturesDir, 'events', 'Resources', 'app.js');
+
+	it('should connect the senders of each event to its receivers', function (done) {
+		utils.analyzeFixture('events', {}, ['ti-app-event-flow'], function (results) {
+			var eventFlow = utils.getPluginResults(results, 'ti-app-event-flow');
+			Object.keys(eventFlow.events).sort().should.eql(['cart:cleared', 'cart:opened', 'cart:updated']);
+			eventFlow.events['cart:updated'].should.eql({
+				senders: [{
+					filename: appFile,
+					line: 3,
+					column: 0
+				}],
+				receivers: [{
+					filename: appFile,
+					line: 2,
+					column: 0,
+					removed: true
+				}]
+			});
+			eventFlow.summary.should.equal('3 application events are used, with 1 connection between senders and receivers');
+			done();
+		});
+	});
+
+	it('should report events that are fired without any listeners', function (done) {
+		utils.analyzeFixture('events', {}, ['ti-app-event-flow'], function (results) {
+			var findings = utils.findFindings(results.warnings, 'unheardTiAppEvent');
+			findings.should.have.length(1);
+			findings[0].line.should.equal(4);
+			done();
+		});
+	});
+
+	it('should report listeners for events that are never fired', function (done) {
+		utils.analyzeFixture('events', {}, ['ti-app-event-flow'], function (results) {
+			var findings = utils.findFindings(results.warnings, 'unfiredTiAppEvent');
+			findings.should.have.length(1);
+			findings[0].line.should.equal(5);
+			done();
+		});
+	});
+
+	it('should report listeners that are never removed', function (done) {
+		utils.analyzeFixture('events', {}, ['ti-app-event-flow'], function (results) {
+			var findings = utils.findFindings(results.warnings, 'unremovedTiAppEventListener');
+			findings.should.have.length(1);
+			findings[0].line.should.equal(5);
+			done();
+		});
+	});
+
+	it('should not report listeners for events fired by the platform', function (done) {
+		utils.analyzeFixture('listeners', {}, ['ti-app-event-flow'], function (results) {
+			utils.findFindings(results.warnings, 'unfiredTiAppEvent').map(function (finding) {
+				return finding.line;
+			}).should.eql([2]);
+			done();
+		});
+	});
+});
@@ -0,0 +1,61 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti insecure network finder plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti insecure network finder', function () {
+
+	function getLines(results, type) {
+		return utils.findFindings(results.warnings, type).map(function (finding) {
+			return finding.line;
+		});
+	}
+
+	it('should report requests sent over unencrypted connections', function (done) {
+		utils.analyzeFixture('network', {}, ['ti-insecure-network-finder'], function (results) {
+			getLines(results, 'insecureHttpUrl').should.eql([5]);
+			utils.findFinding(results.warnings, 'insecureHttpUrl', 5).description.should.equal('A request is sent over ' +
+				'an unencrypted connection to "http://api.example.com/items"');
+			done();
+		});
+	});
+
+	it('should report certificate validation being disabled', function (done) {
+		utils.analyzeFixture('network', {}, ['ti-insecure-network-finder'], function (results) {
+			getLines(results, 'certificateValidationDisabled').should.eql([2, 11, 12]);
+			done();
+		});
+	});
+
+	it('should report credentials in query strings and hard-coded credential headers', function (done) {
+		utils.analyzeFixture('network', {}, ['ti-insecure-network-finder'], function (results) {
+			getLines(results, 'credentialsInQueryString').should.eql([5]);
+			utils.findFinding(results.warnings, 'credentialsInQueryString', 5).description.should.equal('Credentials are ' +
+				'sent in the "token" query string parameter of a request to "http://api.example.com/items"');
+			getLines(results, 'hardCodedCredentialHeader').should.eql([9]);
+			utils.findFinding(results.warnings, 'hardCodedCredentialHeader', 9).description.should.equal('A hard-coded ' +
+				'bearer token is sent in the "Authorization" header');
+			done();
+		});
+	});
+
+	it('should count the URLs and summarize the findings', function (done) {
+		utils.analyzeFixture('network', {}, ['ti-insecure-network-finder'], function (results) {
+			var networkFinder = utils.getPluginResults(results, 'ti-insecure-network-finder');
+			should.exist(networkFinder);
+			networkFinder.numUrls.should.equal(4);
+			networkFinder.findings.should.have.length(6);
+			networkFinder.summary.should.equal('6 insecure network configurations found');
+			done();
+		});
+	});
+});
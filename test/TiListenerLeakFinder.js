@@ -0,0 +1,73 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti listener leak finder plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti listener leak finder', function () {
+
+	var appFile = path.join(utils.fixturesDir, 'leaks', 'Resources', 'app.js');
+
+	function getLeak(results, name) {
+		return utils.getPluginResults(results, 'ti-listener-leak-finder').leaks.filter(function (leak) {
+			return leak.name === name;
+		})[0];
+	}
+
+	it('should report listeners added during a call that opens a window', function (done) {
+		utils.analyzeFixture('leaks', {}, ['ti-listener-leak-finder'], function (results) {
+			getLeak(results, 'pause').should.eql({
+				module: 'Titanium.App',
+				name: 'pause',
+				filename: appFile,
+				line: 8,
+				column: 1,
+				window: {
+					filename: appFile,
+					line: 7,
+					column: 1
+				}
+			});
+			utils.findFinding(results.warnings, 'tiGlobalListenerLeak', 8).description.should.equal('A listener for the ' +
+				'"pause" event of Titanium.App is added for a window opened at Resources/app.js:7, but is not removed when ' +
+				'the window closes');
+			done();
+		});
+	});
+
+	it('should report listeners added by a window listener', function (done) {
+		utils.analyzeFixture('leaks', {}, ['ti-listener-leak-finder'], function (results) {
+			var leak = getLeak(results, 'cart:cleared');
+			should.exist(leak);
+			leak.line.should.equal(25);
+			should.not.exist(leak.window);
+			done();
+		});
+	});
+
+	it('should not report listeners that are removed when the window closes', function (done) {
+		utils.analyzeFixture('leaks', {}, ['ti-listener-leak-finder'], function (results) {
+			should.not.exist(getLeak(results, 'cart:updated'));
+			done();
+		});
+	});
+
+	it('should not report listeners that are not tied to a window', function (done) {
+		utils.analyzeFixture('leaks', {}, ['ti-listener-leak-finder'], function (results) {
+			var leakFinder = utils.getPluginResults(results, 'ti-listener-leak-finder');
+			should.not.exist(utils.findFinding(results.warnings, 'tiGlobalListenerLeak', 33));
+			leakFinder.numTiedListeners.should.equal(3);
+			leakFinder.leaks.should.have.length(2);
+			leakFinder.summary.should.equal('2 listeners outlive their windows');
+			done();
+		});
+	});
+});
@@ -0,0 +1,73 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests the Ti secret finder plugin
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Ti secret finder', function () {
+
+	var resourcesDir = path.join(utils.fixturesDir, 'secrets', 'Resources');
+
+	function getSecret(results, line) {
+		return utils.getPluginResults(results, 'ti-secret-finder').secrets.filter(function (secret) {
+			return secret.line === line;
+		})[0];
+	}
+
+	it('should report secrets assembled from constants in several modules', function (done) {
+		utils.analyzeFixture('secrets', {}, ['ti-secret-finder'], function (results) {
+			getSecret(results, 4).should.eql({
+				api: 'Titanium.App.Properties.setString',
+				value: 'AIza****',
+				reason: 'matches the format of a Google API key',
+				filename: path.join(resourcesDir, 'app.js'),
+				line: 4,
+				column: 0,
+				parts: [{
+					filename: path.join(resourcesDir, 'keys.js'),
+					line: 1,
+					column: 17
+				}, {
+					filename: path.join(resourcesDir, 'app.js'),
+					line: 4,
+					column: 53
+				}]
+			});
+			utils.findFinding(results.warnings, 'hardCodedSecret', 4).description.should.equal('A hard-coded secret ' +
+				'"AIza****", which matches the format of a Google API key, is stored in an application property by ' +
+				'"Titanium.App.Properties.setString"');
+			done();
+		});
+	});
+
+	it('should report random looking tokens in request headers and cloud logins', function (done) {
+		utils.analyzeFixture('secrets', {}, ['ti-secret-finder'], function (results) {
+			var header = getSecret(results, 7),
+				login = getSecret(results, 9);
+			header.api.should.equal('Titanium.Network.HTTPClient.setRequestHeader');
+			header.value.should.equal('a8F3****');
+			header.reason.should.equal('is a random looking token');
+			login.api.should.equal('Titanium.Cloud.Users.login');
+			login.value.should.equal('Q7w9****');
+			done();
+		});
+	});
+
+	it('should not report plain text, values unknown until runtime, or credential headers', function (done) {
+		utils.analyzeFixture('secrets', {}, ['ti-secret-finder'], function (results) {
+			should.not.exist(getSecret(results, 5));
+			should.not.exist(getSecret(results, 6));
+			should.not.exist(getSecret(results, 8));
+			utils.getPluginResults(results, 'ti-secret-finder').summary.should.equal('3 hard-coded secrets found');
+			done();
+		});
+	});
+});
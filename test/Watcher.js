@@ -0,0 +1,136 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Tests watch mode
+ */
+/*global describe, it, beforeEach, afterEach*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	Watcher = require(path.join(__dirname, '..', 'lib', 'Watcher')),
+
+	utils = require(path.join(__dirname, 'lib', 'utils'));
+
+describe('Watcher', function () {
+
+	function createFinding(type, line, occurances) {
+		return {
+			type: type,
+			description: '"' + type + '" is not defined' + (occurances > 1 ? ' (' + occurances + ' occurances)' : ''),
+			filename: 'app.js',
+			line: line,
+			column: 0,
+			occurances: occurances || 1
+		};
+	}
+
+	function createResults(errors) {
+		return {
+			errors: errors,
+			warnings: [],
+			infos: []
+		};
+	}
+
+	describe('diffResults', function () {
+
+		it('should report the findings that were added and resolved', function () {
+			var diff = Watcher.diffResults(createResults([createFinding('a', 1), createFinding('b', 2)]),
+				createResults([createFinding('b', 2), createFinding('c', 3)]));
+			diff.added.should.eql([{
+				severity: 'error',
+				type: 'c',
+				description: '"c" is not defined',
+				filename: 'app.js',
+				line: 3,
+				column: 0,
+				targets: undefined
+			}]);
+			diff.resolved.map(function (finding) {
+				return finding.type;
+			}).should.eql(['a']);
+		});
+
+		it('should not report findings that moved to another line', function () {
+			var diff = Watcher.diffResults(createResults([createFinding('a', 1)]), createResults([createFinding('a', 5)]));
+			diff.added.should.be.empty;
+			diff.resolved.should.be.empty;
+		});
+
+		it('should match each reported finding once', function () {
+			var diff = Watcher.diffResults(createResults([createFinding('a', 1)]),
+				createResults([createFinding('a', 1), createFinding('a', 2)]));
+			diff.added.should.have.length(1);
+			diff.added[0].line.should.equal(2);
+			diff.resolved.should.be.empty;
+		});
+
+		it('should ignore suppressed findings', function () {
+			var suppressedFinding = createFinding('a', 1),
+				diff;
+			suppressedFinding.suppressed = true;
+			diff = Watcher.diffResults(createResults([]), createResults([suppressedFinding]));
+			diff.added.should.be.empty;
+		});
+	});
+
+	describe('watch', function () {
+
+		var tempDir = path.join(os.tmpdir(), 'titanium-code-processor-test-' + process.pid),
+			projectDir = path.join(tempDir, 'project'),
+			appFile = path.join(projectDir, 'Resources', 'app.js'),
+			log = console.log,
+			handle;
+
+		this.timeout(10000);
+
+		beforeEach(function () {
+			wrench.mkdirSyncRecursive(tempDir);
+			wrench.copyDirSyncRecursive(path.join(utils.fixturesDir, 'baseline'), projectDir);
+		});
+
+		afterEach(function () {
+			console.log = log;
+			handle && handle.close();
+			wrench.rmdirSyncRecursive(tempDir, true);
+		});
+
+		it('should re-analyze the project when a file changes and output the changed findings', function (done) {
+			var runs = [];
+
+			console.log = function (output) {
+				var diff = JSON.parse(output);
+				console.log = log;
+				runs[0].should.eql([]);
+				runs[1].should.eql([appFile]);
+				diff.changedFiles.should.eql([appFile]);
+				diff.added.should.have.length(1);
+				diff.added[0].description.should.equal('"newCall" is not defined');
+				diff.resolved.should.be.empty;
+				done();
+			};
+
+			handle = Watcher.watch({
+				projectDir: projectDir,
+				sourceDir: path.join(projectDir, 'Resources'),
+				entryPoint: appFile
+			}, {
+				outputFormat: 'json'
+			}, function (changedFiles, callback) {
+				runs.push(changedFiles);
+				utils.analyze(projectDir, {}, [], function (results) {
+					callback(results);
+					if (runs.length === 1) {
+						fs.appendFileSync(appFile, 'newCall();\n');
+					}
+				});
+			});
+		});
+	});
+});
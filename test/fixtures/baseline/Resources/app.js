@@ -0,0 +1,2 @@
+missingCall();
+missingCall();
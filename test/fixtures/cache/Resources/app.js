@@ -0,0 +1,3 @@
+reportedCall();
+var shared = require('shared');
+shared.run();
@@ -0,0 +1,3 @@
+var shared = require('shared');
+shared.run();
+otherCall();
@@ -0,0 +1 @@
+standaloneCall();
@@ -0,0 +1,8 @@
+var label = Ti.UI.createLabel();
+label.setText(5);
+label.setText();
+label.setText('a', 'b');
+label.setText('ok');
+label.getText('extra');
+label.getText();
+Ti.UI.createLabel({ colour: 'red', text: 5 });
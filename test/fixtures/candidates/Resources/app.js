@@ -0,0 +1,3 @@
+var Window = require('ui/' + Math.random() + '/Window');
+Window.open();
+require('./ui/' + Math.random());
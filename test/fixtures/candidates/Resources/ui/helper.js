@@ -0,0 +1 @@
+helperCall();
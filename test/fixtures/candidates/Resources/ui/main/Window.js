@@ -0,0 +1 @@
+mainWindowCall();
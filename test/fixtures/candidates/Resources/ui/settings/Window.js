@@ -0,0 +1 @@
+settingsWindowCall();
@@ -0,0 +1,4 @@
+var label = Ti.UI.createLabel();
+label.setText('text');
+missingCall();
+var lib = require('lib');
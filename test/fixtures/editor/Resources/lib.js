@@ -0,0 +1 @@
+exports.run = function () {};
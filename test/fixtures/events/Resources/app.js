@@ -0,0 +1,6 @@
+var onUpdate = function () {};
+Ti.App.addEventListener('cart:updated', onUpdate);
+Ti.App.fireEvent('cart:updated');
+Ti.App.fireEvent('cart:cleared');
+Ti.App.addEventListener('cart:opened', function () {});
+Ti.App.removeEventListener('cart:updated', onUpdate);
@@ -0,0 +1,6 @@
+require('lib/' + Date.now());
+Ti.include(Math.random());
+var index = Math.random();
+if (index > 0.5) {
+	Ti.API.info('high');
+}
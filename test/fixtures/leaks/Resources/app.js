@@ -0,0 +1,33 @@
+function onPause() {}
+function onCartUpdated() {}
+function onCartCleared() {}
+
+function openLeakyWindow() {
+	var win = Ti.UI.createWindow();
+	win.open();
+	Ti.App.addEventListener('pause', onPause);
+}
+
+function openCleanWindow() {
+	var win = Ti.UI.createWindow();
+	win.addEventListener('open', function () {
+		Ti.App.addEventListener('cart:updated', onCartUpdated);
+	});
+	win.addEventListener('close', function () {
+		Ti.App.removeEventListener('cart:updated', onCartUpdated);
+	});
+	win.open();
+}
+
+function createUnclosedWindow() {
+	var win = Ti.UI.createWindow();
+	win.addEventListener('open', function () {
+		Ti.App.addEventListener('cart:cleared', onCartCleared);
+	});
+	return win;
+}
+
+openLeakyWindow();
+openCleanWindow();
+createUnclosedWindow();
+Ti.App.addEventListener('pause', onPause);
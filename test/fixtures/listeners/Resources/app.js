@@ -0,0 +1,21 @@
+// Never fired in the project, e.g. fired from a web view
+Ti.App.addEventListener('fromWebView', function () {
+	undefinedFunctionInListener();
+});
+
+// Fired by the platform
+Ti.App.addEventListener('pause', function () {
+	undefinedFunctionInPauseListener();
+});
+
+// Fired below, with a handler that is only called if the fired data reaches the listener
+Ti.App.addEventListener('cart:updated', function (e) {
+	if (e.handler) {
+		e.handler();
+	}
+});
+Ti.App.fireEvent('cart:updated', {
+	handler: function () {
+		undefinedFunctionInFiredHandler();
+	}
+});
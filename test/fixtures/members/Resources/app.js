@@ -0,0 +1,7 @@
+var label = Ti.UI.createLabel({ text: 'Hello' }),
+	win = Ti.UI.createWindow({ titel: 'Home' });
+label.setText(label.getText() + '!');
+win.setTitle('Home');
+win.titel = 'Away';
+win.open();
+label.colour;
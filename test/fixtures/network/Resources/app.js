@@ -0,0 +1,14 @@
+var host = 'api.example.com',
+	client = Ti.Network.createHTTPClient({
+		validatesSecureCertificate: false
+	});
+client.open('GET', 'http://' + host + '/items?token=abc123');
+client.open('GET', 'https://' + host + '/items');
+client.open('GET', 'http://localhost:8080/items');
+client.open('GET', 'https://' + host + '/items?token=');
+client.setRequestHeader('Authorization', 'Bearer abc123');
+client.setRequestHeader('Content-Type', 'application/json');
+client.validatesSecureCertificate = false;
+client.setValidatesSecureCertificate(false);
+client.setRequestHeader('Authorization', Ti.App.id);
+client.send();
@@ -0,0 +1,11 @@
+if (Ti.Platform.osname === 'android') {
+	Ti.API.info(Ti.Android.R);
+}
+Ti.API.info(Ti.Android.R);
+if (Ti.Android) {
+	Ti.API.info(Ti.Android.R);
+}
+if (typeof Ti.Android !== 'undefined' && Ti.Android.R) {
+	Ti.API.info(Ti.Android.R);
+}
+Ti.API.info(Ti.Android ? Ti.Android.R : null);
@@ -0,0 +1,5 @@
+var count = 5;
+function update(value) {
+	return value + 1;
+}
+update(count);
@@ -0,0 +1 @@
+exports.prefix = 'AIzaSyD4x9Kq2Lm7';
@@ -0,0 +1,3 @@
+// codeprocessor-disable-next-line ReferenceError
+suppressedCall();
+reportedCall();
@@ -0,0 +1,2 @@
+var used = require('used');
+used.run();
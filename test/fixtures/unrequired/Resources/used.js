@@ -0,0 +1,3 @@
+exports.run = function () {
+	Ti.API.info('run');
+};
@@ -0,0 +1,122 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Helpers for analyzing the fixture projects in the fixtures directory against the minimal SDK in fixtures/sdk
+ */
+
+var path = require('path'),
+
+	should = require('should'),
+
+	Processor = require(path.join(__dirname, '..', '..', 'lib', 'Processor')).Processor,
+
+	fixturesDir = exports.fixturesDir = path.join(__dirname, '..', 'fixtures'),
+	pluginsDir = exports.pluginsDir = path.join(__dirname, '..', '..', 'plugins');
+
+/**
+ * Gets the plugin list for an analysis of the fixture SDK. Each plugin is either a plugin name or an object with the
+ * name and the options of the plugin.
+ */
+exports.getPlugins = getPlugins;
+function getPlugins(plugins, platform) {
+	var pluginList = [{
+			path: path.join(pluginsDir, 'ti-api-provider'),
+			options: {
+				sdkPath: path.join(fixturesDir, 'sdk'),
+				platform: platform || 'iphone',
+				modules: {}
+			}
+		}];
+
+	(plugins || []).forEach(function (plugin) {
+		if (typeof plugin === 'string') {
+			plugin = {
+				name: plugin,
+				options: {}
+			};
+		}
+		pluginList.push({
+			path: path.join(pluginsDir, plugin.name),
+			options: plugin.options
+		});
+	});
+	return pluginList;
+}
+
+/**
+ * Analyzes a project with the Ti API provider plugin and the given plugins, and calls the callback with the results, the
+ * messages that were logged, and the processor
+ */
+exports.analyze = analyze;
+function analyze(projectDir, options, plugins, callback) {
+	var sourceDir = path.join(projectDir, 'Resources'),
+		messages = [],
+		processor = new Processor();
+
+	processor.run({
+		projectDir: projectDir,
+		sourceDir: sourceDir,
+		entryPoint: path.join(sourceDir, 'app.js')
+	}, options, getPlugins(plugins), {
+		log: function (level, message) {
+			messages.push(message);
+		}
+	}, function (err, results) {
+		should.not.exist(err);
+		callback(results, messages, processor);
+	});
+}
+
+/**
+ * Analyzes a fixture project
+ */
+exports.analyzeFixture = function analyzeFixture(name, options, plugins, callback) {
+	analyze(path.join(fixturesDir, name), options, plugins, callback);
+};
+
+/**
+ * Analyzes a fixture project and calls the callback with the results and what was printed for the output format
+ */
+exports.analyzeFixtureWithOutput = function analyzeFixtureWithOutput(name, outputFormat, plugins, callback) {
+	var log = console.log,
+		output = [];
+	console.log = function () {
+		output.push(Array.prototype.join.call(arguments, ' '));
+	};
+	try {
+		analyze(path.join(fixturesDir, name), { outputFormat: outputFormat }, plugins, function (results) {
+			console.log = log;
+			callback(output.join('\n'), results);
+		});
+	} finally {
+		console.log = log;
+	}
+};
+
+/**
+ * Finds the first finding of the given type on the given line
+ */
+exports.findFinding = function findFinding(findings, type, line) {
+	return findings.filter(function (finding) {
+		return finding.type === type && finding.line === line;
+	})[0];
+};
+
+/**
+ * Finds all of the findings of the given type
+ */
+exports.findFindings = function findFindings(findings, type) {
+	return findings.filter(function (finding) {
+		return finding.type === type;
+	});
+};
+
+/**
+ * Gets the results of a plugin
+ */
+exports.getPluginResults = function getPluginResults(results, name) {
+	return results.plugins.filter(function (plugin) {
+		return plugin.name === name;
+	})[0];
+};
@@ -0,0 +1,83 @@
+/**
+ * <p>Copyright (c) 2009-2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the taint tracking of the code processor
+ */
+/*global describe, it, beforeEach*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	Base = require(path.join(__dirname, '..', 'lib', 'Base')),
+	Runtime = require(path.join(__dirname, '..', 'lib', 'Runtime'));
+
+require(path.join(__dirname, '..', 'lib', 'CodeProcessor')); // Called to prime rules, etc
+
+describe('Taint tracking', function () {
+
+	/**
+	 * Creates a tainted string at the given line
+	 */
+	function taintAt(line, description, sources) {
+		var value;
+		Runtime.setCurrentLocation('app.js', line, 0);
+		value = sources ? Base.taintNewValue(new Base.StringType('value'), description, sources) :
+			Base.taint(new Base.StringType('value'), description);
+		Runtime.exitCurrentLocation();
+		return value;
+	}
+
+	beforeEach(function () {
+		Base.init();
+	});
+
+	it('should only track taint once something is tainted', function () {
+		Base.isTrackingTaint().should.be.false;
+		taintAt(1, 'The value of "Titanium.UI.TextField.value"');
+		Base.isTrackingTaint().should.be.true;
+	});
+
+	it('should stop tracking taint when the runtime is initialized for a new run', function () {
+		taintAt(1, 'The value of "Titanium.UI.TextField.value"');
+		Base.init();
+		Base.isTrackingTaint().should.be.false;
+		Base.getTaintedValues([new Base.StringType('value')]).should.be.empty;
+	});
+
+	it('should taint a copy of a value instead of the value itself', function () {
+		var value = new Base.StringType('value'),
+			taintedValue = Base.taint(value, 'The value of "Titanium.UI.TextField.value"');
+		Base.isTainted(taintedValue).should.be.true;
+		Base.isTainted(value).should.be.false;
+	});
+
+	it('should explain a tainted value back to where the untrusted data entered', function () {
+		var source = taintAt(1, 'The value of "Titanium.UI.TextField.value"'),
+			derived = taintAt(2, 'Result of the "+" operator', [source]);
+		Base.explainTaint(derived).should.eql([{
+			description: 'Result of the "+" operator',
+			filename: 'app.js',
+			line: 2,
+			column: 0,
+			isOrigin: false
+		}, {
+			description: 'The value of "Titanium.UI.TextField.value"',
+			filename: 'app.js',
+			line: 1,
+			column: 0,
+			isOrigin: true
+		}]);
+	});
+
+	it('should only list each location once', function () {
+		var source = taintAt(1, 'The value of "Titanium.UI.TextField.value"'),
+			firstIteration = taintAt(2, 'Result of the "+" operator', [source]),
+			secondIteration = taintAt(2, 'Result of the "+" operator', [source]),
+			sink = taintAt(3, 'Result of the "+" operator', [firstIteration, secondIteration]);
+		Base.explainTaint(sink).map(function (step) {
+			return step.line;
+		}).should.eql([3, 2, 1]);
+	});
+});